@@ -1,6 +1,7 @@
 require('dotenv').config();
 
 const HistoricalDataImporter = require('./import-historical');
+const { parseImportFileName } = require('./services/candle-import');
 const fs = require('fs');
 const path = require('path');
 
@@ -21,8 +22,7 @@ class BatchImporter {
         let failCount = 0;
         
         for (const file of csvFiles) {
-            const fileName = path.basename(file, '.csv');
-            const [symbol, timeframe] = this.parseFileName(fileName);
+            const [symbol, timeframe] = this.parseFileName(file);
             
             if (symbol && timeframe) {
                 const filePath = path.join(folderPath, file);
@@ -50,37 +50,9 @@ class BatchImporter {
     }
 
     parseFileName(fileName) {
-        // Your files are like: EURUSD_D1.csv, BTCUSDT_M1.csv
-        // Pattern: SYMBOL_TIMEFRAME.csv
-        
-        // Handle different separator styles
-        let parts;
-        if (fileName.includes('_')) {
-            parts = fileName.split('_');
-        } else if (fileName.includes('-')) {
-            parts = fileName.split('-');
-        } else {
-            // Try to extract timeframe from end
-            const match = fileName.match(/^(.+?)(M1|M5|M15|M30|H1|H4|D1|W1|MN)$/i);
-            if (match) {
-                parts = [match[1], match[2]];
-            } else {
-                return [null, null];
-            }
-        }
-        
-        if (parts.length >= 2) {
-            const symbol = parts[0].toUpperCase();
-            const timeframe = parts[parts.length - 1].toUpperCase();
-            
-            // Validate timeframe format
-            const validTimeframes = ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1', 'W1', 'MN'];
-            if (validTimeframes.includes(timeframe)) {
-                return [symbol, timeframe];
-            }
-        }
-        
-        return [null, null];
+        // EURUSD_D1.csv, EURUSD-H1.csv, EURUSDM15.csv
+        const { symbol, timeframe } = parseImportFileName(fileName);
+        return [symbol, timeframe];
     }
 
     async disconnect() {
@@ -109,13 +81,16 @@ File naming convention:
   - GBPUSD_M15.csv
 
 Supported timeframes:
-  M1, M5, M15, M30, H1, H4, D1, W1, MN
+  M1, M5, M15, M30, H1, H4, D1
 
 CSV format expected:
-  timestamp, open, high, low, close, spread
+  timestamp, open, high, low, close, volume
 
 Example CSV line:
   2009-11-29 00:00,1.50094,1.50197,1.4962,1.49943,2955
+
+Other formats, merge policies and dry runs:
+  node scripts/import-candles.js --help
         `);
         process.exit(1);
     }
@@ -0,0 +1,43 @@
+// =============================================================================
+// config/candle-sources.js - Who Wrote a Candle
+// =============================================================================
+//
+// Values stored in pulse_market_data.source. The order is the default
+// precedence, highest first (CANDLE_SOURCE_PRECEDENCE overrides it): a
+// write only replaces a stored bar whose source ranks the same or lower.
+//
+//   import     CSV/MT4/MT5 files loaded by an operator
+//   dukascopy  Dukascopy bars (recent healer, backfills, reseeds)
+//   polygon    Polygon aggregates
+//   aggregate  built from a lower timeframe (M1 → M5 ... H1 → D1)
+//   finnhub    built live from Finnhub WebSocket ticks
+//   rest       built from REST-polled quotes (fallback and refills)
+//   mock       the mock provider (development)
+//
+// Rows written before provenance existed have no source and rank lowest.
+// =============================================================================
+
+const CANDLE_SOURCES = ['import', 'dukascopy', 'polygon', 'aggregate', 'finnhub', 'rest', 'mock'];
+
+// pulse_ticks.source → source of the M1 bar built from those ticks
+const TICK_CANDLE_SOURCES = {
+    finnhub: 'finnhub',
+    rest: 'rest',
+    rest_fallback: 'rest',
+    rest_refill: 'rest',
+    interpolated: 'rest',
+    dukascopy: 'dukascopy',
+    mock: 'mock',
+};
+
+/**
+ * Candle source for a bar built from ticks of the given source
+ */
+function candleSourceForTick(tickSource) {
+    return TICK_CANDLE_SOURCES[tickSource] || 'finnhub';
+}
+
+module.exports = {
+    CANDLE_SOURCES,
+    candleSourceForTick,
+};
@@ -1,14 +0,0 @@
-// Database configuration - UPDATE THESE CREDENTIALS!
-// module.exports = {
-//     host: 'localhost',      // Your MySQL host
-//     user: 'root',           // Your MySQL username
-//     database: 'pulse_markets'  // Database name
-// };
-
-
-module.exports = {
-    host: 'srv1395.hstgr.io',      // Your MySQL host
-    user: 'u753127729_pulse',           // Your MySQL username
-    password: 'Hxtx=M52da>3',          // Your MySQL password
-    database: 'u753127729_pulse'  // Database name
-};
\ No newline at end of file
@@ -0,0 +1,115 @@
+// =============================================================================
+// config/day-boundary.js - Where a Trading Day Starts
+// =============================================================================
+//
+// D1 candles, and the H4 candles inside them, are cut on a day boundary
+// (CANDLE_DAY_BOUNDARY, or ?day_boundary= on /v1/candles):
+//
+//   utc        00:00 UTC
+//   ny-close   17:00 New York time, following US DST - the forex roll. The
+//              weekend (Fri 17:00 → Sun 17:00) belongs to Monday, so bars
+//              from Sunday's short session never make a sixth daily candle
+//   ±HH:00     00:00 at a fixed UTC offset, e.g. +02:00 for broker server
+//              time; whole hours so H1 candles still fit inside H4
+//
+// Intraday timeframes up to H1 are always aligned on UTC.
+// =============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DAY_BOUNDARIES = ['utc', 'ny-close'];
+
+const NY_ZONE = 'America/New_York';
+const NY_CLOSE_HOUR = 17;
+
+const nyFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: NY_ZONE, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+});
+
+/**
+ * Canonical form of a day boundary ('utc', 'ny-close' or '+02:00'),
+ * or null when `value` isn't one
+ */
+function normalizeDayBoundary(value) {
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim().toLowerCase();
+    if (DAY_BOUNDARIES.includes(text)) return text;
+
+    const fixed = /^([+-])(\d{1,2})(?::?00)?$/.exec(text);
+    if (!fixed) return null;
+
+    const hours = parseInt(fixed[2], 10);
+    if (hours > 14) return null;
+    return hours === 0 ? 'utc' : `${fixed[1]}${String(hours).padStart(2, '0')}:00`;
+}
+
+// Offsets by UTC hour (DST switches on the hour); rollups ask per candle
+const nyOffsets = new Map();
+
+/**
+ * New York's offset from UTC at instant `ms`, in milliseconds
+ */
+function nyOffset(ms) {
+    const hour = Math.floor(ms / HOUR_MS);
+    let offset = nyOffsets.get(hour);
+
+    if (offset === undefined) {
+        const parts = {};
+        for (const { type, value } of nyFormatter.formatToParts(new Date(hour * HOUR_MS))) parts[type] = parseInt(value, 10);
+        offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - hour * HOUR_MS;
+
+        if (nyOffsets.size >= 10000) nyOffsets.clear();
+        nyOffsets.set(hour, offset);
+    }
+
+    return offset;
+}
+
+/**
+ * UTC instant of New York wall-clock time `wallClock` (epoch ms read as NY)
+ */
+function fromNyWallClock(wallClock) {
+    const utc = wallClock - nyOffset(wallClock);
+    return wallClock - nyOffset(utc);
+}
+
+/**
+ * The trading day holding `time` → { start, end, from } in epoch ms:
+ * the candle is stamped `start`, and bars in [from, end) belong to it
+ * (from < start only for Monday under ny-close, which takes the weekend)
+ */
+function tradingDay(time, boundary = 'utc') {
+    const ms = new Date(time).getTime();
+
+    if (boundary === 'ny-close') {
+        // NY calendar date of the 17:00 that opened the day, as UTC midnight
+        const local = ms + nyOffset(ms);
+        let date = Math.floor(local / DAY_MS) * DAY_MS;
+        if (local - date < NY_CLOSE_HOUR * HOUR_MS) date -= DAY_MS;
+
+        // Opened Friday or Saturday → it is the weekend, part of Monday
+        const weekday = new Date(date).getUTCDay();
+        if (weekday === 5 || weekday === 6) date += (7 - weekday) * DAY_MS;
+
+        const at = days => fromNyWallClock(date + days * DAY_MS + NY_CLOSE_HOUR * HOUR_MS);
+        return {
+            start: at(0),
+            end: at(1),
+            from: new Date(date).getUTCDay() === 0 ? at(-2) : at(0),
+        };
+    }
+
+    const offset = boundary === 'utc' ? 0 : parseInt(boundary, 10) * HOUR_MS;
+    const start = Math.floor((ms + offset) / DAY_MS) * DAY_MS - offset;
+    return { start, end: start + DAY_MS, from: start };
+}
+
+module.exports = {
+    DAY_BOUNDARIES,
+    normalizeDayBoundary,
+    tradingDay,
+};
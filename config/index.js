@@ -0,0 +1,358 @@
+// =============================================================================
+// config/index.js - Validated Application Config
+// =============================================================================
+//
+// One place for credentials and tunables. Sources, later wins:
+//   1. defaults in SCHEMA below
+//   2. CONFIG_FILE - optional JSON file shaped like the config object,
+//      e.g. { "pairs": { "primary": ["EURUSD"] }, "db": { "host": "..." } }
+//   3. environment variables (and .env), named in SCHEMA
+//
+// Values are type-checked on load; a bad value stops the process with every
+// problem listed. Secrets have no defaults - code that needs them calls
+// requireSettings() so startup fails with the variable names instead of
+// silently connecting somewhere else.
+// =============================================================================
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { getSymbol, listSymbols } = require('./symbols');
+const { CANDLE_SOURCES } = require('./candle-sources');
+const { normalizeDayBoundary } = require('./day-boundary');
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+// path → { env, type, default, min, values, secret }
+const SCHEMA = {
+    // Server
+    'server.port':                  { env: 'PORT', type: 'int', default: 3001, min: 1 },
+    'server.roles':                 { env: 'PULSE_ROLES', type: 'string', default: 'all' },
+
+    // MySQL - required whenever MySQL is used (see requireSettings)
+    'db.host':                      { env: 'DB_HOST', type: 'string' },
+    'db.user':                      { env: 'DB_USER', type: 'string' },
+    'db.password':                  { env: 'DB_PASSWORD', type: 'string', secret: true },
+    'db.name':                      { env: 'DB_NAME', type: 'string' },
+    'db.connectionLimit':           { env: 'DB_CONNECTION_LIMIT', type: 'int', default: 5, min: 1 },
+
+    // Engine storage (services/storage)
+    'storage.driver':               { env: 'STORAGE_DRIVER', type: 'enum', values: ['mysql', 'memory'], default: 'mysql' },
+
+    // Market data providers (services/providers)
+    'providers.live':               { env: 'LIVE_PROVIDER', type: 'string', default: null },
+    'providers.historical':         { env: 'HISTORICAL_PROVIDER', type: 'string', default: 'dukascopy' },
+    'providers.finnhubApiKey':      { env: 'FINNHUB_API_KEY', type: 'string', secret: true },
+    'providers.polygonApiKey':      { env: 'POLYGON_API_KEY', type: 'string', secret: true },
+    // Fetch Dukascopy ask bars too, for per-candle spreads (two requests per fetch)
+    'providers.dukascopySpread':    { env: 'DUKASCOPY_SPREAD', type: 'boolean', default: true },
+
+    // Mock provider (services/providers/mock-provider.js); seed defaults to the clock
+    'mock.source':                  { env: 'MOCK_SOURCE', type: 'enum', values: ['auto', 'csv', 'random'], default: 'auto' },
+    'mock.dataDir':                 { env: 'MOCK_DATA_DIR', type: 'string', default: null },
+    'mock.seed':                    { env: 'MOCK_SEED', type: 'int', default: null },
+    'mock.speed':                   { env: 'MOCK_SPEED', type: 'number', default: 1, min: 0 },
+    'mock.ticksPerMinute':          { env: 'MOCK_TICKS_PER_MINUTE', type: 'int', default: 12, min: 1 },
+    'mock.gapRate':                 { env: 'MOCK_GAP_RATE', type: 'number', default: 0, min: 0 },
+    'mock.spikeRate':               { env: 'MOCK_SPIKE_RATE', type: 'number', default: 0, min: 0 },
+    'mock.spikeSize':               { env: 'MOCK_SPIKE_SIZE', type: 'number', default: 0.02, min: 0 },
+    'mock.disconnectEveryMs':       { env: 'MOCK_DISCONNECT_EVERY_MS', type: 'int', default: 0, min: 0 },
+    'mock.disconnectMs':            { env: 'MOCK_DISCONNECT_MS', type: 'int', default: 10000, min: 0 },
+
+    // Pairs - unset means "follow each symbol's priority" (config/symbols.js
+    // and /admin/symbols); set these only to pin a subset on one deployment
+    'pairs.primary':                { env: 'PRIMARY_PAIRS', type: 'symbols' },
+    'pairs.secondary':              { env: 'SECONDARY_PAIRS', type: 'symbols' },
+
+    // Runtime symbol management (services/symbol-catalog.js)
+    'symbols.refreshSeconds':       { env: 'SYMBOL_REFRESH_SECONDS', type: 'int', default: 30, min: 1 },
+    'admin.apiKey':                 { env: 'ADMIN_API_KEY', type: 'string', secret: true },
+
+    // Spike thresholds (% change that triggers rejection)
+    'spikeThresholds.forex.tick':   { env: 'SPIKE_FOREX_TICK_PERCENT', type: 'number', default: 0.3, min: 0 },
+    'spikeThresholds.forex.candle': { env: 'SPIKE_FOREX_CANDLE_PERCENT', type: 'number', default: 0.5, min: 0 },
+    'spikeThresholds.metal.tick':   { env: 'SPIKE_METAL_TICK_PERCENT', type: 'number', default: 0.8, min: 0 },
+    'spikeThresholds.metal.candle': { env: 'SPIKE_METAL_CANDLE_PERCENT', type: 'number', default: 1.5, min: 0 },
+
+    // Retention
+    'ticks.retentionHours':         { env: 'TICK_RETENTION_HOURS', type: 'int', default: 48, min: 1 },
+
+    // Candle provenance - who may overwrite whom, highest first (config/candle-sources.js)
+    'candles.sourcePrecedence':     { env: 'CANDLE_SOURCE_PRECEDENCE', type: 'list', values: CANDLE_SOURCES, default: CANDLE_SOURCES },
+    // Where H4/D1 candles start the day: utc, ny-close or ±HH:00 (config/day-boundary.js)
+    'candles.dayBoundary':          { env: 'CANDLE_DAY_BOUNDARY', type: 'dayBoundary', default: 'utc' },
+
+    // Recent-bar healing (re-sync live M1 with Dukascopy)
+    'healing.windowMinutes':        { env: 'HEAL_WINDOW_MINUTES', type: 'int', default: 15, min: 1 },
+    'healing.delayMinutes':         { env: 'HEAL_DELAY_MINUTES', type: 'int', default: 20, min: 0 },
+    'healing.delayBetweenSymbolsMs': { env: 'HEAL_SYMBOL_DELAY_MS', type: 'int', default: 3500, min: 0 },
+    'healing.minIntervalMs':        { env: 'HEAL_MIN_INTERVAL_MS', type: 'int', default: 5 * 60 * 1000, min: 0 },
+
+    // Backfill job queue (services/backfill-queue.js)
+    'backfill.maxAttempts':         { env: 'BACKFILL_MAX_ATTEMPTS', type: 'int', default: 5, min: 1 },
+    'backfill.leaseSeconds':        { env: 'BACKFILL_LEASE_SECONDS', type: 'int', default: 600, min: 10 },
+    'backfill.backoffBaseSeconds':  { env: 'BACKFILL_BACKOFF_BASE_SECONDS', type: 'int', default: 60, min: 1 },
+    'backfill.backoffMaxSeconds':   { env: 'BACKFILL_BACKOFF_MAX_SECONDS', type: 'int', default: 6 * 60 * 60, min: 1 },
+
+    // Higher-timeframe rollups (services/rollup-worker.js): dirty buckets per batch
+    'rollups.batchSize':            { env: 'ROLLUP_BATCH_SIZE', type: 'int', default: 500, min: 1 },
+
+    // Cron cadences
+    'schedules.healPrimary':        { env: 'CRON_HEAL_PRIMARY', type: 'cron', default: '*/5 * * * *' },
+    'schedules.healSecondary':      { env: 'CRON_HEAL_SECONDARY', type: 'cron', default: '*/15 * * * *' },
+    'schedules.gapCheck':           { env: 'CRON_GAP_CHECK', type: 'cron', default: '0 * * * *' },
+    'schedules.backfillQueue':      { env: 'CRON_BACKFILL_QUEUE', type: 'cron', default: '*/5 * * * *' },
+    'schedules.integrityCheck':     { env: 'CRON_INTEGRITY_CHECK', type: 'cron', default: '0 2 * * *' },
+    'schedules.cleanup':            { env: 'CRON_CLEANUP', type: 'cron', default: '0 3 * * *' },
+    'schedules.healthCheck':        { env: 'CRON_HEALTH_CHECK', type: 'cron', default: '*/10 * * * *' },
+    'schedules.rollups':            { env: 'CRON_ROLLUPS', type: 'cron', default: '* * * * *' },
+
+    // Legacy finnhub-app.js
+    'features.gapRecoveryOnStartup': { env: 'ENABLE_GAP_RECOVERY', type: 'boolean', default: false },
+};
+
+class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Coerce a raw value (env string or JSON value) to the setting's type
+ * Returns { value } or { error }
+ */
+function parseValue(spec, raw) {
+    const fromEnv = typeof raw === 'string';
+
+    switch (spec.type) {
+        case 'string':
+            return typeof raw === 'string' ? { value: raw } : { error: 'must be a string' };
+
+        case 'int':
+        case 'number': {
+            const value = fromEnv ? Number(raw.trim()) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value) || (fromEnv && raw.trim() === '')) {
+                return { error: 'must be a number' };
+            }
+            if (spec.type === 'int' && !Number.isInteger(value)) return { error: 'must be a whole number' };
+            if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min}` };
+            return { value };
+        }
+
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const normalized = fromEnv ? raw.trim().toLowerCase() : '';
+            if (['true', '1', 'yes'].includes(normalized)) return { value: true };
+            if (['false', '0', 'no', ''].includes(normalized)) return { value: false };
+            return { error: 'must be true or false' };
+        }
+
+        case 'symbols': {
+            const items = fromEnv ? raw.split(',') : raw;
+            if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+                return { error: 'must be a comma-separated list' };
+            }
+            const value = items.map(item => item.trim().toUpperCase().replace('/', '')).filter(Boolean);
+            if (value.length === 0) return { error: 'must not be empty' };
+
+            const unknown = value.filter(symbol => !getSymbol(symbol));
+            return unknown.length
+                ? { error: `has symbols missing from config/symbols.js: ${unknown.join(', ')}` }
+                : { value };
+        }
+
+        case 'list': {
+            const items = fromEnv ? raw.split(',') : raw;
+            if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+                return { error: 'must be a comma-separated list' };
+            }
+            const value = items.map(item => item.trim().toLowerCase()).filter(Boolean);
+            if (value.length === 0) return { error: 'must not be empty' };
+
+            const unknown = value.filter(item => !spec.values.includes(item));
+            if (unknown.length) return { error: `has unknown entries: ${unknown.join(', ')} (expected: ${spec.values.join(', ')})` };
+            return new Set(value).size === value.length ? { value } : { error: 'must not repeat entries' };
+        }
+
+        case 'enum': {
+            const value = typeof raw === 'string' ? raw.trim().toLowerCase() : raw;
+            return spec.values.includes(value)
+                ? { value }
+                : { error: `must be one of: ${spec.values.join(', ')}` };
+        }
+
+        case 'dayBoundary': {
+            const value = normalizeDayBoundary(raw);
+            return value ? { value } : { error: 'must be utc, ny-close or a whole-hour UTC offset like +02:00' };
+        }
+
+        case 'cron':
+            return typeof raw === 'string' && cron.validate(raw)
+                ? { value: raw }
+                : { error: 'must be a valid cron expression' };
+
+        default:
+            return { error: `has unknown type "${spec.type}"` };
+    }
+}
+
+function getPath(object, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    let target = object;
+    for (const key of keys) {
+        target = target[key] = target[key] || {};
+    }
+    target[last] = value;
+}
+
+/**
+ * Dotted paths of every leaf in a config file (arrays are leaves)
+ */
+function leafPaths(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        return value && typeof value === 'object' && !Array.isArray(value)
+            ? leafPaths(value, keyPath)
+            : [keyPath];
+    });
+}
+
+function readConfigFile(file) {
+    let content;
+    try {
+        content = fs.readFileSync(path.resolve(file), 'utf8');
+    } catch (error) {
+        throw new ConfigError(`Cannot read CONFIG_FILE ${file}: ${error.message}`);
+    }
+
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new ConfigError(`CONFIG_FILE ${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+function deepFreeze(object) {
+    for (const value of Object.values(object)) {
+        if (value && typeof value === 'object') deepFreeze(value);
+    }
+    return Object.freeze(object);
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Build the config from defaults, CONFIG_FILE and the environment
+ * Throws a ConfigError listing every invalid setting
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+    const fileValues = file ? readConfigFile(file) : {};
+    const problems = [];
+
+    for (const keyPath of leafPaths(fileValues)) {
+        if (!SCHEMA[keyPath]) problems.push(`${keyPath} (in ${file}) is not a known setting`);
+    }
+
+    const config = {};
+
+    for (const [keyPath, spec] of Object.entries(SCHEMA)) {
+        let raw;
+        let source;
+
+        if (env[spec.env] !== undefined) {
+            raw = env[spec.env];
+            source = spec.env;
+        } else if (getPath(fileValues, keyPath) !== undefined) {
+            raw = getPath(fileValues, keyPath);
+            source = `${keyPath} in ${file}`;
+        }
+
+        if (raw === undefined) {
+            setPath(config, keyPath, spec.default === undefined ? null : spec.default);
+            continue;
+        }
+
+        const { value, error } = parseValue(spec, raw);
+        if (error) {
+            problems.push(`${source} ${error}${spec.secret ? '' : ` (got ${JSON.stringify(raw)})`}`);
+        } else {
+            setPath(config, keyPath, value);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError('Invalid configuration', problems);
+    }
+
+    return deepFreeze(config);
+}
+
+/**
+ * Throw unless every listed setting has a value
+ * e.g. requireSettings(['db.host', 'db.user'], 'MySQL')
+ */
+function requireSettings(keyPaths, purpose, cfg = config) {
+    const missing = keyPaths.filter(keyPath => {
+        const value = getPath(cfg, keyPath);
+        return value === null || value === undefined || (keyPath !== 'db.password' && value === '');
+    });
+
+    if (missing.length > 0) {
+        const names = missing.map(keyPath => SCHEMA[keyPath].env).join(', ');
+        throw new ConfigError(
+            `Missing required configuration for ${purpose}: ${names} ` +
+            '(set them in the environment, .env or CONFIG_FILE)'
+        );
+    }
+}
+
+/**
+ * Load the process config; a bad setting ends the process with the problem list
+ */
+function loadProcessConfig() {
+    try {
+        return loadConfig();
+    } catch (error) {
+        if (!(error instanceof ConfigError)) throw error;
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+const config = loadProcessConfig();
+
+/**
+ * Healing pairs for a priority ('primary' / 'secondary'): the pinned
+ * PRIMARY_PAIRS / SECONDARY_PAIRS list when set, otherwise every enabled
+ * symbol with that priority. Read on each call so symbol changes apply live.
+ */
+function getPairs(priority, cfg = config) {
+    const pinned = cfg.pairs[priority];
+    return pinned ? pinned.filter(symbol => getSymbol(symbol)) : listSymbols({ priority });
+}
+
+module.exports = {
+    config,
+    loadConfig,
+    requireSettings,
+    getPairs,
+    ConfigError,
+    SCHEMA,
+};
@@ -340,6 +340,65 @@ function getNextForexOpen(date = new Date()) {
     return nextOpen.toISOString();
 }
 
+/**
+ * Build a trading calendar for a date range (inclusive days, UTC)
+ * - holidays: forex fully closed
+ * - reducedLiquidity: 'reduced' days and US-closed days
+ * - weeks: forex week open/close instants overlapping the range
+ */
+function getTradingCalendar(from, to) {
+    const holidays = [];
+    const reducedLiquidity = [];
+
+    const day = new Date(from);
+    day.setUTCHours(0, 0, 0, 0);
+
+    while (day <= to) {
+        const holiday = getHoliday(day);
+        if (holiday) {
+            const entry = {
+                date: day.toISOString().split('T')[0],
+                name: holiday.name,
+                type: holiday.type,
+            };
+            if (holiday.type === 'closed') {
+                holidays.push(entry);
+            } else {
+                reducedLiquidity.push(entry);
+            }
+        }
+        day.setUTCDate(day.getUTCDate() + 1);
+    }
+
+    // Walk back to the Sunday of the week containing `from`
+    const weekOpen = new Date(from);
+    weekOpen.setUTCDate(weekOpen.getUTCDate() - weekOpen.getUTCDay());
+    weekOpen.setUTCHours(FOREX_MARKET.weekStart.hour, FOREX_MARKET.weekStart.minute, 0, 0);
+    if (weekOpen > from) {
+        weekOpen.setUTCDate(weekOpen.getUTCDate() - 7);
+    }
+
+    const weeks = [];
+    while (weekOpen <= to) {
+        const weekClose = new Date(weekOpen);
+        weekClose.setUTCDate(weekClose.getUTCDate() + (FOREX_MARKET.weekEnd.day + 7 - FOREX_MARKET.weekStart.day) % 7);
+        weekClose.setUTCHours(FOREX_MARKET.weekEnd.hour, FOREX_MARKET.weekEnd.minute, 0, 0);
+
+        if (weekClose > from) {
+            weeks.push({ opens_at: weekOpen.toISOString(), closes_at: weekClose.toISOString() });
+        }
+        weekOpen.setUTCDate(weekOpen.getUTCDate() + 7);
+    }
+
+    return {
+        holidays,
+        reducedLiquidity,
+        weeks,
+        // Years with a full holiday table; other years only carry fixed holidays
+        knownYears: Object.keys(HOLIDAYS).filter(k => /^\d{4}$/.test(k)).map(Number),
+    };
+}
+
 module.exports = {
     MARKET_SESSIONS,
     FOREX_MARKET,
@@ -352,5 +411,6 @@ module.exports = {
     getCurrentSession,
     getMarketStatus,
     getNextForexOpen,
-    getHoliday
+    getHoliday,
+    getTradingCalendar
 };
\ No newline at end of file
@@ -0,0 +1,64 @@
+// =============================================================================
+// config/roles.js - Process Roles
+// =============================================================================
+//
+// One codebase, composable roles:
+//   api     REST data API (/v1, /api), status routes, WebSocket feed
+//   ingest  Finnhub live ticks → tick store → M1 → higher timeframes
+//   heal    Gap detection, backfill queue, Dukascopy re-sync of recent bars
+//
+// Selected with --roles=api,heal or PULSE_ROLES (default: all)
+// =============================================================================
+
+const { config } = require('./index');
+
+const ROLES = ['api', 'ingest', 'heal'];
+
+// Ingest starts before api so the feed can be wired to the tick source
+const START_ORDER = ['ingest', 'heal', 'api'];
+
+// Shorthands accepted anywhere a role is
+const PRESETS = {
+    all: ['api', 'ingest', 'heal'],
+    worker: ['ingest', 'heal'],
+};
+
+/**
+ * Parse a comma-separated role list (roles and presets can be mixed)
+ * Returns roles in start order; throws on unknown names
+ */
+function parseRoles(value) {
+    const selected = new Set();
+
+    for (const name of String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean)) {
+        if (PRESETS[name]) {
+            PRESETS[name].forEach(role => selected.add(role));
+        } else if (ROLES.includes(name)) {
+            selected.add(name);
+        } else {
+            throw new Error(`Unknown role "${name}". Valid roles: ${ROLES.join(', ')}; presets: ${Object.keys(PRESETS).join(', ')}`);
+        }
+    }
+
+    if (selected.size === 0) {
+        throw new Error('No roles selected');
+    }
+
+    return START_ORDER.filter(role => selected.has(role));
+}
+
+/**
+ * Resolve roles from --roles= or PULSE_ROLES (config.server.roles)
+ */
+function resolveRoles(argv = process.argv, fallback = config.server.roles) {
+    const flag = argv.find(arg => arg.startsWith('--roles='));
+    const value = flag ? flag.slice('--roles='.length) : fallback;
+    return parseRoles(value);
+}
+
+module.exports = {
+    ROLES,
+    PRESETS,
+    parseRoles,
+    resolveRoles
+};
@@ -1,5 +1,23 @@
 // =============================================================================
-// config/symbols.js - Symbol definitions with tier access control
+// config/symbols.js - Symbol Registry
+// =============================================================================
+//
+// The one list of symbols. Each entry carries:
+//   finnhub / dukascopy / polygon   provider instrument codes (absent = unsupported)
+//   type                            asset class: forex, metal, crypto, stock
+//   tier                            lowest subscription tier that can access it
+//   priority                        healing priority: primary pairs are built,
+//                                   healed and monitored first (forex/metals only)
+//   pipSize / digits                price precision; spreads are reported in
+//                                   pips (spread / pipSize), see quoteSides()
+//
+// Services derive their lists from here (listSymbols, getProviderSymbolMap),
+// so adding a pair means adding one entry.
+//
+// BUILTIN_SYMBOLS below ship with the code. Rows in pulse_symbols (managed
+// through /admin/symbols, see services/symbol-catalog.js) add symbols or
+// override fields at runtime; applySymbolOverrides() rebuilds SYMBOLS in
+// place, so every reader sees enabled symbols only, without a restart.
 // =============================================================================
 
 const SYMBOL_TIERS = {
@@ -8,15 +26,25 @@ const SYMBOL_TIERS = {
     BUSINESS: 'business'     // All symbols
 };
 
-// Symbol definitions with Finnhub mappings and metadata
-const SYMBOLS = {
+const SYMBOL_PRIORITIES = {
+    PRIMARY: 'primary',      // Healed every 5 min, strict health checks
+    SECONDARY: 'secondary'   // Healed every 15 min
+};
+
+const ASSET_TYPES = ['forex', 'metal', 'crypto', 'stock'];
+
+// Symbol definitions with provider mappings and metadata
+const BUILTIN_SYMBOLS = {
     // =========================================================================
     // MAJOR FOREX PAIRS (Individual + Business) - 7 pairs
     // =========================================================================
     'EUR/USD': {
         finnhub: 'OANDA:EUR_USD',
+        dukascopy: 'eurusd',
+        polygon: 'C:EURUSD',
         type: 'forex',
         tier: SYMBOL_TIERS.INDIVIDUAL,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'EUR',
         quote: 'USD',
         pipSize: 0.0001,
@@ -25,8 +53,11 @@ const SYMBOLS = {
     },
     'GBP/USD': {
         finnhub: 'OANDA:GBP_USD',
+        dukascopy: 'gbpusd',
+        polygon: 'C:GBPUSD',
         type: 'forex',
         tier: SYMBOL_TIERS.INDIVIDUAL,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'GBP',
         quote: 'USD',
         pipSize: 0.0001,
@@ -35,8 +66,11 @@ const SYMBOLS = {
     },
     'USD/JPY': {
         finnhub: 'OANDA:USD_JPY',
+        dukascopy: 'usdjpy',
+        polygon: 'C:USDJPY',
         type: 'forex',
         tier: SYMBOL_TIERS.INDIVIDUAL,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'USD',
         quote: 'JPY',
         pipSize: 0.01,
@@ -45,8 +79,11 @@ const SYMBOLS = {
     },
     'USD/CHF': {
         finnhub: 'OANDA:USD_CHF',
+        dukascopy: 'usdchf',
+        polygon: 'C:USDCHF',
         type: 'forex',
         tier: SYMBOL_TIERS.INDIVIDUAL,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'USD',
         quote: 'CHF',
         pipSize: 0.0001,
@@ -55,8 +92,11 @@ const SYMBOLS = {
     },
     'AUD/USD': {
         finnhub: 'OANDA:AUD_USD',
+        dukascopy: 'audusd',
+        polygon: 'C:AUDUSD',
         type: 'forex',
         tier: SYMBOL_TIERS.INDIVIDUAL,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'AUD',
         quote: 'USD',
         pipSize: 0.0001,
@@ -65,8 +105,11 @@ const SYMBOLS = {
     },
     'USD/CAD': {
         finnhub: 'OANDA:USD_CAD',
+        dukascopy: 'usdcad',
+        polygon: 'C:USDCAD',
         type: 'forex',
         tier: SYMBOL_TIERS.INDIVIDUAL,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'USD',
         quote: 'CAD',
         pipSize: 0.0001,
@@ -75,8 +118,11 @@ const SYMBOLS = {
     },
     'NZD/USD': {
         finnhub: 'OANDA:NZD_USD',
+        dukascopy: 'nzdusd',
+        polygon: 'C:NZDUSD',
         type: 'forex',
         tier: SYMBOL_TIERS.INDIVIDUAL,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'NZD',
         quote: 'USD',
         pipSize: 0.0001,
@@ -89,8 +135,11 @@ const SYMBOLS = {
     // =========================================================================
     'EUR/GBP': {
         finnhub: 'OANDA:EUR_GBP',
+        dukascopy: 'eurgbp',
+        polygon: 'C:EURGBP',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'EUR',
         quote: 'GBP',
         pipSize: 0.0001,
@@ -99,8 +148,11 @@ const SYMBOLS = {
     },
     'EUR/JPY': {
         finnhub: 'OANDA:EUR_JPY',
+        dukascopy: 'eurjpy',
+        polygon: 'C:EURJPY',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'EUR',
         quote: 'JPY',
         pipSize: 0.01,
@@ -109,8 +161,11 @@ const SYMBOLS = {
     },
     'GBP/JPY': {
         finnhub: 'OANDA:GBP_JPY',
+        dukascopy: 'gbpjpy',
+        polygon: 'C:GBPJPY',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'GBP',
         quote: 'JPY',
         pipSize: 0.01,
@@ -119,8 +174,11 @@ const SYMBOLS = {
     },
     'EUR/CHF': {
         finnhub: 'OANDA:EUR_CHF',
+        dukascopy: 'eurchf',
+        polygon: 'C:EURCHF',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'EUR',
         quote: 'CHF',
         pipSize: 0.0001,
@@ -129,8 +187,11 @@ const SYMBOLS = {
     },
     'GBP/CHF': {
         finnhub: 'OANDA:GBP_CHF',
+        dukascopy: 'gbpchf',
+        polygon: 'C:GBPCHF',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'GBP',
         quote: 'CHF',
         pipSize: 0.0001,
@@ -139,8 +200,11 @@ const SYMBOLS = {
     },
     'AUD/JPY': {
         finnhub: 'OANDA:AUD_JPY',
+        dukascopy: 'audjpy',
+        polygon: 'C:AUDJPY',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'AUD',
         quote: 'JPY',
         pipSize: 0.01,
@@ -149,8 +213,11 @@ const SYMBOLS = {
     },
     'EUR/AUD': {
         finnhub: 'OANDA:EUR_AUD',
+        dukascopy: 'euraud',
+        polygon: 'C:EURAUD',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'EUR',
         quote: 'AUD',
         pipSize: 0.0001,
@@ -159,8 +226,11 @@ const SYMBOLS = {
     },
     'EUR/CAD': {
         finnhub: 'OANDA:EUR_CAD',
+        dukascopy: 'eurcad',
+        polygon: 'C:EURCAD',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'EUR',
         quote: 'CAD',
         pipSize: 0.0001,
@@ -169,8 +239,11 @@ const SYMBOLS = {
     },
     'GBP/AUD': {
         finnhub: 'OANDA:GBP_AUD',
+        dukascopy: 'gbpaud',
+        polygon: 'C:GBPAUD',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'GBP',
         quote: 'AUD',
         pipSize: 0.0001,
@@ -179,8 +252,11 @@ const SYMBOLS = {
     },
     'GBP/CAD': {
         finnhub: 'OANDA:GBP_CAD',
+        dukascopy: 'gbpcad',
+        polygon: 'C:GBPCAD',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'GBP',
         quote: 'CAD',
         pipSize: 0.0001,
@@ -189,8 +265,11 @@ const SYMBOLS = {
     },
     'AUD/CAD': {
         finnhub: 'OANDA:AUD_CAD',
+        dukascopy: 'audcad',
+        polygon: 'C:AUDCAD',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'AUD',
         quote: 'CAD',
         pipSize: 0.0001,
@@ -199,8 +278,11 @@ const SYMBOLS = {
     },
     'AUD/NZD': {
         finnhub: 'OANDA:AUD_NZD',
+        dukascopy: 'audnzd',
+        polygon: 'C:AUDNZD',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'AUD',
         quote: 'NZD',
         pipSize: 0.0001,
@@ -209,8 +291,11 @@ const SYMBOLS = {
     },
     'NZD/JPY': {
         finnhub: 'OANDA:NZD_JPY',
+        dukascopy: 'nzdjpy',
+        polygon: 'C:NZDJPY',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'NZD',
         quote: 'JPY',
         pipSize: 0.01,
@@ -219,8 +304,11 @@ const SYMBOLS = {
     },
     'CAD/JPY': {
         finnhub: 'OANDA:CAD_JPY',
+        dukascopy: 'cadjpy',
+        polygon: 'C:CADJPY',
         type: 'forex',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'CAD',
         quote: 'JPY',
         pipSize: 0.01,
@@ -233,8 +321,11 @@ const SYMBOLS = {
     // =========================================================================
     'XAU/USD': {
         finnhub: 'OANDA:XAU_USD',
+        dukascopy: 'xauusd',
+        polygon: 'C:XAUUSD',
         type: 'metal',
         tier: SYMBOL_TIERS.INDIVIDUAL,
+        priority: SYMBOL_PRIORITIES.PRIMARY,
         base: 'XAU',
         quote: 'USD',
         pipSize: 0.01,
@@ -243,8 +334,11 @@ const SYMBOLS = {
     },
     'XAG/USD': {
         finnhub: 'OANDA:XAG_USD',
+        dukascopy: 'xagusd',
+        polygon: 'C:XAGUSD',
         type: 'metal',
         tier: SYMBOL_TIERS.BUSINESS,
+        priority: SYMBOL_PRIORITIES.SECONDARY,
         base: 'XAG',
         quote: 'USD',
         pipSize: 0.001,
@@ -432,14 +526,73 @@ const SYMBOLS = {
 };
 
 // Total: 7 major + 14 minor + 2 metals + 10 crypto + 7 stocks = 40 symbols
-// Room for 10 more if needed
+
+// =============================================================================
+// RUNTIME OVERRIDES
+// =============================================================================
+
+// Live view: built-ins plus overrides, enabled symbols only
+const SYMBOLS = {};
+
+// Override row fields that replace the built-in value when not null
+const OVERRIDE_FIELDS = [
+    'finnhub', 'dukascopy', 'polygon', 'type', 'tier', 'priority',
+    'base', 'quote', 'pipSize', 'digits', 'description'
+];
+
+// Provider code columns; DROPPED_CODE stored there removes the built-in code
+const PROVIDER_FIELDS = ['finnhub', 'dukascopy', 'polygon'];
+const DROPPED_CODE = 'none';
+
+/**
+ * Every known symbol, disabled ones included, with overrides merged in
+ * Entries gain `enabled` and `source` ('builtin' or 'runtime')
+ */
+function buildSymbolTable(rows = []) {
+    const table = {};
+    for (const [symbol, config] of Object.entries(BUILTIN_SYMBOLS)) {
+        table[symbol] = { ...config, enabled: true, source: 'builtin' };
+    }
+
+    for (const row of rows) {
+        const entry = table[row.symbol] || { enabled: true, source: 'runtime' };
+        for (const field of OVERRIDE_FIELDS) {
+            if (row[field] !== null && row[field] !== undefined) entry[field] = row[field];
+        }
+        // 'none' takes a pair out of healing / off a provider
+        if (entry.priority === 'none') delete entry.priority;
+        for (const field of PROVIDER_FIELDS) {
+            if (entry[field] === DROPPED_CODE) delete entry[field];
+        }
+        entry.enabled = row.enabled !== false;
+        table[row.symbol] = entry;
+    }
+
+    return table;
+}
+
+/**
+ * Rebuild SYMBOLS from the built-ins and pulse_symbols rows
+ */
+function applySymbolOverrides(rows = []) {
+    for (const symbol of Object.keys(SYMBOLS)) delete SYMBOLS[symbol];
+
+    for (const [symbol, entry] of Object.entries(buildSymbolTable(rows))) {
+        if (!entry.enabled) continue;
+        const { enabled, source, ...config } = entry;
+        SYMBOLS[symbol] = config;
+    }
+}
+
+applySymbolOverrides();
 
 // Helper functions
 function getSymbol(symbol) {
     // Normalize: accept both EUR/USD and EURUSD formats
     const normalized = symbol.includes('/') ? symbol : 
         symbol.replace(/([A-Z]{3})([A-Z]{3,})/, '$1/$2');
-    return SYMBOLS[normalized] || null;
+    // Fall back to a lookup for 4+ letter bases (DOGEUSD, MATICUSD)
+    return SYMBOLS[normalized] || SYMBOLS[toDisplaySymbol(symbol)] || null;
 }
 
 function getSymbolByFinnhub(finnhubSymbol) {
@@ -482,6 +635,36 @@ function getAllFinnhubSymbols() {
     return Object.values(SYMBOLS).map(s => s.finnhub);
 }
 
+/**
+ * Internal symbols (EURUSD) whose entries match every given field, in registry order
+ * e.g. listSymbols({ type: 'forex', priority: SYMBOL_PRIORITIES.PRIMARY })
+ * `provider` keeps only symbols that provider has a code for
+ */
+function listSymbols({ provider, ...fields } = {}) {
+    return Object.entries(SYMBOLS)
+        .filter(([_, config]) => !provider || config[provider])
+        .filter(([_, config]) => Object.entries(fields).every(([key, value]) => config[key] === value))
+        .map(([symbol]) => toInternalSymbol(symbol));
+}
+
+/**
+ * Internal symbol → provider instrument code, e.g. { EURUSD: 'eurusd' } for dukascopy
+ */
+function getProviderSymbolMap(provider) {
+    const map = {};
+    for (const [symbol, config] of Object.entries(SYMBOLS)) {
+        if (config[provider]) map[toInternalSymbol(symbol)] = config[provider];
+    }
+    return map;
+}
+
+/**
+ * Asset class of a symbol in either format (unknown symbols count as forex)
+ */
+function getSymbolType(symbol) {
+    return getSymbol(symbol)?.type || 'forex';
+}
+
 function canAccessSymbol(symbol, userTier) {
     const config = getSymbol(symbol);
     if (!config) return false;
@@ -495,6 +678,28 @@ function canAccessSymbol(symbol, userTier) {
     return tierPriority[userTier] >= tierPriority[config.tier];
 }
 
+/**
+ * Bid/ask/mid and the spread in pips for a bid price and a spread in price
+ * units. An unknown spread (null) leaves ask, mid and spread null rather
+ * than inventing one.
+ */
+function quoteSides(symbol, bid, spread) {
+    const config = getSymbol(symbol);
+    const digits = config?.digits ?? 5;
+    const round = value => parseFloat(value.toFixed(digits));
+
+    if (spread === null || spread === undefined || !config) {
+        return { bid, ask: null, mid: null, spread: null };
+    }
+
+    return {
+        bid,
+        ask: round(bid + spread),
+        mid: parseFloat((bid + spread / 2).toFixed(digits + 1)),
+        spread: parseFloat((spread / config.pipSize).toFixed(1)),
+    };
+}
+
 // Convert internal symbol to display format
 function toDisplaySymbol(internalSymbol) {
     // EURUSD -> EUR/USD, BTCUSD -> BTC/USD
@@ -517,13 +722,24 @@ function toInternalSymbol(displaySymbol) {
 
 module.exports = {
     SYMBOLS,
+    BUILTIN_SYMBOLS,
     SYMBOL_TIERS,
+    SYMBOL_PRIORITIES,
+    ASSET_TYPES,
+    PROVIDER_FIELDS,
+    DROPPED_CODE,
+    buildSymbolTable,
+    applySymbolOverrides,
     getSymbol,
     getSymbolByFinnhub,
     getSymbolsForTier,
     getSymbolsByType,
     getAllFinnhubSymbols,
+    listSymbols,
+    getProviderSymbolMap,
+    getSymbolType,
     canAccessSymbol,
+    quoteSides,
     toDisplaySymbol,
     toInternalSymbol
 };
\ No newline at end of file
@@ -3,34 +3,81 @@
 // =============================================================================
 
 const mysql = require('mysql2/promise');
+const { config, requireSettings } = require('./config');
+const { MigrationRunner } = require('./services/storage/migration-runner');
+const { quoteSides } = require('./config/symbols');
+
+/**
+ * Newest known M1 spread in the day up to a candle (alias = outer table)
+ */
+function recentSpreadSql(alias) {
+    return `(
+        SELECT s.spread FROM pulse_market_data s
+        WHERE s.symbol = ${alias}.symbol AND s.timeframe = 'M1'
+        AND s.spread IS NOT NULL
+        AND s.timestamp <= ${alias}.timestamp
+        AND s.timestamp > ${alias}.timestamp - INTERVAL 1 DAY
+        ORDER BY s.timestamp DESC
+        LIMIT 1
+    )`;
+}
+
+function parseSpread(value) {
+    return value === null || value === undefined ? null : parseFloat(value);
+}
 
 class Database {
     constructor() {
         this.pool = null;
     }
 
-    async connect() {
+    /**
+     * mysql2 pool settings from config
+     */
+    poolOptions(cfg = config) {
+        return {
+            host: cfg.db.host,
+            user: cfg.db.user,
+            password: cfg.db.password,
+            database: cfg.db.name,
+            waitForConnections: true,
+            connectionLimit: cfg.db.connectionLimit,  // 5 by default for the free tier
+            queueLimit: 0,
+            enableKeepAlive: true,
+            keepAliveInitialDelay: 10000,
+            connectTimeout: 10000,  // 10 second timeout
+            acquireTimeout: 10000,
+            // affectedRows counts changed rows, not merely matched ones,
+            // so upserts can tell a rewrite from a no-op (mysql-storage.js).
+            // Only UPDATE and ON DUPLICATE KEY results change: UPDATEs that
+            // ask "is it still there?" read Rows matched (matchedRows), and
+            // expireBackfillLeases changes every row it matches.
+            flags: ['-FOUND_ROWS'],
+        };
+    }
+
+    /**
+     * @param {Object} options
+     * @param {boolean} options.migrate - Apply pending migrations (default true)
+     */
+    async connect({ migrate = true } = {}) {
+        // Roles share one pool; later callers reuse it
+        if (this.pool) return;
+
+        requireSettings(['db.host', 'db.user', 'db.password', 'db.name'], 'MySQL');
+
         try {
-            this.pool = mysql.createPool({
-                host: process.env.DB_HOST || 'srv1395.hstgr.io',
-                user: process.env.DB_USER || 'u753127729_pulse',
-                password: process.env.DB_PASSWORD || 'Hxtx=M52da>3',
-                database: process.env.DB_NAME || 'u753127729_pulse',
-                waitForConnections: true,
-                connectionLimit: 5,  // Reduced for free tier
-                queueLimit: 0,
-                enableKeepAlive: true,
-                keepAliveInitialDelay: 10000,
-                connectTimeout: 10000,  // 10 second timeout
-                acquireTimeout: 10000,
-            });
+            this.pool = mysql.createPool(this.poolOptions());
 
             // Test connection
             const conn = await this.pool.getConnection();
             console.log('✅ Connected to MySQL database');
             conn.release();
 
-            await this.initTables();
+            // Bring the schema up to date (see /migrations)
+            if (migrate) {
+                await new MigrationRunner(this.pool).up();
+            }
         } catch (error) {
             console.error('❌ Database connection failed:', error.message);
             throw error;
@@ -45,34 +92,6 @@ class Database {
         return this.pool !== null;
     }
 
-    async initTables() {
-        const createCandleTable = `
-            CREATE TABLE IF NOT EXISTS pulse_market_data (
-                id BIGINT AUTO_INCREMENT,
-                symbol VARCHAR(20) NOT NULL,
-                timeframe VARCHAR(10) NOT NULL,
-                timestamp DATETIME NOT NULL,
-                open DECIMAL(18,8),
-                high DECIMAL(18,8),
-                low DECIMAL(18,8),
-                close DECIMAL(18,8),
-                volume DECIMAL(24,8) DEFAULT 0,
-                spread DECIMAL(16,2) DEFAULT 0,
-                PRIMARY KEY (id),
-                UNIQUE KEY unique_candle (symbol, timeframe, timestamp),
-                INDEX idx_symbol_time (symbol, timestamp),
-                INDEX idx_timeframe (timeframe)
-            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
-        `;
-
-        try {
-            await this.pool.execute(createCandleTable);
-            console.log('✅ Table pulse_market_data ensured');
-        } catch (error) {
-            console.error('❌ Error creating candle table:', error.message);
-        }
-    }
-
     // =========================================================================
     // API KEY VALIDATION - OPTIMIZED
     // =========================================================================
@@ -248,6 +267,9 @@ class Database {
     }
 
     async incrementUsageStats(userId, type) {
+        // Disconnects are logged but don't count against any quota
+        if (type === 'websocket_disconnect') return;
+
         const field = type === 'rest' ? 'rest_api_calls' : 
                       type === 'websocket_connect' ? 'websocket_connections' :
                       type === 'websocket_message' ? 'websocket_messages' :
@@ -292,14 +314,19 @@ class Database {
     // =========================================================================
     // QUOTE DATA
     // =========================================================================
+    //
+    // Candle closes are bid prices. Bars built live from trade ticks have no
+    // spread until healed, so the newest spread of the past day stands in;
+    // with none, ask/mid/spread are null. spread is reported in pips.
 
     async getLatestQuote(symbol) {
         try {
             const [rows] = await this.pool.execute(`
-                SELECT timestamp, open, high, low, close, volume, spread
-                FROM pulse_market_data
-                WHERE symbol = ? AND timeframe = 'M1'
-                ORDER BY timestamp DESC
+                SELECT m.timestamp, m.open, m.high, m.low, m.close, m.volume,
+                    COALESCE(m.spread, ${recentSpreadSql('m')}) AS spread
+                FROM pulse_market_data m
+                WHERE m.symbol = ? AND m.timeframe = 'M1'
+                ORDER BY m.timestamp DESC
                 LIMIT 1
             `, [symbol]);
 
@@ -308,10 +335,7 @@ class Database {
             const row = rows[0];
             return {
                 symbol: symbol,
-                bid: parseFloat(row.close),
-                ask: parseFloat(row.close) + parseFloat(row.spread || 0),
-                mid: parseFloat(row.close) + (parseFloat(row.spread || 0) / 2),
-                spread: parseFloat(row.spread || 0),
+                ...quoteSides(symbol, parseFloat(row.close), parseSpread(row.spread)),
                 high: parseFloat(row.high),
                 low: parseFloat(row.low),
                 open: parseFloat(row.open),
@@ -331,7 +355,8 @@ class Database {
         try {
             const placeholders = symbols.map(() => '?').join(',');
             const [rows] = await this.pool.execute(`
-                SELECT p1.symbol, p1.timestamp, p1.open, p1.high, p1.low, p1.close, p1.volume, p1.spread
+                SELECT p1.symbol, p1.timestamp, p1.open, p1.high, p1.low, p1.close, p1.volume,
+                    COALESCE(p1.spread, ${recentSpreadSql('p1')}) AS spread
                 FROM pulse_market_data p1
                 INNER JOIN (
                     SELECT symbol, MAX(timestamp) as max_ts
@@ -341,13 +366,10 @@ class Database {
                 ) p2 ON p1.symbol = p2.symbol AND p1.timestamp = p2.max_ts AND p1.timeframe = 'M1'
             `, symbols);
 
-            return rows.map(row => ({
-                symbol: row.symbol,
-                bid: parseFloat(row.close),
-                ask: parseFloat(row.close) + parseFloat(row.spread || 0),
-                spread: parseFloat(row.spread || 0),
-                timestamp: row.timestamp
-            }));
+            return rows.map(row => {
+                const { bid, ask, spread } = quoteSides(row.symbol, parseFloat(row.close), parseSpread(row.spread));
+                return { symbol: row.symbol, bid, ask, spread, timestamp: row.timestamp };
+            });
         } catch (error) {
             return [];
         }
@@ -386,12 +408,20 @@ class Database {
     // HISTORICAL DATA
     // =========================================================================
 
+    /**
+     * Get candles in ascending order
+     * - from/to are inclusive, after/before are exclusive cursors
+     * - order 'desc' takes the newest `limit` bars, 'asc' the oldest
+     * - provenance adds source, revision and updated_at
+     * Ask for limit + 1 rows to detect whether another page exists
+     */
     async getCandles(symbol, timeframe, options = {}) {
-        const { from, to, limit = 500 } = options;
+        const { from, to, after, before, limit = 500, order = 'desc', provenance = false } = options;
 
         try {
             let query = `
                 SELECT timestamp, open, high, low, close, volume
+                    ${provenance ? ', source, revision, updated_at' : ''}
                 FROM pulse_market_data
                 WHERE symbol = ? AND timeframe = ?
             `;
@@ -405,23 +435,39 @@ class Database {
                 query += ' AND timestamp <= ?';
                 params.push(to);
             }
+            if (after) {
+                query += ' AND timestamp > ?';
+                params.push(after);
+            }
+            if (before) {
+                query += ' AND timestamp < ?';
+                params.push(before);
+            }
 
-            query += ' ORDER BY timestamp DESC LIMIT ?';
-            params.push(Math.min(limit, 5000));
+            const ascending = order === 'asc';
+            query += ` ORDER BY timestamp ${ascending ? 'ASC' : 'DESC'} LIMIT ?`;
+            // One row over the API max so a full page can still report has_more
+            params.push(Math.min(limit, 5001));
 
             const [rows] = await this.pool.execute(query, params);
 
-            return rows.reverse().map(row => ({
+            const ordered = ascending ? rows : rows.reverse();
+            return ordered.map(row => ({
                 timestamp: row.timestamp,
                 open: parseFloat(row.open),
                 high: parseFloat(row.high),
                 low: parseFloat(row.low),
                 close: parseFloat(row.close),
-                volume: parseFloat(row.volume || 0)
+                volume: parseFloat(row.volume || 0),
+                ...(provenance && {
+                    source: row.source,
+                    revision: row.revision,
+                    updatedAt: row.updated_at
+                })
             }));
         } catch (error) {
             console.error('❌ Error getting candles:', error.message);
-            return [];
+            throw error;
         }
     }
 
@@ -486,6 +532,7 @@ class Database {
     async disconnect() {
         if (this.pool) {
             await this.pool.end();
+            this.pool = null;
             console.log('🔌 Database connection pool closed');
         }
     }
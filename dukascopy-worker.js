@@ -8,19 +8,10 @@
 // - Always exits cleanly (never hangs)
 // - Releases ALL memory on exit
 //
-// DO NOT run this directly. It's spawned by server.js
+// DO NOT run this directly. It's spawned by services/recent-healer.js
 // =============================================================================
 
-const DUKASCOPY_INSTRUMENTS = {
-    'EURUSD': 'eurusd', 'GBPUSD': 'gbpusd', 'USDJPY': 'usdjpy',
-    'USDCHF': 'usdchf', 'AUDUSD': 'audusd', 'USDCAD': 'usdcad',
-    'NZDUSD': 'nzdusd', 'EURGBP': 'eurgbp', 'EURJPY': 'eurjpy',
-    'GBPJPY': 'gbpjpy', 'EURCHF': 'eurchf', 'GBPCHF': 'gbpchf',
-    'AUDJPY': 'audjpy', 'EURAUD': 'euraud', 'EURCAD': 'eurcad',
-    'GBPAUD': 'gbpaud', 'GBPCAD': 'gbpcad', 'AUDCAD': 'audcad',
-    'AUDNZD': 'audnzd', 'NZDJPY': 'nzdjpy', 'CADJPY': 'cadjpy',
-    'XAUUSD': 'xauusd', 'XAGUSD': 'xagusd',
-};
+const { registry } = require('./services/providers/registry');
 
 // Track if we've already sent a response
 let responseSent = false;
@@ -40,23 +31,14 @@ function sendResponse(data) {
 }
 
 async function fetchCandles(symbol, from, to) {
-    const instrument = DUKASCOPY_INSTRUMENTS[symbol];
-    if (!instrument) {
+    // Inherits HISTORICAL_PROVIDER from the parent; the parent paces requests
+    const provider = registry.getHistoricalProvider();
+    if (!provider.supportsSymbol(symbol)) {
         return { candles: [], error: 'unsupported_symbol' };
     }
 
     try {
-        // Dynamic require to catch import errors
-        const { getHistoricalRates } = require('dukascopy-node');
-        
-        const data = await getHistoricalRates({
-            instrument,
-            dates: { from: new Date(from), to: new Date(to) },
-            timeframe: 'm1',
-            format: 'json',
-            priceType: 'bid',
-            volumes: true,
-        });
+        const data = await provider.fetchCandles(symbol, 'M1', new Date(from), new Date(to));
 
         // Validate response
         if (!data || !Array.isArray(data)) {
@@ -65,12 +47,13 @@ async function fetchCandles(symbol, from, to) {
 
         // Extract minimal data to reduce IPC payload
         const candles = data.map(d => ({
-            ts: d.timestamp,
+            ts: d.timestamp.getTime(),
             o: d.open,
             h: d.high,
             l: d.low,
             c: d.close,
             v: d.volume || 0,
+            s: d.spread ?? null,
         }));
 
         return { candles, error: null };
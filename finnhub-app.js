@@ -2,19 +2,19 @@
 // finnhub-app.js - Data Ingestion Service with Spike Filter
 // =============================================================================
 
-require('dotenv').config();
-
 const WebSocket = require('ws');
 const cron = require('node-cron');
 const database = require('./database');
-const { SYMBOLS, getSymbolByFinnhub, toInternalSymbol } = require('./config/symbols');
+const { storage } = require('./services/storage');
+const { config, requireSettings } = require('./config');
+const { SYMBOLS, getSymbolByFinnhub, getSymbolType, toInternalSymbol } = require('./config/symbols');
 const { isMarketOpenForSymbol, isForexMarketOpen } = require('./config/market-hours');
 
-const ENABLE_GAP_RECOVERY = process.env.ENABLE_GAP_RECOVERY === 'true';
+const ENABLE_GAP_RECOVERY = config.features.gapRecoveryOnStartup;
 
 class FinnhubDataIngestion {
     constructor() {
-        this.apiKey = process.env.FINNHUB_API_KEY || 'd4rljk9r01qgts2osudgd4rljk9r01qgts2osue0';
+        this.apiKey = config.providers.finnhubApiKey;
         this.candleBuffers = new Map();
         this.ws = null;
         this.reconnectAttempts = 0;
@@ -38,6 +38,7 @@ class FinnhubDataIngestion {
     }
 
     async init() {
+        requireSettings(['providers.finnhubApiKey'], 'the Finnhub feed');
         await database.connect();
         
         // Load last known prices from DB to avoid false spikes on startup
@@ -158,17 +159,8 @@ class FinnhubDataIngestion {
         }, 5 * 60 * 1000);
     }
 
-    getSymbolType(internalSymbol) {
-        for (const [symbol, config] of Object.entries(SYMBOLS)) {
-            if (symbol.replace('/', '') === internalSymbol) {
-                return config.type;
-            }
-        }
-        return 'forex';
-    }
-
     shouldSaveCandle(candle) {
-        const symbolType = this.getSymbolType(candle.symbol);
+        const symbolType = getSymbolType(candle.symbol);
         const marketStatus = isMarketOpenForSymbol(symbolType, candle.timestamp);
         return marketStatus.open;
     }
@@ -417,25 +409,8 @@ class FinnhubDataIngestion {
 
     async saveCandleToDatabase(candle) {
         try {
-            await database.pool.execute(`
-                INSERT INTO pulse_market_data 
-                (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-                ON DUPLICATE KEY UPDATE
-                high = GREATEST(high, VALUES(high)),
-                low = LEAST(low, VALUES(low)),
-                close = VALUES(close),
-                volume = volume + VALUES(volume)
-            `, [
-                candle.symbol,
-                candle.timeframe,
-                candle.timestamp,
-                candle.open,
-                candle.high,
-                candle.low,
-                candle.close,
-                candle.volume
-            ]);
+            // Merged into the stored bar unless a heal or import wrote it
+            await storage.saveCandle({ ...candle, spread: null, source: 'finnhub' }, { merge: true });
         } catch (error) {
             console.error('❌ Error saving candle:', error.message);
         }
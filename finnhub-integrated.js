@@ -1,203 +1,144 @@
 // =============================================================================
-// finnhub-integrated.js - Finnhub WebSocket with Self-Healing Integration
+// finnhub-integrated.js - Live Tick Ingestion with Self-Healing Integration
 // =============================================================================
 //
-// This replaces/enhances finnhub-app.js to integrate with the self-healing system
+// Streams ticks from the registry's live provider (Finnhub by default,
+// LIVE_PROVIDER to override) into the self-healing system
 // - Sends ticks to TickStore (not directly to candles)
 // - Uses SpikeFilter before accepting ticks
-// - Includes REST API fallback for missed ticks
+// - Includes REST quote fallback for symbols that go quiet
+// - Follows runtime symbol changes (services/symbol-catalog.js)
+// - Broadcasts bid/ask/spread: from the tick when the provider quotes both
+//   sides, otherwise the newest stored candle spread (trade feeds like
+//   Finnhub have no quote side; healed Dukascopy bars do)
 // =============================================================================
 
 require('dotenv').config();
 
-const WebSocket = require('ws');
-const axios = require('axios');
 const { TickStore } = require('./services/tick-store');
 const { SpikeFilter } = require('./services/spike-filter');
-const { SYMBOLS, getSymbolByFinnhub, toInternalSymbol } = require('./config/symbols');
+const { registry } = require('./services/providers/registry');
+const { symbolCatalog } = require('./services/symbol-catalog');
+const { SYMBOLS, getSymbol, listSymbols, quoteSides, toDisplaySymbol, toInternalSymbol } = require('./config/symbols');
 const { isMarketOpenForSymbol } = require('./config/market-hours');
 
+// How often a symbol's stored spread is re-read, and how old it may be
+const SPREAD_REFRESH_MS = 60 * 1000;
+const SPREAD_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
 class FinnhubIntegrated {
-    constructor() {
-        this.apiKey = process.env.FINNHUB_API_KEY;
-        this.wsUrl = `wss://ws.finnhub.io?token=${this.apiKey}`;
-        this.restUrl = 'https://finnhub.io/api/v1';
-        
-        this.ws = null;
-        this.isConnected = false;
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 10;
-        
+    constructor(options = {}) {
+        this.registry = options.registry || registry;
+        this.catalog = options.catalog || symbolCatalog;
+        this.provider = null;
+        this.streaming = false;
+
         // Integration with self-healing system
         this.tickStore = new TickStore();
         this.spikeFilter = new SpikeFilter();
-        
+
         // Tick callbacks for WebSocket broadcasting
         this.tickCallbacks = [];
-        
-        // REST API rate limiting
-        this.lastRestCall = 0;
-        this.restCallInterval = 1000; // 1 second between REST calls
-        
+
+        this.restFallbackTimer = null;
+
         // Health tracking
         this.stats = {
             ticksReceived: 0,
             ticksAccepted: 0,
             ticksRejected: 0,
             restFallbacks: 0,
-            reconnects: 0,
         };
-        
+
         // Track last tick time per symbol for REST fallback
         this.lastTickTime = new Map();
-    }
 
-    async init() {
-        console.log('🚀 Initializing Finnhub Integrated Service');
-        
-        // Load last prices for spike detection
-        await this.spikeFilter.loadLastPrices();
-        
-        // Connect WebSocket
-        await this.connectWebSocket();
-        
-        // Start REST fallback checker
-        this.startRestFallback();
-        
-        // Start heartbeat
-        this.startHeartbeat();
-        
-        console.log(`✅ Finnhub service ready, tracking ${Object.keys(SYMBOLS).length} symbols`);
+        // Last known spread per symbol: { spread (price units) | null, checkedAt }
+        this.spreads = new Map();
     }
 
-    // =========================================================================
-    // WEBSOCKET CONNECTION
-    // =========================================================================
-
-    async connectWebSocket() {
-        return new Promise((resolve, reject) => {
-            if (this.ws) {
-                this.ws.terminate();
-            }
-
-            this.ws = new WebSocket(this.wsUrl);
-
-            this.ws.on('open', () => {
-                console.log('✅ Finnhub WebSocket connected');
-                this.isConnected = true;
-                this.reconnectAttempts = 0;
-                
-                // Subscribe to all symbols
-                this.subscribeAll();
-                resolve();
-            });
+    async init() {
+        this.provider = this.registry.getLiveProvider();
 
-            this.ws.on('message', (data) => {
-                this.handleMessage(data);
-            });
+        if (!this.provider) {
+            console.warn('⚠️ No live provider available - live ingestion disabled');
+            return;
+        }
 
-            this.ws.on('error', (error) => {
-                console.error('❌ Finnhub WebSocket error:', error.message);
-                this.isConnected = false;
-            });
+        console.log(`🚀 Initializing live ingestion via ${this.provider.name}`);
 
-            this.ws.on('close', () => {
-                console.log('🔌 Finnhub WebSocket disconnected');
-                this.isConnected = false;
-                this.scheduleReconnect();
-            });
+        // Load last prices for spike detection
+        await this.spikeFilter.loadLastPrices();
 
-            // Timeout for initial connection
-            setTimeout(() => {
-                if (!this.isConnected) {
-                    reject(new Error('WebSocket connection timeout'));
-                }
-            }, 10000);
-        });
-    }
+        const symbols = await this.subscribeAll();
+        this.catalog.onChange(() => this.subscribeAll());
 
-    subscribeAll() {
-        for (const [symbol, config] of Object.entries(SYMBOLS)) {
-            this.ws.send(JSON.stringify({
-                type: 'subscribe',
-                symbol: config.finnhub
-            }));
+        // Start REST fallback checker
+        if (this.provider.capabilities.quotes) {
+            this.startRestFallback();
         }
-        console.log(`📊 Subscribed to ${Object.keys(SYMBOLS).length} symbols`);
+
+        console.log(`✅ Live ingestion ready, tracking ${symbols.length} symbols`);
     }
 
-    scheduleReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.error('❌ Max reconnection attempts reached');
-            return;
+    /**
+     * Stream every enabled symbol: starts the feed the first time, then
+     * re-syncs the provider's subscriptions after runtime symbol changes
+     * @returns {string[]} internal symbols now streamed
+     */
+    async subscribeAll() {
+        if (!this.provider) return [];
+
+        const symbols = listSymbols();
+        if (this.streaming) {
+            await this.provider.updateLiveSymbols(symbols);
+        } else {
+            await this.provider.startLiveTicks(symbols, (tick) => this.processTick(tick));
+            this.streaming = true;
         }
-
-        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
-        this.reconnectAttempts++;
-        this.stats.reconnects++;
-        
-        console.log(`🔄 Reconnecting in ${delay/1000}s (attempt ${this.reconnectAttempts})`);
-        setTimeout(() => this.connectWebSocket(), delay);
+        return symbols;
     }
 
     // =========================================================================
-    // MESSAGE HANDLING
+    // TICK PROCESSING
     // =========================================================================
 
-    handleMessage(data) {
-        try {
-            const message = JSON.parse(data);
-            
-            if (message.type === 'trade' && message.data) {
-                // Process only first few trades per message to avoid flooding
-                const trades = message.data.slice(0, 5);
-                for (const trade of trades) {
-                    this.processTrade(trade);
-                }
-            } else if (message.type === 'ping') {
-                this.ws.send(JSON.stringify({ type: 'pong' }));
-            }
-        } catch (error) {
-            console.error('❌ Message parse error:', error.message);
-        }
-    }
-
-    async processTrade(trade) {
-        const { p: price, s: finnhubSymbol, t: timestamp, v: volume } = trade;
-        
-        // Get symbol info
-        const symbolInfo = getSymbolByFinnhub(finnhubSymbol);
-        if (!symbolInfo) return;
+    async processTick(tick) {
+        const { symbol: internalSymbol, price, bid, ask, volume, timestamp, source } = tick;
 
-        const { symbol, type } = symbolInfo;
-        const internalSymbol = toInternalSymbol(symbol);
-        const tradeTime = new Date(timestamp);
+        const displaySymbol = toDisplaySymbol(internalSymbol);
+        const config = getSymbol(displaySymbol);
+        if (!config) return;
 
         this.stats.ticksReceived++;
 
         // Check market hours
-        const marketStatus = isMarketOpenForSymbol(type, tradeTime);
+        const marketStatus = isMarketOpenForSymbol(config.type, timestamp);
 
         // Send tick to TickStore (which handles spike detection)
         const result = await this.tickStore.addTick(
             internalSymbol,
             price,
             volume || 0,
-            tradeTime,
-            'finnhub'
+            timestamp,
+            source,
+            { bid, ask }
         );
 
         if (result.accepted) {
             this.stats.ticksAccepted++;
             this.lastTickTime.set(internalSymbol, Date.now());
-            
+
+            const spread = await this.getSpread(internalSymbol, bid, ask);
+
             // Emit tick for WebSocket broadcasting
             this.emitTick({
                 symbol: internalSymbol,
-                displaySymbol: symbol,
+                displaySymbol,
                 price,
+                ...quoteSides(internalSymbol, bid ?? price, spread),
                 volume: volume || 0,
-                timestamp: tradeTime,
+                timestamp,
                 marketClosed: !marketStatus.open,
             });
         } else {
@@ -205,100 +146,79 @@ class FinnhubIntegrated {
         }
     }
 
+    /**
+     * Spread in price units for a tick: its own when it quotes both sides,
+     * else the newest stored M1 spread (re-read at most once a minute)
+     */
+    async getSpread(symbol, bid, ask) {
+        const now = Date.now();
+
+        if (bid && ask) {
+            const spread = parseFloat((ask - bid).toFixed(8));
+            this.spreads.set(symbol, { spread, checkedAt: now });
+            return spread;
+        }
+
+        const known = this.spreads.get(symbol);
+        if (known && now - known.checkedAt < SPREAD_REFRESH_MS) return known.spread;
+
+        let spread = known ? known.spread : null;
+        try {
+            spread = await this.tickStore.storage.getLatestSpread(symbol, new Date(now - SPREAD_MAX_AGE_MS));
+        } catch (error) {
+            console.error(`❌ Spread lookup failed (${symbol}):`, error.message);
+        }
+        this.spreads.set(symbol, { spread, checkedAt: now });
+        return spread;
+    }
+
     // =========================================================================
-    // REST API FALLBACK
+    // REST QUOTE FALLBACK
     // =========================================================================
 
     startRestFallback() {
         // Check every 30 seconds for symbols without recent ticks
-        setInterval(() => this.checkAndFillMissingTicks(), 30000);
+        this.restFallbackTimer = setInterval(() => this.checkAndFillMissingTicks(), 30000);
     }
 
     async checkAndFillMissingTicks() {
         const now = Date.now();
         const staleThreshold = 60000; // 1 minute without ticks = stale
-        
+
         for (const [symbol, config] of Object.entries(SYMBOLS)) {
             const internalSymbol = toInternalSymbol(symbol);
             const lastTick = this.lastTickTime.get(internalSymbol) || 0;
-            
+
             // Check if market is open and we haven't received ticks
             const marketStatus = isMarketOpenForSymbol(config.type);
             if (!marketStatus.open) continue;
-            
-            if (now - lastTick > staleThreshold) {
-                await this.fetchRestQuote(internalSymbol, config);
-            }
-        }
-    }
 
-    async fetchRestQuote(internalSymbol, config) {
-        // Rate limit REST calls
-        const now = Date.now();
-        if (now - this.lastRestCall < this.restCallInterval) {
-            return;
-        }
-        this.lastRestCall = now;
-
-        try {
-            let url;
-            if (config.type === 'forex' || config.type === 'metal') {
-                url = `${this.restUrl}/forex/candle?symbol=${config.finnhub}&resolution=1&count=1&token=${this.apiKey}`;
-            } else if (config.type === 'crypto') {
-                url = `${this.restUrl}/crypto/candle?symbol=${config.finnhub}&resolution=1&count=1&token=${this.apiKey}`;
-            } else {
-                url = `${this.restUrl}/quote?symbol=${config.finnhub}&token=${this.apiKey}`;
-            }
-
-            const response = await axios.get(url, { timeout: 5000 });
-            
-            let price;
-            if (response.data.c && Array.isArray(response.data.c)) {
-                price = response.data.c[response.data.c.length - 1];
-            } else if (response.data.c) {
-                price = response.data.c;
-            }
+            if (now - lastTick > staleThreshold) {
+                // Provider returns null when its rate budget is used up
+                const quote = await this.provider.fetchQuote(internalSymbol);
+                if (!quote) continue;
 
-            if (price && !isNaN(price)) {
-                await this.tickStore.addTick(
-                    internalSymbol,
-                    price,
-                    0,
-                    new Date(),
-                    'rest_fallback'
-                );
+                await this.tickStore.addTick(internalSymbol, quote.price, 0, quote.timestamp, 'rest_fallback', quote);
                 this.stats.restFallbacks++;
                 this.lastTickTime.set(internalSymbol, Date.now());
             }
-
-        } catch (error) {
-            // Silent fail for REST fallback
-            if (error.response?.status === 429) {
-                console.warn('⚠️ REST API rate limited, backing off');
-                this.lastRestCall = Date.now() + 60000; // Back off 1 minute
-            }
         }
     }
 
     // =========================================================================
-    // HEARTBEAT & HEALTH
+    // STATUS
     // =========================================================================
 
-    startHeartbeat() {
-        setInterval(() => {
-            if (this.ws?.readyState === WebSocket.OPEN) {
-                this.ws.send(JSON.stringify({ type: 'ping' }));
-            }
-        }, 30000);
-    }
-
     getStatus() {
+        const providerStatus = this.provider ? this.provider.getStatus() : {};
+
         return {
-            connected: this.isConnected,
+            provider: this.provider ? this.provider.name : null,
+            connected: Boolean(providerStatus.connected),
             symbolCount: Object.keys(SYMBOLS).length,
-            stats: this.stats,
+            stats: { ...this.stats, reconnects: this.provider?.stats.reconnects || 0 },
             tickStoreStats: this.tickStore.getStats(),
-            reconnectAttempts: this.reconnectAttempts,
+            reconnectAttempts: providerStatus.reconnectAttempts || 0,
         };
     }
 
@@ -327,16 +247,18 @@ class FinnhubIntegrated {
     // =========================================================================
 
     async shutdown() {
-        console.log('🛑 Shutting down Finnhub service...');
-        
+        console.log('🛑 Shutting down live ingestion...');
+
+        clearInterval(this.restFallbackTimer);
+        if (this.provider) {
+            await this.provider.stopLiveTicks();
+            this.streaming = false;
+        }
+
         // Flush all buffered ticks
         await this.tickStore.flushAll();
-        
-        if (this.ws) {
-            this.ws.close();
-        }
-        
-        console.log('✅ Finnhub service shutdown complete');
+
+        console.log('✅ Live ingestion shutdown complete');
     }
 }
 
@@ -351,4 +273,4 @@ if (require.main === module) {
         console.error('❌ Failed to start:', error);
         process.exit(1);
     });
-}
\ No newline at end of file
+}
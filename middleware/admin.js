@@ -0,0 +1,52 @@
+// =============================================================================
+// middleware/admin.js - Admin Authentication
+// =============================================================================
+//
+// Admin routes (/admin/*) take a single shared key from ADMIN_API_KEY in the
+// X-Admin-Key header - separate from customer fx_ keys, no plan or usage
+// logging. With ADMIN_API_KEY unset every admin route answers 403.
+// =============================================================================
+
+const crypto = require('crypto');
+const { config } = require('../config');
+
+function digest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+/**
+ * Admin Authentication Middleware
+ * Compares hashes so the check takes the same time for any wrong key
+ */
+function requireAdmin(req, res, next) {
+    const expected = config.admin.apiKey;
+
+    if (!expected) {
+        return res.status(403).json({
+            success: false,
+            error: {
+                code: 'ADMIN_DISABLED',
+                message: 'Admin API is disabled (ADMIN_API_KEY is not set)',
+                status: 403
+            }
+        });
+    }
+
+    const provided = req.header('X-Admin-Key');
+    if (!provided || !crypto.timingSafeEqual(digest(provided), digest(expected))) {
+        return res.status(401).json({
+            success: false,
+            error: {
+                code: 'INVALID_ADMIN_KEY',
+                message: provided ? 'Invalid admin key' : 'X-Admin-Key header is required',
+                status: 401
+            }
+        });
+    }
+
+    next();
+}
+
+module.exports = {
+    requireAdmin,
+};
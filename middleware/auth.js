@@ -232,5 +232,6 @@ module.exports = {
     optionalAuth,
     requireFeature,
     getClientIp,
+    isIpAllowed,
     REQUIRE_SECRET
 };
\ No newline at end of file
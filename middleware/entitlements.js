@@ -0,0 +1,137 @@
+// =============================================================================
+// middleware/entitlements.js - Plan Symbol & History Entitlements
+// =============================================================================
+
+const { getSymbol, canAccessSymbol, toDisplaySymbol, toInternalSymbol } = require('../config/symbols');
+
+// Plans without historical access still see the last day of data
+const LIVE_WINDOW_DAYS = 1;
+
+/**
+ * Require that the :symbol route param is within the caller's plan tier
+ * Attaches req.symbol = { internal, display, config }
+ */
+function requireSymbolAccess(req, res, next) {
+    const display = toDisplaySymbol(req.params.symbol.toUpperCase());
+    const config = getSymbol(display);
+
+    if (!config) {
+        return res.status(404).json({
+            success: false,
+            error: {
+                code: 'UNKNOWN_SYMBOL',
+                message: `Unknown symbol: ${req.params.symbol}`,
+                status: 404,
+                symbol: req.params.symbol
+            }
+        });
+    }
+
+    const tier = req.auth?.plan?.tier || 'free';
+
+    if (!canAccessSymbol(display, tier)) {
+        return res.status(403).json(symbolDeniedError(display, config, tier));
+    }
+
+    req.symbol = {
+        internal: toInternalSymbol(display),
+        display,
+        config
+    };
+
+    next();
+}
+
+/**
+ * Structured 403 body for a symbol above the caller's tier
+ */
+function symbolDeniedError(display, config, tier) {
+    return {
+        success: false,
+        error: {
+            code: 'SYMBOL_NOT_IN_PLAN',
+            message: `${display} requires the ${config.tier} plan or higher`,
+            status: 403,
+            symbol: display,
+            required_tier: config.tier,
+            current_tier: tier
+        }
+    };
+}
+
+/**
+ * Get the plan's history window
+ * Returns null when history is unlimited
+ */
+function getHistoryWindow(plan) {
+    if (!plan?.historicalDataAccess) {
+        return { days: LIVE_WINDOW_DAYS, reason: 'no_historical_access' };
+    }
+
+    if (!plan.historicalDataDays) {
+        return null;
+    }
+
+    return { days: plan.historicalDataDays, reason: 'plan_history_limit' };
+}
+
+/**
+ * Clamp a requested start date to the plan's history window
+ * Returns { from, meta } where meta describes what was clamped and why
+ */
+function clampFrom(plan, requestedFrom, now = new Date()) {
+    const window = getHistoryWindow(plan);
+
+    const meta = {
+        requested_from: requestedFrom ? requestedFrom.toISOString() : null,
+        effective_from: requestedFrom ? requestedFrom.toISOString() : null,
+        history_days: window ? window.days : null,
+        clamped: false,
+        reason: null
+    };
+
+    if (!window) {
+        return { from: requestedFrom, meta };
+    }
+
+    const earliest = new Date(now.getTime() - window.days * 24 * 60 * 60 * 1000);
+    meta.earliest_allowed = earliest.toISOString();
+
+    if (!requestedFrom || requestedFrom < earliest) {
+        meta.effective_from = earliest.toISOString();
+        // Only report a clamp when the caller actually asked for more
+        if (requestedFrom) {
+            meta.clamped = true;
+            meta.reason = window.reason;
+        }
+        return { from: earliest, meta };
+    }
+
+    return { from: requestedFrom, meta };
+}
+
+/**
+ * Parse a time query param: ISO string, unix seconds or unix milliseconds
+ * Returns a Date, null when absent, or undefined when invalid
+ */
+function parseTimeParam(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (/^\d+$/.test(value)) {
+        const num = parseInt(value);
+        // Anything below 1e12 is treated as seconds
+        return new Date(num < 1e12 ? num * 1000 : num);
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+module.exports = {
+    requireSymbolAccess,
+    symbolDeniedError,
+    getHistoryWindow,
+    clampFrom,
+    parseTimeParam,
+    LIVE_WINDOW_DAYS
+};
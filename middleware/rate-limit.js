@@ -22,7 +22,7 @@ setInterval(() => {
             rateLimitStore.delete(key);
         }
     }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 /**
  * Rate Limit Middleware
@@ -46,27 +46,34 @@ async function rateLimit(req, res, next) {
 
     // Check daily limit first
     if (dailyData.count >= plan.apiCallsPerDay) {
-        return res.status(429).json({
+        const retryAfter = Math.ceil((dailyData.expiresAt - Date.now()) / 1000);
+        // Headers must be set before the body is sent
+        return res.set({
+            'X-RateLimit-Limit': plan.apiCallsPerMinute,
+            'X-RateLimit-Remaining': 0,
+            'X-Daily-Limit': plan.apiCallsPerDay,
+            'X-Daily-Remaining': 0,
+            'Retry-After': retryAfter
+        }).status(429).json({
             success: false,
             error: {
                 code: 'DAILY_LIMIT_EXCEEDED',
                 message: 'Daily API call limit exceeded',
                 status: 429,
-                retry_after: Math.ceil((dailyData.expiresAt - Date.now()) / 1000)
+                retry_after: retryAfter
             }
-        }).set({
-            'X-RateLimit-Limit': plan.apiCallsPerMinute,
-            'X-RateLimit-Remaining': 0,
-            'X-Daily-Limit': plan.apiCallsPerDay,
-            'X-Daily-Remaining': 0,
-            'Retry-After': Math.ceil((dailyData.expiresAt - Date.now()) / 1000)
         });
     }
 
     // Check per-minute limit
     if (minuteData.count >= plan.apiCallsPerMinute) {
         const retryAfter = Math.ceil((minuteData.expiresAt - Date.now()) / 1000);
-        return res.status(429).json({
+        return res.set({
+            'X-RateLimit-Limit': plan.apiCallsPerMinute,
+            'X-RateLimit-Remaining': 0,
+            'X-RateLimit-Reset': Math.floor(minuteData.expiresAt / 1000),
+            'Retry-After': retryAfter
+        }).status(429).json({
             success: false,
             error: {
                 code: 'RATE_LIMIT_EXCEEDED',
@@ -74,11 +81,6 @@ async function rateLimit(req, res, next) {
                 status: 429,
                 retry_after: retryAfter
             }
-        }).set({
-            'X-RateLimit-Limit': plan.apiCallsPerMinute,
-            'X-RateLimit-Remaining': 0,
-            'X-RateLimit-Reset': Math.floor(minuteData.expiresAt / 1000),
-            'Retry-After': retryAfter
         });
     }
 
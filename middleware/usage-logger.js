@@ -11,20 +11,17 @@ const { getClientIp } = require('./auth');
 function logUsage(req, res, next) {
     const startTime = Date.now();
 
-    // Override res.json to capture response
-    const originalJson = res.json.bind(res);
-    res.json = (body) => {
+    // 'finish' also covers streamed responses (exports), not just res.json
+    res.on('finish', () => {
         const responseTimeMs = Date.now() - startTime;
-        
+
         // Log asynchronously (don't block response)
         if (req.auth) {
             setImmediate(() => {
                 logRequest(req, res, responseTimeMs);
             });
         }
-
-        return originalJson(body);
-    };
+    });
 
     next();
 }
@@ -39,7 +36,7 @@ async function logRequest(req, res, responseTimeMs) {
             req.auth.apiKeyId,
             'rest',
             {
-                endpoint: req.path,
+                endpoint: req.baseUrl + req.path,  // Include mount point (/v1, /api)
                 method: req.method,
                 responseCode: res.statusCode,
                 responseTimeMs: responseTimeMs,
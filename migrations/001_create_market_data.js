@@ -0,0 +1,41 @@
+// =============================================================================
+// 001 - Candle table
+// =============================================================================
+//
+// Baseline: existing databases already have this table, so the CREATE is
+// IF NOT EXISTS. The MODIFY widens the spread column on tables created
+// before it was DECIMAL(16,2). There is no down: reverting the baseline
+// would drop production data.
+// =============================================================================
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pulse_market_data (
+                id BIGINT AUTO_INCREMENT,
+                symbol VARCHAR(20) NOT NULL,
+                timeframe VARCHAR(10) NOT NULL,
+                timestamp DATETIME NOT NULL,
+                open DECIMAL(18,8),
+                high DECIMAL(18,8),
+                low DECIMAL(18,8),
+                close DECIMAL(18,8),
+                volume DECIMAL(24,8) DEFAULT 0,
+                spread DECIMAL(16,2) DEFAULT 0,
+                PRIMARY KEY (id),
+                UNIQUE KEY unique_candle (symbol, timeframe, timestamp),
+                INDEX idx_symbol_time (symbol, timestamp),
+                INDEX idx_timeframe (timeframe)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.execute(`
+            ALTER TABLE pulse_market_data
+            MODIFY COLUMN spread DECIMAL(16,2) DEFAULT 0
+        `);
+    },
+
+    async down() {
+        throw new Error('001 is the baseline: pulse_market_data holds live candles and is never dropped');
+    },
+};
@@ -0,0 +1,82 @@
+// =============================================================================
+// 002 - Self-healing engine tables
+// =============================================================================
+//
+// Ticks, integrity tracking, backfill queue and health metrics. Baseline,
+// formerly created on every engine start, so there is no down.
+// =============================================================================
+
+module.exports = {
+    async up(db) {
+        // Raw tick data
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pulse_ticks (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                symbol VARCHAR(20) NOT NULL,
+                price DECIMAL(18,8) NOT NULL,
+                volume DECIMAL(24,8) DEFAULT 0,
+                timestamp DATETIME(3) NOT NULL,
+                source ENUM('finnhub', 'dukascopy', 'interpolated') DEFAULT 'finnhub',
+                is_valid TINYINT(1) DEFAULT 1,
+                INDEX idx_symbol_ts (symbol, timestamp),
+                INDEX idx_ts (timestamp),
+                UNIQUE KEY unique_tick (symbol, timestamp, price)
+            ) ENGINE=InnoDB
+        `);
+
+        // Data integrity tracking
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pulse_data_integrity (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                symbol VARCHAR(20) NOT NULL,
+                timeframe VARCHAR(10) NOT NULL,
+                date DATE NOT NULL,
+                expected_candles INT DEFAULT 0,
+                actual_candles INT DEFAULT 0,
+                missing_candles INT DEFAULT 0,
+                incomplete_candles INT DEFAULT 0,
+                last_checked DATETIME,
+                last_fixed DATETIME,
+                status ENUM('ok', 'gaps', 'fixing', 'error') DEFAULT 'ok',
+                UNIQUE KEY unique_integrity (symbol, timeframe, date),
+                INDEX idx_status (status)
+            ) ENGINE=InnoDB
+        `);
+
+        // Backfill queue
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pulse_backfill_queue (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                symbol VARCHAR(20) NOT NULL,
+                timeframe VARCHAR(10) NOT NULL,
+                gap_start DATETIME NOT NULL,
+                gap_end DATETIME NOT NULL,
+                priority TINYINT DEFAULT 5,
+                status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+                attempts INT DEFAULT 0,
+                last_attempt DATETIME,
+                error_message TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_status_priority (status, priority DESC),
+                INDEX idx_symbol (symbol)
+            ) ENGINE=InnoDB
+        `);
+
+        // Health metrics
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pulse_health_metrics (
+                id BIGINT AUTO_INCREMENT PRIMARY KEY,
+                metric_name VARCHAR(50) NOT NULL,
+                metric_value DECIMAL(18,4),
+                symbol VARCHAR(20),
+                timeframe VARCHAR(10),
+                recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_metric_ts (metric_name, recorded_at)
+            ) ENGINE=InnoDB
+        `);
+    },
+
+    async down() {
+        throw new Error('002 is the baseline: the engine tables hold live ticks and are never dropped');
+    },
+};
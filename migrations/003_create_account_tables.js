@@ -0,0 +1,117 @@
+// =============================================================================
+// 003 - Users, plans, subscriptions, API keys and usage
+// =============================================================================
+//
+// These tables are shared with the customer dashboard, which may already
+// have created them - hence IF NOT EXISTS. Columns cover what
+// database.js reads and writes (validateApiKey, logApiCall, usage stats).
+// features/permissions are TEXT: database.js JSON.parses them itself.
+// There is no down: the dashboard owns these rows.
+// =============================================================================
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS users (
+                id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                email VARCHAR(255) NOT NULL,
+                password VARCHAR(255),
+                is_active TINYINT(1) DEFAULT 1,
+                created_at TIMESTAMP NULL,
+                updated_at TIMESTAMP NULL,
+                UNIQUE KEY users_email_unique (email)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS plans (
+                id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                slug VARCHAR(255) NOT NULL,
+                api_calls_per_day INT DEFAULT 100,
+                api_calls_per_minute INT DEFAULT 10,
+                websocket_access TINYINT(1) DEFAULT 0,
+                websocket_connections INT DEFAULT 1,
+                historical_data_access TINYINT(1) DEFAULT 0,
+                historical_data_days INT DEFAULT 0,
+                features TEXT,
+                sort_order INT DEFAULT 0,
+                is_active TINYINT(1) DEFAULT 1,
+                created_at TIMESTAMP NULL,
+                updated_at TIMESTAMP NULL,
+                UNIQUE KEY plans_slug_unique (slug)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS subscriptions (
+                id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id BIGINT UNSIGNED NOT NULL,
+                plan_id BIGINT UNSIGNED NOT NULL,
+                status VARCHAR(20) DEFAULT 'active',
+                starts_at TIMESTAMP NULL,
+                ends_at TIMESTAMP NULL,
+                created_at TIMESTAMP NULL,
+                updated_at TIMESTAMP NULL,
+                INDEX idx_user_status (user_id, status)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id BIGINT UNSIGNED NOT NULL,
+                name VARCHAR(255) NOT NULL,
+                \`key\` VARCHAR(64) NOT NULL,
+                secret_hash VARCHAR(255),
+                permissions TEXT,
+                allowed_ips TEXT,
+                is_active TINYINT(1) DEFAULT 1,
+                expires_at TIMESTAMP NULL,
+                last_used_at TIMESTAMP NULL,
+                created_at TIMESTAMP NULL,
+                updated_at TIMESTAMP NULL,
+                UNIQUE KEY api_keys_key_unique (\`key\`),
+                INDEX idx_user (user_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS api_usage_logs (
+                id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id BIGINT UNSIGNED NOT NULL,
+                api_key_id BIGINT UNSIGNED,
+                type VARCHAR(30) NOT NULL,
+                endpoint VARCHAR(255),
+                method VARCHAR(10),
+                response_code SMALLINT,
+                response_time_ms INT,
+                ip_address VARCHAR(45),
+                usage_date DATE NOT NULL,
+                created_at TIMESTAMP NULL,
+                updated_at TIMESTAMP NULL,
+                INDEX idx_user_date (user_id, usage_date)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS usage_statistics (
+                id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+                user_id BIGINT UNSIGNED NOT NULL,
+                date DATE NOT NULL,
+                rest_api_calls INT DEFAULT 0,
+                websocket_connections INT DEFAULT 0,
+                websocket_messages INT DEFAULT 0,
+                historical_requests INT DEFAULT 0,
+                created_at TIMESTAMP NULL,
+                updated_at TIMESTAMP NULL,
+                UNIQUE KEY usage_user_date_unique (user_id, date)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    async down() {
+        throw new Error('003 is the baseline: the account tables belong to the customer dashboard and are never dropped');
+    },
+};
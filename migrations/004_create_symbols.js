@@ -0,0 +1,37 @@
+// =============================================================================
+// 004 - Runtime symbol overrides
+// =============================================================================
+//
+// One row per symbol added or changed through /admin/symbols. Rows are
+// merged over BUILTIN_SYMBOLS in config/symbols.js: NULL columns keep the
+// built-in value, enabled = 0 hides the symbol everywhere, 'none' in a
+// provider column drops the built-in code. The key is the
+// display form used by the registry (EUR/USD, NVDA).
+// =============================================================================
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pulse_symbols (
+                symbol VARCHAR(20) NOT NULL PRIMARY KEY,
+                enabled TINYINT(1) NOT NULL DEFAULT 1,
+                priority VARCHAR(10) NULL,
+                tier VARCHAR(20) NULL,
+                type VARCHAR(10) NULL,
+                finnhub VARCHAR(50) NULL,
+                dukascopy VARCHAR(50) NULL,
+                polygon VARCHAR(50) NULL,
+                base VARCHAR(10) NULL,
+                quote VARCHAR(10) NULL,
+                pip_size DECIMAL(18,10) NULL,
+                digits TINYINT NULL,
+                description VARCHAR(255) NULL,
+                updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+        `);
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE IF EXISTS pulse_symbols');
+    },
+};
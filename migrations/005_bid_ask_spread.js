@@ -0,0 +1,38 @@
+// =============================================================================
+// 005 - Real spreads on candles, bid/ask on ticks
+// =============================================================================
+//
+// pulse_market_data.spread becomes ask - bid at the bar close, in price
+// units (candle OHLC stay bid prices). NULL = unknown: live bars built from
+// trade ticks have no quote side until they are healed from Dukascopy.
+//
+// Nothing wrote a real spread before this: writers stored 0, and
+// import-historical.js put the CSV's 6th column - tick volume - into
+// spread. Every spread stored so far is therefore cleared to NULL, so
+// quotes fall back to a recent real spread instead of serving those
+// values; OHLCV and volume are left alone.
+// =============================================================================
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            ALTER TABLE pulse_market_data
+            MODIFY COLUMN spread DECIMAL(18,8) NULL DEFAULT NULL
+        `);
+        await db.execute('UPDATE pulse_market_data SET spread = NULL WHERE spread IS NOT NULL');
+
+        await db.execute(`
+            ALTER TABLE pulse_ticks
+            ADD COLUMN bid DECIMAL(18,8) NULL AFTER price,
+            ADD COLUMN ask DECIMAL(18,8) NULL AFTER bid
+        `);
+    },
+
+    async down(db) {
+        await db.execute('ALTER TABLE pulse_ticks DROP COLUMN ask, DROP COLUMN bid');
+        await db.execute(`
+            ALTER TABLE pulse_market_data
+            MODIFY COLUMN spread DECIMAL(16,2) DEFAULT 0
+        `);
+    },
+};
@@ -0,0 +1,33 @@
+// =============================================================================
+// 006 - Free-form tick sources
+// =============================================================================
+//
+// pulse_ticks.source was ENUM('finnhub', 'dukascopy', 'interpolated'), but
+// the tick store also writes rest, rest_fallback, rest_refill and mock.
+// Under strict SQL mode those batches were rejected outright. The tick API
+// filters on source, so it becomes a plain VARCHAR with an index behind it.
+// =============================================================================
+
+const LEGACY_SOURCES = ['finnhub', 'dukascopy', 'interpolated'];
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            ALTER TABLE pulse_ticks
+            MODIFY COLUMN source VARCHAR(20) NOT NULL DEFAULT 'finnhub',
+            ADD INDEX idx_symbol_source_ts (symbol, source, timestamp)
+        `);
+    },
+
+    async down(db) {
+        await db.execute(`
+            UPDATE pulse_ticks SET source = 'finnhub'
+            WHERE source NOT IN (${LEGACY_SOURCES.map(() => '?').join(', ')})
+        `, LEGACY_SOURCES);
+        await db.execute(`
+            ALTER TABLE pulse_ticks
+            DROP INDEX idx_symbol_source_ts,
+            MODIFY COLUMN source ENUM('finnhub', 'dukascopy', 'interpolated') DEFAULT 'finnhub'
+        `);
+    },
+};
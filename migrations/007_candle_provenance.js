@@ -0,0 +1,33 @@
+// =============================================================================
+// 007 - Candle provenance
+// =============================================================================
+//
+// Every writer used to overwrite pulse_market_data blindly, so nobody could
+// tell a live Finnhub bar from a Dukascopy heal or a CSV import. Each candle
+// now records who wrote it (source), how many times its values changed
+// (revision) and when (updated_at). Writes respect the source precedence in
+// services/storage/source-precedence.js.
+//
+// Existing rows keep source NULL - unknown provenance, which any writer may
+// replace.
+// =============================================================================
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            ALTER TABLE pulse_market_data
+            ADD COLUMN source VARCHAR(20) NULL DEFAULT NULL AFTER spread,
+            ADD COLUMN revision INT UNSIGNED NOT NULL DEFAULT 1 AFTER source,
+            ADD COLUMN updated_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) AFTER revision
+        `);
+    },
+
+    async down(db) {
+        await db.execute(`
+            ALTER TABLE pulse_market_data
+            DROP COLUMN updated_at,
+            DROP COLUMN revision,
+            DROP COLUMN source
+        `);
+    },
+};
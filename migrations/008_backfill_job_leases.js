@@ -0,0 +1,107 @@
+// =============================================================================
+// 008 - Durable backfill jobs
+// =============================================================================
+//
+// pulse_backfill_queue rows were flipped to 'processing' with no owner, so a
+// worker that died mid-job left them stuck, and queueBackfill's ON DUPLICATE
+// KEY had no unique key to hit. Jobs now get:
+//
+//   gap_key          generated from symbol/timeframe/range while the job is
+//                    open (pending, processing), NULL after - unique, so a
+//                    gap is queued once
+//   locked_by / lease_token / lease_until
+//                    the worker holding the job and until when; an expired
+//                    lease puts the job back in the queue
+//   next_attempt_at  exponential backoff between attempts
+//   max_attempts     attempts before the job is dead-lettered
+//   dead_reason      why it was ('dead' replaces 'failed')
+//   'cancelled'      dropped by an admin
+// =============================================================================
+
+const GAP_KEY = `
+    IF(status IN ('pending', 'processing'),
+       CONCAT_WS(':', symbol, timeframe, gap_start, gap_end),
+       NULL)
+`;
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            ALTER TABLE pulse_backfill_queue
+            MODIFY status ENUM('pending', 'processing', 'completed', 'failed', 'dead', 'cancelled') DEFAULT 'pending'
+        `);
+
+        await db.execute(`
+            UPDATE pulse_backfill_queue SET status = 'dead' WHERE status = 'failed'
+        `);
+
+        // Keep the newest open job per gap before the key becomes unique
+        await db.execute(`
+            DELETE older FROM pulse_backfill_queue older
+            JOIN pulse_backfill_queue newer
+              ON newer.symbol = older.symbol AND newer.timeframe = older.timeframe
+             AND newer.gap_start = older.gap_start AND newer.gap_end = older.gap_end
+             AND newer.id > older.id
+            WHERE older.status IN ('pending', 'processing')
+              AND newer.status IN ('pending', 'processing')
+        `);
+
+        await db.execute(`
+            ALTER TABLE pulse_backfill_queue
+            MODIFY status ENUM('pending', 'processing', 'completed', 'dead', 'cancelled') DEFAULT 'pending',
+            ADD COLUMN max_attempts INT NOT NULL DEFAULT 5 AFTER attempts,
+            ADD COLUMN next_attempt_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) AFTER last_attempt,
+            ADD COLUMN locked_by VARCHAR(100) NULL AFTER next_attempt_at,
+            ADD COLUMN lease_token CHAR(36) NULL AFTER locked_by,
+            ADD COLUMN lease_until DATETIME(3) NULL AFTER lease_token,
+            ADD COLUMN dead_reason VARCHAR(255) NULL AFTER error_message,
+            ADD INDEX idx_claim (status, next_attempt_at),
+            ADD INDEX idx_lease_token (lease_token),
+            ADD INDEX idx_symbol_tf_status (symbol, timeframe, status),
+            DROP INDEX idx_symbol
+        `);
+
+        // Processing rows from before leases have no owner left - retry them
+        await db.execute(`
+            UPDATE pulse_backfill_queue SET status = 'pending' WHERE status = 'processing'
+        `);
+
+        await db.execute(`
+            ALTER TABLE pulse_backfill_queue
+            ADD COLUMN gap_key VARCHAR(100) AS (${GAP_KEY}) STORED,
+            ADD UNIQUE KEY uniq_gap_key (gap_key)
+        `);
+    },
+
+    async down(db) {
+        await db.execute(`
+            ALTER TABLE pulse_backfill_queue
+            DROP INDEX uniq_gap_key,
+            DROP COLUMN gap_key
+        `);
+
+        await db.execute(`
+            ALTER TABLE pulse_backfill_queue
+            MODIFY status ENUM('pending', 'processing', 'completed', 'failed', 'dead', 'cancelled') DEFAULT 'pending'
+        `);
+
+        await db.execute(`
+            UPDATE pulse_backfill_queue SET status = 'failed' WHERE status IN ('dead', 'cancelled')
+        `);
+
+        await db.execute(`
+            ALTER TABLE pulse_backfill_queue
+            MODIFY status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+            DROP INDEX idx_claim,
+            DROP INDEX idx_lease_token,
+            DROP INDEX idx_symbol_tf_status,
+            ADD INDEX idx_symbol (symbol),
+            DROP COLUMN dead_reason,
+            DROP COLUMN lease_until,
+            DROP COLUMN lease_token,
+            DROP COLUMN locked_by,
+            DROP COLUMN next_attempt_at,
+            DROP COLUMN max_attempts
+        `);
+    },
+};
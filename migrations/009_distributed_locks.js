@@ -0,0 +1,40 @@
+// =============================================================================
+// 009 - Locks and rate budgets shared across instances
+// =============================================================================
+//
+// Healing used per-process flags (isHealing, rateLimitedUntil), so two
+// replicas healed the same ranges and each spent its own Dukascopy budget.
+//
+//   pulse_locks         named leases (services/distributed-lock.js): a lock
+//                       is free once expires_at has passed, so a crashed
+//                       holder can't keep it
+//   pulse_rate_budgets  next free request slot and backoff per provider
+//                       (services/rate-budget.js), in epoch milliseconds
+// =============================================================================
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pulse_locks (
+                name VARCHAR(100) PRIMARY KEY,
+                owner VARCHAR(100) NOT NULL,
+                token CHAR(36) NOT NULL,
+                acquired_at DATETIME(3) NOT NULL,
+                expires_at DATETIME(3) NOT NULL
+            ) ENGINE=InnoDB
+        `);
+
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pulse_rate_budgets (
+                name VARCHAR(50) PRIMARY KEY,
+                next_slot_ms BIGINT NOT NULL DEFAULT 0,
+                blocked_until_ms BIGINT NOT NULL DEFAULT 0
+            ) ENGINE=InnoDB
+        `);
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE IF EXISTS pulse_rate_budgets');
+        await db.execute('DROP TABLE IF EXISTS pulse_locks');
+    },
+};
@@ -0,0 +1,31 @@
+// =============================================================================
+// 010 - Dirty higher-timeframe buckets
+// =============================================================================
+//
+// Higher timeframes were rebuilt on fixed crons and by each healer, so a
+// late M1 or H1 change could leave H4/D1 stale. Candle writes now record
+// the buckets they make stale here and the rollup worker rebuilds them
+// (services/storage/candle-rollup.js, services/rollup-worker.js).
+//
+// version goes up each time a bucket is marked again, so the worker only
+// clears a mark it has actually caught up with.
+// =============================================================================
+
+module.exports = {
+    async up(db) {
+        await db.execute(`
+            CREATE TABLE IF NOT EXISTS pulse_rollup_dirty (
+                symbol VARCHAR(20) NOT NULL,
+                timeframe VARCHAR(10) NOT NULL,
+                bucket_start DATETIME NOT NULL,
+                version INT NOT NULL DEFAULT 1,
+                marked_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+                PRIMARY KEY (symbol, timeframe, bucket_start)
+            ) ENGINE=InnoDB
+        `);
+    },
+
+    async down(db) {
+        await db.execute('DROP TABLE IF EXISTS pulse_rollup_dirty');
+    },
+};
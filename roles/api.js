@@ -0,0 +1,150 @@
+// =============================================================================
+// roles/api.js - API Role (status routes, data API, WebSocket feed)
+// =============================================================================
+//
+// Status routes stay public; data routes go through the v1 router
+// (API key + plan limits + usage logging); /admin takes ADMIN_API_KEY.
+// Live ticks are broadcast when an ingest role runs in the same process.
+// =============================================================================
+
+const database = require('../database');
+const { storage } = require('../services/storage');
+const { CONFIG } = require('../self-healing-engine');
+const { HealthMonitor } = require('../services/health-monitor');
+const { GapDetector } = require('../services/gap-detector');
+const { createV1Router, V1_ENDPOINTS } = require('../routes/v1');
+const { createAdminRouter, ADMIN_ENDPOINTS } = require('../routes/admin');
+const { attachWebSocketFeed } = require('../routes/ws');
+
+// Public status routes (for 404 responses)
+const STATUS_ENDPOINTS = [
+    'GET /api/health',
+    'GET /api/integrity',
+    'GET /api/backfill-queue',
+    'GET /api/stats',
+];
+
+function createApiRole() {
+    const healthMonitor = new HealthMonitor();
+    const gapDetector = new GapDetector();
+    let wsFeed = null;
+
+    return {
+        name: 'api',
+        endpoints: [...STATUS_ENDPOINTS, ...V1_ENDPOINTS, ...ADMIN_ENDPOINTS],
+
+        async start(context) {
+            const { app, server } = context;
+
+            // API keys, users and the candle endpoints live in MySQL
+            // whichever STORAGE_DRIVER the engine uses
+            await database.connect();
+
+            // =================================================================
+            // HEALTH & STATUS
+            // =================================================================
+
+            // Detailed health report
+            app.get('/api/health', async (req, res) => {
+                const health = await healthMonitor.check(CONFIG.primaryPairs);
+
+                res.json({
+                    success: true,
+                    health: {
+                        overall: health.overall,
+                        timestamp: health.timestamp,
+                        issues: health.issues,
+                    },
+                    metrics: health.metrics,
+                    roles: context.getRoleStatus(),
+                });
+            });
+
+            // Data integrity report
+            app.get('/api/integrity', async (req, res) => {
+                const days = parseInt(req.query.days) || 7;
+                const symbol = req.query.symbol?.toUpperCase();
+
+                const symbols = symbol ? [symbol] : CONFIG.primaryPairs;
+                const results = {};
+
+                for (const sym of symbols) {
+                    results[sym] = {
+                        M1: await gapDetector.fullIntegrityCheck(sym, 'M1', days),
+                        H1: await gapDetector.fullIntegrityCheck(sym, 'H1', days),
+                    };
+                }
+
+                res.json({
+                    success: true,
+                    period: `${days} days`,
+                    data: results,
+                });
+            });
+
+            // Backfill queue status
+            app.get('/api/backfill-queue', async (req, res) => {
+                try {
+                    const rows = await storage.listBackfills(100);
+
+                    res.json({
+                        success: true,
+                        count: rows.length,
+                        items: rows,
+                    });
+                } catch (error) {
+                    res.status(500).json({ success: false, error: error.message });
+                }
+            });
+
+            // System stats
+            app.get('/api/stats', (req, res) => {
+                res.json({
+                    success: true,
+                    uptime: process.uptime(),
+                    memory: process.memoryUsage(),
+                    wsClients: wsFeed.getClientCount(),
+                    roles: context.getRoleStatus(),
+                });
+            });
+
+            // =================================================================
+            // DATA API
+            // =================================================================
+
+            // /api is kept as an alias for existing clients
+            const v1Router = createV1Router();
+            app.use('/v1', v1Router);
+            app.use('/api', v1Router);
+
+            // =================================================================
+            // ADMIN API
+            // =================================================================
+
+            app.use('/admin', createAdminRouter());
+
+            // =================================================================
+            // WEBSOCKET
+            // =================================================================
+
+            wsFeed = attachWebSocketFeed(server);
+
+            const ingest = context.roles.get('ingest');
+            if (ingest) {
+                ingest.onTick((tick) => wsFeed.broadcastTick(tick));
+            } else {
+                console.log('ℹ️  No ingest role in this process - WebSocket feed has no live tick source');
+            }
+        },
+
+        async stop() {},
+
+        getStatus() {
+            return {
+                wsClients: wsFeed ? wsFeed.getClientCount() : 0,
+            };
+        },
+    };
+}
+
+module.exports = { createApiRole, STATUS_ENDPOINTS };
@@ -0,0 +1,46 @@
+// =============================================================================
+// roles/heal.js - Heal Role (gap detection, backfill, recent re-sync)
+// =============================================================================
+//
+// - Engine healing jobs: gap checks, backfill queue, integrity, cleanup
+// - RecentHealer: replaces recent live M1 bars with Dukascopy data via
+//   forked workers, rate-limited to protect the Dukascopy budget
+// - Higher-timeframe rollups of the buckets those writes mark dirty
+//
+// Safe to run on several instances: cluster-wide jobs take a lock, backfill
+// jobs are leased, and the historical provider's request budget is shared
+// through storage (services/distributed-lock.js, services/rate-budget.js).
+// =============================================================================
+
+const { engine, CONFIG } = require('../self-healing-engine');
+const { RecentHealer } = require('../services/recent-healer');
+const { registry } = require('../services/providers/registry');
+const { rateBudget } = require('../services/rate-budget');
+
+function createHealRole() {
+    const recentHealer = new RecentHealer({ pairs: CONFIG });
+
+    return {
+        name: 'heal',
+
+        async start() {
+            registry.getHistoricalProvider().useBudget(rateBudget);
+            await engine.init({ build: false, heal: true });
+            recentHealer.start();
+        },
+
+        async stop() {
+            recentHealer.stop();
+            await engine.shutdown();
+        },
+
+        getStatus() {
+            return {
+                healing: recentHealer.getStatus(),
+                engine: engine.getStats(),
+            };
+        },
+    };
+}
+
+module.exports = { createHealRole };
@@ -0,0 +1,41 @@
+// =============================================================================
+// roles/ingest.js - Ingest Role (Finnhub live feed + candle building)
+// =============================================================================
+//
+// Finnhub ticks → spike-filtered tick store → M1 → higher timeframes.
+// The engine shares the feed's tick store so buffered ticks reach the DB
+// before each M1 build. Ticks are re-emitted via onTick for the api role.
+// =============================================================================
+
+const finnhub = require('../finnhub-integrated');
+const { engine } = require('../self-healing-engine');
+
+function createIngestRole() {
+    return {
+        name: 'ingest',
+
+        async start() {
+            engine.useTickStore(finnhub.tickStore);
+            await finnhub.init();
+            await engine.init({ build: true, heal: false });
+        },
+
+        async stop() {
+            await finnhub.shutdown();
+            await engine.shutdown();
+        },
+
+        onTick(callback) {
+            finnhub.onTick(callback);
+        },
+
+        getStatus() {
+            return {
+                finnhub: finnhub.getStatus(),
+                engine: engine.getStats(),
+            };
+        },
+    };
+}
+
+module.exports = { createIngestRole };
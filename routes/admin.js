@@ -0,0 +1,123 @@
+// =============================================================================
+// routes/admin.js - Admin API (runtime symbols, backfill jobs)
+// =============================================================================
+//
+// Every route requires X-Admin-Key (middleware/admin.js). Symbol changes are
+// stored in pulse_symbols and take effect without a restart: this process
+// reloads at once, other processes within SYMBOL_REFRESH_SECONDS.
+//
+//   GET    /admin/symbols            every symbol, disabled ones included
+//   POST   /admin/symbols            add { symbol, type, tier, pipSize, digits, ... }
+//   PATCH  /admin/symbols/:symbol    change { enabled, priority, tier, ... }
+//   DELETE /admin/symbols/:symbol    drop runtime changes (built-ins revert,
+//                                    runtime symbols are removed)
+//
+// Backfill jobs (services/backfill-queue.js):
+//
+//   GET    /admin/backfill-jobs             ?status=dead&limit=100
+//   GET    /admin/backfill-jobs/:id
+//   POST   /admin/backfill-jobs/:id/retry   back in line now, attempts reset
+//   POST   /admin/backfill-jobs/:id/cancel  pending or dead jobs only
+//   PATCH  /admin/backfill-jobs/:id         change { priority } (1-10)
+// =============================================================================
+
+const express = require('express');
+const { requireAdmin } = require('../middleware/admin');
+const { sendError } = require('./v1');
+const { symbolCatalog, SymbolCatalogError } = require('../services/symbol-catalog');
+const { backfillQueue, BackfillQueueError } = require('../services/backfill-queue');
+
+/**
+ * Build the admin router, mounted at /admin
+ */
+function createAdminRouter({ catalog = symbolCatalog, queue = backfillQueue } = {}) {
+    const router = express.Router();
+
+    router.use(requireAdmin);
+
+    router.get('/symbols', (req, res) => {
+        const symbols = catalog.list();
+        res.json({ success: true, count: symbols.length, data: symbols });
+    });
+
+    router.post('/symbols', (req, res) => {
+        handle(res, 201, () => catalog.add(req.body));
+    });
+
+    router.patch('/symbols/:symbol', (req, res) => {
+        handle(res, 200, () => catalog.update(req.params.symbol, req.body));
+    });
+
+    router.delete('/symbols/:symbol', (req, res) => {
+        handle(res, 200, () => catalog.reset(req.params.symbol));
+    });
+
+    router.get('/backfill-jobs', async (req, res) => {
+        try {
+            const jobs = await queue.list({ status: req.query.status, limit: req.query.limit });
+            res.json({ success: true, count: jobs.length, data: jobs });
+        } catch (error) {
+            sendAdminError(res, error);
+        }
+    });
+
+    router.get('/backfill-jobs/:id', (req, res) => {
+        handle(res, 200, () => queue.get(req.params.id));
+    });
+
+    router.post('/backfill-jobs/:id/retry', (req, res) => {
+        handle(res, 200, () => queue.retry(req.params.id));
+    });
+
+    router.post('/backfill-jobs/:id/cancel', (req, res) => {
+        handle(res, 200, () => queue.cancel(req.params.id));
+    });
+
+    router.patch('/backfill-jobs/:id', (req, res) => {
+        handle(res, 200, () => queue.reprioritise(req.params.id, req.body?.priority));
+    });
+
+    return router;
+}
+
+/**
+ * Run a catalog or queue action; SymbolCatalogError and
+ * BackfillQueueError map to their own status
+ */
+async function handle(res, status, action) {
+    try {
+        const data = await action();
+        res.status(status).json({ success: true, data });
+    } catch (error) {
+        sendAdminError(res, error);
+    }
+}
+
+function sendAdminError(res, error) {
+    if (error instanceof SymbolCatalogError) {
+        const extra = error.problems.length ? { problems: error.problems } : {};
+        return sendError(res, error.status, error.code, error.message, extra);
+    }
+    if (error instanceof BackfillQueueError) {
+        return sendError(res, error.status, error.code, error.message);
+    }
+    console.error('❌ Admin request failed:', error.message);
+    sendError(res, 500, 'INTERNAL_ERROR', error.message);
+}
+
+const ADMIN_ENDPOINTS = [
+    'GET /admin/symbols',
+    'POST /admin/symbols',
+    'PATCH /admin/symbols/:symbol',
+    'DELETE /admin/symbols/:symbol',
+    'GET /admin/backfill-jobs',
+    'GET /admin/backfill-jobs/:id',
+    'POST /admin/backfill-jobs/:id/retry',
+    'POST /admin/backfill-jobs/:id/cancel',
+    'PATCH /admin/backfill-jobs/:id',
+];
+
+module.exports = {
+    createAdminRouter,
+    ADMIN_ENDPOINTS
+};
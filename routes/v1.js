@@ -0,0 +1,638 @@
+// =============================================================================
+// routes/v1.js - Versioned Data API (API key + plan limits + usage logging)
+// =============================================================================
+//
+// Every data route runs through the same chain:
+//   authenticate (fx_ key) → logUsage → rateLimit (plan per-minute/daily)
+// logUsage records the final status, so rate-limited calls are logged too.
+//
+// Symbol routes additionally check the symbol's tier against the plan and
+// clamp `from` to the plan's history window (reported in `meta.history`).
+// /ticks also needs the plan's tick_data feature.
+//
+// Health/status routes are NOT mounted here - they stay public on the server.
+// =============================================================================
+
+const express = require('express');
+const { pipeline } = require('stream');
+const database = require('../database');
+const { config } = require('../config');
+const { authenticate, requireFeature } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rate-limit');
+const { logUsage } = require('../middleware/usage-logger');
+const { requireSymbolAccess, symbolDeniedError, clampFrom, parseTimeParam } = require('../middleware/entitlements');
+const { storage } = require('../services/storage');
+const { bucketStart, bucketRange, nextBucketStart, aggregateBucket } = require('../services/storage/candle-rollup');
+const { normalizeDayBoundary } = require('../config/day-boundary');
+const { TICK_SOURCES } = require('../services/tick-store');
+const { createCandleExport, exportFileName, EXPORT_FORMATS } = require('../services/candle-export');
+const quoteService = require('../services/quote-service');
+const marketService = require('../services/market-service');
+const { getSymbol, canAccessSymbol, toDisplaySymbol, toInternalSymbol } = require('../config/symbols');
+
+// Middleware chain applied to every data route
+const protect = [authenticate, logUsage, rateLimit];
+
+// Max candles per /candles page
+const MAX_CANDLES = 5000;
+const CANDLE_TIMEFRAMES = ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1'];
+
+// Timeframes cut on the day boundary; H1 rows read per pass when re-cutting them
+const DAY_TIMEFRAMES = ['H4', 'D1'];
+const REALIGN_ROWS = 5000;
+
+// Max ticks per /ticks page
+const MAX_TICKS = 10000;
+
+// Max symbols per /export/candles request
+const MAX_EXPORT_SYMBOLS = 20;
+
+// Max symbols per /quotes request
+const MAX_QUOTE_SYMBOLS = 50;
+
+// Calendar range defaults/limits (days)
+const CALENDAR_DEFAULT_DAYS = 30;
+const CALENDAR_MAX_DAYS = 366;
+
+/**
+ * Send an error in the same shape as the auth/rate-limit middleware
+ */
+function sendError(res, status, code, message, extra = {}) {
+    return res.status(status).json({
+        success: false,
+        error: { code, message, status, ...extra }
+    });
+}
+
+/**
+ * Build the link to the next page: same query with the cursor swapped in
+ */
+function buildNextLink(req, cursorParam, cursor) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(req.query)) {
+        if (key !== 'after' && key !== 'before' && key !== cursorParam) params.set(key, value);
+    }
+    params.set(cursorParam, cursor);
+
+    return `${req.baseUrl}${req.path}?${params.toString()}`;
+}
+
+/**
+ * Parse a /ticks cursor ("<ms>-<id>" of the last tick on the previous page)
+ * Returns {timestamp, id}, null when absent, or undefined when invalid
+ */
+function parseTickCursor(value) {
+    if (value === undefined || value === '') return null;
+
+    const match = /^(\d+)-(\d+)$/.exec(String(value));
+    if (!match) return undefined;
+
+    return { timestamp: new Date(parseInt(match[1])), id: parseInt(match[2]) };
+}
+
+/**
+ * H4/D1 candles cut on another day boundary than the stored ones,
+ * aggregated from stored H1. Same bounds and page shape as
+ * database.getCandles: ascending, limit rows from the paging end.
+ */
+async function getRealignedCandles(symbol, timeframe, dayBoundary, { from, to, after, before, limit, order }) {
+    const forward = order === 'asc';
+    const startOf = time => bucketStart(time, timeframe, dayBoundary);
+    const rangeOf = start => bucketRange(start, timeframe, dayBoundary);
+
+    // First and last bucket the bounds allow → the H1 rows to read
+    const firsts = [from, after && new Date(after.getTime() + 1)].filter(Boolean).map(bound => {
+        const start = startOf(bound);
+        return start < bound ? nextBucketStart(start, timeframe, dayBoundary) : start;
+    });
+    const first = firsts.length ? new Date(Math.max(...firsts)) : null;
+
+    const bounds = [to, before && new Date(before.getTime() - 1)].filter(Boolean);
+    let last = bounds.length ? new Date(Math.min(...bounds)) : null;
+    if (last) {
+        const start = startOf(last);
+        // A weekend bound falls in Monday's bucket, which opens after it
+        last = start > last ? startOf(new Date(rangeOf(start).from.getTime() - 1)) : start;
+    }
+
+    const rowsFrom = first ? rangeOf(first).from : undefined;
+    const rowsBefore = last ? rangeOf(last).to : undefined;
+
+    // Read H1 towards the paging end until `limit` buckets are complete
+    const buckets = new Map();
+    let cursor = forward ? undefined : rowsBefore;
+    let exhausted = false;
+
+    while (!exhausted && buckets.size <= limit) {
+        const rows = await database.getCandles(symbol, 'H1', {
+            from: rowsFrom,
+            after: forward ? cursor : undefined,
+            before: forward ? rowsBefore : cursor,
+            limit: REALIGN_ROWS,
+            order,
+        });
+        exhausted = rows.length < REALIGN_ROWS;
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+            const start = startOf(row.timestamp).getTime();
+            if (!buckets.has(start)) buckets.set(start, []);
+            buckets.get(start).push(row);
+        }
+        cursor = new Date(rows[forward ? rows.length - 1 : 0].timestamp);
+    }
+
+    let starts = [...buckets.keys()].sort((a, b) => a - b);
+    if (!exhausted) {
+        // The bucket at the edge may still have rows we didn't read
+        starts = forward ? starts.slice(0, -1) : starts.slice(1);
+    }
+    if (first) starts = starts.filter(t => t >= first.getTime());
+    if (last) starts = starts.filter(t => t <= last.getTime());
+
+    const candles = starts.map(t => ({
+        ...aggregateBucket(
+            { symbol, timeframe, bucketStart: new Date(t) },
+            buckets.get(t).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        ),
+        revision: null,
+        updatedAt: null,
+    }));
+
+    return forward ? candles.slice(0, limit) : candles.slice(-limit);
+}
+
+/**
+ * Build the data router
+ * Mounted at /v1 (and at /api for existing clients)
+ */
+function createV1Router() {
+    const router = express.Router();
+
+    // Get latest quote
+    //   spread is in pips; ask/mid/spread are null while the spread is unknown
+    router.get('/quote/:symbol', protect, requireSymbolAccess, async (req, res) => {
+        const symbol = req.symbol.internal;
+
+        try {
+            const quote = await database.getLatestQuote(symbol);
+            if (!quote) {
+                return sendError(res, 404, 'NO_DATA', `No data for ${req.symbol.display}`);
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    symbol,
+                    price: quote.close,
+                    bid: quote.bid,
+                    ask: quote.ask,
+                    mid: quote.mid,
+                    spread: quote.spread,
+                    high: quote.high,
+                    low: quote.low,
+                    timestamp: quote.timestamp,
+                }
+            });
+        } catch (error) {
+            sendError(res, 500, 'INTERNAL_ERROR', error.message);
+        }
+    });
+
+    // Get candles
+    //   from/to       inclusive bounds (bar open time)
+    //   after/before  exclusive cursors, as returned in meta.pagination
+    //   provenance    true adds who wrote each bar: src (config/candle-sources.js,
+    //                 null = before tracking), rev (value changes) and mod (ms)
+    //   day_boundary  utc, ny-close or ±HH:00 (config/day-boundary.js); H4/D1
+    //                 on another boundary than CANDLE_DAY_BOUNDARY are built
+    //                 from H1 per request (src 'aggregate', no rev/mod)
+    // Paging runs forward from `from`/`after`, otherwise back from
+    // `to`/`before`/now. Data is always ascending.
+    router.get('/candles/:symbol', protect, requireSymbolAccess, async (req, res) => {
+        const symbol = req.symbol.internal;
+        const timeframe = (req.query.timeframe || 'H1').toUpperCase();
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), MAX_CANDLES);
+        const provenance = ['true', '1'].includes(String(req.query.provenance).toLowerCase());
+
+        if (!CANDLE_TIMEFRAMES.includes(timeframe)) {
+            return sendError(res, 400, 'INVALID_PARAMETER', `\`timeframe\` must be one of ${CANDLE_TIMEFRAMES.join(', ')}`);
+        }
+
+        const dayBoundary = req.query.day_boundary === undefined
+            ? config.candles.dayBoundary
+            : normalizeDayBoundary(req.query.day_boundary);
+        if (!dayBoundary) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`day_boundary` must be utc, ny-close or a whole-hour UTC offset like +02:00');
+        }
+
+        const requestedFrom = parseTimeParam(req.query.from);
+        const to = parseTimeParam(req.query.to);
+        const after = parseTimeParam(req.query.after);
+        const before = parseTimeParam(req.query.before);
+
+        if (requestedFrom === undefined || to === undefined) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`from` and `to` must be ISO dates or unix timestamps');
+        }
+        if (after === undefined || before === undefined) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`after` and `before` must be ISO dates or unix timestamps');
+        }
+        if (after && before) {
+            return sendError(res, 400, 'INVALID_PARAMETER', 'Use either `after` or `before`, not both');
+        }
+        if (requestedFrom && to && to < requestedFrom) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`to` must not be before `from`');
+        }
+
+        const forward = Boolean(after || (requestedFrom && !before));
+
+        // Clamp to the plan's history window (a forward cursor counts as a start)
+        const { from, meta: history } = clampFrom(req.auth.plan, requestedFrom || after);
+
+        try {
+            const query = { from, to, after, before, limit: limit + 1, order: forward ? 'asc' : 'desc' };
+            const rows = DAY_TIMEFRAMES.includes(timeframe) && dayBoundary !== config.candles.dayBoundary
+                ? await getRealignedCandles(symbol, timeframe, dayBoundary, query)
+                : await database.getCandles(symbol, timeframe, { ...query, provenance });
+
+            // The extra row sits past the end we're paging towards
+            const hasMore = rows.length > limit;
+            const page = !hasMore ? rows : forward ? rows.slice(0, limit) : rows.slice(1);
+
+            let nextCursor = null;
+            if (hasMore) {
+                const edge = forward ? page[page.length - 1] : page[0];
+                nextCursor = new Date(edge.timestamp).getTime();
+            }
+
+            res.json({
+                success: true,
+                symbol,
+                timeframe,
+                count: page.length,
+                meta: {
+                    history,
+                    day_boundary: dayBoundary,
+                    pagination: {
+                        direction: forward ? 'forward' : 'backward',
+                        limit,
+                        has_more: hasMore,
+                        next_cursor: nextCursor,
+                        next: nextCursor ? buildNextLink(req, forward ? 'after' : 'before', nextCursor) : null,
+                    }
+                },
+                data: page.map(c => ({
+                    t: new Date(c.timestamp).getTime(),
+                    o: c.open,
+                    h: c.high,
+                    l: c.low,
+                    c: c.close,
+                    v: c.volume,
+                    ...(provenance && {
+                        src: c.source,
+                        rev: c.revision,
+                        mod: c.updatedAt ? new Date(c.updatedAt).getTime() : null,
+                    }),
+                }))
+            });
+        } catch (error) {
+            sendError(res, 500, 'INTERNAL_ERROR', error.message);
+        }
+    });
+
+    // Get raw ticks (plans with the tick_data feature)
+    //   from/to   inclusive bounds, default: everything still retained
+    //   source    comma-separated filter, e.g. finnhub,rest_fallback
+    //   cursor    as returned in meta.pagination
+    // Ticks are pruned after TICK_RETENTION_HOURS; meta.retention says how
+    // far back this page could have gone. Data is always ascending.
+    router.get('/ticks/:symbol', protect, requireFeature('tick_data'), requireSymbolAccess, async (req, res) => {
+        const symbol = req.symbol.internal;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 1000, 1), MAX_TICKS);
+
+        const requestedFrom = parseTimeParam(req.query.from);
+        const to = parseTimeParam(req.query.to);
+        const cursor = parseTickCursor(req.query.cursor);
+
+        if (requestedFrom === undefined || to === undefined) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`from` and `to` must be ISO dates or unix timestamps');
+        }
+        if (requestedFrom && to && to < requestedFrom) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`to` must not be before `from`');
+        }
+        if (cursor === undefined) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`cursor` must be a next_cursor value from a previous page');
+        }
+
+        const sources = String(req.query.source || '')
+            .split(',')
+            .map(s => s.trim().toLowerCase())
+            .filter(Boolean);
+        const unknown = sources.filter(s => !TICK_SOURCES.includes(s));
+        if (unknown.length > 0) {
+            return sendError(res, 400, 'INVALID_PARAMETER',
+                `Unknown source: ${unknown.join(', ')} (expected one of ${TICK_SOURCES.join(', ')})`);
+        }
+
+        // Plan history window first, then whatever is older than retention
+        const { from: planFrom, meta: history } = clampFrom(req.auth.plan, requestedFrom);
+        const retentionHours = config.ticks.retentionHours;
+        const earliest = new Date(Date.now() - retentionHours * 60 * 60 * 1000);
+        const from = planFrom && planFrom > earliest ? planFrom : earliest;
+
+        try {
+            const rows = await storage.listTicks(symbol, {
+                from,
+                to,
+                after: cursor,
+                sources,
+                limit: limit + 1,
+            });
+
+            const hasMore = rows.length > limit;
+            const page = hasMore ? rows.slice(0, limit) : rows;
+
+            let nextCursor = null;
+            if (hasMore) {
+                const last = page[page.length - 1];
+                nextCursor = `${new Date(last.timestamp).getTime()}-${last.id}`;
+            }
+
+            res.json({
+                success: true,
+                symbol,
+                count: page.length,
+                meta: {
+                    history,
+                    retention: {
+                        hours: retentionHours,
+                        earliest_available: earliest.toISOString(),
+                        effective_from: from.toISOString(),
+                        clamped: Boolean(requestedFrom && requestedFrom < earliest),
+                    },
+                    sources: sources.length > 0 ? sources : null,
+                    pagination: {
+                        limit,
+                        has_more: hasMore,
+                        next_cursor: nextCursor,
+                        next: nextCursor ? buildNextLink(req, 'cursor', nextCursor) : null,
+                    }
+                },
+                data: page.map(t => ({
+                    t: new Date(t.timestamp).getTime(),
+                    p: parseFloat(t.price),
+                    b: t.bid === null ? null : parseFloat(t.bid),
+                    a: t.ask === null ? null : parseFloat(t.ask),
+                    v: parseFloat(t.volume || 0),
+                    s: t.source,
+                }))
+            });
+        } catch (error) {
+            sendError(res, 500, 'INTERNAL_ERROR', error.message);
+        }
+    });
+
+    // Bulk candle export, streamed (?symbols=EURUSD,GBPUSD&timeframe=M1&from=&to=&format=)
+    //   from/to   [from, to) on bar open time; `to` defaults to now
+    //   format    csv (one symbol, data/SYMBOL_TF.csv layout), ndjson or columnar
+    // The plan's history window still applies; the effective start is in
+    // the X-History-From / X-History-Clamped headers since the body is a file.
+    router.get('/export/candles', protect, async (req, res) => {
+        const requested = String(req.query.symbols || '')
+            .split(',')
+            .map(s => s.trim().toUpperCase())
+            .filter(Boolean);
+        const timeframe = String(req.query.timeframe || 'M1').toUpperCase();
+        const format = String(req.query.format || 'csv').toLowerCase();
+
+        if (requested.length === 0) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`symbols` is required (comma-separated)');
+        }
+        if (requested.length > MAX_EXPORT_SYMBOLS) {
+            return sendError(res, 400, 'INVALID_PARAMETER', `At most ${MAX_EXPORT_SYMBOLS} symbols per export`);
+        }
+        if (!CANDLE_TIMEFRAMES.includes(timeframe)) {
+            return sendError(res, 400, 'INVALID_PARAMETER', `\`timeframe\` must be one of ${CANDLE_TIMEFRAMES.join(', ')}`);
+        }
+        if (!EXPORT_FORMATS[format]) {
+            return sendError(res, 400, 'INVALID_PARAMETER', `\`format\` must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const requestedFrom = parseTimeParam(req.query.from);
+        let to = parseTimeParam(req.query.to);
+
+        if (requestedFrom === undefined || to === undefined) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`from` and `to` must be ISO dates or unix timestamps');
+        }
+        if (!requestedFrom) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`from` is required');
+        }
+        to = to || new Date();
+
+        const symbols = [];
+        for (const symbol of requested) {
+            const display = toDisplaySymbol(symbol);
+            const symbolConfig = getSymbol(display);
+
+            if (!symbolConfig) {
+                return sendError(res, 404, 'UNKNOWN_SYMBOL', `Unknown symbol: ${symbol}`, { symbol });
+            }
+            if (!canAccessSymbol(display, req.auth.plan.tier)) {
+                return res.status(403).json(symbolDeniedError(display, symbolConfig, req.auth.plan.tier));
+            }
+            symbols.push(toInternalSymbol(display));
+        }
+
+        const { from, meta: history } = clampFrom(req.auth.plan, requestedFrom);
+        if (to <= from) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`to` must be after `from` (after any plan history limit)');
+        }
+
+        let exported;
+        try {
+            exported = createCandleExport({ symbols, timeframe, from, to, format });
+        } catch (error) {
+            return sendError(res, 400, 'INVALID_PARAMETER', error.message);
+        }
+
+        res.set({
+            'Content-Type': EXPORT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="${exportFileName(symbols, timeframe, format)}"`,
+            'X-History-From': history.effective_from,
+            'X-History-Clamped': String(history.clamped),
+        });
+
+        // Headers are gone once rows flow: a failure can only cut the download short
+        pipeline(exported.stream, res, (error) => {
+            if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.error(`❌ Export failed after ${exported.progress.rows} rows (${exported.progress.symbol}):`, error.message);
+            }
+        });
+    });
+
+    // Get quotes for a list of symbols (?symbols=EURUSD,GBP/USD)
+    router.get('/quotes', protect, async (req, res) => {
+        const requested = String(req.query.symbols || '')
+            .split(',')
+            .map(s => s.trim().toUpperCase())
+            .filter(Boolean);
+
+        if (requested.length === 0) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`symbols` is required (comma-separated)');
+        }
+        if (requested.length > MAX_QUOTE_SYMBOLS) {
+            return sendError(res, 400, 'INVALID_PARAMETER', `At most ${MAX_QUOTE_SYMBOLS} symbols per request`);
+        }
+
+        const tier = req.auth.plan.tier;
+        const allowed = [];
+        const rejected = [];
+
+        for (const symbol of requested) {
+            const display = toDisplaySymbol(symbol);
+            const symbolConfig = getSymbol(display);
+
+            if (!symbolConfig) {
+                rejected.push({ symbol, code: 'UNKNOWN_SYMBOL' });
+            } else if (!canAccessSymbol(display, tier)) {
+                rejected.push({ symbol: display, code: 'SYMBOL_NOT_IN_PLAN', required_tier: symbolConfig.tier });
+            } else {
+                allowed.push(display);
+            }
+        }
+
+        try {
+            const quotes = await quoteService.getQuotes(allowed);
+            const found = new Set(quotes.map(q => q.symbol));
+
+            res.json({
+                success: true,
+                count: quotes.length,
+                data: quotes,
+                missing: allowed.filter(s => !found.has(s)),
+                rejected,
+            });
+        } catch (error) {
+            sendError(res, 500, 'INTERNAL_ERROR', error.message);
+        }
+    });
+
+    // Get quotes for every symbol in the caller's tier
+    router.get('/quotes/all', protect, async (req, res) => {
+        try {
+            const quotes = await quoteService.getAllQuotes(req.auth.plan.tier);
+
+            res.json({
+                success: true,
+                tier: req.auth.plan.tier,
+                count: quotes.length,
+                data: quotes,
+            });
+        } catch (error) {
+            sendError(res, 500, 'INTERNAL_ERROR', error.message);
+        }
+    });
+
+    // Currency conversion (?from=EUR&to=JPY&amount=100)
+    router.get('/convert', protect, async (req, res) => {
+        const from = String(req.query.from || '').trim().toUpperCase();
+        const to = String(req.query.to || '').trim().toUpperCase();
+        const amount = req.query.amount === undefined ? 1 : Number(req.query.amount);
+
+        if (!/^[A-Z]{3,5}$/.test(from) || !/^[A-Z]{3,5}$/.test(to)) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`from` and `to` must be currency codes (e.g. EUR, JPY)');
+        }
+        if (!Number.isFinite(amount)) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`amount` must be a number');
+        }
+
+        // Only pairs within the caller's tier may be read; decided from the
+        // registry before any rate lookup, so a 404 never hints at hidden data
+        const tier = req.auth.plan.tier;
+        const canUse = pair => !getSymbol(pair) || canAccessSymbol(pair, tier);
+
+        const routes = quoteService.getConversionRoutes(from, to);
+        if (routes.length > 0 && !routes.some(legs => legs.every(canUse))) {
+            const leg = routes[0].find(pair => !canUse(pair));
+            return res.status(403).json(symbolDeniedError(leg, getSymbol(leg), tier));
+        }
+
+        try {
+            const conversion = await quoteService.convert(from, to, amount, { canUse });
+
+            if (!conversion) {
+                return sendError(res, 404, 'NO_RATE', `No rate available for ${from} → ${to}`);
+            }
+
+            res.json({ success: true, data: conversion });
+        } catch (error) {
+            sendError(res, 500, 'INTERNAL_ERROR', error.message);
+        }
+    });
+
+    // Market open/closed state, current sessions and holiday (?symbol= adds per-symbol state)
+    router.get('/market/status', protect, (req, res) => {
+        const data = marketService.getStatusDetail();
+
+        if (req.query.symbol) {
+            const display = toDisplaySymbol(String(req.query.symbol).toUpperCase());
+            if (!getSymbol(display)) {
+                return sendError(res, 404, 'UNKNOWN_SYMBOL', `Unknown symbol: ${req.query.symbol}`, { symbol: req.query.symbol });
+            }
+            data.symbol = { symbol: display, ...marketService.canTrade(display) };
+        }
+
+        res.json({ success: true, data });
+    });
+
+    // Trading sessions (live state + published hours)
+    router.get('/market/sessions', protect, (req, res) => {
+        res.json({ success: true, data: marketService.getSessions() });
+    });
+
+    // Trading calendar (?from=&to=, defaults to the next 30 days)
+    router.get('/market/calendar', protect, (req, res) => {
+        let from = parseTimeParam(req.query.from);
+        let to = parseTimeParam(req.query.to);
+
+        if (from === undefined || to === undefined) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`from` and `to` must be ISO dates or unix timestamps');
+        }
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        from = from || new Date();
+        to = to || new Date(from.getTime() + CALENDAR_DEFAULT_DAYS * dayMs);
+
+        if (to < from) {
+            return sendError(res, 400, 'INVALID_PARAMETER', '`to` must not be before `from`');
+        }
+        if (to - from > CALENDAR_MAX_DAYS * dayMs) {
+            return sendError(res, 400, 'INVALID_PARAMETER', `Calendar range is limited to ${CALENDAR_MAX_DAYS} days`);
+        }
+
+        res.json({ success: true, data: marketService.getCalendar(from, to) });
+    });
+
+    return router;
+}
+
+// Endpoint list for 404 responses
+const V1_ENDPOINTS = [
+    'GET /v1/quote/:symbol',
+    'GET /v1/quotes?symbols=',
+    'GET /v1/quotes/all',
+    'GET /v1/convert?from=&to=&amount=',
+    'GET /v1/candles/:symbol?timeframe=&from=&to=&after=&before=&limit=&provenance=&day_boundary=',
+    'GET /v1/ticks/:symbol?from=&to=&source=&cursor=&limit=',
+    'GET /v1/export/candles?symbols=&timeframe=&from=&to=&format=',
+    'GET /v1/market/status',
+    'GET /v1/market/sessions',
+    'GET /v1/market/calendar?from=&to=',
+];
+
+module.exports = {
+    createV1Router,
+    protect,
+    sendError,
+    V1_ENDPOINTS
+};
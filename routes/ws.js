@@ -0,0 +1,272 @@
+// =============================================================================
+// routes/ws.js - Authenticated WebSocket Feed
+// =============================================================================
+//
+// Handshake:
+//   - API key from X-API-Key header or ?api_key= query (browsers can't set headers)
+//   - Plan must have websocketAccess
+//   - Concurrent connections capped at plan.websocketConnections
+//
+// Subscriptions are filtered by symbol tier; connect, disconnect and
+// client messages are logged to usage stats.
+// =============================================================================
+
+const http = require('http');
+const WebSocket = require('ws');
+const database = require('../database');
+const { getClientIp, isIpAllowed } = require('../middleware/auth');
+const {
+    checkWebSocketLimit,
+    incrementWsConnection,
+    decrementWsConnection
+} = require('../middleware/rate-limit');
+const { logWsConnect, logWsDisconnect, logWsMessage } = require('../middleware/usage-logger');
+const { getSymbol, canAccessSymbol, toDisplaySymbol, toInternalSymbol } = require('../config/symbols');
+
+/**
+ * Attach the feed to an HTTP server
+ * Returns { broadcastTick, getClientCount }
+ */
+function attachWebSocketFeed(server, options = {}) {
+    const wss = new WebSocket.Server({ noServer: true });
+    const wsClients = new Map();
+    const welcome = options.welcome || 'Connected to Pulse Markets';
+
+    server.on('upgrade', async (request, socket, head) => {
+        try {
+            const result = await authenticateUpgrade(request);
+
+            if (result.error) {
+                return rejectUpgrade(socket, result.error);
+            }
+
+            wss.handleUpgrade(request, socket, head, (ws) => {
+                // Re-check synchronously with the increment so parallel
+                // handshakes for the same user can't both slip through
+                const limit = checkWebSocketLimit(result.auth.userId, result.auth.plan);
+                if (!limit.allowed) {
+                    ws.close(1008, limit.message);
+                    return;
+                }
+                incrementWsConnection(result.auth.userId);
+
+                ws.auth = result.auth;
+                ws.ipAddress = result.ipAddress;
+                ws.subscriptions = new Set();
+                ws.connectedAt = Date.now();
+                wss.emit('connection', ws, request);
+            });
+        } catch (error) {
+            console.error('WS upgrade error:', error.message);
+            socket.destroy();
+        }
+    });
+
+    wss.on('connection', (ws) => {
+        const clientId = `ws-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        wsClients.set(clientId, ws);
+
+        logWsConnect(ws.auth, ws.ipAddress);
+        console.log(`📱 Connected: ${clientId} user ${ws.auth.userId} (total: ${wsClients.size})`);
+
+        const limit = checkWebSocketLimit(ws.auth.userId, ws.auth.plan);
+        ws.send(JSON.stringify({
+            event: 'authenticated',
+            message: welcome,
+            plan: ws.auth.plan.slug,
+            tier: ws.auth.plan.tier,
+            connections: { current: limit.current, limit: limit.limit },
+        }));
+
+        ws.on('message', (message) => handleMessage(ws, message));
+
+        let closed = false;
+        const cleanup = () => {
+            if (closed) return;
+            closed = true;
+            wsClients.delete(clientId);
+            decrementWsConnection(ws.auth.userId);
+            logWsDisconnect(ws.auth, ws.ipAddress, Date.now() - ws.connectedAt);
+            console.log(`📱 Disconnected: ${clientId} (total: ${wsClients.size})`);
+        };
+
+        ws.on('close', cleanup);
+        ws.on('error', cleanup);
+    });
+
+    /**
+     * Broadcast a tick to subscribed clients
+     * bid/ask/spread (pips) come from ingestion; ask and spread are null
+     * while the symbol's spread is unknown
+     */
+    function broadcastTick(tick) {
+        if (wsClients.size === 0) return;
+
+        const message = JSON.stringify({
+            event: 'quote',
+            type: 'tick',
+            data: {
+                symbol: tick.symbol,
+                displaySymbol: tick.displaySymbol,
+                bid: tick.bid ?? tick.price,
+                ask: tick.ask ?? null,
+                spread: tick.spread ?? null,
+                price: tick.price,
+                volume: tick.volume,
+                timestamp: new Date(tick.timestamp).toISOString(),
+                marketClosed: tick.marketClosed,
+            }
+        });
+
+        for (const [_, ws] of wsClients) {
+            if (ws.readyState === WebSocket.OPEN && ws.subscriptions.has(tick.symbol)) {
+                ws.send(message);
+            }
+        }
+    }
+
+    return {
+        broadcastTick,
+        getClientCount: () => wsClients.size,
+    };
+}
+
+// =============================================================================
+// HANDSHAKE
+// =============================================================================
+
+/**
+ * Validate the API key on an upgrade request
+ * Returns { auth, ipAddress } or { error: { status, code, message } }
+ */
+async function authenticateUpgrade(request) {
+    const url = new URL(request.url, 'http://localhost');
+    const apiKey = request.headers['x-api-key'] ||
+                   url.searchParams.get('api_key') ||
+                   url.searchParams.get('apiKey');
+
+    if (!apiKey) {
+        return { error: { status: 401, code: 'MISSING_API_KEY', message: 'X-API-Key header or api_key query parameter is required' } };
+    }
+
+    if (!apiKey.startsWith('fx_')) {
+        return { error: { status: 401, code: 'INVALID_API_KEY', message: 'Invalid API key format' } };
+    }
+
+    const auth = await database.validateApiKey(apiKey);
+    if (!auth) {
+        return { error: { status: 401, code: 'INVALID_CREDENTIALS', message: 'Invalid API key or secret' } };
+    }
+
+    const ipAddress = getClientIp(request);
+    if (auth.allowedIps && auth.allowedIps.length > 0 && !isIpAllowed(ipAddress, auth.allowedIps)) {
+        return { error: { status: 403, code: 'IP_NOT_ALLOWED', message: 'Request IP is not whitelisted' } };
+    }
+
+    if (!auth.plan.websocketAccess) {
+        return { error: { status: 403, code: 'PLAN_LIMIT_EXCEEDED', message: 'WebSocket access requires a paid plan' } };
+    }
+
+    const limit = checkWebSocketLimit(auth.userId, auth.plan);
+    if (!limit.allowed) {
+        return { error: { status: 429, code: 'WS_CONNECTION_LIMIT', message: limit.message } };
+    }
+
+    return { auth, ipAddress };
+}
+
+/**
+ * Reject an upgrade with a JSON HTTP response (same shape as REST errors)
+ */
+function rejectUpgrade(socket, error) {
+    const body = JSON.stringify({ success: false, error });
+
+    socket.write(
+        `HTTP/1.1 ${error.status} ${http.STATUS_CODES[error.status]}\r\n` +
+        'Content-Type: application/json\r\n' +
+        `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+        'Connection: close\r\n\r\n' +
+        body
+    );
+    socket.destroy();
+}
+
+// =============================================================================
+// CLIENT MESSAGES
+// =============================================================================
+
+function handleMessage(ws, message) {
+    try {
+        const data = JSON.parse(message);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            ws.send(JSON.stringify({ event: 'error', message: 'Invalid message' }));
+            return;
+        }
+
+        // Accept both { action: 'subscribe', symbols } and { event: 'subscribe', data }
+        const action = data.action || data.type || data.event;
+        logWsMessage(ws.auth, action);
+
+        if (action === 'subscribe') {
+            const { accepted, rejected } = filterSymbols(getRequestedSymbols(data), ws.auth.plan.tier);
+            accepted.forEach(s => ws.subscriptions.add(s));
+            ws.send(JSON.stringify({ event: 'subscribed', symbols: accepted, rejected }));
+        } else if (action === 'unsubscribe') {
+            const symbols = getRequestedSymbols(data);
+            if (symbols.length === 0) {
+                ws.subscriptions.clear();
+            } else {
+                symbols.forEach(s => ws.subscriptions.delete(toInternalSymbol(toDisplaySymbol(s.toUpperCase()))));
+            }
+            ws.send(JSON.stringify({ event: 'unsubscribed', symbols: [...ws.subscriptions] }));
+        } else if (action === 'ping') {
+            ws.send(JSON.stringify({ event: 'pong', timestamp: new Date().toISOString() }));
+        }
+    } catch (e) {
+        ws.send(JSON.stringify({ event: 'error', message: 'Invalid message' }));
+    }
+}
+
+/**
+ * Symbols named in a message; entries that aren't strings are dropped
+ */
+function getRequestedSymbols(data) {
+    let symbols = [];
+    if (Array.isArray(data.symbols)) symbols = data.symbols;
+    else if (data.symbol) symbols = [data.symbol];
+    else if (Array.isArray(data.data)) symbols = data.data;
+    else if (data.data?.symbol) symbols = [data.data.symbol];
+
+    return symbols.filter(s => typeof s === 'string');
+}
+
+/**
+ * Split requested symbols into those the tier can see and those it can't
+ */
+function filterSymbols(symbols, tier) {
+    const accepted = [];
+    const rejected = [];
+
+    for (const requested of symbols) {
+        if (typeof requested !== 'string') continue;
+
+        const display = toDisplaySymbol(requested.toUpperCase());
+        const config = getSymbol(display);
+
+        if (!config) {
+            rejected.push({ symbol: requested, code: 'UNKNOWN_SYMBOL' });
+        } else if (!canAccessSymbol(display, tier)) {
+            rejected.push({ symbol: display, code: 'SYMBOL_NOT_IN_PLAN', required_tier: config.tier });
+        } else {
+            accepted.push(toInternalSymbol(display));
+        }
+    }
+
+    return { accepted, rejected };
+}
+
+module.exports = {
+    attachWebSocketFeed,
+    authenticateUpgrade,
+    filterSymbols
+};
@@ -8,10 +8,10 @@
 //   node scripts/check-gaps.js --primary        # Check all primary pairs
 // =============================================================================
 
-require('dotenv').config();
+const { getPairs } = require('../config');
 const database = require('../database');
 
-const PRIMARY = ['EURUSD', 'GBPUSD', 'USDJPY', 'XAUUSD', 'USDCHF', 'AUDUSD', 'USDCAD', 'NZDUSD'];
+const PRIMARY = getPairs('primary');
 
 async function findGaps(symbol, hours = 2) {
     const to = new Date();
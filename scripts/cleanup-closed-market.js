@@ -16,6 +16,7 @@
 require('dotenv').config();
 
 const database = require('../database');
+const { listSymbols } = require('../config/symbols');
 
 // Forex market hours: Sunday 21:00 UTC to Friday 22:00 UTC
 // Crypto: 24/7 (no cleanup needed)
@@ -23,13 +24,8 @@ const database = require('../database');
 
 const CONFIG = {
     defaultDays: 14,
-    forexSymbols: [
-        'EURUSD', 'GBPUSD', 'USDJPY', 'USDCHF', 'AUDUSD', 'USDCAD', 'NZDUSD',
-        'EURGBP', 'EURJPY', 'GBPJPY', 'EURCHF', 'GBPCHF', 'AUDJPY',
-        'EURAUD', 'EURCAD', 'GBPAUD', 'GBPCAD', 'AUDCAD', 'AUDNZD',
-        'NZDJPY', 'CADJPY'
-    ],
-    metalSymbols: ['XAUUSD', 'XAGUSD'],
+    forexSymbols: listSymbols({ type: 'forex' }),
+    metalSymbols: listSymbols({ type: 'metal' }),
     // Crypto symbols are 24/7, no cleanup needed
 };
 
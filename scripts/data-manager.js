@@ -18,6 +18,7 @@ require('dotenv').config();
 const cron = require('node-cron');
 const database = require('../database');
 const dukascopy = require('../services/dukascopy-service');
+const { SYMBOL_TIERS, listSymbols } = require('../config/symbols');
 
 // =============================================================================
 // CONFIGURATION
@@ -27,15 +28,13 @@ const CONFIG = {
     // Symbols to maintain
     symbols: {
         // Majors - update every minute
-        majors: ['EURUSD', 'GBPUSD', 'USDJPY', 'USDCHF', 'AUDUSD', 'USDCAD', 'NZDUSD'],
+        majors: listSymbols({ type: 'forex', tier: SYMBOL_TIERS.INDIVIDUAL }),
         
         // Metals - update every minute
-        metals: ['XAUUSD', 'XAGUSD'],
+        metals: listSymbols({ type: 'metal' }),
         
         // Minors - update every 5 minutes
-        minors: ['EURGBP', 'EURJPY', 'GBPJPY', 'EURCHF', 'GBPCHF', 'AUDJPY',
-                 'EURAUD', 'EURCAD', 'GBPAUD', 'GBPCAD', 'AUDCAD', 'AUDNZD',
-                 'NZDJPY', 'CADJPY']
+        minors: listSymbols({ type: 'forex', tier: SYMBOL_TIERS.BUSINESS })
     },
     
     // Timeframes to maintain
@@ -8,11 +8,9 @@
 require('dotenv').config();
 const { getHistoricalRates } = require('dukascopy-node');
 const database = require('../database');
+const { getProviderSymbolMap } = require('../config/symbols');
 
-const DUKASCOPY_INSTRUMENTS = {
-    'EURUSD': 'eurusd', 'GBPUSD': 'gbpusd', 'USDJPY': 'usdjpy',
-    'XAUUSD': 'xauusd', 'GBPJPY': 'gbpjpy',
-};
+const DUKASCOPY_INSTRUMENTS = getProviderSymbolMap('dukascopy');
 
 async function diagnose(symbol) {
     const now = new Date();
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// =============================================================================
+// scripts/export-candles.js - Bulk Candle Export
+// =============================================================================
+//
+// Writes one file per symbol (SYMBOL_TF.ext, the data/ naming) from the
+// configured STORAGE_DRIVER. Rows are streamed, so long M1 ranges are fine.
+//
+// Usage:
+//   node scripts/export-candles.js EURUSD --timeframe M1 --from 2024-01-01 --to 2024-07-01
+//   node scripts/export-candles.js --primary --timeframe H1 --from 2020-01-01 --format columnar
+//   node scripts/export-candles.js --all --timeframe D1 --from 2010-01-01 --out ./exports
+//
+// =============================================================================
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { getPairs } = require('../config');
+const { listSymbols, getSymbol, toDisplaySymbol } = require('../config/symbols');
+const { storage } = require('../services/storage');
+const { createCandleExport, exportFileName, EXPORT_FORMATS } = require('../services/candle-export');
+
+const TIMEFRAMES = ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1'];
+
+function printHelp() {
+    console.log(`
+📦 Bulk Candle Export
+
+Usage:
+  node scripts/export-candles.js <symbols/flags> --from <date> [options]
+
+Symbol Selection:
+  EURUSD GBPUSD ...     Specific symbols
+  --primary             All primary pairs
+  --secondary           All secondary pairs
+  --all                 Every enabled symbol
+
+Options:
+  --timeframe <tf>      ${TIMEFRAMES.join(', ')} (default: M1)
+  --from <date>         Start, inclusive (ISO date) - required
+  --to <date>           End, exclusive (default: now)
+  --format <name>       ${Object.keys(EXPORT_FORMATS).join(', ')} (default: csv)
+  --out <dir>           Output directory (default: ./exports)
+
+Files are named SYMBOL_TF.<ext>; CSV matches data/EURUSD_*.csv and can be
+re-imported with scripts/import-candles.js.
+`);
+}
+
+function parseArgs(args) {
+    const options = {
+        symbols: [],
+        timeframe: 'M1',
+        from: null,
+        to: new Date(),
+        format: 'csv',
+        out: path.join(process.cwd(), 'exports'),
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const value = args[i + 1];
+
+        if (args[i] === '--timeframe' && value) {
+            options.timeframe = value.toUpperCase();
+            i++;
+        } else if (args[i] === '--from' && value) {
+            options.from = new Date(value);
+            i++;
+        } else if (args[i] === '--to' && value) {
+            options.to = new Date(value);
+            i++;
+        } else if (args[i] === '--format' && value) {
+            options.format = value.toLowerCase();
+            i++;
+        } else if (args[i] === '--out' && value) {
+            options.out = path.resolve(value);
+            i++;
+        } else if (args[i] === '--primary') {
+            options.symbols.push(...getPairs('primary'));
+        } else if (args[i] === '--secondary') {
+            options.symbols.push(...getPairs('secondary'));
+        } else if (args[i] === '--all') {
+            options.symbols.push(...listSymbols());
+        } else if (!args[i].startsWith('--')) {
+            options.symbols.push(args[i].toUpperCase().replace('/', ''));
+        } else {
+            throw new Error(`Unknown option: ${args[i]}`);
+        }
+    }
+
+    options.symbols = [...new Set(options.symbols)];
+
+    const unknown = options.symbols.filter(symbol => !getSymbol(toDisplaySymbol(symbol)));
+    if (unknown.length > 0) throw new Error(`Unknown symbol(s): ${unknown.join(', ')}`);
+    if (options.symbols.length === 0) throw new Error('No symbols selected');
+    if (!TIMEFRAMES.includes(options.timeframe)) throw new Error(`Invalid timeframe: ${options.timeframe}`);
+    if (!EXPORT_FORMATS[options.format]) throw new Error(`Invalid format: ${options.format}`);
+    if (!options.from || isNaN(options.from)) throw new Error('--from must be a date');
+    if (isNaN(options.to) || options.to <= options.from) throw new Error('--to must be a date after --from');
+
+    return options;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+        printHelp();
+        return;
+    }
+
+    const options = parseArgs(args);
+    const { symbols, timeframe, from, to, format, out } = options;
+
+    console.log(`📦 Exporting ${symbols.length} symbol(s) ${timeframe} ${from.toISOString()} → ${to.toISOString()} as ${format}`);
+    fs.mkdirSync(out, { recursive: true });
+
+    await storage.connect();
+    const startTime = Date.now();
+    let totalRows = 0;
+
+    try {
+        for (const symbol of symbols) {
+            const file = path.join(out, exportFileName([symbol], timeframe, format));
+            const { stream, progress } = createCandleExport({ symbols: [symbol], timeframe, from, to, format, storage });
+
+            await pipeline(stream, fs.createWriteStream(file));
+
+            totalRows += progress.rows;
+            console.log(`   ${progress.rows > 0 ? '✅' : '⚪'} ${symbol}: ${progress.rows.toLocaleString()} candles → ${file}`);
+        }
+    } finally {
+        await storage.disconnect();
+    }
+
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    console.log(`\n✅ Exported ${totalRows.toLocaleString()} candles in ${duration}s`);
+}
+
+main().catch(error => {
+    console.error('❌ Export failed:', error.message);
+    process.exit(1);
+});
@@ -16,16 +16,11 @@ require('dotenv').config();
 
 const database = require('../database');
 const dukascopy = require('../services/dukascopy-service');
+const { listSymbols } = require('../config/symbols');
 
 const CONFIG = {
     defaultDays: 7,
-    symbols: [
-        'EURUSD', 'GBPUSD', 'USDJPY', 'USDCHF', 'AUDUSD', 'USDCAD', 'NZDUSD',
-        'XAUUSD', 'XAGUSD',
-        'EURGBP', 'EURJPY', 'GBPJPY', 'EURCHF', 'GBPCHF', 'AUDJPY',
-        'EURAUD', 'EURCAD', 'GBPAUD', 'GBPCAD', 'AUDCAD', 'AUDNZD',
-        'NZDJPY', 'CADJPY'
-    ],
+    symbols: listSymbols({ provider: 'dukascopy' }),
     timeframes: ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1']
 };
 
@@ -76,16 +76,16 @@ async function insertFreshCandles(symbol, timeframe, fromDate, toDate) {
     for (let i = 0; i < candles.length; i += batchSize) {
         const batch = candles.slice(i, i + batchSize);
         
-        const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(',');
+        const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(',');
         const values = batch.flatMap(c => [
             c.symbol, c.timeframe, c.timestamp,
-            c.open, c.high, c.low, c.close, c.volume, 0
+            c.open, c.high, c.low, c.close, c.volume, c.spread ?? null, c.source ?? null
         ]);
 
         try {
             const [result] = await database.pool.execute(`
                 INSERT INTO pulse_market_data 
-                (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
+                (symbol, timeframe, timestamp, open, high, low, close, volume, spread, source)
                 VALUES ${placeholders}
             `, values);
 
@@ -97,9 +97,9 @@ async function insertFreshCandles(symbol, timeframe, fromDate, toDate) {
                     try {
                         await database.pool.execute(`
                             INSERT INTO pulse_market_data 
-                            (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-                        `, [c.symbol, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume, 0]);
+                            (symbol, timeframe, timestamp, open, high, low, close, volume, spread, source)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                        `, [c.symbol, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume, c.spread ?? null, c.source ?? null]);
                         inserted++;
                     } catch (e) {
                         // Skip
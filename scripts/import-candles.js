@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+// =============================================================================
+// scripts/import-candles.js - Historical Candle Import
+// =============================================================================
+//
+// Imports one file or every .csv/.txt file in a folder through the storage
+// layer. See services/candle-import.js for formats and merge policies.
+//
+// Usage:
+//   node scripts/import-candles.js ./data --dry-run
+//   node scripts/import-candles.js ./data/EURUSD_M1.csv --policy fill
+//   node scripts/import-candles.js EURUSD60.csv --format mt4 --symbol EURUSD --timeframe H1 --timezone Europe/Athens
+//   node scripts/import-candles.js quotes.csv --format generic --symbol EURUSD --timeframe M5 \
+//       --delimiter ";" --columns "timestamp=Time,open=O,high=H,low=L,close=C" --date-format "DD/MM/YYYY HH:mm"
+//
+// =============================================================================
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { storage } = require('../services/storage');
+const { CandleImporter, IMPORT_FORMATS, MERGE_POLICIES } = require('../services/candle-import');
+
+// Flag → [option, parser]
+const VALUE_FLAGS = {
+    '--symbol': ['symbol', String],
+    '--timeframe': ['timeframe', String],
+    '--format': ['format', value => value.toLowerCase()],
+    '--policy': ['policy', value => value.toLowerCase()],
+    '--timezone': ['timezone', String],
+    '--date-format': ['dateFormat', String],
+    '--delimiter': ['delimiter', value => (value === 'tab' || value === '\\t' ? '\t' : value)],
+    '--columns': ['columns', parseColumns],
+    '--spread-unit': ['spreadUnit', String],
+};
+
+function printHelp() {
+    console.log(`
+📥 Historical Candle Import
+
+Usage:
+  node scripts/import-candles.js <file|folder> [options]
+
+Options:
+  --symbol <symbol>       Symbol (default: from SYMBOL_TF file name)
+  --timeframe <tf>        M1, M5, M15, M30, H1, H4, D1 (default: from file name)
+  --format <name>         ${Object.keys(IMPORT_FORMATS).join(', ')} (default: pulse)
+  --policy <name>         ${MERGE_POLICIES.join(', ')} (default: ignore)
+                            ignore     keep existing bars, add missing ones
+                            fill       also repair existing flat (incomplete) bars
+                            overwrite  imported bars replace existing ones
+  --dry-run               Report what would change; write nothing
+
+Format overrides:
+  --timezone <zone>       Time zone of the file: UTC, +02:00, Europe/Athens
+  --date-format <fmt>     e.g. "DD.MM.YYYY HH:mm:ss", or iso / unix / unix_ms
+  --delimiter <char>      Column separator ("tab" for tab-separated)
+  --header / --no-header  Whether the first line is a header
+  --columns <map>         field=index or field=Header, comma-separated
+                          fields: timestamp | date + time, open, high, low,
+                          close, volume, spread
+  --spread-unit <unit>    price, points or pips
+`);
+}
+
+function parseColumns(value) {
+    const columns = {};
+    for (const pair of value.split(',')) {
+        const [field, column] = pair.split('=').map(part => part.trim());
+        if (!field || column === undefined) throw new Error(`Invalid --columns entry: ${pair}`);
+        columns[field] = /^\d+$/.test(column) ? parseInt(column, 10) : column;
+    }
+    return columns;
+}
+
+function parseArgs(args) {
+    const options = { target: null, dryRun: false, header: undefined };
+
+    for (let i = 0; i < args.length; i++) {
+        const flag = VALUE_FLAGS[args[i]];
+
+        if (flag && args[i + 1] !== undefined) {
+            options[flag[0]] = flag[1](args[i + 1]);
+            i++;
+        } else if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (args[i] === '--header' || args[i] === '--no-header') {
+            options.header = args[i] === '--header';
+        } else if (!args[i].startsWith('--') && !options.target) {
+            options.target = args[i];
+        } else {
+            throw new Error(`Unknown or incomplete option: ${args[i]}`);
+        }
+    }
+
+    if (!options.target) throw new Error('No file or folder given');
+    return options;
+}
+
+function listFiles(target) {
+    if (!fs.existsSync(target)) throw new Error(`Not found: ${target}`);
+    if (!fs.statSync(target).isDirectory()) return [target];
+
+    return fs.readdirSync(target)
+        .filter(file => /\.(csv|txt)$/i.test(file))
+        .sort()
+        .map(file => path.join(target, file));
+}
+
+function printReport(report) {
+    const range = report.range.from
+        ? `${report.range.from.toISOString()} → ${report.range.to.toISOString()}`
+        : 'no valid rows';
+
+    console.log(`\n📄 ${report.file} → ${report.symbol} ${report.timeframe} (${report.format}, ${report.policy})`);
+    console.log(`   ${range}`);
+    console.log(`   rows ${report.rows} | ➕ insert ${report.insert} | ✏️  update ${report.update} | ` +
+        `= unchanged ${report.unchanged} | 🔒 kept ${report.kept} | ❌ invalid ${report.invalid}`);
+
+    for (const [reason, count] of Object.entries(report.reasons)) {
+        console.log(`   ❌ ${count} × ${reason}`);
+    }
+    for (const [reason, count] of Object.entries(report.flags)) {
+        console.log(`   ⚠️  ${count} × ${reason} (imported)`);
+    }
+    for (const sample of report.samples.invalid) {
+        console.log(`      line ${sample.line}: ${sample.reason} - ${sample.text}`);
+    }
+    for (const sample of report.samples.update) {
+        const { before, after } = sample;
+        console.log(`   ✏️  ${sample.timestamp.toISOString()} ` +
+            `${before.open}/${before.high}/${before.low}/${before.close} v${before.volume} → ` +
+            `${after.open}/${after.high}/${after.low}/${after.close} v${after.volume}`);
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+        printHelp();
+        return;
+    }
+
+    const { target, symbol, timeframe, format, policy, dryRun, ...overrides } = parseArgs(args);
+    const files = listFiles(target);
+
+    console.log(`📥 Importing ${files.length} file(s)${dryRun ? ' - DRY RUN, nothing will be written' : ''}`);
+
+    await storage.connect();
+    const importer = new CandleImporter({ storage });
+    const totals = { insert: 0, update: 0, invalid: 0, failed: 0 };
+
+    try {
+        for (const file of files) {
+            try {
+                const report = await importer.importFile(file, { symbol, timeframe, format, policy, dryRun, overrides });
+                printReport(report);
+                totals.insert += report.insert;
+                totals.update += report.update;
+                totals.invalid += report.invalid;
+            } catch (error) {
+                console.error(`\n❌ ${file}: ${error.message}`);
+                totals.failed++;
+            }
+        }
+    } finally {
+        await storage.disconnect();
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`${dryRun ? '🔍 Would write' : '✅ Wrote'}: ${totals.insert} new, ${totals.update} updated | ` +
+        `❌ ${totals.invalid} invalid rows | ${totals.failed} file(s) failed`);
+    console.log('='.repeat(60));
+
+    if (totals.failed > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+});
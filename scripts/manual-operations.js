@@ -11,18 +11,14 @@
 //   node scripts/manual-operations.js fix-incomplete EURUSD
 // =============================================================================
 
-require('dotenv').config();
-
+const { getPairs } = require('../config');
 const database = require('../database');
 const { CandleBuilder } = require('../services/candle-builder');
 const { GapDetector } = require('../services/gap-detector');
 const { DukascopyBackfill } = require('../services/dukascopy-backfill');
 const { HealthMonitor } = require('../services/health-monitor');
 
-const PRIMARY_PAIRS = [
-    'EURUSD', 'GBPUSD', 'USDJPY', 'XAUUSD', 'USDCHF',
-    'AUDUSD', 'USDCAD', 'NZDUSD', 'EURGBP', 'EURJPY', 'GBPJPY'
-];
+const PRIMARY_PAIRS = getPairs('primary');
 
 const ALL_TIMEFRAMES = ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1'];
 
@@ -59,7 +55,7 @@ async function cmdRebuild(args) {
         while (current <= to) {
             await builder.rebuildCandle(symbol, timeframe, current);
             count++;
-            current = new Date(current.getTime() + builder.timeframeConfig[timeframe].minutes * 60000);
+            current = builder.getNextPeriodStart(current, timeframe);
         }
         
         console.log(`✅ Rebuilt ${count} ${timeframe} candles`);
@@ -231,7 +227,7 @@ async function cmdHealth(args) {
     const q = health.metrics.queueStatus || {};
     console.log(`   Pending: ${q.pending || 0}`);
     console.log(`   Processing: ${q.processing || 0}`);
-    console.log(`   Failed: ${q.failed || 0}`);
+    console.log(`   Dead-lettered: ${q.dead || 0}`);
 }
 
 // =============================================================================
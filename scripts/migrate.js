@@ -0,0 +1,61 @@
+// =============================================================================
+// scripts/migrate.js - Schema Migration CLI
+// =============================================================================
+//
+// Usage:
+//   node scripts/migrate.js            apply pending migrations
+//   node scripts/migrate.js status     list migrations and whether applied
+//   node scripts/migrate.js down [n]   revert the last n migrations (default 1)
+//
+// Servers also apply pending migrations on connect; this is for deploy
+// pipelines and for rolling back.
+// =============================================================================
+
+require('dotenv').config();
+
+const database = require('../database');
+const { MigrationRunner } = require('../services/storage/migration-runner');
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    await database.connect({ migrate: false });
+    const runner = new MigrationRunner(database.pool);
+
+    try {
+        switch (command) {
+            case 'up': {
+                const applied = await runner.up();
+                console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+                break;
+            }
+            case 'down': {
+                const steps = parseInt(arg || '1', 10);
+                if (!(steps > 0)) throw new Error(`Invalid step count: ${arg}`);
+
+                const reverted = await runner.down(steps);
+                console.log(`✅ Reverted ${reverted.length} migration(s)`);
+                break;
+            }
+            case 'status': {
+                for (const m of await runner.status()) {
+                    const when = m.appliedAt ? new Date(m.appliedAt).toISOString() : 'pending';
+                    console.log(`${m.applied ? '✅' : '⏳'} ${String(m.version).padStart(3, '0')} ${m.name.padEnd(30)} ${when}`);
+                }
+                break;
+            }
+            default:
+                throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+        }
+    } catch (error) {
+        console.error('❌ Migration error:', error.message);
+        process.exitCode = 1;
+    }
+
+    await database.disconnect();
+}
+
+main().catch(error => {
+    console.error('❌ Migration error:', error.message);
+    process.exit(1);
+});
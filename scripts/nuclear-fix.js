@@ -14,37 +14,20 @@
 //   node scripts/nuclear-fix.js --primary --days 1
 // =============================================================================
 
-require('dotenv').config();
-
-const { getHistoricalRates } = require('dukascopy-node');
+const { getPairs } = require('../config');
 const database = require('../database');
+const { getProviderSymbolMap } = require('../config/symbols');
+const { getBidAskRates } = require('../services/providers/dukascopy-provider');
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
-const PRIMARY_PAIRS = [
-    'EURUSD', 'GBPUSD', 'USDJPY', 'XAUUSD', 'USDCHF',
-    'AUDUSD', 'USDCAD', 'NZDUSD', 'EURGBP', 'EURJPY', 'GBPJPY'
-];
+const PRIMARY_PAIRS = getPairs('primary');
 
-const ALL_PAIRS = [
-    ...PRIMARY_PAIRS,
-    'XAGUSD', 'EURCHF', 'GBPCHF', 'AUDJPY', 'EURAUD',
-    'EURCAD', 'GBPAUD', 'GBPCAD', 'AUDCAD', 'AUDNZD',
-    'NZDJPY', 'CADJPY'
-];
+const ALL_PAIRS = [...getPairs('primary'), ...getPairs('secondary')];
 
-const DUKASCOPY_INSTRUMENTS = {
-    'EURUSD': 'eurusd', 'GBPUSD': 'gbpusd', 'USDJPY': 'usdjpy',
-    'USDCHF': 'usdchf', 'AUDUSD': 'audusd', 'USDCAD': 'usdcad',
-    'NZDUSD': 'nzdusd', 'EURGBP': 'eurgbp', 'EURJPY': 'eurjpy',
-    'GBPJPY': 'gbpjpy', 'EURCHF': 'eurchf', 'GBPCHF': 'gbpchf',
-    'AUDJPY': 'audjpy', 'EURAUD': 'euraud', 'EURCAD': 'eurcad',
-    'GBPAUD': 'gbpaud', 'GBPCAD': 'gbpcad', 'AUDCAD': 'audcad',
-    'AUDNZD': 'audnzd', 'NZDJPY': 'nzdjpy', 'CADJPY': 'cadjpy',
-    'XAUUSD': 'xauusd', 'XAGUSD': 'xagusd',
-};
+const DUKASCOPY_INSTRUMENTS = getProviderSymbolMap('dukascopy');
 
 const ALL_TIMEFRAMES = ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1'];
 
@@ -77,14 +60,8 @@ async function fetchFromDukascopy(symbol, timeframe, from, to, attempt = 1) {
     const tf = tfMap[timeframe];
     
     try {
-        const data = await getHistoricalRates({
-            instrument,
-            dates: { from, to },
-            timeframe: tf,
-            format: 'json',
-            priceType: 'bid',
-            volumes: true,
-        });
+        // Bid bars + spread (DUKASCOPY_SPREAD)
+        const data = await getBidAskRates({ instrument, timeframe: tf, from, to });
         
         const candles = data.map(candle => ({
             symbol,
@@ -95,6 +72,8 @@ async function fetchFromDukascopy(symbol, timeframe, from, to, attempt = 1) {
             low: candle.low,
             close: candle.close,
             volume: candle.volume || 0,
+            spread: candle.spread,
+            source: 'dukascopy',
         }));
         
         return { candles, error: null };
@@ -146,16 +125,16 @@ async function insertCandles(candles) {
     for (let i = 0; i < candles.length; i += batchSize) {
         const batch = candles.slice(i, i + batchSize);
         
-        const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, 0)').join(',');
+        const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(',');
         const values = batch.flatMap(c => [
             c.symbol, c.timeframe, c.timestamp,
-            c.open, c.high, c.low, c.close, c.volume
+            c.open, c.high, c.low, c.close, c.volume, c.spread ?? null, c.source ?? null
         ]);
         
         try {
             const [result] = await database.pool.execute(`
                 INSERT INTO pulse_market_data 
-                (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
+                (symbol, timeframe, timestamp, open, high, low, close, volume, spread, source)
                 VALUES ${placeholders}
             `, values);
             
@@ -166,9 +145,9 @@ async function insertCandles(candles) {
                 try {
                     await database.pool.execute(`
                         INSERT IGNORE INTO pulse_market_data 
-                        (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-                    `, [c.symbol, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume]);
+                        (symbol, timeframe, timestamp, open, high, low, close, volume, spread, source)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `, [c.symbol, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume, c.spread ?? null, c.source ?? null]);
                     inserted++;
                 } catch (e) {}
             }
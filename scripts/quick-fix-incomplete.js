@@ -13,17 +13,11 @@
 //   node scripts/quick-fix-incomplete.js EURUSD       # Fix specific symbol
 // =============================================================================
 
-require('dotenv').config();
-
+const { getPairs } = require('../config');
 const database = require('../database');
 const { DukascopyBackfill } = require('../services/dukascopy-backfill');
 
-const ALL_FOREX_SYMBOLS = [
-    'EURUSD', 'GBPUSD', 'USDJPY', 'USDCHF', 'AUDUSD', 'USDCAD', 'NZDUSD',
-    'EURGBP', 'EURJPY', 'GBPJPY', 'EURCHF', 'GBPCHF', 'AUDJPY',
-    'EURAUD', 'EURCAD', 'GBPAUD', 'GBPCAD', 'AUDCAD', 'AUDNZD',
-    'NZDJPY', 'CADJPY', 'XAUUSD', 'XAGUSD'
-];
+const ALL_FOREX_SYMBOLS = [...getPairs('primary'), ...getPairs('secondary')];
 
 async function findIncomplete(symbol, timeframe, from, to) {
     const [rows] = await database.pool.execute(`
@@ -21,36 +21,19 @@
 //
 // =============================================================================
 
-require('dotenv').config();
-
-const { getHistoricalRates } = require('dukascopy-node');
+const { getPairs } = require('../config');
 const database = require('../database');
+const { getProviderSymbolMap } = require('../config/symbols');
+const { getBidAskRates } = require('../services/providers/dukascopy-provider');
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
-const PRIMARY_PAIRS = [
-    'EURUSD', 'GBPUSD', 'USDJPY', 'XAUUSD', 'USDCHF',
-    'AUDUSD', 'USDCAD', 'NZDUSD', 'EURGBP', 'EURJPY', 'GBPJPY'
-];
-
-const SECONDARY_PAIRS = [
-    'XAGUSD', 'EURCHF', 'GBPCHF', 'AUDJPY', 'EURAUD',
-    'EURCAD', 'GBPAUD', 'GBPCAD', 'AUDCAD', 'AUDNZD',
-    'NZDJPY', 'CADJPY'
-];
+const PRIMARY_PAIRS = getPairs('primary');
+const SECONDARY_PAIRS = getPairs('secondary');
 
-const DUKASCOPY_INSTRUMENTS = {
-    'EURUSD': 'eurusd', 'GBPUSD': 'gbpusd', 'USDJPY': 'usdjpy',
-    'USDCHF': 'usdchf', 'AUDUSD': 'audusd', 'USDCAD': 'usdcad',
-    'NZDUSD': 'nzdusd', 'EURGBP': 'eurgbp', 'EURJPY': 'eurjpy',
-    'GBPJPY': 'gbpjpy', 'EURCHF': 'eurchf', 'GBPCHF': 'gbpchf',
-    'AUDJPY': 'audjpy', 'EURAUD': 'euraud', 'EURCAD': 'eurcad',
-    'GBPAUD': 'gbpaud', 'GBPCAD': 'gbpcad', 'AUDCAD': 'audcad',
-    'AUDNZD': 'audnzd', 'NZDJPY': 'nzdjpy', 'CADJPY': 'cadjpy',
-    'XAUUSD': 'xauusd', 'XAGUSD': 'xagusd',
-};
+const DUKASCOPY_INSTRUMENTS = getProviderSymbolMap('dukascopy');
 
 // Recommended durations per timeframe
 const PRESETS = {
@@ -137,7 +120,7 @@ function splitIntoChunks(from, to, timeframe) {
 // =============================================================================
 
 /**
- * Fetch candles from Dukascopy
+ * Fetch candles from Dukascopy (bid bars + spread, see DUKASCOPY_SPREAD)
  */
 async function fetchFromDukascopy(symbol, timeframe, from, to) {
     const instrument = DUKASCOPY_INSTRUMENTS[symbol];
@@ -146,13 +129,11 @@ async function fetchFromDukascopy(symbol, timeframe, from, to) {
     const tfMap = { M1: 'm1', M5: 'm5', M15: 'm15', M30: 'm30', H1: 'h1', H4: 'h4', D1: 'd1' };
     
     try {
-        const data = await getHistoricalRates({
+        const data = await getBidAskRates({
             instrument,
-            dates: { from, to },
             timeframe: tfMap[timeframe],
-            format: 'json',
-            priceType: 'bid',
-            volumes: true,
+            from,
+            to,
         });
         
         return data.map(c => ({
@@ -164,6 +145,8 @@ async function fetchFromDukascopy(symbol, timeframe, from, to) {
             low: c.low,
             close: c.close,
             volume: c.volume || 0,
+            spread: c.spread,
+            source: 'dukascopy',
         }));
     } catch (error) {
         console.error(`   ❌ Error: ${error.message}`);
@@ -187,9 +170,9 @@ async function insertIgnoreCandles(candles) {
             try {
                 const [result] = await database.pool.execute(`
                     INSERT IGNORE INTO pulse_market_data
-                    (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-                `, [c.symbol, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume]);
+                    (symbol, timeframe, timestamp, open, high, low, close, volume, spread, source)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [c.symbol, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume, c.spread ?? null, c.source ?? null]);
                 
                 inserted += result.affectedRows;
             } catch (e) {
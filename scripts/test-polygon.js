@@ -5,8 +5,7 @@
 // Usage: node scripts/test-polygon.js
 // =============================================================================
 
-require('dotenv').config();
-
+const { config } = require('../config');
 const { PolygonService } = require('../services/polygon-service');
 const { UnifiedDataProvider } = require('../services/unified-data-provider');
 
@@ -15,12 +14,12 @@ async function testPolygon() {
     console.log('🧪 POLYGON.IO CONNECTION TEST');
     console.log('═'.repeat(60));
     
-    const apiKey = process.env.POLYGON_API_KEY;
+    const apiKey = config.providers.polygonApiKey;
     
     if (!apiKey) {
         console.log('\n❌ POLYGON_API_KEY not found in environment!\n');
         console.log('Add to your .env file:');
-        console.log('   POLYGON_API_KEY=pxJc88S7IMegiPp_mqz8QB5I65pZnoTj\n');
+        console.log('   POLYGON_API_KEY=your_polygon_api_key\n');
         return;
     }
     
@@ -3,48 +3,44 @@
 // =============================================================================
 // 
 // Architecture:
-// 1. Ticks → 1M candles → Higher timeframes (bottom-up rebuild)
+// 1. Ticks → 1M candles → Higher timeframes (dirty buckets rebuilt by
+//    services/rollup-worker.js whenever lower candles change)
 // 2. Spike detection at tick level
 // 3. Automatic gap detection and Dukascopy backfill
 // 4. Priority system: Primary pairs processed first
 // =============================================================================
 
-require('dotenv').config();
 const cron = require('node-cron');
-const database = require('./database');
+const { config, getPairs } = require('./config');
+const { storage } = require('./services/storage');
 const { TickStore } = require('./services/tick-store');
 const { CandleBuilder } = require('./services/candle-builder');
 const { GapDetector } = require('./services/gap-detector');
 const { DukascopyBackfill } = require('./services/dukascopy-backfill');
 const { SpikeFilter } = require('./services/spike-filter');
 const { HealthMonitor } = require('./services/health-monitor');
+const { backfillQueue } = require('./services/backfill-queue');
+const { locks } = require('./services/distributed-lock');
+const { rollupWorker } = require('./services/rollup-worker');
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
+// Tunables come from config/index.js (env / CONFIG_FILE)
 const CONFIG = {
     // Primary pairs - processed first, stricter monitoring
-    primaryPairs: [
-        'EURUSD', 'GBPUSD', 'USDJPY', 'XAUUSD', 'USDCHF',
-        'AUDUSD', 'USDCAD', 'NZDUSD', 'EURGBP', 'EURJPY', 'GBPJPY'
-    ],
+    // (read per call: symbol priorities can change at runtime)
+    get primaryPairs() { return getPairs('primary'); },
     
     // Secondary pairs - processed after primary
-    secondaryPairs: [
-        'XAGUSD', 'EURCHF', 'GBPCHF', 'AUDJPY', 'EURAUD',
-        'EURCAD', 'GBPAUD', 'GBPCAD', 'AUDCAD', 'AUDNZD',
-        'NZDJPY', 'CADJPY'
-    ],
+    get secondaryPairs() { return getPairs('secondary'); },
     
     // Timeframes in build order
     timeframes: ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1'],
     
     // Spike thresholds (% change that triggers rejection)
-    spikeThresholds: {
-        forex: { tick: 0.3, candle: 0.5 },   // 0.3% tick, 0.5% candle
-        metal: { tick: 0.8, candle: 1.5 },   // More volatile
-    },
+    spikeThresholds: config.spikeThresholds,
     
     // Gap detection settings
     gapDetection: {
@@ -60,7 +56,10 @@ const CONFIG = {
     },
     
     // Tick retention
-    tickRetentionHours: 48,  // Keep ticks for 48 hours
+    tickRetentionHours: config.ticks.retentionHours,
+
+    // Healing job cadences
+    schedules: config.schedules,
 };
 
 // =============================================================================
@@ -75,8 +74,12 @@ class SelfHealingEngine {
         this.dukascopyBackfill = new DukascopyBackfill();
         this.spikeFilter = new SpikeFilter(CONFIG.spikeThresholds);
         this.healthMonitor = new HealthMonitor();
+        this.backfillQueue = backfillQueue;
+        this.rollupWorker = rollupWorker;
         
         this.isRunning = false;
+        // Scheduled cron tasks per job group ('build', 'heal')
+        this.jobs = {};
         this.stats = {
             ticksProcessed: 0,
             candlesBuilt: 0,
@@ -86,169 +89,142 @@ class SelfHealingEngine {
         };
     }
 
-    async init() {
-        console.log('='.repeat(60));
-        console.log('🚀 Self-Healing Forex Data Engine');
-        console.log('='.repeat(60));
-        
-        await database.connect();
-        await this.initTables();
-        
-        // Load last known prices for spike detection
-        await this.spikeFilter.loadLastPrices();
-        
-        // Initial health check
-        await this.runHealthCheck();
-        
-        // Schedule all cron jobs
-        this.scheduleCronJobs();
-        
-        console.log(`✅ Engine initialized`);
+    /**
+     * Start the engine
+     * - build: tick flushing + M1 builder (ingest role)
+     * - heal: gap checks, backfill queue, integrity, cleanup (heal role)
+     * Both write candles, so either one also drains the rollup marks
+     * Safe to call once per role; shared setup only runs the first time
+     */
+    async init(options = {}) {
+        const { build = true, heal = true } = options;
+
+        if (!this.isRunning) {
+            console.log('='.repeat(60));
+            console.log('🚀 Self-Healing Forex Data Engine');
+            console.log('='.repeat(60));
+
+            await storage.connect();
+
+            // Load last known prices for spike detection
+            await this.spikeFilter.loadLastPrices();
+
+            this.isRunning = true;
+        }
+
+        if (build && !this.jobs.build) {
+            this.jobs.build = this.scheduleBuildJobs();
+        }
+
+        if (heal && !this.jobs.heal) {
+            // Initial health check
+            await this.runHealthCheck();
+            this.jobs.heal = this.scheduleHealingJobs();
+        }
+
+        if ((build || heal) && !this.jobs.rollups) {
+            this.jobs.rollups = this.scheduleRollupJobs();
+        }
+
+        console.log(`✅ Engine initialized (${Object.keys(this.jobs).join(', ')})`);
         console.log(`📊 Primary pairs: ${CONFIG.primaryPairs.length}`);
         console.log(`📊 Secondary pairs: ${CONFIG.secondaryPairs.length}`);
         console.log('='.repeat(60));
-        
-        this.isRunning = true;
     }
 
-    async initTables() {
-        const queries = [
-            // Ticks table - stores raw tick data
-            `CREATE TABLE IF NOT EXISTS pulse_ticks (
-                id BIGINT AUTO_INCREMENT PRIMARY KEY,
-                symbol VARCHAR(20) NOT NULL,
-                price DECIMAL(18,8) NOT NULL,
-                volume DECIMAL(24,8) DEFAULT 0,
-                timestamp DATETIME(3) NOT NULL,
-                source ENUM('finnhub', 'dukascopy', 'interpolated') DEFAULT 'finnhub',
-                is_valid TINYINT(1) DEFAULT 1,
-                INDEX idx_symbol_ts (symbol, timestamp),
-                INDEX idx_ts (timestamp),
-                UNIQUE KEY unique_tick (symbol, timestamp, price)
-            ) ENGINE=InnoDB`,
-            
-            // Data integrity tracking
-            `CREATE TABLE IF NOT EXISTS pulse_data_integrity (
-                id BIGINT AUTO_INCREMENT PRIMARY KEY,
-                symbol VARCHAR(20) NOT NULL,
-                timeframe VARCHAR(10) NOT NULL,
-                date DATE NOT NULL,
-                expected_candles INT DEFAULT 0,
-                actual_candles INT DEFAULT 0,
-                missing_candles INT DEFAULT 0,
-                incomplete_candles INT DEFAULT 0,
-                last_checked DATETIME,
-                last_fixed DATETIME,
-                status ENUM('ok', 'gaps', 'fixing', 'error') DEFAULT 'ok',
-                UNIQUE KEY unique_integrity (symbol, timeframe, date),
-                INDEX idx_status (status)
-            ) ENGINE=InnoDB`,
-            
-            // Backfill queue
-            `CREATE TABLE IF NOT EXISTS pulse_backfill_queue (
-                id BIGINT AUTO_INCREMENT PRIMARY KEY,
-                symbol VARCHAR(20) NOT NULL,
-                timeframe VARCHAR(10) NOT NULL,
-                gap_start DATETIME NOT NULL,
-                gap_end DATETIME NOT NULL,
-                priority TINYINT DEFAULT 5,
-                status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
-                attempts INT DEFAULT 0,
-                last_attempt DATETIME,
-                error_message TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                INDEX idx_status_priority (status, priority DESC),
-                INDEX idx_symbol (symbol)
-            ) ENGINE=InnoDB`,
-            
-            // Health metrics
-            `CREATE TABLE IF NOT EXISTS pulse_health_metrics (
-                id BIGINT AUTO_INCREMENT PRIMARY KEY,
-                metric_name VARCHAR(50) NOT NULL,
-                metric_value DECIMAL(18,4),
-                symbol VARCHAR(20),
-                timeframe VARCHAR(10),
-                recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                INDEX idx_metric_ts (metric_name, recorded_at)
-            ) ENGINE=InnoDB`,
-        ];
-
-        for (const query of queries) {
-            try {
-                await database.pool.execute(query);
-            } catch (error) {
-                if (!error.message.includes('already exists')) {
-                    console.error('Table creation error:', error.message);
-                }
-            }
-        }
-        
-        console.log('✅ Self-healing tables initialized');
+    /**
+     * Share the ingest feed's tick store so buffered live ticks are
+     * flushed and seen by the M1 builder
+     */
+    useTickStore(tickStore) {
+        this.tickStore = tickStore;
+        this.candleBuilder.tickStore = tickStore;
     }
 
     // =========================================================================
     // CRON JOB SCHEDULING
     // =========================================================================
 
-    scheduleCronJobs() {
-        console.log('\n📅 Scheduling cron jobs...\n');
+    /**
+     * Candle building jobs: ticks → M1
+     */
+    scheduleBuildJobs() {
+        console.log('\n📅 Scheduling candle build jobs...\n');
+        const jobs = [];
 
         // Every 10 seconds: Process tick buffer → 1M candles (primary pairs)
-        cron.schedule('*/10 * * * * *', () => this.processTicks('primary'));
+        jobs.push(cron.schedule('*/10 * * * * *', () => this.processTicks('primary')));
         console.log('   ✓ Tick processing (primary): every 10 seconds');
 
         // Every 30 seconds: Process tick buffer → 1M candles (secondary pairs)
-        cron.schedule('*/30 * * * * *', () => this.processTicks('secondary'));
+        jobs.push(cron.schedule('*/30 * * * * *', () => this.processTicks('secondary')));
         console.log('   ✓ Tick processing (secondary): every 30 seconds');
 
         // Every minute: Build/verify 1M candles
-        cron.schedule('* * * * *', () => this.buildM1Candles());
+        jobs.push(cron.schedule('* * * * *', () => this.buildM1Candles()));
         console.log('   ✓ 1M candle builder: every minute');
 
-        // Every 5 minutes: Build 5M candles + quick gap check
-        cron.schedule('*/5 * * * *', () => this.buildHigherTF('M5'));
-        console.log('   ✓ 5M candle builder: every 5 minutes');
-
-        // Every 15 minutes: Build 15M candles
-        cron.schedule('*/15 * * * *', () => this.buildHigherTF('M15'));
-        console.log('   ✓ 15M candle builder: every 15 minutes');
+        console.log('');
+        return jobs;
+    }
 
-        // Every 30 minutes: Build 30M candles
-        cron.schedule('*/30 * * * *', () => this.buildHigherTF('M30'));
-        console.log('   ✓ 30M candle builder: every 30 minutes');
+    /**
+     * Rollup job: live M1, backfills, heals and imports all mark buckets,
+     * so every candle-writing role drains them
+     */
+    scheduleRollupJobs() {
+        // Every minute by default: Rebuild the M5 ... D1 buckets that M1/H1
+        // writes marked dirty (one instance at a time)
+        const job = cron.schedule(CONFIG.schedules.rollups, () => this.processRollups());
+        console.log(`📅 Higher-timeframe rollups: ${CONFIG.schedules.rollups}\n`);
+        return [job];
+    }
 
-        // Every hour: Build H1 candles + gap detection
-        cron.schedule('0 * * * *', () => {
-            this.buildHigherTF('H1');
-            this.quickGapCheck();
-        });
-        console.log('   ✓ H1 candle builder + gap check: every hour');
+    /**
+     * Healing jobs: gap detection, backfill, integrity, cleanup, health
+     */
+    scheduleHealingJobs() {
+        console.log('\n📅 Scheduling healing jobs...\n');
+        const jobs = [];
 
-        // Every 4 hours: Build H4 candles
-        cron.schedule('0 */4 * * *', () => this.buildHigherTF('H4'));
-        console.log('   ✓ H4 candle builder: every 4 hours');
+        const { schedules } = CONFIG;
 
-        // Daily at 00:05 UTC: Build D1 candles
-        cron.schedule('5 0 * * *', () => this.buildHigherTF('D1'));
-        console.log('   ✓ D1 candle builder: daily at 00:05 UTC');
+        // Hourly by default: Gap detection
+        jobs.push(cron.schedule(schedules.gapCheck, () => this.runOnce('gap-check', () => this.quickGapCheck())));
+        console.log(`   ✓ Gap check: ${schedules.gapCheck}`);
 
-        // Every 5 minutes: Process backfill queue
-        cron.schedule('*/5 * * * *', () => this.processBackfillQueue());
-        console.log('   ✓ Backfill queue processor: every 5 minutes');
+        // Every 5 minutes by default: Process backfill queue (jobs are leased,
+        // so every instance can work it)
+        jobs.push(cron.schedule(schedules.backfillQueue, () => this.processBackfillQueue()));
+        console.log(`   ✓ Backfill queue processor: ${schedules.backfillQueue}`);
 
-        // Daily at 02:00 UTC: Full integrity check + Dukascopy backfill
-        cron.schedule('0 2 * * *', () => this.dailyIntegrityCheck());
-        console.log('   ✓ Daily integrity check: 02:00 UTC');
+        // 02:00 daily by default: Full integrity check + Dukascopy backfill
+        jobs.push(cron.schedule(schedules.integrityCheck, () => this.runOnce('integrity-check', () => this.dailyIntegrityCheck())));
+        console.log(`   ✓ Daily integrity check: ${schedules.integrityCheck}`);
 
-        // Daily at 03:00 UTC: Cleanup old ticks
-        cron.schedule('0 3 * * *', () => this.cleanupOldData());
-        console.log('   ✓ Data cleanup: 03:00 UTC');
+        // 03:00 daily by default: Cleanup old ticks
+        jobs.push(cron.schedule(schedules.cleanup, () => this.runOnce('cleanup', () => this.cleanupOldData())));
+        console.log(`   ✓ Data cleanup: ${schedules.cleanup}`);
 
-        // Every 10 minutes: Health check
-        cron.schedule('*/10 * * * *', () => this.runHealthCheck());
-        console.log('   ✓ Health check: every 10 minutes');
+        // Every 10 minutes by default: Health check
+        jobs.push(cron.schedule(schedules.healthCheck, () => this.runHealthCheck()));
+        console.log(`   ✓ Health check: ${schedules.healthCheck}`);
 
         console.log('');
+        return jobs;
+    }
+
+    /**
+     * Run a cluster-wide job on one instance: the engine:<name> lock is kept
+     * for a minute, so replicas whose cron fires in the same minute skip it
+     */
+    async runOnce(name, job) {
+        try {
+            const { acquired } = await locks.withLock(`engine:${name}`, job, { holdMs: 60 * 1000 });
+            if (!acquired) console.log(`ℹ️  ${name} handled by another instance, skipping`);
+        } catch (error) {
+            console.error(`❌ ${name} error:`, error.message);
+        }
     }
 
     // =========================================================================
@@ -289,21 +265,18 @@ class SelfHealingEngine {
     }
 
     // =========================================================================
-    // HIGHER TIMEFRAME BUILDING
+    // HIGHER TIMEFRAME ROLLUPS
     // =========================================================================
 
-    async buildHigherTF(timeframe) {
-        const allPairs = [...CONFIG.primaryPairs, ...CONFIG.secondaryPairs];
-        
-        for (const symbol of allPairs) {
-            try {
-                await this.candleBuilder.buildFromM1(symbol, timeframe);
-            } catch (error) {
-                console.error(`❌ ${timeframe} build error (${symbol}):`, error.message);
+    async processRollups() {
+        try {
+            const result = await this.rollupWorker.run();
+            if (result?.written > 0) {
+                console.log(`✅ Rolled up ${result.buckets} higher-timeframe buckets (${result.written} changed)`);
             }
+        } catch (error) {
+            console.error('❌ Rollup error:', error.message);
         }
-        
-        console.log(`✅ Built ${timeframe} candles for ${allPairs.length} pairs`);
     }
 
     // =========================================================================
@@ -355,14 +328,9 @@ class SelfHealingEngine {
 
     async queueBackfill(gap, priority = 5) {
         try {
-            await database.pool.execute(`
-                INSERT INTO pulse_backfill_queue 
-                (symbol, timeframe, gap_start, gap_end, priority, status)
-                VALUES (?, ?, ?, ?, ?, 'pending')
-                ON DUPLICATE KEY UPDATE priority = GREATEST(priority, VALUES(priority))
-            `, [gap.symbol, gap.timeframe || 'M1', gap.from, gap.to, priority]);
+            await this.backfillQueue.enqueue(gap, priority);
         } catch (error) {
-            // Ignore duplicate errors
+            console.error(`❌ Backfill queue error (${gap.symbol}):`, error.message);
         }
     }
 
@@ -374,53 +342,42 @@ class SelfHealingEngine {
         }
     }
 
+    /**
+     * Work up to 10 due jobs, leasing one at a time so a job never waits
+     * out its lease behind the others
+     */
     async processBackfillQueue() {
-        const [pending] = await database.pool.execute(`
-            SELECT * FROM pulse_backfill_queue 
-            WHERE status = 'pending' 
-            ORDER BY priority DESC, created_at ASC 
-            LIMIT 10
-        `);
-        
-        if (pending.length === 0) return;
+        let processed = 0;
         
-        console.log(`📥 Processing ${pending.length} backfill items`);
-        
-        for (const item of pending) {
-            await this.processBackfillItem(item);
+        while (processed < 10) {
+            const [job] = await this.backfillQueue.claim(1);
+            if (!job) break;
+            
+            await this.processBackfillItem(job);
+            processed++;
             await this.sleep(2000); // Rate limit Dukascopy
         }
+        
+        if (processed > 0) console.log(`📥 Processed ${processed} backfill jobs`);
     }
 
-    async processBackfillItem(item) {
-        try {
-            await database.pool.execute(
-                `UPDATE pulse_backfill_queue SET status = 'processing', last_attempt = NOW() WHERE id = ?`,
-                [item.id]
-            );
-            
-            const result = await this.dukascopyBackfill.fetchAndSave(
-                item.symbol,
-                item.timeframe,
-                new Date(item.gap_start),
-                new Date(item.gap_end)
-            );
-            
-            await database.pool.execute(
-                `UPDATE pulse_backfill_queue SET status = 'completed' WHERE id = ?`,
-                [item.id]
-            );
-            
+    /**
+     * Backfill one leased job; failures are retried with backoff and
+     * dead-lettered once out of attempts (services/backfill-queue.js)
+     */
+    async processBackfillItem(job) {
+        const outcome = await this.backfillQueue.run(job, () => this.dukascopyBackfill.fetchAndSave(
+            job.symbol,
+            job.timeframe,
+            new Date(job.gap_start),
+            new Date(job.gap_end),
+            { throwOnError: true }
+        ));
+        
+        if (outcome === 'completed') {
             this.stats.gapsFixed++;
-            
-        } catch (error) {
-            const attempts = item.attempts + 1;
-            const status = attempts >= 3 ? 'failed' : 'pending';
-            
-            await database.pool.execute(
-                `UPDATE pulse_backfill_queue SET status = ?, attempts = ?, error_message = ? WHERE id = ?`,
-                [status, attempts, error.message, item.id]
-            );
+        } else if (outcome === 'dead') {
+            console.error(`💀 Backfill job ${job.id} (${job.symbol} ${job.timeframe}) dead-lettered after ${job.attempts} attempts`);
         }
     }
 
@@ -448,22 +405,17 @@ class SelfHealingEngine {
         const tickCutoff = new Date();
         tickCutoff.setHours(tickCutoff.getHours() - CONFIG.tickRetentionHours);
         
-        const [tickResult] = await database.pool.execute(
-            `DELETE FROM pulse_ticks WHERE timestamp < ?`,
-            [tickCutoff]
-        );
+        const ticksDeleted = await storage.deleteTicksBefore(tickCutoff);
         
-        // Delete completed backfill items older than 7 days
-        const [backfillResult] = await database.pool.execute(
-            `DELETE FROM pulse_backfill_queue WHERE status = 'completed' AND created_at < DATE_SUB(NOW(), INTERVAL 7 DAY)`
+        // Delete completed and cancelled backfill jobs older than 7 days
+        const backfillDeleted = await storage.deleteFinishedBackfillsBefore(
+            new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
         );
         
         // Delete old health metrics older than 30 days
-        await database.pool.execute(
-            `DELETE FROM pulse_health_metrics WHERE recorded_at < DATE_SUB(NOW(), INTERVAL 30 DAY)`
-        );
+        await storage.deleteHealthMetricsBefore(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
         
-        console.log(`🧹 Deleted ${tickResult.affectedRows} ticks, ${backfillResult.affectedRows} backfill items`);
+        console.log(`🧹 Deleted ${ticksDeleted} ticks, ${backfillDeleted} backfill items`);
     }
 
     // =========================================================================
@@ -480,14 +432,18 @@ class SelfHealingEngine {
             tickStoreStats: this.tickStore.getStats(),
             candleBuilderStats: this.candleBuilder.getStats(),
             backfillStats: this.dukascopyBackfill.getStats(),
+            rollupStats: this.rollupWorker.getStats(),
         };
     }
 
     async shutdown() {
         console.log('🛑 Shutting down self-healing engine...');
         this.isRunning = false;
+        for (const tasks of Object.values(this.jobs)) {
+            tasks.forEach(task => task.stop());
+        }
+        this.jobs = {};
         await this.tickStore.flushAll();
-        await database.disconnect();
         console.log('✅ Shutdown complete');
     }
 }
@@ -498,12 +454,17 @@ class SelfHealingEngine {
 
 const engine = new SelfHealingEngine();
 
-process.on('SIGTERM', () => engine.shutdown());
-process.on('SIGINT', () => engine.shutdown());
-
 module.exports = { engine, CONFIG };
 
 if (require.main === module) {
+    const stop = async () => {
+        await engine.shutdown();
+        await storage.disconnect();
+        process.exit(0);
+    };
+    process.on('SIGTERM', stop);
+    process.on('SIGINT', stop);
+
     engine.init().catch(error => {
         console.error('❌ Failed to start:', error);
         process.exit(1);
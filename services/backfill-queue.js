@@ -0,0 +1,231 @@
+// =============================================================================
+// services/backfill-queue.js - Durable Backfill Jobs
+// =============================================================================
+//
+// Gap backfills queued in pulse_backfill_queue and worked by the heal role:
+//   enqueue()  idempotent per gap; overlapping pending gaps are merged
+//   claim()    lease due jobs to this worker (BACKFILL_LEASE_SECONDS); jobs
+//              whose worker died go back to the queue once the lease expires
+//   run()      do the work while renewing the lease, then complete, retry
+//              after an exponential backoff, or dead-letter after
+//              BACKFILL_MAX_ATTEMPTS with the reason recorded
+//
+// retry / cancel / reprioritise back the /admin/backfill-jobs routes.
+// State rules live in services/storage/backfill-jobs.js.
+// =============================================================================
+
+const os = require('os');
+const crypto = require('crypto');
+const { config } = require('../config');
+const { storage: defaultStorage } = require('./storage');
+const { BACKFILL_STATUSES } = require('./storage/backfill-jobs');
+
+const MIN_PRIORITY = 1;
+const MAX_PRIORITY = 10;
+
+class BackfillQueueError extends Error {
+    constructor(code, message, status = 400) {
+        super(message);
+        this.name = 'BackfillQueueError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class BackfillQueue {
+    constructor(options = {}) {
+        this.storage = options.storage || defaultStorage;
+        this.worker = options.worker || `${os.hostname()}:${process.pid}`;
+        this.maxAttempts = options.maxAttempts || config.backfill.maxAttempts;
+        this.leaseMs = (options.leaseSeconds || config.backfill.leaseSeconds) * 1000;
+        this.backoffBaseMs = (options.backoffBaseSeconds || config.backfill.backoffBaseSeconds) * 1000;
+        this.backoffMaxMs = (options.backoffMaxSeconds || config.backfill.backoffMaxSeconds) * 1000;
+        this.now = options.now || (() => new Date());
+    }
+
+    // =========================================================================
+    // WORKER
+    // =========================================================================
+
+    /**
+     * Queue a gap ({symbol, timeframe, from, to}) → {id, action}
+     */
+    enqueue(gap, priority = 5) {
+        return this.storage.queueBackfill({
+            symbol: gap.symbol,
+            timeframe: gap.timeframe || 'M1',
+            from: gap.from,
+            to: gap.to,
+            priority,
+            maxAttempts: this.maxAttempts,
+            now: this.now(),
+        });
+    }
+
+    /**
+     * Release expired leases, then lease up to `limit` due jobs
+     */
+    async claim(limit) {
+        const now = this.now();
+
+        const expired = await this.storage.expireBackfillLeases(now);
+        if (expired > 0) {
+            console.log(`⏱️  Backfill queue: ${expired} expired lease(s) released`);
+        }
+
+        return this.storage.claimBackfills({
+            worker: this.worker,
+            token: crypto.randomUUID(),
+            limit,
+            now,
+            leaseUntil: this.leaseUntil(now),
+        });
+    }
+
+    /**
+     * Run `work(job)` on a claimed job, renewing its lease until it
+     * settles → 'completed' | 'pending' (retry scheduled) | 'dead' | 'lost'
+     */
+    async run(job, work) {
+        const heartbeat = setInterval(() => {
+            this.storage.renewBackfillLease(job.id, job.lease_token, this.leaseUntil(this.now()))
+                .then(held => {
+                    if (!held) console.warn(`⚠️ Backfill job ${job.id}: lease lost`);
+                })
+                .catch(error => console.error(`❌ Backfill job ${job.id}: lease renewal failed:`, error.message));
+        }, Math.max(1000, Math.floor(this.leaseMs / 3)));
+        heartbeat.unref();
+
+        try {
+            await work(job);
+            clearInterval(heartbeat);
+            return await this.complete(job);
+        } catch (error) {
+            clearInterval(heartbeat);
+            return await this.fail(job, error);
+        }
+    }
+
+    async complete(job) {
+        const held = await this.storage.updateBackfill(
+            job.id,
+            { status: 'completed', error_message: null },
+            { token: job.lease_token }
+        );
+        return held ? 'completed' : 'lost';
+    }
+
+    /**
+     * Schedule the next attempt, or dead-letter a job out of attempts
+     */
+    async fail(job, error) {
+        const message = String(error?.message || error);
+        const changes = job.attempts >= job.max_attempts
+            ? {
+                status: 'dead',
+                error_message: message,
+                dead_reason: `failed ${job.attempts} of ${job.max_attempts} attempts: ${message}`.slice(0, 255),
+            }
+            : {
+                status: 'pending',
+                error_message: message,
+                next_attempt_at: new Date(this.now().getTime() + this.backoffDelay(job.attempts)),
+            };
+
+        const held = await this.storage.updateBackfill(job.id, changes, { token: job.lease_token });
+        return held ? changes.status : 'lost';
+    }
+
+    /**
+     * Wait before attempt n + 1: base * 2^(n-1), capped
+     */
+    backoffDelay(attempts) {
+        return Math.min(this.backoffBaseMs * 2 ** Math.max(0, attempts - 1), this.backoffMaxMs);
+    }
+
+    leaseUntil(now) {
+        return new Date(now.getTime() + this.leaseMs);
+    }
+
+    // =========================================================================
+    // ADMIN
+    // =========================================================================
+
+    async list({ status, limit = 100 } = {}) {
+        if (status && !BACKFILL_STATUSES.includes(status)) {
+            throw new BackfillQueueError('INVALID_PARAMETER', `status must be one of: ${BACKFILL_STATUSES.join(', ')}`);
+        }
+        return this.storage.listBackfills(Math.min(Math.max(parseInt(limit) || 100, 1), 1000), { status });
+    }
+
+    async get(id) {
+        const job = Number.isInteger(Number(id)) ? await this.storage.getBackfill(Number(id)) : null;
+        if (!job) {
+            throw new BackfillQueueError('JOB_NOT_FOUND', `Unknown backfill job: ${id}`, 404);
+        }
+        return job;
+    }
+
+    /**
+     * Put a dead, cancelled or backing-off job back in line now, with its
+     * attempts reset
+     */
+    async retry(id) {
+        return this.change(id, ['pending', 'dead', 'cancelled'], {
+            status: 'pending',
+            attempts: 0,
+            next_attempt_at: this.now(),
+            dead_reason: null,
+        });
+    }
+
+    /**
+     * Drop a job that isn't being worked on
+     */
+    async cancel(id) {
+        return this.change(id, ['pending', 'dead'], { status: 'cancelled' });
+    }
+
+    async reprioritise(id, priority) {
+        if (!Number.isInteger(priority) || priority < MIN_PRIORITY || priority > MAX_PRIORITY) {
+            throw new BackfillQueueError('INVALID_PARAMETER', `priority must be a whole number from ${MIN_PRIORITY} to ${MAX_PRIORITY}`);
+        }
+        return this.change(id, ['pending', 'processing', 'dead'], { priority });
+    }
+
+    /**
+     * Apply an admin change if the job is in one of `statuses`
+     */
+    async change(id, statuses, changes) {
+        const job = await this.get(id);
+
+        let updated;
+        try {
+            updated = await this.storage.updateBackfill(job.id, changes, { statuses });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw new BackfillQueueError('JOB_CONFLICT', `Job ${job.id}: the same gap is already queued`, 409);
+            }
+            throw error;
+        }
+
+        if (!updated) {
+            // Wrong status, or a worker got there first
+            const current = await this.get(id);
+            throw new BackfillQueueError(
+                'JOB_CONFLICT',
+                `Job ${job.id} is ${current.status} - expected ${statuses.join(' or ')}`,
+                409
+            );
+        }
+        return this.get(id);
+    }
+}
+
+const backfillQueue = new BackfillQueue();
+
+module.exports = {
+    BackfillQueue,
+    BackfillQueueError,
+    backfillQueue,
+};
@@ -4,18 +4,30 @@
 //
 // Responsibilities:
 // - Build M1 candles from raw ticks
-// - Aggregate higher timeframes from M1 candles
+// - Rebuild single higher-timeframe candles on demand (scripts); routine
+//   rollups are change-driven (services/rollup-worker.js)
 // - Validate candle data
 // - Detect and mark incomplete candles
 // =============================================================================
 
-const database = require('../database');
+const { storage } = require('./storage');
 const { TickStore } = require('./tick-store');
 const { isMarketOpenForSymbol } = require('../config/market-hours');
+const { getSymbolType } = require('../config/symbols');
+const { candleSourceForTick } = require('../config/candle-sources');
+const { config: CONFIG } = require('../config');
+const { bucketStart, bucketRange, nextBucketStart } = require('./storage/candle-rollup');
 
 class CandleBuilder {
-    constructor() {
-        this.tickStore = new TickStore();
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - Storage adapter (defaults to STORAGE_DRIVER)
+     * @param {string} options.dayBoundary - Where H4/D1 days start (defaults to CANDLE_DAY_BOUNDARY)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || storage;
+        this.dayBoundary = options.dayBoundary || CONFIG.candles.dayBoundary;
+        this.tickStore = new TickStore({ storage: this.storage });
         
         // Timeframe configurations
         this.timeframeConfig = {
@@ -45,7 +57,7 @@ class CandleBuilder {
      * This is the foundation - all other timeframes are built from M1
      */
     async buildM1FromTicks(symbol, minuteStart) {
-        const symbolType = this.getSymbolType(symbol);
+        const symbolType = getSymbolType(symbol);
         
         // Check if market is open
         const marketStatus = isMarketOpenForSymbol(symbolType, minuteStart);
@@ -64,6 +76,9 @@ class CandleBuilder {
         // Build OHLCV from ticks
         const prices = ticks.map(t => parseFloat(t.price));
         const volumes = ticks.map(t => parseFloat(t.volume || 0));
+
+        // Spread at the close, from the last tick that quoted both sides
+        const quoted = [...ticks].reverse().find(t => t.bid && t.ask);
         
         const candle = {
             symbol,
@@ -74,6 +89,9 @@ class CandleBuilder {
             low: Math.min(...prices),
             close: prices[prices.length - 1],
             volume: volumes.reduce((a, b) => a + b, 0),
+            spread: quoted ? parseFloat((parseFloat(quoted.ask) - parseFloat(quoted.bid)).toFixed(8)) : null,
+            // Feed of the closing tick (finnhub, rest, mock)
+            source: candleSourceForTick(ticks[ticks.length - 1].source),
             tickCount: ticks.length,
             isComplete: ticks.length >= 2, // At least 2 ticks = likely complete
         };
@@ -115,55 +133,6 @@ class CandleBuilder {
     // HIGHER TIMEFRAME AGGREGATION
     // =========================================================================
 
-    /**
-     * Build a higher timeframe candle from M1 or H1 candles
-     */
-    async buildFromM1(symbol, targetTimeframe) {
-        const config = this.timeframeConfig[targetTimeframe];
-        if (!config) {
-            throw new Error(`Unknown timeframe: ${targetTimeframe}`);
-        }
-        
-        const sourceTimeframe = config.sourceTimeframe;
-        const periodMinutes = config.minutes;
-        
-        // Calculate current period boundaries
-        const now = new Date();
-        const periodStart = this.getPeriodStart(now, targetTimeframe);
-        const periodEnd = new Date(periodStart.getTime() + periodMinutes * 60 * 1000);
-        
-        // Don't build if period hasn't ended yet (except D1)
-        if (targetTimeframe !== 'D1' && now < periodEnd) {
-            return null;
-        }
-        
-        // Get source candles
-        const sourceCandles = await this.getSourceCandles(
-            symbol, sourceTimeframe, periodStart, periodEnd
-        );
-        
-        if (sourceCandles.length === 0) {
-            return { symbol, timeframe: targetTimeframe, timestamp: periodStart, hasGap: true };
-        }
-        
-        // Aggregate into single candle
-        const candle = this.aggregateCandles(symbol, targetTimeframe, periodStart, sourceCandles);
-        
-        // Calculate expected candle count
-        const expectedCount = this.getExpectedCandleCount(sourceTimeframe, periodMinutes);
-        candle.isComplete = sourceCandles.length >= expectedCount * 0.8; // 80% threshold
-        
-        if (!candle.isComplete) {
-            this.stats.incomplete++;
-        }
-        
-        // Save
-        await this.saveCandle(candle);
-        this.stats.aggregated++;
-        
-        return candle;
-    }
-
     /**
      * Rebuild a specific timeframe candle
      */
@@ -174,11 +143,11 @@ class CandleBuilder {
         }
         
         const periodStart = this.getPeriodStart(new Date(timestamp), timeframe);
-        const periodEnd = new Date(periodStart.getTime() + config.minutes * 60 * 1000);
+        const period = bucketRange(periodStart, timeframe, this.dayBoundary);
         
         // Get fresh source candles
         const sourceCandles = await this.getSourceCandles(
-            symbol, config.sourceTimeframe, periodStart, periodEnd
+            symbol, config.sourceTimeframe, period.from, period.to
         );
         
         if (sourceCandles.length === 0) {
@@ -191,18 +160,6 @@ class CandleBuilder {
         return candle;
     }
 
-    /**
-     * Rebuild all affected higher timeframes when M1 is updated
-     */
-    async rebuildAffectedTimeframes(symbol, m1Timestamp) {
-        const timeframes = ['M5', 'M15', 'M30', 'H1', 'H4', 'D1'];
-        
-        for (const tf of timeframes) {
-            const periodStart = this.getPeriodStart(new Date(m1Timestamp), tf);
-            await this.rebuildCandle(symbol, tf, periodStart);
-        }
-    }
-
     // =========================================================================
     // CANDLE AGGREGATION LOGIC
     // =========================================================================
@@ -223,6 +180,9 @@ class CandleBuilder {
         const lows = sourceCandles.map(c => parseFloat(c.low));
         const closes = sourceCandles.map(c => parseFloat(c.close));
         const volumes = sourceCandles.map(c => parseFloat(c.volume || 0));
+
+        // Spread at the period close: the last source candle that has one
+        const closing = [...sourceCandles].reverse().find(c => c.spread !== null && c.spread !== undefined);
         
         return {
             symbol,
@@ -233,6 +193,8 @@ class CandleBuilder {
             low: Math.min(...lows),
             close: closes[closes.length - 1],
             volume: volumes.reduce((a, b) => a + b, 0),
+            spread: closing ? parseFloat(closing.spread) : null,
+            source: 'aggregate',
             sourceCount: sourceCandles.length,
         };
     }
@@ -245,53 +207,17 @@ class CandleBuilder {
      * Get source candles for aggregation
      */
     async getSourceCandles(symbol, timeframe, from, to) {
-        const [rows] = await database.pool.execute(`
-            SELECT timestamp, open, high, low, close, volume
-            FROM pulse_market_data
-            WHERE symbol = ? AND timeframe = ?
-            AND timestamp >= ? AND timestamp < ?
-            ORDER BY timestamp ASC
-        `, [symbol, timeframe, from, to]);
-        
-        return rows;
+        return this.storage.getCandles(symbol, timeframe, from, to);
     }
 
     /**
      * Save candle to database (upsert)
+     * Bars from a higher-precedence source (e.g. a Dukascopy heal) are kept
      */
     async saveCandle(candle, forceUpdate = false) {
-        const query = forceUpdate ? `
-            INSERT INTO pulse_market_data 
-            (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-            ON DUPLICATE KEY UPDATE
-                open = VALUES(open),
-                high = VALUES(high),
-                low = VALUES(low),
-                close = VALUES(close),
-                volume = VALUES(volume)
-        ` : `
-            INSERT INTO pulse_market_data 
-            (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-            ON DUPLICATE KEY UPDATE
-                high = GREATEST(high, VALUES(high)),
-                low = LEAST(low, VALUES(low)),
-                close = VALUES(close),
-                volume = volume + VALUES(volume)
-        `;
-        
+        // forceUpdate replaces OHLCV; otherwise widen the stored candle
         try {
-            await database.pool.execute(query, [
-                candle.symbol,
-                candle.timeframe,
-                candle.timestamp,
-                candle.open,
-                candle.high,
-                candle.low,
-                candle.close,
-                candle.volume || 0
-            ]);
+            await this.storage.saveCandle(candle, { merge: !forceUpdate });
         } catch (error) {
             this.stats.errors++;
             throw error;
@@ -302,15 +228,7 @@ class CandleBuilder {
      * Get the latest candle for a symbol/timeframe
      */
     async getLatestCandle(symbol, timeframe) {
-        const [rows] = await database.pool.execute(`
-            SELECT timestamp, open, high, low, close, volume
-            FROM pulse_market_data
-            WHERE symbol = ? AND timeframe = ?
-            ORDER BY timestamp DESC
-            LIMIT 1
-        `, [symbol, timeframe]);
-        
-        return rows[0] || null;
+        return this.storage.getLatestCandle(symbol, timeframe);
     }
 
     // =========================================================================
@@ -360,15 +278,7 @@ class CandleBuilder {
      * Find incomplete candles (OHLC all same)
      */
     async findIncompleteCandles(symbol, timeframe, from, to) {
-        const [rows] = await database.pool.execute(`
-            SELECT id, timestamp, open, high, low, close
-            FROM pulse_market_data
-            WHERE symbol = ? AND timeframe = ?
-            AND timestamp BETWEEN ? AND ?
-            AND open = high AND high = low AND low = close
-        `, [symbol, timeframe, from, to]);
-        
-        return rows;
+        return this.storage.findIncompleteCandles(symbol, timeframe, from, to);
     }
 
     // =========================================================================
@@ -377,57 +287,23 @@ class CandleBuilder {
 
     /**
      * Get the start of a period for a given timeframe
+     * H4/D1 follow the day boundary; ny-close puts weekend bars in Monday
      */
     getPeriodStart(date, timeframe) {
-        const d = new Date(date);
-        d.setUTCSeconds(0, 0);
-        
-        switch (timeframe) {
-            case 'M1':
-                // Already at minute start
-                break;
-            case 'M5':
-                d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 5) * 5);
-                break;
-            case 'M15':
-                d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 15) * 15);
-                break;
-            case 'M30':
-                d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 30) * 30);
-                break;
-            case 'H1':
-                d.setUTCMinutes(0);
-                break;
-            case 'H4':
-                d.setUTCMinutes(0);
-                d.setUTCHours(Math.floor(d.getUTCHours() / 4) * 4);
-                break;
-            case 'D1':
-                d.setUTCMinutes(0);
-                d.setUTCHours(0);
-                break;
-        }
-        
-        return d;
+        return bucketStart(date, timeframe, this.dayBoundary);
     }
 
     /**
-     * Get expected candle count for aggregation
+     * Get the start of the period after the one starting at `periodStart`
      */
-    getExpectedCandleCount(sourceTimeframe, targetMinutes) {
-        const sourceMinutes = this.timeframeConfig[sourceTimeframe]?.minutes || 1;
-        return Math.floor(targetMinutes / sourceMinutes);
+    getNextPeriodStart(periodStart, timeframe) {
+        return nextBucketStart(periodStart, timeframe, this.dayBoundary);
     }
 
     // =========================================================================
     // UTILITIES
     // =========================================================================
 
-    getSymbolType(symbol) {
-        if (symbol.startsWith('XAU') || symbol.startsWith('XAG')) return 'metal';
-        return 'forex';
-    }
-
     getStats() {
         return { ...this.stats };
     }
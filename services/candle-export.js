@@ -0,0 +1,203 @@
+// =============================================================================
+// services/candle-export.js - Bulk Candle Export
+// =============================================================================
+//
+// Streams candles for a symbol set, timeframe and [from, to) range out of
+// storage.streamCandles, so a year of M1 never sits in memory:
+//   csv       the data/SYMBOL_TF.csv layout, one symbol per file, no header
+//             YYYY-MM-DD HH:MM,open,high,low,close,volume (UTC bar open)
+//   ndjson    one candle per line, spread in pips
+//   columnar  gzip'd, Parquet-style: a header line, then row groups of up
+//             to ROW_GROUP_SIZE candles holding one array per column, with
+//             bar times delta-encoded. decodeRowGroup() gives rows back.
+//
+// Used by GET /v1/export/candles and scripts/export-candles.js.
+// =============================================================================
+
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+const { storage: defaultStorage } = require('./storage');
+const { getSymbol, quoteSides } = require('../config/symbols');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    columnar: { contentType: 'application/gzip', extension: 'columnar.json.gz' },
+};
+
+const ROW_GROUP_SIZE = 10000;
+const COLUMNS = ['open', 'high', 'low', 'close', 'volume', 'spread'];
+
+// Lines per chunk handed to the stream (one write per candle is slow)
+const LINES_PER_CHUNK = 1000;
+
+class CandleExportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CandleExportError';
+    }
+}
+
+/**
+ * Start an export
+ * @returns {{stream: Readable, progress: {rows: number, symbol: string|null}}}
+ */
+function createCandleExport({ symbols, timeframe, from, to, format = 'csv', storage = defaultStorage }) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new CandleExportError(`Unknown format "${format}" (expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    if (format === 'csv' && symbols.length !== 1) {
+        throw new CandleExportError('CSV exports hold one symbol (the data/SYMBOL_TF.csv layout) - use ndjson or columnar for several');
+    }
+
+    const progress = { rows: 0, symbol: null };
+
+    async function* candles() {
+        for (const symbol of symbols) {
+            progress.symbol = symbol;
+            for await (const row of storage.streamCandles(symbol, timeframe, from, to)) {
+                progress.rows++;
+                yield toCandle(symbol, row);
+            }
+        }
+    }
+
+    const encoders = { csv: encodeCsv, ndjson: encodeNdjson, columnar: encodeColumnar };
+    const lines = Readable.from(chunked(encoders[format](candles(), timeframe)), { objectMode: false });
+
+    if (format !== 'columnar') {
+        return { stream: lines, progress };
+    }
+
+    const gzip = zlib.createGzip();
+    pipeline(lines, gzip, () => {});
+    return { stream: gzip, progress };
+}
+
+/**
+ * File name for an export: SYMBOL_TF.ext for one symbol (as in data/),
+ * candles_TF.ext for several
+ */
+function exportFileName(symbols, timeframe, format) {
+    const prefix = symbols.length === 1 ? symbols[0] : 'candles';
+    return `${prefix}_${timeframe}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// =============================================================================
+// ENCODERS
+// =============================================================================
+
+async function* encodeCsv(candles) {
+    for await (const c of candles) {
+        const time = c.timestamp.toISOString().slice(0, 16).replace('T', ' ');
+        yield `${time},${c.open},${c.high},${c.low},${c.close},${c.volume}\n`;
+    }
+}
+
+async function* encodeNdjson(candles, timeframe) {
+    for await (const c of candles) {
+        yield JSON.stringify({
+            symbol: c.symbol,
+            timeframe,
+            t: c.timestamp.getTime(),
+            o: c.open,
+            h: c.high,
+            l: c.low,
+            c: c.close,
+            v: c.volume,
+            spread: c.spread,
+        }) + '\n';
+    }
+}
+
+async function* encodeColumnar(candles, timeframe) {
+    yield JSON.stringify({
+        format: 'pulse-columnar',
+        version: 1,
+        timeframe,
+        columns: ['t', ...COLUMNS],
+        row_group_size: ROW_GROUP_SIZE,
+    }) + '\n';
+
+    let group = null;
+    let lastTime = null;
+    for await (const c of candles) {
+        if (group && (group.symbol !== c.symbol || group.rows === ROW_GROUP_SIZE)) {
+            yield JSON.stringify(group) + '\n';
+            group = null;
+        }
+        if (!group) {
+            group = { symbol: c.symbol, rows: 0, t0: c.timestamp.getTime(), dt: [] };
+            for (const column of COLUMNS) group[column] = [];
+        }
+
+        const t = c.timestamp.getTime();
+        group.dt.push(group.rows === 0 ? 0 : t - lastTime);
+        lastTime = t;
+        for (const column of COLUMNS) group[column].push(c[column]);
+        group.rows++;
+    }
+    if (group) yield JSON.stringify(group) + '\n';
+}
+
+/**
+ * Turn a columnar row group back into candles
+ */
+function decodeRowGroup(group) {
+    const rows = [];
+    let t = group.t0;
+
+    for (let i = 0; i < group.rows; i++) {
+        t += group.dt[i];
+        const row = { symbol: group.symbol, t };
+        for (const column of COLUMNS) row[column] = group[column][i];
+        rows.push(row);
+    }
+    return rows;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Storage row → candle with prices at the symbol's digits
+ */
+function toCandle(symbol, row) {
+    const digits = getSymbol(symbol)?.digits ?? 5;
+    const price = value => parseFloat(parseFloat(value).toFixed(digits));
+    const close = price(row.close);
+    const spread = row.spread === null || row.spread === undefined ? null : parseFloat(row.spread);
+
+    return {
+        symbol,
+        timestamp: new Date(row.timestamp),
+        open: price(row.open),
+        high: price(row.high),
+        low: price(row.low),
+        close,
+        volume: parseFloat(row.volume || 0),
+        spread: quoteSides(symbol, close, spread).spread,
+    };
+}
+
+async function* chunked(lines) {
+    let chunk = [];
+    for await (const line of lines) {
+        chunk.push(line);
+        if (chunk.length === LINES_PER_CHUNK) {
+            yield chunk.join('');
+            chunk = [];
+        }
+    }
+    if (chunk.length > 0) yield chunk.join('');
+}
+
+module.exports = {
+    createCandleExport,
+    exportFileName,
+    decodeRowGroup,
+    CandleExportError,
+    EXPORT_FORMATS,
+    ROW_GROUP_SIZE,
+};
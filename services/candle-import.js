@@ -0,0 +1,553 @@
+// =============================================================================
+// services/candle-import.js - Historical Candle Importer
+// =============================================================================
+//
+// Reads candle files line by line and writes them through the storage layer
+// (the shared pool), so imports no longer open their own MySQL connection.
+//
+// Input formats (IMPORT_FORMATS), each a column mapping plus date format:
+//   pulse      data/SYMBOL_TF.csv - 2009-11-25 00:00,o,h,l,c,volume (UTC)
+//   mt4        History Center export - 2024.01.02,00:00,o,h,l,c,volume
+//   mt5        tab-separated <DATE> <TIME> <OPEN> ... <TICKVOL> <VOL> <SPREAD>
+//              (spread in points)
+//   dukascopy  Gmt time,Open,High,Low,Close,Volume - 02.01.2024 00:00:00.000
+//   generic    pulse defaults; override delimiter, header, columns,
+//              dateFormat, timezone and spreadUnit
+// MetaTrader files are in broker server time - pass `timezone`
+// (e.g. Europe/Athens or +02:00) and bars are converted to UTC.
+//
+// Every row goes through CandleBuilder.validateCandle (plus bar alignment up
+// to H1). Broken rows are reported and never written; flat or tiny-range
+// bars are real in quiet markets, so like buildM1FromTicks we flag those and
+// keep them. Rows are merged by policy (MERGE_POLICIES):
+//   ignore     existing bars are kept, only missing bars are added
+//   fill       missing bars are added, existing incomplete (flat) bars repaired
+//   overwrite  imported bars replace existing ones
+// Imported bars are stored with source 'import'; an existing bar from a
+// higher-precedence source (CANDLE_SOURCE_PRECEDENCE) is always kept.
+// dryRun runs the whole comparison and returns the report without writing.
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { storage: defaultStorage } = require('./storage');
+const { canReplace } = require('./storage/source-precedence');
+const { CandleBuilder } = require('./candle-builder');
+const { getSymbol, toDisplaySymbol, toInternalSymbol } = require('../config/symbols');
+
+const PULSE_COLUMNS = { timestamp: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+
+const IMPORT_FORMATS = {
+    pulse: {
+        delimiter: ',', header: 'auto', columns: PULSE_COLUMNS,
+        dateFormat: 'YYYY-MM-DD HH:mm', timezone: 'UTC', spreadUnit: 'price',
+    },
+    mt4: {
+        delimiter: ',', header: false,
+        columns: { date: 0, time: 1, open: 2, high: 3, low: 4, close: 5, volume: 6 },
+        dateFormat: 'YYYY.MM.DD HH:mm', timezone: 'UTC', spreadUnit: 'price',
+    },
+    mt5: {
+        delimiter: '\t', header: true,
+        columns: {
+            date: '<DATE>', time: '<TIME>', open: '<OPEN>', high: '<HIGH>', low: '<LOW>', close: '<CLOSE>',
+            volume: '<TICKVOL>', spread: '<SPREAD>',
+        },
+        dateFormat: 'YYYY.MM.DD HH:mm:ss', timezone: 'UTC', spreadUnit: 'points',
+    },
+    dukascopy: {
+        delimiter: ',', header: true,
+        columns: { timestamp: 'Gmt time', open: 'Open', high: 'High', low: 'Low', close: 'Close', volume: 'Volume' },
+        dateFormat: 'DD.MM.YYYY HH:mm:ss.SSS', timezone: 'UTC', spreadUnit: 'price',
+    },
+    generic: {
+        delimiter: ',', header: 'auto', columns: PULSE_COLUMNS,
+        dateFormat: 'iso', timezone: 'UTC', spreadUnit: 'price',
+    },
+};
+
+const MERGE_POLICIES = ['ignore', 'fill', 'overwrite'];
+
+const SPREAD_UNITS = ['price', 'points', 'pips'];
+
+// Candles compared/written per storage round trip
+const BATCH_SIZE = 1000;
+
+// Examples kept per report section
+const SAMPLE_LIMIT = 10;
+
+// Bars up to H1 must start on their timeframe boundary; H4/D1 depend on
+// the broker's day boundary
+const ALIGNED_TIMEFRAMES = ['M1', 'M5', 'M15', 'M30', 'H1'];
+
+// validateCandle reasons that are reported but still imported
+const FLAG_ONLY_REASONS = ['identical OHLC (likely incomplete)', 'suspiciously small range'];
+
+class CandleImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CandleImportError';
+    }
+}
+
+class CandleImporter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - Storage adapter (defaults to STORAGE_DRIVER)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || defaultStorage;
+        this.builder = new CandleBuilder({ storage: this.storage });
+    }
+
+    /**
+     * Import one file
+     * @param {string} filePath
+     * @param {Object} options
+     * @param {string} options.symbol - defaults to the SYMBOL_TF file name
+     * @param {string} options.timeframe - defaults to the SYMBOL_TF file name
+     * @param {string} options.format - key of IMPORT_FORMATS (default: pulse)
+     * @param {Object} options.overrides - delimiter/header/columns/dateFormat/timezone/spreadUnit
+     * @param {string} options.policy - ignore | fill | overwrite (default: ignore)
+     * @param {boolean} options.dryRun - compare only, write nothing
+     * @returns {Object} report (see createReport)
+     */
+    async importFile(filePath, options = {}) {
+        const fromName = parseImportFileName(path.basename(filePath));
+        const symbol = toInternalSymbol(toDisplaySymbol((options.symbol || fromName.symbol || '').toUpperCase()));
+        const timeframe = (options.timeframe || fromName.timeframe || '').toUpperCase();
+        const policy = options.policy || 'ignore';
+        const dryRun = Boolean(options.dryRun);
+        const format = resolveFormat(options.format || 'pulse', options.overrides);
+
+        const symbolConfig = getSymbol(toDisplaySymbol(symbol));
+        if (!symbol || !symbolConfig) {
+            throw new CandleImportError(`Unknown symbol "${symbol || '(none)'}" - pass one, or add it through /admin/symbols first`);
+        }
+        if (!this.builder.timeframeConfig[timeframe]) {
+            throw new CandleImportError(`Invalid timeframe "${timeframe || '(none)'}" (expected one of: ${Object.keys(this.builder.timeframeConfig).join(', ')})`);
+        }
+        if (!MERGE_POLICIES.includes(policy)) {
+            throw new CandleImportError(`Invalid policy "${policy}" (expected one of: ${MERGE_POLICIES.join(', ')})`);
+        }
+
+        const report = createReport({ file: filePath, symbol, timeframe, format: options.format || 'pulse', policy, dryRun });
+        const context = { symbol, timeframe, symbolConfig, format, policy, dryRun, report };
+
+        const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+        let columns = null;
+        let lineNumber = 0;
+        let batch = new Map();
+
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            const cells = line.split(format.delimiter).map(cell => cell.trim());
+
+            if (!columns) {
+                const header = format.header === 'auto' ? cells.every(cell => isNaN(parseFloat(cell))) : format.header;
+                columns = resolveColumns(format.columns, header ? cells : null);
+                if (header) continue;
+            }
+
+            report.rows++;
+            const parsed = this.parseRow(cells, columns, context);
+
+            if (parsed.error) {
+                recordInvalid(report, lineNumber, parsed.error, line);
+                continue;
+            }
+
+            if (parsed.flag) {
+                report.flagged++;
+                report.flags[parsed.flag] = (report.flags[parsed.flag] || 0) + 1;
+            }
+
+            // Later rows for the same bar win
+            batch.set(parsed.candle.timestamp.getTime(), parsed.candle);
+            if (batch.size >= BATCH_SIZE) {
+                await this.applyBatch([...batch.values()], context);
+                batch = new Map();
+            }
+        }
+
+        if (batch.size > 0) {
+            await this.applyBatch([...batch.values()], context);
+        }
+
+        return report;
+    }
+
+    /**
+     * Cells → { candle, flag } or { error }
+     */
+    parseRow(cells, columns, { symbol, timeframe, symbolConfig, format }) {
+        const value = field => columns[field] === undefined ? undefined : cells[columns[field]];
+
+        const timeText = columns.timestamp !== undefined
+            ? value('timestamp')
+            : [value('date'), value('time')].filter(Boolean).join(' ');
+        const timestamp = parseTimestamp(timeText, format.dateFormat, format.timezone);
+        if (!timestamp) {
+            return { error: `unparseable time "${timeText}"` };
+        }
+
+        const candle = {
+            symbol,
+            timeframe,
+            timestamp,
+            open: parseFloat(value('open')),
+            high: parseFloat(value('high')),
+            low: parseFloat(value('low')),
+            close: parseFloat(value('close')),
+            volume: parseFloat(value('volume')) || 0,
+            spread: toPriceSpread(parseFloat(value('spread')), format.spreadUnit, symbolConfig),
+            source: 'import',
+        };
+
+        if ([candle.open, candle.high, candle.low, candle.close].some(isNaN)) {
+            return { error: 'missing or non-numeric price' };
+        }
+
+        const minutes = this.builder.timeframeConfig[timeframe].minutes;
+        if (ALIGNED_TIMEFRAMES.includes(timeframe) && timestamp.getTime() % (minutes * 60000) !== 0) {
+            return { error: `not aligned to ${timeframe}` };
+        }
+
+        const validation = this.builder.validateCandle(candle);
+        if (!validation.valid && !FLAG_ONLY_REASONS.includes(validation.reason)) {
+            return { error: validation.reason };
+        }
+
+        return { candle, flag: validation.valid ? null : validation.reason };
+    }
+
+    /**
+     * Compare a batch with what is stored, apply the policy and (unless
+     * dry-running) write inserts and updates
+     */
+    async applyBatch(candles, { symbol, timeframe, policy, dryRun, report }) {
+        candles.sort((a, b) => a.timestamp - b.timestamp);
+        const first = candles[0].timestamp;
+        const last = candles[candles.length - 1].timestamp;
+
+        const existing = new Map();
+        const rows = await this.storage.getCandles(symbol, timeframe, first, new Date(last.getTime() + 1), { provenance: true });
+        for (const row of rows) {
+            existing.set(new Date(row.timestamp).getTime(), row);
+        }
+
+        const inserts = [];
+        const updates = [];
+
+        for (const candle of candles) {
+            const current = existing.get(candle.timestamp.getTime());
+
+            if (!current) {
+                inserts.push(candle);
+            } else if (sameCandle(current, candle)) {
+                report.unchanged++;
+            } else if (canReplace(current.source, candle.source) &&
+                (policy === 'overwrite' || (policy === 'fill' && isIncomplete(current)))) {
+                updates.push(candle);
+                if (report.samples.update.length < SAMPLE_LIMIT) {
+                    report.samples.update.push({ timestamp: candle.timestamp, before: toOhlcv(current), after: toOhlcv(candle) });
+                }
+            } else {
+                report.kept++;
+            }
+        }
+
+        report.insert += inserts.length;
+        report.update += updates.length;
+        for (const candle of inserts.slice(0, SAMPLE_LIMIT - report.samples.insert.length)) {
+            report.samples.insert.push({ timestamp: candle.timestamp, after: toOhlcv(candle) });
+        }
+        if (!report.range.from || first < report.range.from) report.range.from = first;
+        if (!report.range.to || last > report.range.to) report.range.to = last;
+
+        if (dryRun) return;
+
+        if (inserts.length > 0) {
+            await this.storage.insertCandles(inserts);
+        }
+        for (const candle of updates) {
+            await this.storage.saveCandle(candle);
+        }
+    }
+}
+
+// =============================================================================
+// FORMATS
+// =============================================================================
+
+/**
+ * A format preset with caller overrides applied
+ */
+function resolveFormat(name, overrides = {}) {
+    const preset = IMPORT_FORMATS[name];
+    if (!preset) {
+        throw new CandleImportError(`Unknown format "${name}" (expected one of: ${Object.keys(IMPORT_FORMATS).join(', ')})`);
+    }
+
+    const defined = Object.fromEntries(Object.entries(overrides || {}).filter(([, value]) => value !== undefined));
+    const format = { ...preset, ...defined };
+
+    if (!SPREAD_UNITS.includes(format.spreadUnit)) {
+        throw new CandleImportError(`Invalid spreadUnit "${format.spreadUnit}" (expected one of: ${SPREAD_UNITS.join(', ')})`);
+    }
+    zoneOffset(0, format.timezone); // throws on an unknown zone
+    return format;
+}
+
+/**
+ * Column spec (field → index or header name) → field → index
+ */
+function resolveColumns(spec, header) {
+    const columns = {};
+
+    for (const [field, column] of Object.entries(spec)) {
+        if (typeof column === 'number') {
+            columns[field] = column;
+            continue;
+        }
+        if (!header) {
+            throw new CandleImportError(`Column "${column}" for ${field} needs a header row`);
+        }
+
+        const index = header.findIndex(name => name.toLowerCase() === String(column).toLowerCase());
+        // Optional columns (e.g. <TIME> on MT5 daily exports) may be absent
+        if (index !== -1) columns[field] = index;
+    }
+
+    const missing = ['open', 'high', 'low', 'close'].filter(field => columns[field] === undefined);
+    if (columns.timestamp === undefined && columns.date === undefined) missing.unshift('timestamp or date');
+    if (missing.length > 0) {
+        throw new CandleImportError(`Missing column(s): ${missing.join(', ')}`);
+    }
+
+    return columns;
+}
+
+/**
+ * "EURUSD_M1.csv" / "EURUSD-H1.csv" / "EURUSDD1.csv" → { symbol, timeframe }
+ */
+function parseImportFileName(fileName) {
+    const base = fileName.replace(/\.[^.]+$/, '');
+    const match = base.match(/^(.+?)[_-]?(M1|M5|M15|M30|H1|H4|D1)$/i);
+    return match
+        ? { symbol: match[1].toUpperCase(), timeframe: match[2].toUpperCase() }
+        : { symbol: null, timeframe: null };
+}
+
+// =============================================================================
+// TIME PARSING
+// =============================================================================
+
+const DATE_TOKENS = {
+    YYYY: { pattern: '(\\d{4})', field: 'year' },
+    MM: { pattern: '(\\d{1,2})', field: 'month' },
+    DD: { pattern: '(\\d{1,2})', field: 'day' },
+    HH: { pattern: '(\\d{1,2})', field: 'hour' },
+    mm: { pattern: '(\\d{2})', field: 'minute' },
+    ss: { pattern: '(\\d{2})', field: 'second' },
+    SSS: { pattern: '(\\d{1,3})', field: 'millisecond' },
+};
+
+// Zone-less ISO 8601: date, optionally time with seconds and fraction
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/;
+const ISO_FIELDS = ['year', 'month', 'day', 'hour', 'minute', 'second', 'millisecond'];
+
+const patternCache = new Map();
+
+/**
+ * Date format (YYYY MM DD HH mm ss SSS, or iso / unix / unix_ms) → matchers.
+ * The time part is optional so daily exports without a time column parse.
+ */
+function compilePattern(dateFormat) {
+    if (patternCache.has(dateFormat)) return patternCache.get(dateFormat);
+
+    const fields = [];
+    let source = '';
+    let optionalFrom = null;
+
+    for (const part of dateFormat.split(/(YYYY|SSS|MM|DD|HH|mm|ss)/)) {
+        const token = DATE_TOKENS[part];
+        if (!token) {
+            source += part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            continue;
+        }
+        if (token.field === 'hour' && optionalFrom === null) optionalFrom = source.trimEnd().length;
+        fields.push(token.field);
+        source += token.pattern;
+    }
+
+    if (optionalFrom !== null) {
+        source = `${source.slice(0, optionalFrom)}(?:${source.slice(optionalFrom)})?`;
+    }
+
+    const compiled = { regex: new RegExp(`^${source}$`), fields };
+    patternCache.set(dateFormat, compiled);
+    return compiled;
+}
+
+/**
+ * Parse a time cell in `timeZone` (UTC, +02:00, or an IANA zone)
+ * Returns a UTC Date, or null
+ */
+function parseTimestamp(text, dateFormat, timeZone = 'UTC') {
+    if (!text) return null;
+
+    if (dateFormat === 'unix' || dateFormat === 'unix_ms') {
+        const value = Number(text);
+        if (!Number.isFinite(value)) return null;
+        return new Date(dateFormat === 'unix' ? value * 1000 : value);
+    }
+
+    let regex = ISO_PATTERN;
+    let fields = ISO_FIELDS;
+
+    if (dateFormat === 'iso') {
+        // An explicit offset wins over the configured zone
+        if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+            const date = new Date(text);
+            return isNaN(date.getTime()) ? null : date;
+        }
+    } else {
+        ({ regex, fields } = compilePattern(dateFormat));
+    }
+
+    const match = regex.exec(text);
+    if (!match) return null;
+
+    const parts = { year: 0, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0 };
+    fields.forEach((field, i) => {
+        if (match[i + 1] !== undefined) parts[field] = parseInt(match[i + 1], 10);
+    });
+    if (parts.month < 1 || parts.month > 12 || parts.day < 1 || parts.day > 31 || parts.hour > 23) {
+        return null;
+    }
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+
+    // Offset at the guess, then again at the result in case a DST switch
+    // lies between the two
+    let utc = wallClock - zoneOffset(wallClock, timeZone);
+    utc = wallClock - zoneOffset(utc, timeZone);
+    return new Date(utc);
+}
+
+const zoneFormatters = new Map();
+
+/**
+ * Offset of `timeZone` from UTC at instant `ms`, in milliseconds
+ */
+function zoneOffset(ms, timeZone) {
+    if (!timeZone || timeZone === 'UTC') return 0;
+
+    const fixed = /^([+-])(\d{2}):?(\d{2})$/.exec(timeZone);
+    if (fixed) {
+        const minutes = parseInt(fixed[2], 10) * 60 + parseInt(fixed[3], 10);
+        return (fixed[1] === '-' ? -1 : 1) * minutes * 60000;
+    }
+
+    let formatter = zoneFormatters.get(timeZone);
+    if (!formatter) {
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit',
+            });
+        } catch (error) {
+            throw new CandleImportError(`Unknown timezone "${timeZone}" (use UTC, +02:00 or an IANA name)`);
+        }
+        zoneFormatters.set(timeZone, formatter);
+    }
+
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(new Date(ms))) parts[type] = parseInt(value, 10);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function toPriceSpread(value, unit, symbolConfig) {
+    if (isNaN(value) || value < 0) return null;
+    if (unit === 'points') return parseFloat((value * Math.pow(10, -symbolConfig.digits)).toFixed(8));
+    if (unit === 'pips') return parseFloat((value * symbolConfig.pipSize).toFixed(8));
+    return value;
+}
+
+function isIncomplete(row) {
+    const open = parseFloat(row.open);
+    return open === parseFloat(row.high) && open === parseFloat(row.low) && open === parseFloat(row.close);
+}
+
+function sameCandle(row, candle) {
+    const fields = ['open', 'high', 'low', 'close', 'volume'];
+    if (candle.spread !== null) fields.push('spread');
+
+    return fields.every(field => Math.abs(parseFloat(row[field] ?? 0) - candle[field]) < 1e-9);
+}
+
+function toOhlcv(row) {
+    return {
+        open: parseFloat(row.open),
+        high: parseFloat(row.high),
+        low: parseFloat(row.low),
+        close: parseFloat(row.close),
+        volume: parseFloat(row.volume || 0),
+    };
+}
+
+/**
+ * Counters and examples for one file
+ *   rows       data lines read (header excluded)
+ *   invalid    rows rejected by parsing or validation (by reason in `reasons`)
+ *   flagged    rows imported despite a soft validation failure (in `flags`)
+ *   insert     bars that did not exist
+ *   update     existing bars replaced under the policy
+ *   unchanged  existing bars identical to the file
+ *   kept       existing bars that differ but the policy preserved
+ */
+function createReport(fields) {
+    return {
+        ...fields,
+        rows: 0,
+        invalid: 0,
+        flagged: 0,
+        insert: 0,
+        update: 0,
+        unchanged: 0,
+        kept: 0,
+        range: { from: null, to: null },
+        reasons: {},
+        flags: {},
+        samples: { invalid: [], insert: [], update: [] },
+    };
+}
+
+function recordInvalid(report, line, reason, text) {
+    report.invalid++;
+    // Group "unparseable time ..." style reasons by their prefix
+    const key = reason.replace(/ ".*"$/, '');
+    report.reasons[key] = (report.reasons[key] || 0) + 1;
+    if (report.samples.invalid.length < SAMPLE_LIMIT) {
+        report.samples.invalid.push({ line, reason, text });
+    }
+}
+
+module.exports = {
+    CandleImporter,
+    CandleImportError,
+    IMPORT_FORMATS,
+    MERGE_POLICIES,
+    parseImportFileName,
+    parseTimestamp,
+};
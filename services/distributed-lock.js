@@ -0,0 +1,128 @@
+// =============================================================================
+// services/distributed-lock.js - Named Locks Shared Across Instances
+// =============================================================================
+//
+// Leases in pulse_locks (any storage driver; memory = this process only):
+//   acquire()   take a free or expired lock, for ttlMs
+//   withLock()  run fn under the lock, renewing it until fn settles; with
+//               holdMs the lock stays taken that long after it was acquired,
+//               so the same cron job on another replica skips that run
+//
+// Lock names in use:
+//   heal:recent:primary / heal:recent:secondary   one recent-bar heal per tier
+//   heal:daily-verification                        smart-healing-engine.js nightly check
+//   engine:<job>                                   cluster-wide engine cron jobs (incl. rollups)
+//   candles:<SYMBOL>                               M1 writes + rebuilds of a symbol
+// =============================================================================
+
+const os = require('os');
+const crypto = require('crypto');
+const { storage: defaultStorage } = require('./storage');
+
+const DEFAULT_TTL_MS = 2 * 60 * 1000;
+const POLL_MS = 1000;
+
+// How long a candle write waits for another instance writing the same symbol
+const CANDLE_LOCK_WAIT_MS = 30 * 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class DistributedLock {
+    constructor(options = {}) {
+        this.storage = options.storage || defaultStorage;
+        this.owner = options.owner || `${os.hostname()}:${process.pid}`;
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Take `name` for ttlMs → lease ({name, token, acquiredAt}) or null when
+     * another holder has it; waitMs keeps retrying that long
+     */
+    async acquire(name, { ttlMs = DEFAULT_TTL_MS, waitMs = 0 } = {}) {
+        const deadline = Date.now() + waitMs;
+
+        for (;;) {
+            const now = this.now();
+            const token = crypto.randomUUID();
+            const acquired = await this.storage.acquireLock({
+                name,
+                owner: this.owner,
+                token,
+                now,
+                expiresAt: new Date(now.getTime() + ttlMs),
+            });
+
+            if (acquired) return { name, token, acquiredAt: now };
+            if (Date.now() + POLL_MS > deadline) return null;
+            await sleep(POLL_MS);
+        }
+    }
+
+    renew(lease, ttlMs = DEFAULT_TTL_MS) {
+        return this.storage.renewLock(lease.name, lease.token, new Date(this.now().getTime() + ttlMs));
+    }
+
+    /**
+     * Give the lock up, or keep it until holdUntil when that is still ahead
+     */
+    async release(lease, { holdUntil = null } = {}) {
+        if (holdUntil && holdUntil.getTime() > this.now().getTime()) {
+            return this.storage.renewLock(lease.name, lease.token, holdUntil);
+        }
+        return this.storage.releaseLock(lease.name, lease.token);
+    }
+
+    /**
+     * Run fn(lease) holding `name` → { acquired, result }; fn does not run
+     * when the lock can't be had. Renewed every ttlMs / 3 while fn runs.
+     */
+    async withLock(name, fn, { ttlMs = DEFAULT_TTL_MS, waitMs = 0, holdMs = 0 } = {}) {
+        const lease = await this.acquire(name, { ttlMs, waitMs });
+        if (!lease) return { acquired: false };
+
+        const heartbeat = setInterval(() => {
+            this.renew(lease, ttlMs)
+                .then(held => {
+                    if (!held) console.warn(`⚠️ Lock ${name}: lost to another holder`);
+                })
+                .catch(error => console.error(`❌ Lock ${name}: renewal failed:`, error.message));
+        }, Math.max(POLL_MS, Math.floor(ttlMs / 3)));
+        heartbeat.unref();
+
+        try {
+            return { acquired: true, result: await fn(lease) };
+        } finally {
+            clearInterval(heartbeat);
+            const holdUntil = holdMs ? new Date(lease.acquiredAt.getTime() + holdMs) : null;
+            await this.release(lease, { holdUntil }).catch(error =>
+                console.error(`❌ Lock ${name}: release failed:`, error.message)
+            );
+        }
+    }
+
+    /**
+     * Run a write to `symbol`'s candles (upsert + prune, rebuilds) under
+     * candles:<SYMBOL> → fn's result; throws when another instance keeps
+     * the symbol locked past waitMs
+     */
+    async withCandleLock(symbol, fn, { waitMs = CANDLE_LOCK_WAIT_MS } = {}) {
+        const { acquired, result } = await this.withLock(`candles:${symbol}`, fn, { waitMs });
+        if (!acquired) {
+            throw new Error(`${symbol} candles are locked by another instance`);
+        }
+        return result;
+    }
+
+    list() {
+        return this.storage.listLocks(this.now());
+    }
+}
+
+const locks = new DistributedLock();
+
+module.exports = {
+    DistributedLock,
+    locks,
+};
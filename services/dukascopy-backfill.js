@@ -1,34 +1,39 @@
 // =============================================================================
-// services/dukascopy-backfill.js - Dukascopy Backfill (DELETE + INSERT)
+// services/dukascopy-backfill.js - Dukascopy Backfill (UPSERT + PRUNE)
 // =============================================================================
 //
-// Uses DELETE + INSERT instead of ON DUPLICATE KEY UPDATE for reliability
+// Fetched bars are upserted and bars the provider no longer has in that
+// range are deleted, together with the rebuild of the higher timeframes
+// built from them (M1 → M5 ... D1, H1 → H4/D1), in one storage
+// transaction per chunk (storage.replaceCandles). Both respect source
+// precedence: a bar from a higher-ranked source (e.g. a CSV import) is
+// neither replaced nor pruned.
+// Writes hold the symbol's candles:<SYMBOL> lock, so replicas healing the
+// same symbol take turns (services/distributed-lock.js).
+// Provider H4/D1 bars are cut on UTC midnight, so they are only fetched
+// while CANDLE_DAY_BOUNDARY is utc; otherwise they are rolled up from H1.
 // =============================================================================
 
-const { getHistoricalRates } = require('dukascopy-node');
-const database = require('../database');
+const { config: CONFIG } = require('../config');
+const { storage } = require('./storage');
+const { registry } = require('./providers/registry');
+const { locks } = require('./distributed-lock');
+const { DUKASCOPY_INSTRUMENTS, TIMEFRAME_MAP } = require('./providers/dukascopy-provider');
 
-const DUKASCOPY_INSTRUMENTS = {
-    'EURUSD': 'eurusd', 'GBPUSD': 'gbpusd', 'USDJPY': 'usdjpy',
-    'USDCHF': 'usdchf', 'AUDUSD': 'audusd', 'USDCAD': 'usdcad',
-    'NZDUSD': 'nzdusd', 'EURGBP': 'eurgbp', 'EURJPY': 'eurjpy',
-    'GBPJPY': 'gbpjpy', 'EURCHF': 'eurchf', 'GBPCHF': 'gbpchf',
-    'AUDJPY': 'audjpy', 'EURAUD': 'euraud', 'EURCAD': 'eurcad',
-    'GBPAUD': 'gbpaud', 'GBPCAD': 'gbpcad', 'AUDCAD': 'audcad',
-    'AUDNZD': 'audnzd', 'NZDJPY': 'nzdjpy', 'CADJPY': 'cadjpy',
-    'XAUUSD': 'xauusd', 'XAGUSD': 'xagusd',
-};
+class DukascopyBackfill {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - Storage adapter (defaults to STORAGE_DRIVER)
+     * @param {Object} options.provider - Historical provider (defaults to HISTORICAL_PROVIDER)
+     * @param {Object} options.locks - DistributedLock for per-symbol writes
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || storage;
+        this.locks = options.locks || locks;
 
-const TIMEFRAME_MAP = {
-    'M1': 'm1', 'M5': 'm5', 'M15': 'm15', 'M30': 'm30',
-    'H1': 'h1', 'H4': 'h4', 'D1': 'd1',
-};
+        // Requests are paced by the shared provider (HISTORICAL_PROVIDER=mock for offline runs)
+        this.provider = options.provider || registry.getHistoricalProvider();
 
-class DukascopyBackfill {
-    constructor() {
-        this.lastRequestTime = 0;
-        this.minRequestInterval = 2000;
-        
         this.chunkSizes = {
             'M1': 1, 'M5': 7, 'M15': 14, 'M30': 30,
             'H1': 60, 'H4': 180, 'D1': 365,
@@ -44,41 +49,45 @@ class DukascopyBackfill {
     }
 
     // =========================================================================
-    // MAIN BACKFILL - DELETE + INSERT
+    // MAIN BACKFILL - UPSERT + PRUNE
     // =========================================================================
 
-    async fetchAndSave(symbol, timeframe, from, to) {
-        const instrument = DUKASCOPY_INSTRUMENTS[symbol];
-        if (!instrument) throw new Error(`Unknown symbol: ${symbol}`);
-        
-        const tf = TIMEFRAME_MAP[timeframe];
-        if (!tf) throw new Error(`Unknown timeframe: ${timeframe}`);
+    /**
+     * Fetch [from, to) chunk by chunk and replace each, with the higher
+     * timeframes built from it. A failed chunk is logged and left
+     * as it was; with throwOnError (backfill jobs) the call then fails so
+     * the job is retried.
+     */
+    async fetchAndSave(symbol, timeframe, from, to, { throwOnError = false } = {}) {
+        if (!this.provider.supportsSymbol(symbol)) throw new Error(`Unknown symbol: ${symbol}`);
+        if (!this.provider.supportsTimeframe(timeframe)) throw new Error(`Unknown timeframe: ${timeframe}`);
+        if (['H4', 'D1'].includes(timeframe) && CONFIG.candles.dayBoundary !== 'utc') {
+            throw new Error(`${timeframe} follows the ${CONFIG.candles.dayBoundary} day boundary - backfill H1 or M1 instead`);
+        }
         
         console.log(`📥 Backfilling ${symbol} ${timeframe}: ${from.toISOString().split('T')[0]} to ${to.toISOString().split('T')[0]}`);
         
         const chunks = this.splitIntoChunks(from, to, timeframe);
+        const failures = [];
         let totalInserted = 0;
         
         for (const chunk of chunks) {
             try {
-                await this.rateLimit();
-                
                 // 1. Fetch from Dukascopy
                 const candles = await this.fetchCandles(symbol, timeframe, chunk.from, chunk.to);
                 
                 if (candles.length > 0) {
-                    // 2. DELETE existing candles in this range
-                    const deleted = await this.deleteRange(symbol, timeframe, chunk.from, chunk.to);
-                    
-                    // 3. INSERT fresh candles
-                    const inserted = await this.insertCandles(candles);
-                    totalInserted += inserted;
+                    // 2. UPSERT fresh candles, DELETE stale ones the provider
+                    //    doesn't have, rebuild higher TFs - all or nothing
+                    const { written, pruned } = await this.replaceRange(symbol, timeframe, chunk.from, chunk.to, candles);
+                    totalInserted += written;
                     
-                    console.log(`   ✅ Chunk ${chunk.from.toISOString().split('T')[0]}: deleted ${deleted}, inserted ${inserted}`);
+                    console.log(`   ✅ Chunk ${chunk.from.toISOString().split('T')[0]}: written ${written}, pruned ${pruned}`);
                 }
                 
             } catch (error) {
                 this.stats.errors++;
+                failures.push(error.message);
                 console.error(`   ❌ Chunk error: ${error.message}`);
                 
                 if (error.message.includes('rate limit')) {
@@ -87,32 +96,33 @@ class DukascopyBackfill {
             }
         }
         
-        // Rebuild higher timeframes
-        if (totalInserted > 0 && timeframe === 'M1') {
-            await this.rebuildHigherTimeframes(symbol, from, to);
+        if (throwOnError && failures.length > 0) {
+            throw new Error(`${failures.length} of ${chunks.length} chunk(s) failed: ${failures[0]}`);
         }
         
         return totalInserted;
     }
 
     // =========================================================================
-    // DELETE EXISTING CANDLES
+    // REPLACE A RANGE
     // =========================================================================
 
-    async deleteRange(symbol, timeframe, from, to) {
-        try {
-            const [result] = await database.pool.execute(`
-                DELETE FROM pulse_market_data
-                WHERE symbol = ? AND timeframe = ?
-                AND timestamp >= ? AND timestamp < ?
-            `, [symbol, timeframe, from, to]);
-            
-            this.stats.candlesDeleted += result.affectedRows;
-            return result.affectedRows;
-        } catch (error) {
-            console.error(`Delete error: ${error.message}`);
-            return 0;
-        }
+    /**
+     * Upsert `fresh` and delete bars in [from, to) that aren't in it and that
+     * the provider may replace, in one transaction under the symbol's candle
+     * lock, rebuilding the higher-timeframe buckets built from them
+     */
+    async replaceRange(symbol, timeframe, from, to, fresh) {
+        const result = await this.locks.withCandleLock(symbol, () =>
+            this.storage.replaceCandles(symbol, timeframe, from, to, fresh, {
+                prune: this.provider.name,
+                rollup: true,
+            })
+        );
+        
+        this.stats.candlesInserted += result.written;
+        this.stats.candlesDeleted += result.pruned;
+        return result;
     }
 
     // =========================================================================
@@ -120,94 +130,18 @@ class DukascopyBackfill {
     // =========================================================================
 
     async fetchCandles(symbol, timeframe, from, to) {
-        const instrument = DUKASCOPY_INSTRUMENTS[symbol];
-        const tf = TIMEFRAME_MAP[timeframe];
-        
         this.stats.requestsMade++;
         
         try {
-            const data = await getHistoricalRates({
-                instrument,
-                dates: { from, to },
-                timeframe: tf,
-                format: 'json',
-                priceType: 'bid',
-                volumes: true,
-            });
-            
-            this.stats.candlesFetched += data.length;
-            
-            return data.map(candle => ({
-                symbol,
-                timeframe,
-                timestamp: new Date(candle.timestamp),
-                open: candle.open,
-                high: candle.high,
-                low: candle.low,
-                close: candle.close,
-                volume: candle.volume || 0,
-            }));
-            
+            const candles = await this.provider.fetchCandles(symbol, timeframe, from, to);
+            this.stats.candlesFetched += candles.length;
+            return candles;
         } catch (error) {
             console.error(`❌ Dukascopy fetch error: ${error.message}`);
             throw error;
         }
     }
 
-    // =========================================================================
-    // INSERT FRESH CANDLES (plain INSERT, not upsert)
-    // =========================================================================
-
-    async insertCandles(candles) {
-        if (candles.length === 0) return 0;
-        
-        const batchSize = 500;
-        let inserted = 0;
-        
-        for (let i = 0; i < candles.length; i += batchSize) {
-            const batch = candles.slice(i, i + batchSize);
-            
-            const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, 0)').join(',');
-            const values = batch.flatMap(c => [
-                c.symbol, c.timeframe, c.timestamp,
-                c.open, c.high, c.low, c.close, c.volume
-            ]);
-            
-            try {
-                // Plain INSERT - we already deleted, so no duplicates
-                const [result] = await database.pool.execute(`
-                    INSERT INTO pulse_market_data 
-                    (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                    VALUES ${placeholders}
-                `, values);
-                
-                inserted += result.affectedRows;
-                
-            } catch (error) {
-                // If batch fails (unlikely), try individual inserts
-                if (error.code === 'ER_DUP_ENTRY') {
-                    for (const c of batch) {
-                        try {
-                            await database.pool.execute(`
-                                REPLACE INTO pulse_market_data 
-                                (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-                            `, [c.symbol, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume]);
-                            inserted++;
-                        } catch (e) {
-                            // Skip
-                        }
-                    }
-                } else {
-                    console.error('Insert error:', error.message);
-                }
-            }
-        }
-        
-        this.stats.candlesInserted += inserted;
-        return inserted;
-    }
-
     // =========================================================================
     // FIX INCOMPLETE CANDLES SPECIFICALLY
     // =========================================================================
@@ -219,14 +153,7 @@ class DukascopyBackfill {
         console.log(`🔧 Fixing incomplete ${symbol} ${timeframe} candles...`);
         
         // 1. Find incomplete candles
-        const [incomplete] = await database.pool.execute(`
-            SELECT id, timestamp
-            FROM pulse_market_data
-            WHERE symbol = ? AND timeframe = ?
-            AND timestamp >= ? AND timestamp < ?
-            AND open = high AND high = low AND low = close
-            ORDER BY timestamp
-        `, [symbol, timeframe, from, to]);
+        const incomplete = await this.storage.findIncompleteCandles(symbol, timeframe, from, to);
         
         if (incomplete.length === 0) {
             console.log(`   ✅ No incomplete candles found`);
@@ -245,19 +172,14 @@ class DukascopyBackfill {
         
         let totalFixed = 0;
         
-        // 3. For each range, DELETE and re-fetch
+        // 3. For each range, re-fetch and replace
         for (const range of ranges) {
-            await this.rateLimit();
-            
             // Fetch fresh data
             const candles = await this.fetchCandles(symbol, timeframe, range.from, range.to);
             
             if (candles.length > 0) {
-                // Delete the bad candles in this range
-                await this.deleteRange(symbol, timeframe, range.from, range.to);
-                
-                // Insert fresh candles
-                const inserted = await this.insertCandles(candles);
+                // Replace the bad candles, dropping those the provider has no bar for
+                const { written: inserted } = await this.replaceRange(symbol, timeframe, range.from, range.to, candles);
                 totalFixed += inserted;
                 
                 console.log(`   ✅ Range ${range.from.toISOString().slice(0,16)}: fixed ${inserted} candles`);
@@ -307,86 +229,24 @@ class DukascopyBackfill {
     // REBUILD HIGHER TIMEFRAMES
     // =========================================================================
 
+    /**
+     * Rebuild M5 ... D1 over [from, to) from the stored M1, a day per
+     * transaction
+     */
     async rebuildHigherTimeframes(symbol, from, to) {
         console.log(`   🔄 Rebuilding higher timeframes...`);
         
-        const timeframes = ['M5', 'M15', 'M30', 'H1', 'H4', 'D1'];
+        const dayMs = 24 * 60 * 60 * 1000;
+        let rebuilt = 0;
         
-        for (const tf of timeframes) {
-            try {
-                // Get M1 candles in range
-                const [m1Candles] = await database.pool.execute(`
-                    SELECT timestamp, open, high, low, close, volume
-                    FROM pulse_market_data
-                    WHERE symbol = ? AND timeframe = 'M1'
-                    AND timestamp >= ? AND timestamp < ?
-                    ORDER BY timestamp
-                `, [symbol, from, to]);
-                
-                if (m1Candles.length === 0) continue;
-                
-                // Group by period
-                const grouped = this.groupCandlesByPeriod(m1Candles, tf);
-                
-                // Delete and re-insert each period
-                for (const [periodKey, candles] of grouped) {
-                    const periodStart = new Date(parseInt(periodKey));
-                    const aggregated = this.aggregateCandles(candles);
-                    
-                    if (aggregated) {
-                        // Delete existing
-                        await database.pool.execute(`
-                            DELETE FROM pulse_market_data
-                            WHERE symbol = ? AND timeframe = ? AND timestamp = ?
-                        `, [symbol, tf, periodStart]);
-                        
-                        // Insert new
-                        await database.pool.execute(`
-                            INSERT INTO pulse_market_data
-                            (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-                        `, [symbol, tf, periodStart, aggregated.open, aggregated.high, 
-                            aggregated.low, aggregated.close, aggregated.volume]);
-                    }
-                }
-                
-            } catch (error) {
-                console.error(`   ❌ Rebuild ${tf} error: ${error.message}`);
-            }
+        for (let start = from.getTime(); start < to.getTime(); start += dayMs) {
+            const end = new Date(Math.min(start + dayMs, to.getTime()));
+            rebuilt += await this.locks.withCandleLock(symbol, () =>
+                this.storage.rebuildRollups(symbol, new Date(start), end)
+            );
         }
-    }
-
-    groupCandlesByPeriod(candles, timeframe) {
-        const tfMinutes = { M5: 5, M15: 15, M30: 30, H1: 60, H4: 240, D1: 1440 };
-        const periodMs = (tfMinutes[timeframe] || 60) * 60 * 1000;
-        
-        const grouped = new Map();
         
-        for (const candle of candles) {
-            const ts = new Date(candle.timestamp).getTime();
-            const periodStart = Math.floor(ts / periodMs) * periodMs;
-            
-            if (!grouped.has(periodStart.toString())) {
-                grouped.set(periodStart.toString(), []);
-            }
-            grouped.get(periodStart.toString()).push(candle);
-        }
-        
-        return grouped;
-    }
-
-    aggregateCandles(candles) {
-        if (candles.length === 0) return null;
-        
-        candles.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-        
-        return {
-            open: parseFloat(candles[0].open),
-            high: Math.max(...candles.map(c => parseFloat(c.high))),
-            low: Math.min(...candles.map(c => parseFloat(c.low))),
-            close: parseFloat(candles[candles.length - 1].close),
-            volume: candles.reduce((sum, c) => sum + parseFloat(c.volume || 0), 0),
-        };
+        return rebuilt;
     }
 
     // =========================================================================
@@ -409,27 +269,16 @@ class DukascopyBackfill {
         return chunks;
     }
 
-    async rateLimit() {
-        const now = Date.now();
-        const elapsed = now - this.lastRequestTime;
-        
-        if (elapsed < this.minRequestInterval) {
-            await this.sleep(this.minRequestInterval - elapsed);
-        }
-        
-        this.lastRequestTime = Date.now();
-    }
-
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     getAvailableSymbols() {
-        return Object.keys(DUKASCOPY_INSTRUMENTS);
+        return this.provider.getSymbols();
     }
 
     isSupported(symbol) {
-        return DUKASCOPY_INSTRUMENTS.hasOwnProperty(symbol);
+        return this.provider.supportsSymbol(symbol);
     }
 
     getStats() {
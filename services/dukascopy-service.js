@@ -3,29 +3,16 @@
 // =============================================================================
 // 
 // Changes:
-// - Uses ON DUPLICATE KEY UPDATE instead of INSERT IGNORE
-// - Updates incomplete candles with correct OHLC values
+// - Upserts through the storage layer instead of INSERT IGNORE
+// - Updates incomplete candles with correct OHLC values (source precedence
+//   permitting)
 // =============================================================================
 
-const { getHistoricalRates } = require('dukascopy-node');
 const database = require('../database');
-
-const DUKASCOPY_INSTRUMENTS = {
-    'EURUSD': 'eurusd', 'GBPUSD': 'gbpusd', 'USDJPY': 'usdjpy',
-    'USDCHF': 'usdchf', 'AUDUSD': 'audusd', 'USDCAD': 'usdcad',
-    'NZDUSD': 'nzdusd', 'EURGBP': 'eurgbp', 'EURJPY': 'eurjpy',
-    'GBPJPY': 'gbpjpy', 'EURCHF': 'eurchf', 'GBPCHF': 'gbpchf',
-    'AUDJPY': 'audjpy', 'EURAUD': 'euraud', 'EURCAD': 'eurcad',
-    'GBPAUD': 'gbpaud', 'GBPCAD': 'gbpcad', 'AUDCAD': 'audcad',
-    'AUDNZD': 'audnzd', 'NZDJPY': 'nzdjpy', 'CADJPY': 'cadjpy',
-    'CHFJPY': 'chfjpy', 'EURNZD': 'eurnzd',
-    'XAUUSD': 'xauusd', 'XAGUSD': 'xagusd'
-};
-
-const TIMEFRAME_MAP = {
-    'M1': 'm1', 'M5': 'm5', 'M15': 'm15', 'M30': 'm30',
-    'H1': 'h1', 'H4': 'h4', 'D1': 'd1', 'W1': 'w1', 'MN': 'mn1'
-};
+const { storage } = require('./storage');
+const { registry } = require('./providers/registry');
+const { DUKASCOPY_INSTRUMENTS, TIMEFRAME_MAP } = require('./providers/dukascopy-provider');
+const { listSymbols } = require('../config/symbols');
 
 const TIMEFRAME_MS = {
     'M1': 60 * 1000,
@@ -45,33 +32,16 @@ class DukascopyService {
     }
 
     async fetchCandles(symbol, timeframe, fromDate, toDate) {
-        const instrument = DUKASCOPY_INSTRUMENTS[symbol];
-        const tf = TIMEFRAME_MAP[timeframe];
-
-        if (!instrument) throw new Error(`Unknown symbol: ${symbol}`);
-        if (!tf) throw new Error(`Unknown timeframe: ${timeframe}`);
+        // Dukascopy unless HISTORICAL_PROVIDER says otherwise (e.g. mock)
+        const provider = registry.getHistoricalProvider();
+        if (!provider.supportsSymbol(symbol)) throw new Error(`Unknown symbol: ${symbol}`);
+        if (!provider.supportsTimeframe(timeframe)) throw new Error(`Unknown timeframe: ${timeframe}`);
 
         try {
-            const data = await getHistoricalRates({
-                instrument,
-                dates: { from: fromDate, to: toDate },
-                timeframe: tf,
-                format: 'json',
-                priceType: 'bid',
-                volumes: true
-            });
-
-            this.stats.fetched += data.length;
-            return data.map(candle => ({
-                symbol,
-                timeframe,
-                timestamp: new Date(candle.timestamp),
-                open: candle.open,
-                high: candle.high,
-                low: candle.low,
-                close: candle.close,
-                volume: candle.volume || 0
-            }));
+            // Shared provider paces requests across every consumer
+            const candles = await provider.fetchCandles(symbol, timeframe, fromDate, toDate);
+            this.stats.fetched += candles.length;
+            return candles;
         } catch (error) {
             this.stats.errors++;
             console.error(`❌ Error fetching ${symbol} ${timeframe}:`, error.message);
@@ -80,66 +50,21 @@ class DukascopyService {
     }
 
     /**
-     * Save candles - UPDATED to use ON DUPLICATE KEY UPDATE
-     * This ensures incomplete candles get corrected with proper OHLC data
+     * Save candles - upsert through the storage layer
+     * Corrects incomplete candles with proper OHLC data, but never replaces
+     * a bar from a higher-precedence source (e.g. a CSV import)
      */
     async saveCandles(candles, batchSize = 500) {
         if (!candles || candles.length === 0) return 0;
 
         let inserted = 0;
-        let updated = 0;
 
         for (let i = 0; i < candles.length; i += batchSize) {
-            const batch = candles.slice(i, i + batchSize);
-            
             try {
-                const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(',');
-                const values = batch.flatMap(c => [
-                    c.symbol, c.timeframe, c.timestamp,
-                    c.open, c.high, c.low, c.close, c.volume, 0
-                ]);
-
-                // ✅ FIX: Use ON DUPLICATE KEY UPDATE to fix incomplete candles
-                // This replaces the old OHLC values with correct historical data
-                const [result] = await database.pool.execute(`
-                    INSERT INTO pulse_market_data 
-                    (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                    VALUES ${placeholders}
-                    ON DUPLICATE KEY UPDATE
-                        open = VALUES(open),
-                        high = VALUES(high),
-                        low = VALUES(low),
-                        close = VALUES(close),
-                        volume = VALUES(volume)
-                `, values);
-
-                // affectedRows: 1 = inserted, 2 = updated existing row
-                inserted += result.affectedRows;
+                inserted += await storage.insertCandles(candles.slice(i, i + batchSize));
             } catch (error) {
+                this.stats.errors++;
                 console.error('❌ Batch insert error:', error.message);
-                // Individual fallback
-                for (const candle of batch) {
-                    try {
-                        const [result] = await database.pool.execute(`
-                            INSERT INTO pulse_market_data 
-                            (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-                            ON DUPLICATE KEY UPDATE
-                                open = VALUES(open),
-                                high = VALUES(high),
-                                low = VALUES(low),
-                                close = VALUES(close),
-                                volume = VALUES(volume)
-                        `, [
-                            candle.symbol, candle.timeframe, candle.timestamp,
-                            candle.open, candle.high, candle.low, candle.close,
-                            candle.volume, 0
-                        ]);
-                        inserted += result.affectedRows;
-                    } catch (e) {
-                        // Skip errors
-                    }
-                }
             }
         }
 
@@ -280,8 +205,8 @@ class DukascopyService {
     }
 
     getSymbols() { return Object.keys(DUKASCOPY_INSTRUMENTS); }
-    getForexSymbols() { return Object.keys(DUKASCOPY_INSTRUMENTS).filter(s => !s.startsWith('XA')); }
-    getMetalSymbols() { return Object.keys(DUKASCOPY_INSTRUMENTS).filter(s => s.startsWith('XA')); }
+    getForexSymbols() { return listSymbols({ provider: 'dukascopy', type: 'forex' }); }
+    getMetalSymbols() { return listSymbols({ provider: 'dukascopy', type: 'metal' }); }
     resetStats() { this.stats = { fetched: 0, inserted: 0, updated: 0, errors: 0 }; }
     getStats() { return { ...this.stats }; }
 }
@@ -9,11 +9,22 @@
 // - Queue gaps for backfill
 // =============================================================================
 
-const database = require('../database');
+const { storage } = require('./storage');
 const { isMarketOpenForSymbol, isForexMarketOpen } = require('../config/market-hours');
+const { getSymbolType } = require('../config/symbols');
+const { config: CONFIG } = require('../config');
+const { bucketStart, nextBucketStart } = require('./storage/candle-rollup');
 
 class GapDetector {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - Storage adapter (defaults to STORAGE_DRIVER)
+     * @param {string} options.dayBoundary - Where H4/D1 days start (defaults to CANDLE_DAY_BOUNDARY)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || storage;
+        this.dayBoundary = options.dayBoundary || CONFIG.candles.dayBoundary;
+        
         // Timeframe durations in milliseconds
         this.timeframeDurations = {
             M1:  60 * 1000,
@@ -58,16 +69,10 @@ class GapDetector {
     async detectGapsInRange(symbol, timeframe, from, to) {
         const gaps = [];
         const duration = this.timeframeDurations[timeframe];
-        const symbolType = this.getSymbolType(symbol);
+        const symbolType = getSymbolType(symbol);
         
         // Get existing candles
-        const [candles] = await database.pool.execute(`
-            SELECT timestamp
-            FROM pulse_market_data
-            WHERE symbol = ? AND timeframe = ?
-            AND timestamp >= ? AND timestamp < ?
-            ORDER BY timestamp ASC
-        `, [symbol, timeframe, from, to]);
+        const candles = await this.storage.getCandles(symbol, timeframe, from, to);
         
         if (candles.length === 0) {
             // Check if market was even open
@@ -106,7 +111,8 @@ class GapDetector {
         
         // Check gaps between candles
         for (let i = 1; i < timestamps.length; i++) {
-            const expected = timestamps[i - 1] + duration;
+            // Next period start: under ny-close Friday's D1 is followed by Monday's
+            const expected = nextBucketStart(timestamps[i - 1], timeframe, this.dayBoundary).getTime();
             const actual = timestamps[i];
             const gapMs = actual - expected;
             
@@ -141,7 +147,7 @@ class GapDetector {
                     from: gapStart,
                     to: lastExpected,
                     type: 'end_gap',
-                    missingCandles: Math.floor((lastExpected.getTime() - lastCandle) / duration),
+                    missingCandles: Math.floor((lastExpected.getTime() - gapStart.getTime()) / duration),
                 });
             }
         }
@@ -195,14 +201,7 @@ class GapDetector {
      * Find candles with identical OHLC values (incomplete)
      */
     async findIncompleteCandles(symbol, timeframe, from, to) {
-        const [rows] = await database.pool.execute(`
-            SELECT id, timestamp, open, high, low, close
-            FROM pulse_market_data
-            WHERE symbol = ? AND timeframe = ?
-            AND timestamp >= ? AND timestamp < ?
-            AND open = high AND high = low AND low = close
-            ORDER BY timestamp ASC
-        `, [symbol, timeframe, from, to]);
+        const rows = await this.storage.findIncompleteCandles(symbol, timeframe, from, to);
         
         this.stats.incompleteFound += rows.length;
         return rows;
@@ -213,20 +212,13 @@ class GapDetector {
      */
     async calculateCoverage(symbol, timeframe, from, to) {
         const duration = this.timeframeDurations[timeframe];
-        const symbolType = this.getSymbolType(symbol);
+        const symbolType = getSymbolType(symbol);
         
         // Calculate expected candles (accounting for market hours)
         const expectedCandles = this.calculateExpectedCandles(symbolType, timeframe, from, to);
         
         // Count actual candles
-        const [result] = await database.pool.execute(`
-            SELECT COUNT(*) as count
-            FROM pulse_market_data
-            WHERE symbol = ? AND timeframe = ?
-            AND timestamp >= ? AND timestamp < ?
-        `, [symbol, timeframe, from, to]);
-        
-        const actualCandles = result[0].count;
+        const actualCandles = await this.storage.countCandles(symbol, timeframe, from, to);
         
         return expectedCandles > 0 ? actualCandles / expectedCandles : 1;
     }
@@ -261,42 +253,26 @@ class GapDetector {
         const date = new Date().toISOString().split('T')[0];
         const status = metrics.gaps > 0 || metrics.incomplete > 0 ? 'gaps' : 'ok';
         
-        await database.pool.execute(`
-            INSERT INTO pulse_data_integrity 
-            (symbol, timeframe, date, expected_candles, actual_candles, 
-             missing_candles, incomplete_candles, last_checked, status)
-            VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), ?)
-            ON DUPLICATE KEY UPDATE
-                missing_candles = VALUES(missing_candles),
-                incomplete_candles = VALUES(incomplete_candles),
-                last_checked = NOW(),
-                status = VALUES(status)
-        `, [
-            symbol, timeframe, date,
-            Math.round(metrics.coverage * 100),
-            Math.round(metrics.coverage * 100),
-            metrics.gaps,
-            metrics.incomplete,
-            status
-        ]);
+        await this.storage.saveIntegrityRecord({
+            symbol,
+            timeframe,
+            date,
+            expectedCandles: Math.round(metrics.coverage * 100),
+            actualCandles: Math.round(metrics.coverage * 100),
+            missingCandles: metrics.gaps,
+            incompleteCandles: metrics.incomplete,
+            status,
+        });
     }
 
     /**
      * Get integrity summary for all primary pairs
      */
     async getIntegritySummary(symbols, days = 7) {
-        const [rows] = await database.pool.execute(`
-            SELECT symbol, timeframe, 
-                   SUM(missing_candles) as total_gaps,
-                   SUM(incomplete_candles) as total_incomplete,
-                   MIN(status) as worst_status
-            FROM pulse_data_integrity
-            WHERE symbol IN (${symbols.map(() => '?').join(',')})
-            AND date >= DATE_SUB(CURDATE(), INTERVAL ? DAY)
-            GROUP BY symbol, timeframe
-        `, [...symbols, days]);
+        const since = new Date();
+        since.setUTCDate(since.getUTCDate() - days);
         
-        return rows;
+        return this.storage.getIntegritySummary(symbols, since.toISOString().split('T')[0]);
     }
 
     // =========================================================================
@@ -314,43 +290,10 @@ class GapDetector {
     }
 
     /**
-     * Align a timestamp to a timeframe boundary
+     * Align a timestamp to a timeframe boundary (H4/D1 on the day boundary)
      */
     alignToTimeframe(date, timeframe) {
-        const d = new Date(date);
-        d.setUTCSeconds(0, 0);
-        
-        switch (timeframe) {
-            case 'M1':
-                break;
-            case 'M5':
-                d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 5) * 5);
-                break;
-            case 'M15':
-                d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 15) * 15);
-                break;
-            case 'M30':
-                d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 30) * 30);
-                break;
-            case 'H1':
-                d.setUTCMinutes(0);
-                break;
-            case 'H4':
-                d.setUTCMinutes(0);
-                d.setUTCHours(Math.floor(d.getUTCHours() / 4) * 4);
-                break;
-            case 'D1':
-                d.setUTCMinutes(0);
-                d.setUTCHours(0);
-                break;
-        }
-        
-        return d;
-    }
-
-    getSymbolType(symbol) {
-        if (symbol.startsWith('XAU') || symbol.startsWith('XAG')) return 'metal';
-        return 'forex';
+        return bucketStart(date, timeframe, this.dayBoundary);
     }
 
     getStats() {
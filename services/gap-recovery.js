@@ -4,12 +4,14 @@
 
 const axios = require('axios');
 const database = require('../database');
+const { storage } = require('./storage');
+const { config, requireSettings } = require('../config');
 const { SYMBOLS, toInternalSymbol } = require('../config/symbols');
 const { isMarketOpenForSymbol } = require('../config/market-hours');
 
 class GapRecoveryService {
     constructor() {
-        this.finnhubApiKey = process.env.FINNHUB_API_KEY || 'd4rljk9r01qgts2osudgd4rljk9r01qgts2osue0';
+        this.finnhubApiKey = config.providers.finnhubApiKey;
         this.baseUrl = 'https://finnhub.io/api/v1';
         this.isRecovering = false;
     }
@@ -18,6 +20,8 @@ class GapRecoveryService {
      * Check for gaps and recover missing data on startup
      */
     async recoverOnStartup() {
+        requireSettings(['providers.finnhubApiKey'], 'Finnhub gap recovery');
+
         if (this.isRecovering) {
             console.log('⏳ Gap recovery already in progress...');
             return;
@@ -181,34 +185,25 @@ class GapRecoveryService {
 
     /**
      * Save candles to database
+     * Merged into existing live bars; healed bars (higher precedence) are kept
      */
     async saveCandles(symbol, candles) {
         for (const candle of candles) {
             try {
-                await database.pool.execute(`
-                    INSERT INTO pulse_market_data 
-                    (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                    VALUES (?, 'M1', ?, ?, ?, ?, ?, ?, 0)
-                    ON DUPLICATE KEY UPDATE
-                    open = VALUES(open),
-                    high = GREATEST(high, VALUES(high)),
-                    low = LEAST(low, VALUES(low)),
-                    close = VALUES(close),
-                    volume = volume + VALUES(volume)
-                `, [
+                await storage.saveCandle({
                     symbol,
-                    candle.timestamp,
-                    candle.open,
-                    candle.high,
-                    candle.low,
-                    candle.close,
-                    candle.volume
-                ]);
+                    timeframe: 'M1',
+                    timestamp: candle.timestamp,
+                    open: candle.open,
+                    high: candle.high,
+                    low: candle.low,
+                    close: candle.close,
+                    volume: candle.volume,
+                    spread: null,
+                    source: 'finnhub',
+                }, { merge: true });
             } catch (error) {
-                // Ignore duplicate errors
-                if (!error.code?.includes('ER_DUP_ENTRY')) {
-                    console.error('Error saving candle:', error.message);
-                }
+                console.error('Error saving candle:', error.message);
             }
         }
     }
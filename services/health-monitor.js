@@ -9,10 +9,23 @@
 // - Generate health reports
 // =============================================================================
 
-const database = require('../database');
+const { storage } = require('./storage');
+
+// UTC date (YYYY-MM-DD) a number of days back
+function utcDateDaysAgo(days) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() - days);
+    return date.toISOString().split('T')[0];
+}
 
 class HealthMonitor {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - Storage adapter (defaults to STORAGE_DRIVER)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || storage;
+        
         this.alertThresholds = {
             maxDataAge: 5 * 60 * 1000,      // Alert if data older than 5 minutes
             minTickRate: 10,                 // Minimum ticks per minute per pair
@@ -88,13 +101,9 @@ class HealthMonitor {
         
         for (const symbol of pairs) {
             try {
-                const [rows] = await database.pool.execute(`
-                    SELECT MAX(timestamp) as latest
-                    FROM pulse_market_data
-                    WHERE symbol = ? AND timeframe = 'M1'
-                `, [symbol]);
+                const candle = await this.storage.getLatestCandle(symbol, 'M1');
                 
-                const latest = rows[0]?.latest;
+                const latest = candle?.timestamp;
                 if (!latest) {
                     results[symbol] = { status: 'no_data', age: null };
                     this.issues.push(`${symbol}: No M1 data`);
@@ -128,14 +137,15 @@ class HealthMonitor {
         
         for (const symbol of pairs) {
             try {
-                const [rows] = await database.pool.execute(`
-                    SELECT COUNT(*) as count
-                    FROM pulse_ticks
-                    WHERE symbol = ?
-                    AND timestamp > DATE_SUB(NOW(), INTERVAL 5 MINUTE)
-                `, [symbol]);
+                const now = new Date();
+                const count = await this.storage.countTicks(
+                    symbol,
+                    new Date(now.getTime() - 5 * 60 * 1000),
+                    now,
+                    { validOnly: false }
+                );
                 
-                const ticksPerMinute = (rows[0]?.count || 0) / 5;
+                const ticksPerMinute = count / 5;
                 results[symbol] = {
                     ticksPerMinute,
                     status: ticksPerMinute >= this.alertThresholds.minTickRate ? 'ok' : 'low',
@@ -158,23 +168,23 @@ class HealthMonitor {
      */
     async checkGapStatus(pairs) {
         try {
-            const [rows] = await database.pool.execute(`
-                SELECT symbol, SUM(missing_candles) as total_gaps
-                FROM pulse_data_integrity
-                WHERE symbol IN (${pairs.map(() => '?').join(',')})
-                AND date >= DATE_SUB(CURDATE(), INTERVAL 1 DAY)
-                GROUP BY symbol
-            `, pairs);
+            const rows = await this.storage.getIntegritySummary(pairs, utcDateDaysAgo(1));
             
-            const results = {};
+            // Summary is per symbol/timeframe - total it per symbol
+            const totals = {};
             for (const row of rows) {
-                results[row.symbol] = {
-                    gaps: row.total_gaps,
-                    status: row.total_gaps > this.alertThresholds.maxGapsPerDay ? 'high' : 'ok',
+                totals[row.symbol] = (totals[row.symbol] || 0) + Number(row.total_gaps);
+            }
+            
+            const results = {};
+            for (const [symbol, totalGaps] of Object.entries(totals)) {
+                results[symbol] = {
+                    gaps: totalGaps,
+                    status: totalGaps > this.alertThresholds.maxGapsPerDay ? 'high' : 'ok',
                 };
                 
-                if (row.total_gaps > this.alertThresholds.maxGapsPerDay) {
-                    this.issues.push(`${row.symbol}: ${row.total_gaps} gaps in last 24h`);
+                if (totalGaps > this.alertThresholds.maxGapsPerDay) {
+                    this.issues.push(`${symbol}: ${totalGaps} gaps in last 24h`);
                 }
             }
             
@@ -191,25 +201,13 @@ class HealthMonitor {
     async checkIncompleteCandles(pairs) {
         const results = {};
         
+        const to = new Date();
+        const from = new Date(to.getTime() - 24 * 60 * 60 * 1000);
+        
         for (const symbol of pairs) {
             try {
-                const [totalRows] = await database.pool.execute(`
-                    SELECT COUNT(*) as total
-                    FROM pulse_market_data
-                    WHERE symbol = ? AND timeframe = 'M1'
-                    AND timestamp > DATE_SUB(NOW(), INTERVAL 24 HOUR)
-                `, [symbol]);
-                
-                const [incompleteRows] = await database.pool.execute(`
-                    SELECT COUNT(*) as incomplete
-                    FROM pulse_market_data
-                    WHERE symbol = ? AND timeframe = 'M1'
-                    AND timestamp > DATE_SUB(NOW(), INTERVAL 24 HOUR)
-                    AND open = high AND high = low AND low = close
-                `, [symbol]);
-                
-                const total = totalRows[0]?.total || 0;
-                const incomplete = incompleteRows[0]?.incomplete || 0;
+                const total = await this.storage.countCandles(symbol, 'M1', from, to);
+                const incomplete = await this.storage.countIncompleteCandles(symbol, 'M1', from, to);
                 const percent = total > 0 ? (incomplete / total) * 100 : 0;
                 
                 results[symbol] = {
@@ -237,7 +235,7 @@ class HealthMonitor {
     async checkDatabase() {
         try {
             const start = Date.now();
-            await database.pool.execute('SELECT 1');
+            await this.storage.ping();
             const latency = Date.now() - start;
             
             return {
@@ -259,33 +257,25 @@ class HealthMonitor {
      */
     async checkBackfillQueue() {
         try {
-            const [rows] = await database.pool.execute(`
-                SELECT status, COUNT(*) as count
-                FROM pulse_backfill_queue
-                GROUP BY status
-            `);
-            
-            const counts = {};
-            for (const row of rows) {
-                counts[row.status] = row.count;
-            }
+            const counts = await this.storage.countBackfillsByStatus();
             
             const pending = counts.pending || 0;
-            const failed = counts.failed || 0;
+            const dead = counts.dead || 0;
             
             if (pending > 50) {
                 this.issues.push(`Backfill queue: ${pending} pending items`);
             }
             
-            if (failed > 10) {
-                this.issues.push(`Backfill queue: ${failed} failed items`);
+            if (dead > 10) {
+                this.issues.push(`Backfill queue: ${dead} dead-lettered jobs`);
             }
             
             return {
                 pending,
                 processing: counts.processing || 0,
                 completed: counts.completed || 0,
-                failed,
+                dead,
+                cancelled: counts.cancelled || 0,
             };
             
         } catch (error) {
@@ -301,14 +291,13 @@ class HealthMonitor {
      * Log health metrics to database
      */
     async logMetrics(metrics) {
-        const timestamp = new Date();
         const records = [];
         
         // Flatten metrics for logging
         if (metrics.freshness) {
             for (const [symbol, data] of Object.entries(metrics.freshness)) {
                 if (data.age) {
-                    records.push(['data_age_ms', data.age, symbol, null]);
+                    records.push({ name: 'data_age_ms', value: data.age, symbol });
                 }
             }
         }
@@ -316,30 +305,23 @@ class HealthMonitor {
         if (metrics.tickRate) {
             for (const [symbol, data] of Object.entries(metrics.tickRate)) {
                 if (data.ticksPerMinute !== undefined) {
-                    records.push(['tick_rate', data.ticksPerMinute, symbol, null]);
+                    records.push({ name: 'tick_rate', value: data.ticksPerMinute, symbol });
                 }
             }
         }
         
         if (metrics.dbStatus?.latency) {
-            records.push(['db_latency_ms', metrics.dbStatus.latency, null, null]);
+            records.push({ name: 'db_latency_ms', value: metrics.dbStatus.latency });
         }
         
         if (metrics.queueStatus?.pending !== undefined) {
-            records.push(['backfill_queue_pending', metrics.queueStatus.pending, null, null]);
+            records.push({ name: 'backfill_queue_pending', value: metrics.queueStatus.pending });
         }
         
         // Batch insert
         if (records.length > 0) {
-            const placeholders = records.map(() => '(?, ?, ?, ?, NOW())').join(',');
-            const values = records.flat();
-            
             try {
-                await database.pool.execute(`
-                    INSERT INTO pulse_health_metrics 
-                    (metric_name, metric_value, symbol, timeframe, recorded_at)
-                    VALUES ${placeholders}
-                `, values);
+                await this.storage.insertHealthMetrics(records);
             } catch (error) {
                 // Ignore logging errors
             }
@@ -371,23 +353,10 @@ class HealthMonitor {
      */
     async getDetailedReport(pairs, days = 7) {
         // Get historical metrics
-        const [metrics] = await database.pool.execute(`
-            SELECT metric_name, AVG(metric_value) as avg_value,
-                   MIN(metric_value) as min_value, MAX(metric_value) as max_value,
-                   COUNT(*) as sample_count
-            FROM pulse_health_metrics
-            WHERE recorded_at > DATE_SUB(NOW(), INTERVAL ? DAY)
-            GROUP BY metric_name
-        `, [days]);
+        const metrics = await this.storage.getMetricSummary(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
         
         // Get gap history
-        const [gaps] = await database.pool.execute(`
-            SELECT symbol, date, missing_candles, incomplete_candles, status
-            FROM pulse_data_integrity
-            WHERE symbol IN (${pairs.map(() => '?').join(',')})
-            AND date > DATE_SUB(CURDATE(), INTERVAL ? DAY)
-            ORDER BY date DESC
-        `, [...pairs, days]);
+        const gaps = await this.storage.getIntegrityHistory(pairs, utcDateDaysAgo(days - 1));
         
         return {
             currentStatus: this.getHealthSummary(),
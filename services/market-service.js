@@ -2,7 +2,13 @@
 // services/market-service.js - Market Status Service
 // =============================================================================
 
-const { getMarketStatus, isMarketOpenForSymbol, getNextForexOpen } = require('../config/market-hours');
+const {
+    getMarketStatus,
+    isMarketOpenForSymbol,
+    getNextForexOpen,
+    getHoliday,
+    getTradingCalendar
+} = require('../config/market-hours');
 const { SYMBOLS, getSymbol } = require('../config/symbols');
 
 class MarketService {
@@ -50,6 +56,50 @@ class MarketService {
         return { isOpen: false, nextOpen };
     }
 
+    /**
+     * Get status plus next forex open and today's holiday (if any)
+     */
+    getStatusDetail(date = new Date()) {
+        const holiday = getHoliday(date);
+
+        return {
+            ...getMarketStatus(date),
+            next_forex_open: getNextForexOpen(date),
+            holiday: holiday ? { name: holiday.name, type: holiday.type } : null
+        };
+    }
+
+    /**
+     * Get live session state alongside the published hours
+     */
+    getSessions(date = new Date()) {
+        const status = getMarketStatus(date);
+
+        return {
+            current_session: status.current_session,
+            sessions: status.sessions,
+            hours: this.getTradingHours(),
+            server_time: status.server_time
+        };
+    }
+
+    /**
+     * Get holidays, reduced-liquidity days and forex week open/close
+     * instants between two dates
+     */
+    getCalendar(from, to) {
+        const calendar = getTradingCalendar(from, to);
+
+        return {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            holidays: calendar.holidays,
+            reduced_liquidity: calendar.reducedLiquidity,
+            forex_weeks: calendar.weeks,
+            known_years: calendar.knownYears
+        };
+    }
+
     /**
      * Get trading hours summary
      */
@@ -9,20 +9,13 @@
 // =============================================================================
 
 const axios = require('axios');
+const { config } = require('../config');
+const { getSymbol, getProviderSymbolMap } = require('../config/symbols');
 
-// Polygon ticker format: C:EURUSD (C: prefix for currencies)
-const POLYGON_TICKERS = {
-    'EURUSD': 'C:EURUSD', 'GBPUSD': 'C:GBPUSD', 'USDJPY': 'C:USDJPY',
-    'USDCHF': 'C:USDCHF', 'AUDUSD': 'C:AUDUSD', 'USDCAD': 'C:USDCAD',
-    'NZDUSD': 'C:NZDUSD', 'EURGBP': 'C:EURGBP', 'EURJPY': 'C:EURJPY',
-    'GBPJPY': 'C:GBPJPY', 'EURCHF': 'C:EURCHF', 'GBPCHF': 'C:GBPCHF',
-    'AUDJPY': 'C:AUDJPY', 'EURAUD': 'C:EURAUD', 'EURCAD': 'C:EURCAD',
-    'GBPAUD': 'C:GBPAUD', 'GBPCAD': 'C:GBPCAD', 'AUDCAD': 'C:AUDCAD',
-    'AUDNZD': 'C:AUDNZD', 'NZDJPY': 'C:NZDJPY', 'CADJPY': 'C:CADJPY',
-    'CHFJPY': 'C:CHFJPY', 'EURNZD': 'C:EURNZD',
-    // Metals use different format
-    'XAUUSD': 'C:XAUUSD', 'XAGUSD': 'C:XAGUSD',
-};
+// Polygon ticker format: C:EURUSD (C: prefix for currencies and metals),
+// from the `polygon` codes in config/symbols.js (load-time snapshot;
+// lookups below read the registry live)
+const POLYGON_TICKERS = getProviderSymbolMap('polygon');
 
 // Timeframe mapping: our format -> Polygon format
 const TIMEFRAME_MAP = {
@@ -37,7 +30,7 @@ const TIMEFRAME_MAP = {
 
 class PolygonService {
     constructor(apiKey = null) {
-        this.apiKey = apiKey || process.env.POLYGON_API_KEY;
+        this.apiKey = apiKey || config.providers.polygonApiKey;
         this.baseUrl = 'https://api.polygon.io';
         
         // Rate limiting: 5 calls/minute for free tier
@@ -81,7 +74,7 @@ class PolygonService {
      * @returns {Array} - Array of candle objects
      */
     async fetchCandles(symbol, timeframe, from, to) {
-        const ticker = POLYGON_TICKERS[symbol];
+        const ticker = getSymbol(symbol)?.polygon;
         const tfConfig = TIMEFRAME_MAP[timeframe];
         
         if (!ticker) {
@@ -128,6 +121,7 @@ class PolygonService {
                 low: bar.l,
                 close: bar.c,
                 volume: bar.v || 0,
+                source: 'polygon',
             }));
 
         } catch (error) {
@@ -213,7 +207,7 @@ class PolygonService {
      * Check if symbol is supported
      */
     isSymbolSupported(symbol) {
-        return !!POLYGON_TICKERS[symbol];
+        return Boolean(getSymbol(symbol)?.polygon);
     }
 
     /**
@@ -0,0 +1,224 @@
+// =============================================================================
+// services/providers/base-provider.js - Market Data Provider Contract
+// =============================================================================
+//
+// Every data source implements the same surface:
+//   - capabilities: liveTicks, quotes, historicalCandles, timeframes, delay
+//   - symbol mapping: internal symbol (EURUSD) → provider code, either a
+//     fixed symbolMap or a symbolField read live from config/symbols.js
+//   - rate-limit policy: requests/minute + backoff after a 429, paced per
+//     process or, after useBudget(), across instances (services/rate-budget.js)
+//   - fetchCandles / fetchQuote / startLiveTicks, in normalized shapes
+//
+// Candle: { symbol, timeframe, timestamp: Date, open, high, low, close, volume, spread?, source }
+// Tick:   { symbol, price, bid?, ask?, volume, timestamp: Date, source }
+// Quote:  { symbol, price, bid?, ask?, timestamp: Date, source }
+//
+// Prices are bids. spread = ask - bid at the candle close in price units;
+// bid/ask/spread are omitted (or null) when the source doesn't quote both
+// sides - nothing downstream invents them. Candle source is the provider
+// name, stored as the bar's provenance (config/candle-sources.js).
+// =============================================================================
+
+const { getSymbol, listSymbols } = require('../../config/symbols');
+
+class MarketDataProvider {
+    constructor(options = {}) {
+        if (!options.name) throw new Error('Provider name is required');
+
+        this.name = options.name;
+        // Lower runs first when several providers can serve a request
+        this.priority = options.priority ?? 100;
+
+        this.capabilities = {
+            liveTicks: false,
+            quotes: false,
+            historicalCandles: false,
+            timeframes: [],
+            delayMinutes: null,
+            ...options.capabilities,
+        };
+
+        this.rateLimit = {
+            requestsPerMinute: null,  // null = unlimited
+            backoffMs: 60000,         // pause after the source says "slow down"
+            ...options.rateLimit,
+        };
+
+        // symbolField ('finnhub', 'dukascopy', ...) follows runtime symbol changes
+        this.symbolField = options.symbolField || null;
+        this.symbolMap = options.symbolMap || {};
+
+        this.lastRequestTime = 0;
+        this.blockedUntil = 0;
+        // Shared RateBudget; null = this process only
+        this.budget = null;
+
+        this.stats = {
+            requests: 0,
+            errors: 0,
+            rateLimitHits: 0,
+        };
+    }
+
+    // =========================================================================
+    // CAPABILITIES & SYMBOLS
+    // =========================================================================
+
+    /**
+     * Whether the provider is usable (e.g. has its API key)
+     */
+    isAvailable() {
+        return true;
+    }
+
+    mapSymbol(symbol) {
+        if (this.symbolField) return getSymbol(symbol)?.[this.symbolField] || null;
+        return this.symbolMap[symbol] || null;
+    }
+
+    getSymbols() {
+        if (this.symbolField) return listSymbols({ provider: this.symbolField });
+        return Object.keys(this.symbolMap);
+    }
+
+    supportsSymbol(symbol) {
+        return this.mapSymbol(symbol) !== null;
+    }
+
+    supportsTimeframe(timeframe) {
+        return this.capabilities.timeframes.includes(timeframe);
+    }
+
+    canFetchCandles(symbol, timeframe) {
+        return this.capabilities.historicalCandles &&
+               this.isAvailable() &&
+               this.supportsSymbol(symbol) &&
+               this.supportsTimeframe(timeframe);
+    }
+
+    // =========================================================================
+    // RATE LIMITING
+    // =========================================================================
+
+    getMinInterval() {
+        return this.rateLimit.requestsPerMinute ? 60000 / this.rateLimit.requestsPerMinute : 0;
+    }
+
+    /**
+     * Pace requests through a budget shared with other instances
+     */
+    useBudget(budget) {
+        this.budget = budget;
+    }
+
+    /**
+     * Wait until the next request is allowed, then claim it. count > 1
+     * reserves that many consecutive slots (a forked worker about to make
+     * several requests), waiting for the first.
+     */
+    async throttle(count = 1) {
+        let wait = Math.max(
+            this.blockedUntil - Date.now(),
+            this.lastRequestTime + this.getMinInterval() - Date.now(),
+            0
+        );
+
+        if (this.budget) {
+            try {
+                wait = Math.max(wait, await this.budget.reserve(this.name, this.getMinInterval(), count));
+            } catch (error) {
+                console.warn(`⚠️ ${this.name}: shared rate budget unavailable (${error.message}), pacing locally`);
+            }
+        }
+
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        // The last reserved slot counts as the latest request
+        this.lastRequestTime = Date.now() + this.getMinInterval() * (count - 1);
+        this.stats.requests++;
+    }
+
+    /**
+     * Claim a request slot without waiting (this process's budget only)
+     * Returns false when the provider is rate limited or backing off
+     */
+    tryAcquire() {
+        const now = Date.now();
+        if (now < this.blockedUntil || now - this.lastRequestTime < this.getMinInterval()) {
+            return false;
+        }
+
+        this.lastRequestTime = now;
+        this.stats.requests++;
+        return true;
+    }
+
+    /**
+     * Pause all requests after the source rate limits us
+     */
+    backoff(ms = this.rateLimit.backoffMs) {
+        this.blockedUntil = Date.now() + ms;
+        this.stats.rateLimitHits++;
+
+        this.budget?.block(this.name, ms).catch(error =>
+            console.error(`❌ ${this.name}: could not share backoff:`, error.message)
+        );
+    }
+
+    // =========================================================================
+    // DATA (overridden by providers that support them)
+    // =========================================================================
+
+    async fetchCandles(symbol, timeframe, from, to) {
+        throw new Error(`${this.name} does not provide historical candles`);
+    }
+
+    async fetchQuote(symbol) {
+        throw new Error(`${this.name} does not provide quotes`);
+    }
+
+    /**
+     * Start streaming ticks for internal symbols; onTick receives normalized ticks
+     */
+    async startLiveTicks(symbols, onTick) {
+        throw new Error(`${this.name} does not provide live ticks`);
+    }
+
+    async stopLiveTicks() {}
+
+    /**
+     * Change the streamed symbols without restarting the stream
+     */
+    async updateLiveSymbols(symbols) {
+        throw new Error(`${this.name} cannot change live symbols`);
+    }
+
+    // =========================================================================
+    // STATUS
+    // =========================================================================
+
+    getStatus() {
+        return {};
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            priority: this.priority,
+            available: this.isAvailable(),
+            capabilities: this.capabilities,
+            rateLimit: this.rateLimit,
+            symbolCount: this.getSymbols().length,
+            stats: this.getStats(),
+        };
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+module.exports = { MarketDataProvider };
@@ -0,0 +1,241 @@
+// =============================================================================
+// services/providers/finnhub-provider.js - Finnhub Live Ticks + REST Quotes
+// =============================================================================
+//
+// WebSocket trades for every configured symbol (auto-reconnect, heartbeat)
+// plus a REST quote used to fill in symbols that go quiet.
+// Free tier: 60 REST calls/minute.
+// =============================================================================
+
+const WebSocket = require('ws');
+const axios = require('axios');
+const { config } = require('../../config');
+const { MarketDataProvider } = require('./base-provider');
+const { getSymbolByFinnhub, toInternalSymbol } = require('../../config/symbols');
+
+class FinnhubProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super({
+            name: 'finnhub',
+            priority: 10,
+            symbolField: 'finnhub',  // EURUSD → OANDA:EUR_USD
+            capabilities: {
+                liveTicks: true,
+                quotes: true,
+            },
+            rateLimit: { requestsPerMinute: 60, backoffMs: 60000 },
+            ...options,
+        });
+
+        this.apiKey = options.apiKey || config.providers.finnhubApiKey;
+        this.wsUrl = `wss://ws.finnhub.io?token=${this.apiKey}`;
+        this.restUrl = 'https://finnhub.io/api/v1';
+
+        this.ws = null;
+        this.isConnected = false;
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 10;
+        this.heartbeat = null;
+        this.stopped = false;
+
+        this.subscribed = [];
+        this.onTick = null;
+        this.stats.reconnects = 0;
+    }
+
+    isAvailable() {
+        return Boolean(this.apiKey);
+    }
+
+    // =========================================================================
+    // LIVE TICKS
+    // =========================================================================
+
+    async startLiveTicks(symbols, onTick) {
+        this.subscribed = symbols.map(s => this.mapSymbol(s)).filter(Boolean);
+        this.onTick = onTick;
+        this.stopped = false;
+
+        this.heartbeat = setInterval(() => {
+            if (this.ws?.readyState === WebSocket.OPEN) {
+                this.ws.send(JSON.stringify({ type: 'ping' }));
+            }
+        }, 30000);
+
+        // A failed first attempt keeps reconnecting in the background
+        try {
+            await this.connectWebSocket();
+        } catch (error) {
+            console.error(`❌ Finnhub initial connection failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Subscribe/unsubscribe the difference; the full list is resent on reconnect
+     */
+    async updateLiveSymbols(symbols) {
+        const next = symbols.map(s => this.mapSymbol(s)).filter(Boolean);
+        const added = next.filter(s => !this.subscribed.includes(s));
+        const removed = this.subscribed.filter(s => !next.includes(s));
+        this.subscribed = next;
+
+        if (this.ws?.readyState === WebSocket.OPEN) {
+            for (const symbol of removed) this.ws.send(JSON.stringify({ type: 'unsubscribe', symbol }));
+            for (const symbol of added) this.ws.send(JSON.stringify({ type: 'subscribe', symbol }));
+        }
+
+        if (added.length || removed.length) {
+            console.log(`📊 Finnhub subscriptions: +${added.length} -${removed.length} (${next.length} total)`);
+        }
+    }
+
+    async stopLiveTicks() {
+        this.stopped = true;
+        clearInterval(this.heartbeat);
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+
+    connectWebSocket() {
+        return new Promise((resolve, reject) => {
+            if (this.ws) {
+                this.ws.terminate();
+            }
+
+            this.ws = new WebSocket(this.wsUrl);
+
+            this.ws.on('open', () => {
+                console.log('✅ Finnhub WebSocket connected');
+                this.isConnected = true;
+                this.reconnectAttempts = 0;
+
+                for (const finnhubSymbol of this.subscribed) {
+                    this.ws.send(JSON.stringify({ type: 'subscribe', symbol: finnhubSymbol }));
+                }
+                console.log(`📊 Subscribed to ${this.subscribed.length} symbols`);
+                resolve();
+            });
+
+            this.ws.on('message', (data) => {
+                this.handleMessage(data);
+            });
+
+            this.ws.on('error', (error) => {
+                console.error('❌ Finnhub WebSocket error:', error.message);
+                this.isConnected = false;
+            });
+
+            this.ws.on('close', () => {
+                console.log('🔌 Finnhub WebSocket disconnected');
+                this.isConnected = false;
+                if (!this.stopped) this.scheduleReconnect();
+            });
+
+            // Timeout for initial connection
+            setTimeout(() => {
+                if (!this.isConnected) {
+                    reject(new Error('WebSocket connection timeout'));
+                }
+            }, 10000);
+        });
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            console.error('❌ Max reconnection attempts reached');
+            return;
+        }
+
+        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
+        this.reconnectAttempts++;
+        this.stats.reconnects++;
+
+        console.log(`🔄 Reconnecting in ${delay/1000}s (attempt ${this.reconnectAttempts})`);
+        setTimeout(() => {
+            this.connectWebSocket().catch(error => {
+                console.error(`❌ Finnhub reconnect failed: ${error.message}`);
+            });
+        }, delay);
+    }
+
+    handleMessage(data) {
+        try {
+            const message = JSON.parse(data);
+
+            if (message.type === 'trade' && message.data) {
+                // Process only first few trades per message to avoid flooding
+                for (const trade of message.data.slice(0, 5)) {
+                    const symbolInfo = getSymbolByFinnhub(trade.s);
+                    if (!symbolInfo || !this.onTick) continue;
+
+                    this.onTick({
+                        symbol: toInternalSymbol(symbolInfo.symbol),
+                        price: trade.p,
+                        volume: trade.v || 0,
+                        timestamp: new Date(trade.t),
+                        source: 'finnhub',
+                    });
+                }
+            } else if (message.type === 'ping') {
+                this.ws.send(JSON.stringify({ type: 'pong' }));
+            }
+        } catch (error) {
+            console.error('❌ Message parse error:', error.message);
+        }
+    }
+
+    // =========================================================================
+    // REST QUOTES
+    // =========================================================================
+
+    /**
+     * Latest price for an internal symbol
+     * Returns null when rate limited or nothing came back
+     */
+    async fetchQuote(symbol) {
+        const finnhubSymbol = this.mapSymbol(symbol);
+        const config = getSymbolByFinnhub(finnhubSymbol);
+        if (!config || !this.tryAcquire()) return null;
+
+        try {
+            let url;
+            if (config.type === 'forex' || config.type === 'metal') {
+                url = `${this.restUrl}/forex/candle?symbol=${finnhubSymbol}&resolution=1&count=1&token=${this.apiKey}`;
+            } else if (config.type === 'crypto') {
+                url = `${this.restUrl}/crypto/candle?symbol=${finnhubSymbol}&resolution=1&count=1&token=${this.apiKey}`;
+            } else {
+                url = `${this.restUrl}/quote?symbol=${finnhubSymbol}&token=${this.apiKey}`;
+            }
+
+            const response = await axios.get(url, { timeout: 5000 });
+
+            let price;
+            if (response.data.c && Array.isArray(response.data.c)) {
+                price = response.data.c[response.data.c.length - 1];
+            } else if (response.data.c) {
+                price = response.data.c;
+            }
+
+            if (!price || isNaN(price)) return null;
+
+            return { symbol, price, timestamp: new Date(), source: 'finnhub_rest' };
+        } catch (error) {
+            this.stats.errors++;
+            if (error.response?.status === 429) {
+                console.warn('⚠️ Finnhub REST rate limited, backing off');
+                this.backoff();
+            }
+            return null;
+        }
+    }
+
+    getStatus() {
+        return {
+            connected: this.isConnected,
+            reconnectAttempts: this.reconnectAttempts,
+        };
+    }
+}
+
+module.exports = { FinnhubProvider };
@@ -0,0 +1,566 @@
+// =============================================================================
+// services/providers/mock-provider.js - Replayable Offline Market Data
+// =============================================================================
+//
+// Runs the whole ingestion/healing pipeline without keys or network:
+//   LIVE_PROVIDER=mock        ticks for finnhub-integrated.js
+//   HISTORICAL_PROVIDER=mock  candles for DukascopyBackfill / the healers
+//
+// Sources (MOCK_SOURCE):
+//   csv     replay data/<SYMBOL>_<TF>.csv, shifted by whole weeks so the
+//           file ends around "now" (weekday/session layout is preserved)
+//   random  seeded random walk - deterministic per (seed, symbol, time), so
+//           overlapping fetches and live ticks agree with each other
+//   auto    csv where a file exists, random otherwise (default)
+//
+// Prices are bids; every tick, quote and candle also carries a seeded
+// 0.8-1.8 pip spread, so the bid/ask path runs offline too.
+//
+// Fault injection (for exercising the self-healing engine):
+//   MOCK_SPEED                 simulated minutes per wall-clock minute
+//   MOCK_GAP_RATE              chance a symbol goes silent for a whole minute
+//   MOCK_SPIKE_RATE / _SIZE    chance a tick is off by SIZE (fraction)
+//   MOCK_DISCONNECT_EVERY_MS   drop the stream periodically...
+//   MOCK_DISCONNECT_MS         ...for this long
+//   MOCK_SEED                  makes all of the above reproducible
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../config');
+const { MarketDataProvider } = require('./base-provider');
+const { getSymbol, listSymbols, toDisplaySymbol } = require('../../config/symbols');
+const { isMarketOpenForSymbol } = require('../../config/market-hours');
+
+const DATA_DIR = path.join(__dirname, '../../data');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+const TIMEFRAME_MS = {
+    'M1': MINUTE_MS, 'M5': 5 * MINUTE_MS, 'M15': 15 * MINUTE_MS, 'M30': 30 * MINUTE_MS,
+    'H1': HOUR_MS, 'H4': 4 * HOUR_MS, 'D1': 24 * HOUR_MS
+};
+
+// Starting levels for the random walk
+const BASE_PRICES = {
+    'EURUSD': 1.08, 'GBPUSD': 1.27, 'USDJPY': 150, 'USDCHF': 0.88, 'AUDUSD': 0.66,
+    'USDCAD': 1.36, 'NZDUSD': 0.61, 'EURGBP': 0.85, 'EURJPY': 162, 'GBPJPY': 190,
+    'EURCHF': 0.95, 'GBPCHF': 1.12, 'AUDJPY': 99, 'EURAUD': 1.64, 'EURCAD': 1.47,
+    'GBPAUD': 1.92, 'GBPCAD': 1.73, 'AUDCAD': 0.90, 'AUDNZD': 1.09, 'NZDJPY': 91,
+    'CADJPY': 110, 'XAUUSD': 2300, 'XAGUSD': 27,
+    'BTCUSD': 60000, 'ETHUSD': 3000, 'XRPUSD': 0.5, 'SOLUSD': 150, 'ADAUSD': 0.45,
+    'DOGEUSD': 0.15, 'DOTUSD': 7, 'LTCUSD': 80, 'AVAXUSD': 35, 'MATICUSD': 0.7,
+    'AAPL': 190, 'TSLA': 180, 'MSFT': 420, 'GOOGL': 170, 'AMZN': 180, 'META': 480, 'NVDA': 900
+};
+
+// Hourly log-return volatility by asset type
+const HOURLY_VOLATILITY = {
+    forex: 0.0015, metal: 0.003, crypto: 0.008, stock: 0.005
+};
+
+// =============================================================================
+// DETERMINISTIC RANDOMNESS
+// =============================================================================
+
+function hashString(str) {
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+/**
+ * Uniform [0, 1) from integer parts - same inputs, same number
+ */
+function hashUniform(...parts) {
+    let h = 0x9e3779b9;
+    for (const part of parts) {
+        h ^= part | 0;
+        h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+        h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+        h ^= h >>> 16;
+    }
+    return (h >>> 0) / 4294967296;
+}
+
+function hashGaussian(...parts) {
+    const u1 = Math.max(hashUniform(...parts, 1), 1e-12);
+    const u2 = hashUniform(...parts, 2);
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Seeded PRNG for the live stream (spikes, gaps, jitter)
+ */
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// =============================================================================
+// CSV SERIES
+// =============================================================================
+
+/**
+ * Parse "YYYY-MM-DD HH:MM,open,high,low,close,volume" rows (UTC)
+ */
+function parseCsv(content) {
+    const bars = [];
+    for (const line of content.split('\n')) {
+        const [time, open, high, low, close, volume] = line.trim().split(',');
+        if (!time || close === undefined) continue;
+
+        const ts = Date.parse(`${time.replace(' ', 'T')}:00Z`);
+        if (isNaN(ts)) continue;
+
+        bars.push({
+            ts,
+            open: parseFloat(open),
+            high: parseFloat(high),
+            low: parseFloat(low),
+            close: parseFloat(close),
+            volume: parseFloat(volume) || 0,
+        });
+    }
+    return bars.sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Index of the bar covering ts, or -1
+ */
+function findBar(bars, ts, intervalMs) {
+    let lo = 0;
+    let hi = bars.length - 1;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (bars[mid].ts <= ts) lo = mid + 1;
+        else hi = mid - 1;
+    }
+    return hi >= 0 && ts < bars[hi].ts + intervalMs ? hi : -1;
+}
+
+// =============================================================================
+// PROVIDER
+// =============================================================================
+
+class MockProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        super({
+            name: 'mock',
+            priority: 100,
+            capabilities: {
+                liveTicks: true,
+                quotes: true,
+                historicalCandles: true,
+                timeframes: Object.keys(TIMEFRAME_MS),
+                delayMinutes: 0,
+            },
+            ...options,
+        });
+
+        // Never offered as a fallback - only used when asked for by name
+        this.enabled = options.enabled ??
+            [config.providers.live, config.providers.historical].includes('mock');
+
+        const mock = config.mock;
+        this.source = options.source || mock.source;
+        this.dataDir = options.dataDir || mock.dataDir || DATA_DIR;
+        this.seed = options.seed ?? mock.seed ?? Date.now() % 2147483647;
+        this.speed = options.speed ?? mock.speed;
+        this.ticksPerMinute = options.ticksPerMinute ?? mock.ticksPerMinute;
+        this.gapRate = options.gapRate ?? mock.gapRate;
+        this.spikeRate = options.spikeRate ?? mock.spikeRate;
+        this.spikeSize = options.spikeSize ?? mock.spikeSize;
+        this.disconnectEveryMs = options.disconnectEveryMs ?? mock.disconnectEveryMs;
+        this.disconnectMs = options.disconnectMs ?? mock.disconnectMs;
+
+        // CSV replay is shifted relative to this instant
+        this.anchor = options.anchor ? new Date(options.anchor).getTime() : Date.now();
+
+        this.random = mulberry32(this.seed);
+        this.series = new Map();   // "EURUSD_M1" → shifted bars (null = no file)
+        this.walks = new Map();    // symbol → cumulative hourly log-returns
+
+        // Live stream state
+        this.isConnected = false;
+        this.onTick = null;
+        this.subscribed = [];
+        this.startedAt = null;
+        this.timers = [];
+        this.silentMinutes = new Map();   // symbol → minute index it is silent for
+
+        this.stats.ticksEmitted = 0;
+        this.stats.gapsInjected = 0;
+        this.stats.spikesInjected = 0;
+        this.stats.reconnects = 0;
+    }
+
+    isAvailable() {
+        return this.enabled;
+    }
+
+    // Every registered symbol, under its own name
+    mapSymbol(symbol) {
+        return getSymbol(symbol) ? symbol : null;
+    }
+
+    getSymbols() {
+        return listSymbols();
+    }
+
+    // =========================================================================
+    // PRICE SOURCES
+    // =========================================================================
+
+    getSymbolConfig(symbol) {
+        return getSymbol(toDisplaySymbol(symbol));
+    }
+
+    /**
+     * Week-shifted bars from data/<SYMBOL>_<TF>.csv, or null if there is no file
+     */
+    loadSeries(symbol, timeframe) {
+        const key = `${symbol}_${timeframe}`;
+        if (this.series.has(key)) return this.series.get(key);
+
+        let bars = null;
+        if (this.source !== 'random') {
+            const file = path.join(this.dataDir, `${key}.csv`);
+            if (fs.existsSync(file)) {
+                bars = parseCsv(fs.readFileSync(file, 'utf8'));
+                if (bars.length > 0) {
+                    const last = bars[bars.length - 1].ts;
+                    const shift = Math.ceil((this.anchor - last) / WEEK_MS) * WEEK_MS;
+                    for (const bar of bars) bar.ts += shift;
+                    console.log(`📼 Mock replaying ${file} (${bars.length} bars)`);
+                } else {
+                    bars = null;
+                }
+            }
+        }
+
+        this.series.set(key, bars);
+        return bars;
+    }
+
+    /**
+     * Cumulative log-return of the random walk at an hour offset from the anchor
+     */
+    walkLevel(symbol, hour) {
+        let walk = this.walks.get(symbol);
+        if (!walk) {
+            const config = this.getSymbolConfig(symbol);
+            walk = {
+                id: hashString(symbol),
+                volatility: HOURLY_VOLATILITY[config?.type] || HOURLY_VOLATILITY.forex,
+                forward: [0],    // forward[h]  = level at +h hours
+                backward: [0],   // backward[h] = level at -h hours
+            };
+            this.walks.set(symbol, walk);
+        }
+
+        const steps = hour >= 0 ? walk.forward : walk.backward;
+        const target = Math.abs(hour);
+        while (steps.length <= target) {
+            const h = steps.length * (hour >= 0 ? 1 : -1);
+            const step = hashGaussian(this.seed, walk.id, h) * walk.volatility;
+            steps.push(steps[steps.length - 1] + (hour >= 0 ? step : -step));
+        }
+        return { level: steps[target], walk };
+    }
+
+    /**
+     * Random-walk price at ts: hourly steps, linearly joined, plus minute noise
+     */
+    walkPriceAt(symbol, ts) {
+        const originHour = Math.floor(this.anchor / HOUR_MS);
+        const hour = Math.floor(ts / HOUR_MS) - originHour;
+        const hourFrac = (ts % HOUR_MS) / HOUR_MS;
+
+        const { level: from, walk } = this.walkLevel(symbol, hour);
+        const { level: to } = this.walkLevel(symbol, hour + 1);
+
+        const minute = Math.floor(ts / MINUTE_MS);
+        const minuteFrac = (ts % MINUTE_MS) / MINUTE_MS;
+        const noiseScale = walk.volatility * 0.1;
+        const noiseFrom = hashGaussian(this.seed, walk.id, minute, 7) * noiseScale;
+        const noiseTo = hashGaussian(this.seed, walk.id, minute + 1, 7) * noiseScale;
+
+        const base = BASE_PRICES[symbol] || 100;
+        return base * Math.exp(
+            from + (to - from) * hourFrac +
+            noiseFrom + (noiseTo - noiseFrom) * minuteFrac
+        );
+    }
+
+    /**
+     * Price inside a CSV bar: open → low/high → high/low → close
+     */
+    barPriceAt(bar, frac) {
+        const points = bar.close >= bar.open
+            ? [bar.open, bar.low, bar.high, bar.close]
+            : [bar.open, bar.high, bar.low, bar.close];
+
+        const position = Math.min(frac, 0.999) * 3;
+        const segment = Math.floor(position);
+        return points[segment] + (points[segment + 1] - points[segment]) * (position - segment);
+    }
+
+    /**
+     * Simulated price at ts, or null when the data has nothing (market closed)
+     */
+    priceAt(symbol, ts) {
+        const bars = this.loadSeries(symbol, 'M1');
+        if (!bars && this.source === 'csv') return null;
+
+        if (bars) {
+            // Replay loops once the file runs out
+            const first = bars[0].ts;
+            const loopMs = Math.ceil((bars[bars.length - 1].ts + MINUTE_MS - first) / WEEK_MS) * WEEK_MS;
+            if (ts >= first + loopMs) {
+                ts = first + ((ts - first) % loopMs);
+            }
+
+            const index = findBar(bars, ts, MINUTE_MS);
+            if (index === -1) return null;
+            return this.barPriceAt(bars[index], (ts - bars[index].ts) / MINUTE_MS);
+        }
+
+        const config = this.getSymbolConfig(symbol);
+        if (!isMarketOpenForSymbol(config?.type, new Date(ts)).open) return null;
+        return this.walkPriceAt(symbol, ts);
+    }
+
+    roundPrice(symbol, price) {
+        const digits = this.getSymbolConfig(symbol)?.digits ?? 5;
+        return parseFloat(price.toFixed(digits));
+    }
+
+    /**
+     * Simulated spread (price units) for the minute containing ts
+     */
+    spreadAt(symbol, ts) {
+        const config = this.getSymbolConfig(symbol);
+        const pips = 0.8 + hashUniform(this.seed, hashString(symbol), Math.floor(ts / MINUTE_MS), 5);
+        return parseFloat((pips * (config?.pipSize ?? 0.0001)).toFixed((config?.digits ?? 5) + 1));
+    }
+
+    // =========================================================================
+    // HISTORICAL CANDLES
+    // =========================================================================
+
+    async fetchCandles(symbol, timeframe, from, to) {
+        if (!this.supportsSymbol(symbol)) throw new Error(`${symbol} not supported by mock`);
+
+        const intervalMs = TIMEFRAME_MS[timeframe];
+        if (!intervalMs) throw new Error(`Timeframe ${timeframe} not supported by mock`);
+
+        this.stats.requests++;
+
+        const fromMs = new Date(from).getTime();
+        // Nothing from the future - a bar is published once it has closed
+        const toMs = Math.min(new Date(to).getTime(), Date.now() - intervalMs);
+
+        const bars = this.loadSeries(symbol, timeframe);
+        if (!bars && this.source === 'csv') {
+            throw new Error(`No mock data for ${symbol} ${timeframe} in ${this.dataDir}`);
+        }
+
+        const candles = bars
+            ? bars.filter(bar => bar.ts >= fromMs && bar.ts <= toMs)
+            : this.generateBars(symbol, intervalMs, fromMs, toMs);
+
+        return candles.map(bar => ({
+            symbol,
+            timeframe,
+            timestamp: new Date(bar.ts),
+            open: this.roundPrice(symbol, bar.open),
+            high: this.roundPrice(symbol, bar.high),
+            low: this.roundPrice(symbol, bar.low),
+            close: this.roundPrice(symbol, bar.close),
+            volume: bar.volume,
+            // Spread at the bar close
+            spread: this.spreadAt(symbol, bar.ts + intervalMs - MINUTE_MS),
+            source: this.name,
+        }));
+    }
+
+    /**
+     * Random-walk bars for [fromMs, toMs], skipping closed-market buckets
+     */
+    generateBars(symbol, intervalMs, fromMs, toMs) {
+        const config = this.getSymbolConfig(symbol);
+        const id = hashString(symbol);
+        const bars = [];
+        const sampleMs = Math.max(MINUTE_MS, intervalMs / 60);
+
+        for (let ts = Math.ceil(fromMs / intervalMs) * intervalMs; ts <= toMs; ts += intervalMs) {
+            if (!isMarketOpenForSymbol(config?.type, new Date(ts)).open) continue;
+
+            const open = this.walkPriceAt(symbol, ts);
+            const close = this.walkPriceAt(symbol, ts + intervalMs);
+            let high = Math.max(open, close);
+            let low = Math.min(open, close);
+
+            for (let t = ts + sampleMs; t < ts + intervalMs; t += sampleMs) {
+                const price = this.walkPriceAt(symbol, t);
+                high = Math.max(high, price);
+                low = Math.min(low, price);
+            }
+
+            bars.push({
+                ts,
+                open,
+                high,
+                low,
+                close,
+                volume: Math.round((20 + hashUniform(this.seed, id, ts / MINUTE_MS, 3) * 80) * intervalMs / MINUTE_MS),
+            });
+        }
+
+        return bars;
+    }
+
+    // =========================================================================
+    // QUOTES & LIVE TICKS
+    // =========================================================================
+
+    /**
+     * Simulated clock - runs `speed` times faster than the wall clock
+     */
+    simulatedNow() {
+        const now = Date.now();
+        if (!this.startedAt) return now;
+        return this.startedAt + (now - this.startedAt) * this.speed;
+    }
+
+    async fetchQuote(symbol) {
+        if (!this.supportsSymbol(symbol)) return null;
+
+        const simulated = this.simulatedNow();
+        const price = this.priceAt(symbol, simulated);
+        if (price === null) return null;
+
+        this.stats.requests++;
+        const bid = this.roundPrice(symbol, price);
+        return {
+            symbol,
+            price: bid,
+            bid,
+            ask: this.roundPrice(symbol, bid + this.spreadAt(symbol, simulated)),
+            timestamp: new Date(),
+            source: 'mock',
+        };
+    }
+
+    async startLiveTicks(symbols, onTick) {
+        this.subscribed = symbols.filter(s => this.supportsSymbol(s));
+        this.onTick = onTick;
+        this.startedAt = Date.now();
+        this.isConnected = true;
+
+        const intervalMs = Math.max(10, MINUTE_MS / this.ticksPerMinute);
+        this.timers.push(setInterval(() => this.emitTicks(), intervalMs));
+
+        if (this.disconnectEveryMs > 0) {
+            this.timers.push(setInterval(() => this.simulateDisconnect(), this.disconnectEveryMs));
+        }
+
+        console.log(`✅ Mock feed started: ${this.subscribed.length} symbols, ${this.speed}x speed, seed ${this.seed}`);
+    }
+
+    async stopLiveTicks() {
+        for (const timer of this.timers) clearInterval(timer);
+        this.timers = [];
+        this.isConnected = false;
+    }
+
+    async updateLiveSymbols(symbols) {
+        this.subscribed = symbols.filter(s => this.supportsSymbol(s));
+        console.log(`📊 Mock feed now streaming ${this.subscribed.length} symbols`);
+    }
+
+    simulateDisconnect() {
+        if (!this.isConnected) return;
+
+        console.log(`🔌 Mock feed disconnected for ${this.disconnectMs / 1000}s`);
+        this.isConnected = false;
+
+        const timer = setTimeout(() => {
+            this.timers = this.timers.filter(t => t !== timer);
+            this.isConnected = true;
+            this.stats.reconnects++;
+            console.log('✅ Mock feed reconnected');
+        }, this.disconnectMs);
+        this.timers.push(timer);
+    }
+
+    /**
+     * A symbol in a gap stays silent for the rest of that wall-clock minute
+     */
+    isSilent(symbol, minute) {
+        if (this.gapRate <= 0) return false;
+
+        let silent = this.silentMinutes.get(symbol);
+        if (silent === undefined || silent.minute !== minute) {
+            silent = { minute, gap: this.random() < this.gapRate };
+            this.silentMinutes.set(symbol, silent);
+            if (silent.gap) this.stats.gapsInjected++;
+        }
+        return silent.gap;
+    }
+
+    emitTicks() {
+        if (!this.isConnected || !this.onTick) return;
+
+        const now = Date.now();
+        const simulated = this.simulatedNow();
+        const minute = Math.floor(now / MINUTE_MS);
+
+        for (const symbol of this.subscribed) {
+            if (this.isSilent(symbol, minute)) continue;
+
+            let price = this.priceAt(symbol, simulated);
+            if (price === null) continue;
+
+            if (this.spikeRate > 0 && this.random() < this.spikeRate) {
+                price *= 1 + (this.random() < 0.5 ? -1 : 1) * this.spikeSize;
+                this.stats.spikesInjected++;
+            }
+
+            this.stats.ticksEmitted++;
+            const bid = this.roundPrice(symbol, price);
+            this.onTick({
+                symbol,
+                price: bid,
+                bid,
+                ask: this.roundPrice(symbol, bid + this.spreadAt(symbol, simulated)),
+                volume: Math.round(1 + this.random() * 9),
+                timestamp: new Date(now),
+                source: 'mock',
+            });
+        }
+    }
+
+    getStatus() {
+        return {
+            connected: this.isConnected,
+            reconnectAttempts: 0,
+            source: this.source,
+            speed: this.speed,
+            seed: this.seed,
+        };
+    }
+}
+
+module.exports = { MockProvider, parseCsv };
@@ -0,0 +1,56 @@
+// =============================================================================
+// services/providers/polygon-provider.js - Polygon.io Historical Candles
+// =============================================================================
+//
+// Low delay (~1-5 min) but 5 requests/minute on the free tier. Requests are
+// paced by PolygonService itself; the policy here describes that budget.
+// =============================================================================
+
+const { MarketDataProvider } = require('./base-provider');
+const { PolygonService } = require('../polygon-service');
+
+class PolygonProvider extends MarketDataProvider {
+    constructor(options = {}) {
+        const service = options.service || new PolygonService(options.apiKey);
+
+        super({
+            name: 'polygon',
+            priority: 10,
+            symbolField: 'polygon',
+            capabilities: {
+                historicalCandles: true,
+                timeframes: ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1'],
+                delayMinutes: 2,
+            },
+            rateLimit: { requestsPerMinute: 60000 / service.minRequestInterval, backoffMs: 60000 },
+            ...options,
+        });
+
+        this.service = service;
+    }
+
+    isAvailable() {
+        return Boolean(this.service.apiKey);
+    }
+
+    async fetchCandles(symbol, timeframe, from, to) {
+        if (!this.supportsSymbol(symbol)) {
+            throw new Error(`${symbol} not supported by Polygon`);
+        }
+
+        this.stats.requests++;
+        try {
+            return await this.service.fetchCandles(symbol, timeframe, from, to);
+        } catch (error) {
+            this.stats.errors++;
+            if (error.message === 'rate_limited') this.stats.rateLimitHits++;
+            throw error;
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, service: this.service.getStats() };
+    }
+}
+
+module.exports = { PolygonProvider };
@@ -0,0 +1,116 @@
+// =============================================================================
+// services/providers/registry.js - Market Data Provider Registry
+// =============================================================================
+//
+// Consumers ask the registry for "who can serve EURUSD M1 candles" or
+// "the live tick source" instead of hardcoding a vendor. A new source is a
+// MarketDataProvider subclass plus one register() call.
+//
+// Live source:       LIVE_PROVIDER env (default: best available by priority)
+// Historical source: HISTORICAL_PROVIDER env (default: dukascopy) - used by
+//                    the backfill and healing paths
+// =============================================================================
+
+const { config } = require('../../config');
+const { MarketDataProvider } = require('./base-provider');
+const { DukascopyProvider } = require('./dukascopy-provider');
+const { PolygonProvider } = require('./polygon-provider');
+const { FinnhubProvider } = require('./finnhub-provider');
+const { MockProvider } = require('./mock-provider');
+
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+    }
+
+    register(provider) {
+        if (!(provider instanceof MarketDataProvider)) {
+            throw new Error('Providers must extend MarketDataProvider');
+        }
+        if (this.providers.has(provider.name)) {
+            throw new Error(`Provider "${provider.name}" is already registered`);
+        }
+
+        this.providers.set(provider.name, provider);
+        return provider;
+    }
+
+    unregister(name) {
+        return this.providers.delete(name);
+    }
+
+    get(name) {
+        return this.providers.get(name) || null;
+    }
+
+    /**
+     * All providers, in priority order
+     */
+    list() {
+        return [...this.providers.values()].sort((a, b) => a.priority - b.priority);
+    }
+
+    /**
+     * Available providers that can serve candles for symbol/timeframe
+     */
+    getCandleProviders(symbol, timeframe) {
+        return this.list().filter(p => p.canFetchCandles(symbol, timeframe));
+    }
+
+    /**
+     * Live tick source: the named provider, or the best available one
+     */
+    getLiveProvider(name = config.providers.live) {
+        if (name) {
+            const provider = this.get(name);
+            if (!provider) {
+                throw new Error(`Unknown live provider "${name}". Registered: ${[...this.providers.keys()].join(', ')}`);
+            }
+            if (!provider.capabilities.liveTicks) {
+                throw new Error(`Provider "${name}" does not provide live ticks`);
+            }
+            return provider;
+        }
+
+        return this.list().find(p => p.capabilities.liveTicks && p.isAvailable()) || null;
+    }
+
+    /**
+     * Candle source for backfill and healing: the named provider (dukascopy by default)
+     */
+    getHistoricalProvider(name = config.providers.historical) {
+        const provider = this.get(name);
+        if (!provider) {
+            throw new Error(`Unknown historical provider "${name}". Registered: ${[...this.providers.keys()].join(', ')}`);
+        }
+        if (!provider.capabilities.historicalCandles) {
+            throw new Error(`Provider "${name}" does not provide historical candles`);
+        }
+        return provider;
+    }
+
+    describe() {
+        return this.list().map(p => p.describe());
+    }
+}
+
+/**
+ * Registry with the built-in providers
+ */
+function createDefaultRegistry(options = {}) {
+    const registry = new ProviderRegistry();
+    registry.register(new PolygonProvider({ apiKey: options.polygonApiKey }));
+    registry.register(new DukascopyProvider());
+    registry.register(new FinnhubProvider());
+    registry.register(new MockProvider());
+    return registry;
+}
+
+// Shared per process so rate budgets are shared too
+const registry = createDefaultRegistry();
+
+module.exports = {
+    ProviderRegistry,
+    createDefaultRegistry,
+    registry
+};
@@ -72,39 +72,68 @@ class QuoteService {
 
     /**
      * Convert currency
+     * route: 'direct' (FROM/TO), 'inverse' (TO/FROM) or 'via_usd' (two USD legs)
+     * canUse(pair) limits the pairs a route may read (e.g. the caller's tier)
      */
-    async convert(from, to, amount) {
+    async convert(from, to, amount, { canUse = () => true } = {}) {
+        if (from === to) {
+            return this.buildConversion(from, to, amount, 1, 'identity', []);
+        }
+
         // Try direct pair first
-        let rate = await this.getConversionRate(from, to);
-        
-        if (!rate) {
-            // Try inverse pair
-            const inverseRate = await this.getConversionRate(to, from);
-            if (inverseRate) {
-                rate = 1 / inverseRate;
-            }
+        const directRate = await this.getConversionRate(from, to, canUse);
+        if (directRate) {
+            return this.buildConversion(from, to, amount, directRate, 'direct', [`${from}/${to}`]);
         }
 
-        if (!rate) {
-            // Try via USD
-            const fromUsdRate = await this.getUsdRate(from);
-            const toUsdRate = await this.getUsdRate(to);
-            
-            if (fromUsdRate && toUsdRate) {
-                rate = fromUsdRate / toUsdRate;
-            }
+        // Try inverse pair
+        const inverseRate = await this.getConversionRate(to, from, canUse);
+        if (inverseRate) {
+            return this.buildConversion(from, to, amount, 1 / inverseRate, 'inverse', [`${to}/${from}`]);
         }
 
-        if (!rate) {
-            return null;
+        // Try via USD
+        const fromLeg = await this.getUsdLeg(from, canUse);
+        const toLeg = await this.getUsdLeg(to, canUse);
+
+        if (fromLeg && toLeg) {
+            const legs = [fromLeg.pair, toLeg.pair].filter(Boolean);
+            return this.buildConversion(from, to, amount, fromLeg.rate / toLeg.rate, 'via_usd', legs);
+        }
+
+        return null;
+    }
+
+    /**
+     * Registry pairs behind each route convert() can take, most direct first;
+     * a route needs all of its pairs. Depends on the registry only, not on data.
+     */
+    getConversionRoutes(from, to) {
+        if (from === to) return [[]];
+
+        const known = pair => getSymbol(pair) !== null;
+        const usdLegs = currency => currency === 'USD'
+            ? [[]]
+            : [`${currency}/USD`, `USD/${currency}`].filter(known).map(pair => [pair]);
+
+        const routes = [[`${from}/${to}`], [`${to}/${from}`]].filter(([pair]) => known(pair));
+        for (const fromLeg of usdLegs(from)) {
+            for (const toLeg of usdLegs(to)) {
+                routes.push([...fromLeg, ...toLeg]);
+            }
         }
+        return routes;
+    }
 
+    buildConversion(from, to, amount, rate, route, legs) {
         return {
             from,
             to,
             amount,
             result: amount * rate,
             rate,
+            route,
+            legs,
             timestamp: new Date().toISOString()
         };
     }
@@ -112,8 +141,10 @@ class QuoteService {
     /**
      * Get conversion rate for a pair
      */
-    async getConversionRate(from, to) {
+    async getConversionRate(from, to, canUse = () => true) {
         const symbol = `${from}/${to}`;
+        if (!canUse(symbol)) return null;
+
         const internalSymbol = toInternalSymbol(symbol);
         const quote = await database.getLatestQuote(internalSymbol);
         
@@ -132,15 +163,23 @@ class QuoteService {
      * Get rate relative to USD
      */
     async getUsdRate(currency) {
-        if (currency === 'USD') return 1;
+        const leg = await this.getUsdLeg(currency);
+        return leg ? leg.rate : null;
+    }
+
+    /**
+     * Get rate relative to USD plus the pair it came from
+     */
+    async getUsdLeg(currency, canUse) {
+        if (currency === 'USD') return { rate: 1, pair: null };
 
         // Try XXX/USD
-        let rate = await this.getConversionRate(currency, 'USD');
-        if (rate) return rate;
+        let rate = await this.getConversionRate(currency, 'USD', canUse);
+        if (rate) return { rate, pair: `${currency}/USD` };
 
         // Try USD/XXX (inverse)
-        rate = await this.getConversionRate('USD', currency);
-        if (rate) return 1 / rate;
+        rate = await this.getConversionRate('USD', currency, canUse);
+        if (rate) return { rate: 1 / rate, pair: `USD/${currency}` };
 
         return null;
     }
@@ -0,0 +1,53 @@
+// =============================================================================
+// services/rate-budget.js - Provider Request Budgets Shared Across Instances
+// =============================================================================
+//
+// Each provider has one row in pulse_rate_budgets: the next free request
+// slot and a backoff deadline. Callers reserve slots instead of tracking
+// their own last request, so N replicas together stay within one
+// provider's requests/minute, and a 429 seen by one pauses them all.
+//
+// Providers opt in with provider.useBudget(rateBudget) (base-provider.js);
+// without it their budget is per process.
+// =============================================================================
+
+const { storage: defaultStorage } = require('./storage');
+
+class RateBudget {
+    constructor(options = {}) {
+        this.storage = options.storage || defaultStorage;
+        this.now = options.now || (() => new Date());
+    }
+
+    /**
+     * Reserve `count` requests on `name`, intervalMs apart → ms to wait
+     * before making the first one
+     */
+    async reserve(name, intervalMs, count = 1) {
+        const now = this.now();
+        const slot = await this.storage.reserveRateSlot(name, { intervalMs, count, now });
+        return Math.max(slot - now.getTime(), 0);
+    }
+
+    /**
+     * Pause every instance's requests on `name` for ms
+     */
+    block(name, ms) {
+        return this.storage.blockRate(name, new Date(this.now().getTime() + ms));
+    }
+
+    /**
+     * Epoch ms until which `name` is paused (0 = not paused)
+     */
+    async blockedUntil(name) {
+        const { blockedUntil } = await this.storage.getRateBudget(name);
+        return blockedUntil > this.now().getTime() ? blockedUntil : 0;
+    }
+}
+
+const rateBudget = new RateBudget();
+
+module.exports = {
+    RateBudget,
+    rateBudget,
+};
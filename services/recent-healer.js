@@ -0,0 +1,362 @@
+// =============================================================================
+// services/recent-healer.js - Dukascopy Re-sync of Recent Bars (Rate-Limited)
+// =============================================================================
+//
+// Replaces the last few minutes of live M1 bars with Dukascopy data once
+// Dukascopy has caught up (~20 min delay), rebuilding higher timeframes in
+// the same transaction.
+// Bars from a higher-precedence source (CSV imports) are left alone.
+//
+// - Each fetch runs in a forked dukascopy-worker.js so a crash or memory
+//   spike in dukascopy-node can't take the server down
+// - Max ~17 Dukascopy req/min, with cooldown after repeated child failures
+//
+// Across instances: one replica heals a tier per run (heal:recent:<tier>
+// lock, held for minHealingIntervalMs), writes hold the symbol's candle
+// lock, and fetches and cooldowns draw on the provider's shared rate
+// budget once the heal role has called useBudget().
+// =============================================================================
+
+const cron = require('node-cron');
+const { fork } = require('child_process');
+const path = require('path');
+
+const { config } = require('../config');
+const { storage } = require('./storage');
+const { registry } = require('./providers/registry');
+const { locks } = require('./distributed-lock');
+const { isMarketOpenForSymbol } = require('../config/market-hours');
+const { getSymbolType } = require('../config/symbols');
+
+const DEFAULT_CONFIG = {
+    healingWindowMinutes: config.healing.windowMinutes,
+    dukascopyDelayMinutes: config.healing.delayMinutes,
+
+    // Rate limiting - CRITICAL for preventing crashes
+    childTimeoutMs: 45000,           // 45 second timeout per child
+    delayBetweenSymbols: config.healing.delayBetweenSymbolsMs,  // 3.5s default (~17/min)
+    minHealingIntervalMs: config.healing.minIntervalMs,         // 5 min default
+
+    // Rate limit protection
+    maxConsecutiveFailures: 2,       // Pause after 2 failures
+    rateLimitCooldownMs: 3 * 60 * 1000, // 3 minute cooldown on rate limit
+
+    // Secondary runs have no minimum interval; this keeps replicas whose
+    // cron fires a little apart from repeating the same run
+    secondaryHoldMs: 60 * 1000,
+};
+
+const WORKER_PATH = path.join(__dirname, '..', 'dukascopy-worker.js');
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function log(msg, type = 'info') {
+    const icons = {
+        info: '📊', success: '✅', error: '❌', heal: '🔧',
+        cron: '⏰', mem: '💾', rate: '🚦'
+    };
+    const mem = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
+    console.log(`[${new Date().toISOString().slice(11,19)}] ${icons[type] || '📊'} ${msg} [${mem}MB]`);
+}
+
+class RecentHealer {
+    constructor(options = {}) {
+        this.storage = options.storage || storage;
+        // Read on every run so runtime symbol changes apply; any object with
+        // primaryPairs/secondaryPairs (the engine's CONFIG) will do
+        this.pairs = options.pairs || {
+            primaryPairs: options.primaryPairs || [],
+            secondaryPairs: options.secondaryPairs || [],
+        };
+        this.config = { ...DEFAULT_CONFIG, ...options.config };
+        this.locks = options.locks || locks;
+        // Parent-side provider: paces the forked fetches, shares cooldowns
+        this.provider = options.provider || registry.getHistoricalProvider();
+
+        this.isHealing = false;
+        this.lastHealingStart = 0;
+        this.consecutiveFailures = 0;
+        this.rateLimitedUntil = 0;
+        this.lastHealTime = new Map();
+        this.jobs = [];
+
+        this.stats = {
+            healingRuns: 0,
+            candlesHealed: 0,
+            childProcesses: 0,
+            childFailures: 0,
+            rateLimitHits: 0,
+        };
+    }
+
+    /**
+     * Schedule primary (5 min) and secondary (15 min) runs
+     */
+    start(schedules = config.schedules) {
+        // Replicas all fire; the tier lock lets one of them run
+        this.jobs.push(cron.schedule(schedules.healPrimary, () => this.healPrimaryPairs()));
+        log(`Cron: Primary healing (${schedules.healPrimary})`, 'cron');
+
+        this.jobs.push(cron.schedule(schedules.healSecondary, () => this.healSecondaryPairs()));
+        log(`Cron: Secondary healing (${schedules.healSecondary})`, 'cron');
+
+        log(`Delay between symbols: ${this.config.delayBetweenSymbols}ms (max ~${Math.floor(60000 / this.config.delayBetweenSymbols)} Dukascopy req/min)`, 'rate');
+    }
+
+    stop() {
+        this.jobs.forEach(job => job.stop());
+        this.jobs = [];
+    }
+
+    getStatus() {
+        const now = Date.now();
+        return {
+            isHealing: this.isHealing,
+            rateLimited: now < this.rateLimitedUntil,
+            rateLimitEnds: this.rateLimitedUntil > now ? new Date(this.rateLimitedUntil).toISOString() : null,
+            consecutiveFailures: this.consecutiveFailures,
+            stats: this.stats,
+        };
+    }
+
+    // =========================================================================
+    // CHILD PROCESS FETCH
+    // =========================================================================
+
+    fetchCandlesViaChild(symbol, from, to) {
+        return new Promise((resolve) => {
+            const child = fork(WORKER_PATH, [], {
+                execArgv: ['--max-old-space-size=256'],
+                stdio: ['pipe', 'pipe', 'pipe', 'ipc']
+            });
+
+            this.stats.childProcesses++;
+            let resolved = false;
+
+            const timeout = setTimeout(() => {
+                if (!resolved) {
+                    resolved = true;
+                    log(`Child timeout for ${symbol}`, 'error');
+                    child.kill('SIGKILL');
+                    resolve({ candles: [], error: 'timeout' });
+                }
+            }, this.config.childTimeoutMs);
+
+            child.on('message', (msg) => {
+                if (!resolved) {
+                    resolved = true;
+                    clearTimeout(timeout);
+                    child.kill();
+                    resolve(msg);
+                }
+            });
+
+            child.on('error', (err) => {
+                if (!resolved) {
+                    resolved = true;
+                    clearTimeout(timeout);
+                    this.stats.childFailures++;
+                    resolve({ candles: [], error: err.message });
+                }
+            });
+
+            child.on('exit', (code, signal) => {
+                if (!resolved) {
+                    resolved = true;
+                    clearTimeout(timeout);
+                    this.stats.childFailures++;
+
+                    // Null code = killed by signal (likely rate limit crash)
+                    if (code === null) {
+                        log(`Child killed (${signal}) for ${symbol} - possible rate limit`, 'error');
+                        this.consecutiveFailures++;
+                    }
+
+                    resolve({ candles: [], error: `exit_${code}_${signal}` });
+                }
+            });
+
+            child.send({ symbol, from: from.toISOString(), to: to.toISOString() });
+        });
+    }
+
+    // =========================================================================
+    // HEALING
+    // =========================================================================
+
+    async healSymbol(symbol) {
+        const symbolType = getSymbolType(symbol);
+        const marketStatus = isMarketOpenForSymbol(symbolType);
+        if (!marketStatus.open) return null;
+
+        const now = new Date();
+        const to = new Date(now.getTime() - this.config.dukascopyDelayMinutes * 60 * 1000);
+        const from = new Date(to.getTime() - this.config.healingWindowMinutes * 60 * 1000);
+
+        const lastHeal = this.lastHealTime.get(symbol);
+        const actualFrom = lastHeal && lastHeal > from ? lastHeal : from;
+
+        if (actualFrom >= to) return { symbol, skipped: true, reason: 'already_healed' };
+
+        try {
+            // Reserve the child's requests from the (shared) provider budget
+            await this.provider.throttle(this.requestsPerFetch());
+            const result = await this.fetchCandlesViaChild(symbol, actualFrom, to);
+
+            if (result.error) {
+                return { symbol, inserted: 0, error: result.error };
+            }
+
+            const candles = result.candles || [];
+
+            if (candles.length === 0) {
+                return { symbol, inserted: 0 };
+            }
+
+            // Success! Reset failure counter
+            this.consecutiveFailures = 0;
+
+            // UPSERT Dukascopy bars over the live ones
+            const healed = candles.map(c => ({
+                symbol,
+                timeframe: 'M1',
+                timestamp: new Date(c.ts),
+                open: c.o,
+                high: c.h,
+                low: c.l,
+                close: c.c,
+                volume: c.v,
+                spread: c.s ?? null,
+                source: 'dukascopy',
+            }));
+            // One transaction with the prune of live bars Dukascopy has no
+            // data for and the higher-TF rebuild
+            const { written: inserted } = await this.locks.withCandleLock(symbol, () =>
+                this.storage.replaceCandles(symbol, 'M1', actualFrom, to, healed, {
+                    prune: 'dukascopy',
+                    rollup: true,
+                })
+            );
+
+            this.lastHealTime.set(symbol, to);
+            this.stats.candlesHealed += inserted;
+
+            return { symbol, inserted };
+        } catch (error) {
+            return { symbol, error: error.message };
+        }
+    }
+
+    // =========================================================================
+    // ORCHESTRATION
+    // =========================================================================
+
+    async healPrimaryPairs() {
+        // Check if we're (or another instance is) rate limited
+        const waitSec = await this.rateLimitedSeconds();
+        if (waitSec > 0) {
+            log(`Rate limited, waiting ${waitSec}s`, 'rate');
+            return;
+        }
+
+        // Check minimum interval between healing runs
+        const timeSinceLastHeal = Date.now() - this.lastHealingStart;
+        if (timeSinceLastHeal < this.config.minHealingIntervalMs) {
+            log(`Too soon since last heal (${Math.round(timeSinceLastHeal/1000)}s), skipping`, 'info');
+            return;
+        }
+
+        if (this.isHealing) {
+            log('Healing in progress, skipping', 'info');
+            return;
+        }
+
+        this.isHealing = true;
+        this.lastHealingStart = Date.now();
+        this.consecutiveFailures = 0;
+
+        try {
+            // Held for the minimum interval, so other replicas skip this run
+            const { acquired } = await this.locks.withLock('heal:recent:primary', async () => {
+                log('Healing primary pairs...', 'heal');
+                this.stats.healingRuns++;
+                await this.healPairs(this.pairs.primaryPairs, true);
+                log('Primary healing complete', 'mem');
+            }, { holdMs: this.config.minHealingIntervalMs });
+
+            if (!acquired) log('Primary pairs healed by another instance, skipping', 'info');
+        } finally {
+            this.isHealing = false;
+        }
+    }
+
+    async healSecondaryPairs() {
+        if (this.isHealing || await this.rateLimitedSeconds() > 0) return;
+
+        this.isHealing = true;
+
+        try {
+            await this.locks.withLock('heal:recent:secondary', async () => {
+                log('Healing secondary pairs...', 'heal');
+                await this.healPairs(this.pairs.secondaryPairs, false);
+                log('Secondary healing complete', 'mem');
+            }, { holdMs: this.config.secondaryHoldMs });
+        } finally {
+            this.isHealing = false;
+        }
+    }
+
+    /**
+     * Seconds left on this process's cooldown or the shared provider
+     * backoff (0 = free to heal)
+     */
+    async rateLimitedSeconds() {
+        let until = this.rateLimitedUntil;
+
+        if (this.provider.budget) {
+            try {
+                until = Math.max(until, await this.provider.budget.blockedUntil(this.provider.name));
+            } catch (error) {
+                log(`Shared rate budget unavailable: ${error.message}`, 'error');
+            }
+        }
+
+        return Math.max(Math.ceil((until - Date.now()) / 1000), 0);
+    }
+
+    /**
+     * Provider requests one forked fetch makes (bid + ask with spreads)
+     */
+    requestsPerFetch() {
+        return this.provider.name === 'dukascopy' && config.providers.dukascopySpread ? 2 : 1;
+    }
+
+    async healPairs(pairs, logErrors) {
+        for (const symbol of pairs) {
+            // Check for rate limit trigger
+            if (this.consecutiveFailures >= this.config.maxConsecutiveFailures) {
+                this.rateLimitedUntil = Date.now() + this.config.rateLimitCooldownMs;
+                // Other instances (and this one's fetches) cool down too
+                this.provider.backoff(this.config.rateLimitCooldownMs);
+                this.stats.rateLimitHits++;
+                log(`Rate limit detected! Cooling down for ${this.config.rateLimitCooldownMs/1000}s`, 'rate');
+                break;
+            }
+
+            const result = await this.healSymbol(symbol);
+
+            if (result?.error && logErrors) {
+                log(`${symbol}: ❌ ${result.error}`, 'error');
+            } else if (result?.inserted > 0) {
+                log(`${symbol}: +${result.inserted}`, 'success');
+            }
+
+            // Rate limit: wait between symbols
+            await sleep(this.config.delayBetweenSymbols);
+        }
+    }
+}
+
+module.exports = { RecentHealer, DEFAULT_CONFIG };
@@ -0,0 +1,83 @@
+// =============================================================================
+// services/rollup-worker.js - Change-Driven Higher-Timeframe Rollups
+// =============================================================================
+//
+// Candle writes mark the M5 ... D1 buckets built from them dirty (storage,
+// candle-rollup.js). run() rebuilds the dirty buckets in dependency order -
+// M5 ... H1 from M1, then H4 and D1 from the fresh H1 - each once per pass,
+// in batches of ROLLUP_BATCH_SIZE. A bucket written to again while its
+// batch runs stays dirty for the next pass.
+//
+// One instance works the marks at a time (engine:rollups lock). Heals that
+// pass rollup: true to storage.replaceCandles rebuild their buckets inline.
+// =============================================================================
+
+const { config } = require('../config');
+const { storage: defaultStorage } = require('./storage');
+const { locks: defaultLocks } = require('./distributed-lock');
+
+// Batches per run, so constant writes can't keep one run going forever
+const MAX_BATCHES = 20;
+
+class RollupWorker {
+    constructor(options = {}) {
+        this.storage = options.storage || defaultStorage;
+        this.locks = options.locks || defaultLocks;
+        this.batchSize = options.batchSize || config.rollups.batchSize;
+        this.maxBatches = options.maxBatches || MAX_BATCHES;
+
+        this.stats = {
+            runs: 0,
+            bucketsRebuilt: 0,
+            candlesWritten: 0,
+            lastRunAt: null,
+        };
+    }
+
+    /**
+     * Rebuild dirty buckets unless another instance is → totals, or null
+     * when skipped
+     */
+    async run() {
+        const { acquired, result } = await this.locks.withLock('engine:rollups', () => this.drain());
+        return acquired ? result : null;
+    }
+
+    /**
+     * Work batches of dirty buckets until none are left (or maxBatches)
+     * → {buckets, written, cleared}
+     */
+    async drain() {
+        const totals = { buckets: 0, written: 0, cleared: 0 };
+
+        for (let batch = 0; batch < this.maxBatches; batch++) {
+            const buckets = await this.storage.listDirtyRollups(this.batchSize);
+            if (buckets.length === 0) break;
+
+            const { written, cleared } = await this.storage.rebuildDirtyRollups(buckets);
+            totals.buckets += buckets.length;
+            totals.written += written;
+            totals.cleared += cleared;
+
+            if (buckets.length < this.batchSize) break;
+        }
+
+        this.stats.runs++;
+        this.stats.bucketsRebuilt += totals.buckets;
+        this.stats.candlesWritten += totals.written;
+        this.stats.lastRunAt = new Date();
+
+        return totals;
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+const rollupWorker = new RollupWorker();
+
+module.exports = {
+    RollupWorker,
+    rollupWorker,
+};
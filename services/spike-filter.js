@@ -9,16 +9,26 @@
 // - Log rejected spikes for analysis
 // =============================================================================
 
-const database = require('../database');
+const { config } = require('../config');
+const { storage } = require('./storage');
+const { getSymbolType } = require('../config/symbols');
 
 class SpikeFilter {
-    constructor(thresholds = {}) {
+    /**
+     * @param {Object} thresholds - Per-type overrides ({ forex: { tick, candle } })
+     * @param {Object} options
+     * @param {Object} options.storage - Storage adapter (defaults to STORAGE_DRIVER)
+     */
+    constructor(thresholds = {}, options = {}) {
+        this.storage = options.storage || storage;
+
         // Default thresholds (percentage change that triggers rejection)
         this.thresholds = {
             forex: { tick: 0.3, candle: 0.5 },     // 0.3% per tick, 0.5% per candle
             metal: { tick: 0.8, candle: 1.5 },     // Metals more volatile
             crypto: { tick: 3.0, candle: 5.0 },    // Crypto very volatile
             stock: { tick: 5.0, candle: 10.0 },    // Stocks can gap
+            ...config.spikeThresholds,             // forex/metal overrides
             ...thresholds
         };
         
@@ -48,23 +58,13 @@ class SpikeFilter {
      */
     async loadLastPrices() {
         try {
-            const [rows] = await database.pool.execute(`
-                SELECT symbol, close, timestamp
-                FROM pulse_market_data
-                WHERE timeframe = 'M1'
-                AND timestamp > DATE_SUB(NOW(), INTERVAL 1 HOUR)
-                ORDER BY timestamp DESC
-            `);
+            const rows = await this.storage.getLatestCloses('M1', new Date(Date.now() - 60 * 60 * 1000));
             
-            const seen = new Set();
             for (const row of rows) {
-                if (!seen.has(row.symbol)) {
-                    this.lastPrices.set(row.symbol, {
-                        price: parseFloat(row.close),
-                        timestamp: new Date(row.timestamp)
-                    });
-                    seen.add(row.symbol);
-                }
+                this.lastPrices.set(row.symbol, {
+                    price: parseFloat(row.close),
+                    timestamp: new Date(row.timestamp)
+                });
             }
             
             console.log(`📊 Loaded ${this.lastPrices.size} last prices for spike detection`);
@@ -242,11 +242,9 @@ class SpikeFilter {
      */
     async logSpikeToDb(symbol, lastPrice, newPrice, changePercent) {
         try {
-            await database.pool.execute(`
-                INSERT INTO pulse_health_metrics 
-                (metric_name, metric_value, symbol, recorded_at)
-                VALUES ('spike_rejected', ?, ?, NOW())
-            `, [changePercent, symbol]);
+            await this.storage.insertHealthMetrics([
+                { name: 'spike_rejected', value: changePercent, symbol },
+            ]);
         } catch (error) {
             // Ignore logging errors
         }
@@ -256,19 +254,14 @@ class SpikeFilter {
      * Get spike statistics for a symbol
      */
     async getSpikeStats(symbol, days = 7) {
-        const [rows] = await database.pool.execute(`
-            SELECT DATE(recorded_at) as date, 
-                   COUNT(*) as spike_count,
-                   AVG(metric_value) as avg_change
-            FROM pulse_health_metrics
-            WHERE metric_name = 'spike_rejected'
-            AND symbol = ?
-            AND recorded_at > DATE_SUB(NOW(), INTERVAL ? DAY)
-            GROUP BY DATE(recorded_at)
-            ORDER BY date DESC
-        `, [symbol, days]);
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const rows = await this.storage.getDailyMetric('spike_rejected', symbol, since);
         
-        return rows;
+        return rows.map(row => ({
+            date: row.date,
+            spike_count: row.count,
+            avg_change: row.avg_value,
+        }));
     }
 
     // =========================================================================
@@ -279,7 +272,7 @@ class SpikeFilter {
      * Get current threshold for a symbol
      */
     getThreshold(symbol) {
-        const type = this.getSymbolType(symbol);
+        const type = getSymbolType(symbol);
         const base = this.thresholds[type]?.tick || 0.5;
         const vol = this.volatility.get(symbol);
         
@@ -302,13 +295,6 @@ class SpikeFilter {
         this.volatility.delete(symbol);
     }
 
-    getSymbolType(symbol) {
-        if (symbol.startsWith('XAU') || symbol.startsWith('XAG')) return 'metal';
-        if (['BTC', 'ETH', 'XRP', 'SOL', 'ADA', 'DOGE', 'DOT', 'LTC', 'AVAX', 'MATIC']
-            .some(c => symbol.startsWith(c))) return 'crypto';
-        return 'forex';
-    }
-
     getStats() {
         return {
             ...this.stats,
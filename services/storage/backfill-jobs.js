@@ -0,0 +1,78 @@
+// =============================================================================
+// services/storage/backfill-jobs.js - Backfill Queue Rules
+// =============================================================================
+//
+// Shared by both adapters so pulse_backfill_queue behaves the same with or
+// without MySQL:
+//
+//   pending → processing (leased) → completed
+//                                 → pending again after a backoff
+//                                 → dead (attempts used up; dead_reason says why)
+//   pending / dead → cancelled (admin)
+//
+// Open jobs (pending, processing) carry a gap key - symbol, timeframe and
+// range - that is unique, so the same gap can't be queued twice. New gaps
+// that touch or overlap a pending job are merged into it.
+// =============================================================================
+
+const BACKFILL_STATUSES = ['pending', 'processing', 'completed', 'dead', 'cancelled'];
+const OPEN_BACKFILL_STATUSES = ['pending', 'processing'];
+
+function toTime(value) {
+    return new Date(value).getTime();
+}
+
+/**
+ * Gap key of an open job, null once it is finished. Matches the generated
+ * pulse_backfill_queue.gap_key column (DATETIME ranges, whole seconds)
+ */
+function backfillGapKey(job) {
+    if (!OPEN_BACKFILL_STATUSES.includes(job.status)) return null;
+
+    const format = value => new Date(value).toISOString().slice(0, 19).replace('T', ' ');
+    return [job.symbol, job.timeframe, format(job.gap_start), format(job.gap_end)].join(':');
+}
+
+/**
+ * Decide how a new gap joins the open jobs of its symbol/timeframe that
+ * touch or overlap it:
+ *   covered  an open job already spans the gap - only raise its priority
+ *   merged   widen the oldest pending job over the gap and the other
+ *            pending jobs it touches, which are absorbed (deleted)
+ *   created  nothing to merge with - insert a new job
+ * A job being processed is never widened: its worker holds the old range.
+ */
+function planBackfillMerge(item, openJobs) {
+    const from = toTime(item.from);
+    const to = toTime(item.to);
+
+    const covering = openJobs.find(job => toTime(job.gap_start) <= from && toTime(job.gap_end) >= to);
+    if (covering) {
+        return { action: 'covered', job: covering, priority: Math.max(covering.priority, item.priority) };
+    }
+
+    const pending = openJobs
+        .filter(job => job.status === 'pending')
+        .sort((a, b) => a.id - b.id);
+
+    if (pending.length === 0) {
+        return { action: 'created', from: new Date(from), to: new Date(to), priority: item.priority };
+    }
+
+    const [survivor, ...absorbed] = pending;
+    return {
+        action: 'merged',
+        job: survivor,
+        absorbed: absorbed.map(job => job.id),
+        from: new Date(Math.min(from, ...pending.map(job => toTime(job.gap_start)))),
+        to: new Date(Math.max(to, ...pending.map(job => toTime(job.gap_end)))),
+        priority: Math.max(item.priority, ...pending.map(job => job.priority)),
+    };
+}
+
+module.exports = {
+    BACKFILL_STATUSES,
+    OPEN_BACKFILL_STATUSES,
+    backfillGapKey,
+    planBackfillMerge,
+};
@@ -0,0 +1,185 @@
+// =============================================================================
+// services/storage/candle-rollup.js - Higher-Timeframe Buckets
+// =============================================================================
+//
+// M5 ... H1 are aggregated from M1, H4 and D1 from H1. A candle write marks
+// the buckets built from it dirty (M1 → M5 ... D1, H1 → H4 and D1); the
+// rollup worker (services/rollup-worker.js) rebuilds each dirty bucket once,
+// in ROLLUP_TIMEFRAMES order so H1 is fresh before H4 and D1 read it.
+// Both adapters use these rules.
+//
+// M1 ... H1 buckets sit on a fixed UTC grid. D1 buckets follow the day
+// boundary (config.candles.dayBoundary, config/day-boundary.js) and H4
+// buckets count from the start of their day, so neither has a fixed length.
+// =============================================================================
+
+const { config } = require('../../config');
+const { tradingDay } = require('../../config/day-boundary');
+
+// Timeframe → the one it is aggregated from, in dependency order
+const ROLLUP_SOURCES = {
+    M5: 'M1',
+    M15: 'M1',
+    M30: 'M1',
+    H1: 'M1',
+    H4: 'H1',
+    D1: 'H1',
+};
+
+const ROLLUP_TIMEFRAMES = Object.keys(ROLLUP_SOURCES);
+
+const TIMEFRAME_MS = {
+    M1: 60 * 1000,
+    M5: 5 * 60 * 1000,
+    M15: 15 * 60 * 1000,
+    M30: 30 * 60 * 1000,
+    H1: 60 * 60 * 1000,
+    H4: 4 * 60 * 60 * 1000,
+    D1: 24 * 60 * 60 * 1000,
+};
+
+const DAY_TIMEFRAMES = ['H4', 'D1'];
+
+/**
+ * Start of the `timeframe` bucket holding `time`; later than `time` for
+ * weekend bars that ny-close folds into Monday
+ */
+function bucketStart(time, timeframe, boundary = config.candles.dayBoundary) {
+    const ms = new Date(time).getTime();
+    const length = TIMEFRAME_MS[timeframe];
+
+    if (!DAY_TIMEFRAMES.includes(timeframe)) {
+        return new Date(Math.floor(ms / length) * length);
+    }
+
+    const day = tradingDay(ms, boundary);
+    if (timeframe === 'D1' || ms < day.start) return new Date(day.start);
+    return new Date(day.start + Math.floor((ms - day.start) / length) * length);
+}
+
+/**
+ * Times [from, to) whose bars belong to the bucket starting at `start`
+ */
+function bucketRange(start, timeframe, boundary = config.candles.dayBoundary) {
+    const ms = new Date(start).getTime();
+
+    if (!DAY_TIMEFRAMES.includes(timeframe)) {
+        return { from: new Date(ms), to: new Date(ms + TIMEFRAME_MS[timeframe]) };
+    }
+
+    const day = tradingDay(ms, boundary);
+    return {
+        from: new Date(ms === day.start ? day.from : ms),
+        to: new Date(timeframe === 'D1' ? day.end : Math.min(ms + TIMEFRAME_MS.H4, day.end)),
+    };
+}
+
+/**
+ * Start of the bucket after the one starting at `start`
+ */
+function nextBucketStart(start, timeframe, boundary = config.candles.dayBoundary) {
+    return bucketStart(bucketRange(start, timeframe, boundary).to, timeframe, boundary);
+}
+
+/**
+ * Timeframes rebuilt when `timeframe` changes, directly or through H1
+ */
+function dependentTimeframes(timeframe) {
+    return ROLLUP_TIMEFRAMES.filter(tf =>
+        ROLLUP_SOURCES[tf] === timeframe || ROLLUP_SOURCES[ROLLUP_SOURCES[tf]] === timeframe
+    );
+}
+
+/**
+ * Buckets ({symbol, timeframe, bucketStart}) that a write of `candles`
+ * makes stale, once each, in dependency order
+ */
+function touchedBuckets(candles) {
+    const buckets = new Map();
+
+    for (const candle of candles) {
+        for (const timeframe of dependentTimeframes(candle.timeframe)) {
+            const start = bucketStart(candle.timestamp, timeframe);
+            buckets.set(`${candle.symbol}|${timeframe}|${start.getTime()}`, {
+                symbol: candle.symbol,
+                timeframe,
+                bucketStart: start,
+            });
+        }
+    }
+
+    return sortBuckets([...buckets.values()]);
+}
+
+/**
+ * Buckets built from `timeframe` that overlap [from, to)
+ */
+function rangeBuckets(symbol, timeframe, from, to) {
+    const toMs = new Date(to).getTime();
+    const buckets = [];
+
+    for (const tf of dependentTimeframes(timeframe)) {
+        for (let t = bucketStart(from, tf); bucketRange(t, tf).from.getTime() < toMs; t = nextBucketStart(t, tf)) {
+            buckets.push({ symbol, timeframe: tf, bucketStart: t });
+        }
+    }
+
+    return buckets;
+}
+
+function sortBuckets(buckets) {
+    return buckets.sort((a, b) =>
+        ROLLUP_TIMEFRAMES.indexOf(a.timeframe) - ROLLUP_TIMEFRAMES.indexOf(b.timeframe) ||
+        a.bucketStart - b.bucketStart ||
+        a.symbol.localeCompare(b.symbol)
+    );
+}
+
+/**
+ * Source candles [from, to) a bucket is aggregated from
+ */
+function bucketSource(bucket) {
+    return {
+        timeframe: ROLLUP_SOURCES[bucket.timeframe],
+        ...bucketRange(bucket.bucketStart, bucket.timeframe),
+    };
+}
+
+/**
+ * The 'aggregate' candle for a bucket from its source candles (oldest
+ * first), or null when there are none
+ */
+function aggregateBucket(bucket, candles) {
+    if (candles.length === 0) return null;
+
+    // Spread at the period close: the last source candle that has one
+    const closing = [...candles].reverse().find(c => c.spread !== null && c.spread !== undefined);
+
+    return {
+        symbol: bucket.symbol,
+        timeframe: bucket.timeframe,
+        timestamp: bucket.bucketStart,
+        open: parseFloat(candles[0].open),
+        high: Math.max(...candles.map(c => parseFloat(c.high))),
+        low: Math.min(...candles.map(c => parseFloat(c.low))),
+        close: parseFloat(candles[candles.length - 1].close),
+        volume: candles.reduce((sum, c) => sum + parseFloat(c.volume || 0), 0),
+        spread: closing ? parseFloat(closing.spread) : null,
+        source: 'aggregate',
+    };
+}
+
+module.exports = {
+    ROLLUP_SOURCES,
+    ROLLUP_TIMEFRAMES,
+    TIMEFRAME_MS,
+    bucketStart,
+    bucketRange,
+    nextBucketStart,
+    dependentTimeframes,
+    touchedBuckets,
+    rangeBuckets,
+    sortBuckets,
+    bucketSource,
+    aggregateBucket,
+};
@@ -0,0 +1,99 @@
+// =============================================================================
+// services/storage/index.js - Candle/Tick Repository
+// =============================================================================
+//
+// Every read and write of candles, ticks, integrity records, health metrics,
+// rollup marks and the backfill queue goes through one of these adapters
+// instead of database.pool, so the engine can run without MySQL.
+//
+//   STORAGE_DRIVER=mysql   (default) pulse_* tables via database.js
+//   STORAGE_DRIVER=memory  in-process Maps; nothing survives a restart
+//
+// Adapter contract (all methods async; timestamps are Dates, ranges are
+// [from, to) unless noted):
+//
+//   connect() / disconnect() / ping()
+//   getCandles(symbol, tf, from, to, {provenance})
+//                                            → [{timestamp, open, high, low, close, volume, spread}] oldest first
+//                                              (OHLC are bid prices; spread = ask - bid at the close, null = unknown)
+//                                              provenance adds {source, revision, updated_at}
+//   streamCandles(symbol, tf, from, to)      async iterable of the same rows (row-by-row from MySQL)
+//   getLatestCandle(symbol, tf)              → candle | null
+//   countCandles / countIncompleteCandles(symbol, tf, from, to) → number
+//   findIncompleteCandles(symbol, tf, from, to)
+//   saveCandle(candle, {merge})              → written?; merge = widen high/low, add volume
+//   insertCandles(candles)                   → candles inserted or changed
+//                                              Writes carry candle.source (config/candle-sources.js) and never
+//                                              replace a bar from a higher-precedence source; revision and
+//                                              updated_at move only when a value changes
+//   deleteCandles(symbol, tf, from, to, {source, except})
+//                                              source = only bars it may replace, except = timestamps to keep
+//   replaceCandles(symbol, tf, from, to, candles, {prune, rollup})
+//                                            → {written, pruned, rolledUp}; one atomic step: upsert candles,
+//                                              prune = drop that source's bars candles lack, rollup = rebuild
+//                                              the higher-timeframe buckets over the range now
+//   rebuildRollups(symbol, from, to)         → rollup candles written, atomically
+//                                              Candle writes mark the M5 ... D1 buckets built from them dirty
+//                                              (candle-rollup.js); rollup writes don't
+//   listDirtyRollups(limit)                  → [{symbol, timeframe, bucketStart, version}] in dependency order
+//   rebuildDirtyRollups(buckets)             → {written, cleared}; a bucket marked again since it was
+//                                              listed stays dirty
+//   countDirtyRollups()
+//   getLatestCloses(tf, since)               → [{symbol, close, timestamp}]
+//   getLatestSpread(symbol, since)           → newest non-null M1 spread | null
+//   insertTicks / getTicks / getRecentTicks / countTicks / deleteTicksBefore
+//                                              (ticks carry bid/ask when the source quotes both)
+//   listTicks(symbol, {from, to, after, sources, limit})
+//                                            → [{id, price, bid, ask, volume, timestamp, source}] oldest first;
+//                                              from/to inclusive, after = {timestamp, id} cursor
+//   saveIntegrityRecord / getIntegritySummary / getIntegrityHistory
+//   insertHealthMetrics / getMetricSummary / getDailyMetric / deleteHealthMetricsBefore
+//   queueBackfill({symbol, timeframe, from, to, priority, maxAttempts, now})
+//                                            → {id, action: created | merged | covered} (backfill-jobs.js);
+//                                              backfill times come from the caller's clock (now)
+//   claimBackfills({worker, token, limit, now, leaseUntil})
+//                                            → due pending jobs, now leased to worker with token
+//   renewBackfillLease(id, token, leaseUntil) / expireBackfillLeases(now)
+//   updateBackfill(id, changes, {token, statuses}) → updated?; token = lease holder only,
+//                                              statuses = only from these
+//   getBackfill(id) / listBackfills(limit, {status}) / countBackfillsByStatus /
+//   deleteFinishedBackfillsBefore(cutoff)
+//   listSymbolOverrides()                    → [{symbol, enabled, priority, ..., pipSize, digits}]
+//   saveSymbolOverride(row)                  upsert by symbol; null fields keep the built-in
+//   deleteSymbolOverride(symbol)             → rows removed
+//   acquireLock({name, owner, token, now, expiresAt}) → acquired? (free or expired locks only)
+//   renewLock / releaseLock(name, token, ...) → still held?;  listLocks(now) → unexpired locks
+//   reserveRateSlot(name, {intervalMs, count, now}) → first reserved request slot (epoch ms)
+//   blockRate(name, until) / getRateBudget(name) → {nextSlot, blockedUntil}
+//                                              (memory: shared within one process only)
+//
+// Users, API keys and the candle API still read MySQL directly. The MySQL
+// schema is versioned in /migrations (npm run migrate).
+// =============================================================================
+
+const { config } = require('../../config');
+const { MySQLStorage } = require('./mysql-storage');
+const { MemoryStorage } = require('./memory-storage');
+
+const DRIVERS = {
+    mysql: MySQLStorage,
+    memory: MemoryStorage,
+};
+
+/**
+ * Create a storage adapter by driver name
+ */
+function createStorage(driver = config.storage.driver) {
+    const Storage = DRIVERS[driver.toLowerCase()];
+    if (!Storage) {
+        throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+    return new Storage();
+}
+
+module.exports = {
+    storage: createStorage(),
+    createStorage,
+    MySQLStorage,
+    MemoryStorage,
+};
@@ -0,0 +1,778 @@
+// =============================================================================
+// services/storage/memory-storage.js - In-Memory Candle/Tick Repository
+// =============================================================================
+//
+// Same contract as MySQLStorage, kept in plain Maps/arrays. For local
+// development (STORAGE_DRIVER=memory), CI and tests - nothing survives a
+// restart. Rows come back as copies so callers can't mutate the store.
+// =============================================================================
+
+const { canReplace } = require('./source-precedence');
+const { backfillGapKey, planBackfillMerge } = require('./backfill-jobs');
+const { touchedBuckets, rangeBuckets, sortBuckets, bucketSource, aggregateBucket } = require('./candle-rollup');
+
+function toTime(value) {
+    return new Date(value).getTime();
+}
+
+// YYYY-MM-DD (UTC)
+function toDateString(value) {
+    return typeof value === 'string' ? value.slice(0, 10) : new Date(value).toISOString().split('T')[0];
+}
+
+function isIncomplete(row) {
+    return row.open === row.high && row.high === row.low && row.low === row.close;
+}
+
+function pick(row, fields) {
+    const out = {};
+    for (const field of fields) out[field] = row[field];
+    return out;
+}
+
+const CANDLE_FIELDS = ['timestamp', 'open', 'high', 'low', 'close', 'volume', 'spread'];
+const PROVENANCE_FIELDS = [...CANDLE_FIELDS, 'source', 'revision', 'updated_at'];
+const VALUE_FIELDS = ['open', 'high', 'low', 'close', 'volume', 'spread', 'source'];
+
+const BACKFILL_FIELDS = [
+    'status', 'priority', 'attempts', 'max_attempts', 'error_message', 'dead_reason',
+    'last_attempt', 'next_attempt_at',
+];
+const BACKFILL_LIST_FIELDS = [
+    'id', 'symbol', 'timeframe', 'gap_start', 'gap_end', 'priority', 'status', 'attempts', 'max_attempts',
+    'last_attempt', 'next_attempt_at', 'locked_by', 'lease_until', 'error_message', 'dead_reason', 'created_at',
+];
+
+function bucketKey(bucket) {
+    return `${bucket.symbol}|${bucket.timeframe}|${toTime(bucket.bucketStart)}`;
+}
+
+function toSpread(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+class MemoryStorage {
+    constructor() {
+        this.driver = 'memory';
+        this.reset();
+    }
+
+    /**
+     * Drop all data
+     */
+    reset() {
+        this.candles = new Map();      // "EURUSD|M1" → Map<ms, row>
+        this.ticks = new Map();        // symbol → Array<row>
+        this.tickKeys = new Set();     // "symbol|ms|price" (unique_tick)
+        this.integrity = new Map();    // "symbol|tf|date" → row
+        this.healthMetrics = [];
+        this.backfillQueue = [];
+        this.symbolOverrides = new Map(); // symbol → row
+        this.dirtyRollups = new Map();   // "symbol|tf|ms" → { symbol, timeframe, bucketStart, version }
+        this.locks = new Map();          // name → lease row
+        this.rateBudgets = new Map();    // name → { nextSlot, blockedUntil } (epoch ms)
+        this.nextId = 1;
+    }
+
+    // =========================================================================
+    // LIFECYCLE
+    // =========================================================================
+
+    async connect() {
+        console.log('✅ Using in-memory storage (data is not persisted)');
+    }
+
+    async disconnect() {}
+
+    async ping() {}
+
+    // =========================================================================
+    // CANDLES
+    // =========================================================================
+
+    series(symbol, timeframe) {
+        const key = `${symbol}|${timeframe}`;
+        if (!this.candles.has(key)) this.candles.set(key, new Map());
+        return this.candles.get(key);
+    }
+
+    /**
+     * Rows in [from, to), oldest first
+     */
+    candlesInRange(symbol, timeframe, from, to) {
+        const fromMs = toTime(from);
+        const toMs = toTime(to);
+        return [...this.series(symbol, timeframe).values()]
+            .filter(row => row.timestamp.getTime() >= fromMs && row.timestamp.getTime() < toMs)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    async getCandles(symbol, timeframe, from, to, { provenance = false } = {}) {
+        const fields = provenance ? PROVENANCE_FIELDS : CANDLE_FIELDS;
+        return this.candlesInRange(symbol, timeframe, from, to).map(row => pick(row, fields));
+    }
+
+    async *streamCandles(symbol, timeframe, from, to) {
+        yield* await this.getCandles(symbol, timeframe, from, to);
+    }
+
+    async getLatestCandle(symbol, timeframe) {
+        let latest = null;
+        for (const row of this.series(symbol, timeframe).values()) {
+            if (!latest || row.timestamp > latest.timestamp) latest = row;
+        }
+        return latest ? pick(latest, CANDLE_FIELDS) : null;
+    }
+
+    async countCandles(symbol, timeframe, from, to) {
+        return this.candlesInRange(symbol, timeframe, from, to).length;
+    }
+
+    async findIncompleteCandles(symbol, timeframe, from, to) {
+        return this.candlesInRange(symbol, timeframe, from, to)
+            .filter(isIncomplete)
+            .map(row => pick(row, ['id', 'timestamp', 'open', 'high', 'low', 'close']));
+    }
+
+    async countIncompleteCandles(symbol, timeframe, from, to) {
+        return this.candlesInRange(symbol, timeframe, from, to).filter(isIncomplete).length;
+    }
+
+    async saveCandle(candle, options = {}) {
+        const written = this.writeCandle(candle, options);
+        if (written) this.markBuckets(touchedBuckets([candle]));
+        return written;
+    }
+
+    /**
+     * saveCandle without yielding, for writes that must land together
+     */
+    writeCandle(candle, { merge = false } = {}) {
+        const series = this.series(candle.symbol, candle.timeframe);
+        const ts = toTime(candle.timestamp);
+        const existing = series.get(ts);
+        const source = candle.source ?? null;
+
+        if (!existing) {
+            series.set(ts, {
+                id: this.nextId++,
+                symbol: candle.symbol,
+                timeframe: candle.timeframe,
+                timestamp: new Date(ts),
+                open: Number(candle.open),
+                high: Number(candle.high),
+                low: Number(candle.low),
+                close: Number(candle.close),
+                volume: Number(candle.volume || 0),
+                spread: toSpread(candle.spread),
+                source,
+                revision: 1,
+                updated_at: new Date(),
+            });
+            return true;
+        }
+
+        if (!canReplace(existing.source, source)) return false;
+
+        const next = merge ? {
+            open: existing.open,
+            high: Math.max(existing.high, Number(candle.high)),
+            low: Math.min(existing.low, Number(candle.low)),
+            close: Number(candle.close),
+            volume: existing.volume + Number(candle.volume || 0),
+            spread: toSpread(candle.spread) ?? existing.spread,
+            source,
+        } : {
+            open: Number(candle.open),
+            high: Number(candle.high),
+            low: Number(candle.low),
+            close: Number(candle.close),
+            volume: Number(candle.volume || 0),
+            spread: toSpread(candle.spread),
+            source,
+        };
+
+        if (VALUE_FIELDS.every(field => next[field] === existing[field])) return false;
+
+        Object.assign(existing, next, { revision: existing.revision + 1, updated_at: new Date() });
+        return true;
+    }
+
+    async insertCandles(candles) {
+        const written = this.writeCandles(candles);
+        this.markBuckets(touchedBuckets(candles));
+        return written;
+    }
+
+    writeCandles(candles) {
+        let written = 0;
+        for (const candle of candles) {
+            if (this.writeCandle(candle)) written++;
+        }
+        return written;
+    }
+
+    async deleteCandles(symbol, timeframe, from, to, options = {}) {
+        const deleted = this.removeCandles(symbol, timeframe, from, to, options);
+        if (deleted > 0) this.markBuckets(rangeBuckets(symbol, timeframe, from, to));
+        return deleted;
+    }
+
+    removeCandles(symbol, timeframe, from, to, { source, except = [] } = {}) {
+        const series = this.series(symbol, timeframe);
+        const kept = new Set(except.map(toTime));
+        const rows = this.candlesInRange(symbol, timeframe, from, to).filter(row =>
+            !kept.has(row.timestamp.getTime()) && (source === undefined || canReplace(row.source, source))
+        );
+
+        for (const row of rows) {
+            series.delete(row.timestamp.getTime());
+        }
+        return rows.length;
+    }
+
+    /**
+     * Heal [from, to) as one step → {written, pruned, rolledUp}; nothing
+     * yields in between, so readers never see the range half-written.
+     * rollup rebuilds the buckets over [from, to) now instead of marking them.
+     */
+    async replaceCandles(symbol, timeframe, from, to, candles, { prune, rollup = false } = {}) {
+        const written = this.writeCandles(candles);
+        const pruned = prune === undefined ? 0 : this.removeCandles(symbol, timeframe, from, to, {
+            source: prune,
+            except: candles.map(c => c.timestamp),
+        });
+
+        let rolledUp = 0;
+        if (rollup) {
+            rolledUp = this.writeRollups(symbol, timeframe, from, to);
+        } else {
+            this.markBuckets(rangeBuckets(symbol, timeframe, from, to));
+        }
+        return { written, pruned, rolledUp };
+    }
+
+    async rebuildRollups(symbol, from, to) {
+        return this.writeRollups(symbol, 'M1', from, to);
+    }
+
+    writeRollups(symbol, timeframe, from, to) {
+        let written = 0;
+        for (const bucket of rangeBuckets(symbol, timeframe, from, to)) {
+            if (this.rebuildBucket(bucket)) written++;
+            this.dirtyRollups.delete(bucketKey(bucket));
+        }
+        return written;
+    }
+
+    /**
+     * Re-aggregate one bucket from its source timeframe → written?
+     */
+    rebuildBucket(bucket) {
+        const source = bucketSource(bucket);
+        const candle = aggregateBucket(bucket, this.candlesInRange(bucket.symbol, source.timeframe, source.from, source.to));
+        if (candle) return this.writeCandle(candle);
+
+        const end = new Date(bucket.bucketStart.getTime() + 1000);
+        return this.removeCandles(bucket.symbol, bucket.timeframe, bucket.bucketStart, end, { source: 'aggregate' }) > 0;
+    }
+
+    markBuckets(buckets) {
+        for (const bucket of buckets) {
+            const key = bucketKey(bucket);
+            const marked = this.dirtyRollups.get(key);
+            this.dirtyRollups.set(key, {
+                symbol: bucket.symbol,
+                timeframe: bucket.timeframe,
+                bucketStart: new Date(bucket.bucketStart),
+                version: marked ? marked.version + 1 : 1,
+            });
+        }
+    }
+
+    async listDirtyRollups(limit) {
+        return sortBuckets([...this.dirtyRollups.values()]).slice(0, limit).map(bucket => ({ ...bucket }));
+    }
+
+    async rebuildDirtyRollups(buckets) {
+        let written = 0;
+        let cleared = 0;
+
+        for (const bucket of buckets) {
+            if (this.rebuildBucket(bucket)) written++;
+
+            const key = bucketKey(bucket);
+            if (this.dirtyRollups.get(key)?.version === bucket.version) {
+                this.dirtyRollups.delete(key);
+                cleared++;
+            }
+        }
+        return { written, cleared };
+    }
+
+    async countDirtyRollups() {
+        return this.dirtyRollups.size;
+    }
+
+    async getLatestCloses(timeframe, since) {
+        const sinceMs = toTime(since);
+        const closes = [];
+
+        for (const [key, series] of this.candles) {
+            if (!key.endsWith(`|${timeframe}`)) continue;
+
+            let latest = null;
+            for (const row of series.values()) {
+                if (row.timestamp.getTime() > sinceMs && (!latest || row.timestamp > latest.timestamp)) {
+                    latest = row;
+                }
+            }
+            if (latest) closes.push(pick(latest, ['symbol', 'close', 'timestamp']));
+        }
+
+        return closes.sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    async getLatestSpread(symbol, since) {
+        const sinceMs = toTime(since);
+        let latest = null;
+
+        for (const row of this.series(symbol, 'M1').values()) {
+            if (row.spread === null || row.timestamp.getTime() <= sinceMs) continue;
+            if (!latest || row.timestamp > latest.timestamp) latest = row;
+        }
+        return latest ? latest.spread : null;
+    }
+
+    // =========================================================================
+    // TICKS
+    // =========================================================================
+
+    async insertTicks(ticks) {
+        let inserted = 0;
+
+        for (const tick of ticks) {
+            const ts = toTime(tick.timestamp);
+            const key = `${tick.symbol}|${ts}|${tick.price}`;
+            if (this.tickKeys.has(key)) continue;
+
+            this.tickKeys.add(key);
+            if (!this.ticks.has(tick.symbol)) this.ticks.set(tick.symbol, []);
+            this.ticks.get(tick.symbol).push({
+                id: this.nextId++,
+                symbol: tick.symbol,
+                price: Number(tick.price),
+                bid: tick.bid ?? null,
+                ask: tick.ask ?? null,
+                volume: Number(tick.volume || 0),
+                timestamp: new Date(ts),
+                source: tick.source,
+                is_valid: tick.isValid ? 1 : 0,
+            });
+            inserted++;
+        }
+
+        return inserted;
+    }
+
+    ticksInRange(symbol, from, to, validOnly = true) {
+        const fromMs = toTime(from);
+        const toMs = toTime(to);
+        return (this.ticks.get(symbol) || [])
+            .filter(t => (!validOnly || t.is_valid === 1) &&
+                t.timestamp.getTime() >= fromMs && t.timestamp.getTime() < toMs)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    async getTicks(symbol, from, to) {
+        return this.ticksInRange(symbol, from, to).map(t => pick(t, ['price', 'bid', 'ask', 'volume', 'timestamp', 'source']));
+    }
+
+    async getRecentTicks(symbol, limit) {
+        return (this.ticks.get(symbol) || [])
+            .filter(t => t.is_valid === 1)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit)
+            .map(t => pick(t, ['price', 'bid', 'ask', 'volume', 'timestamp', 'source']));
+    }
+
+    async listTicks(symbol, { from, to, after, sources, limit = 1000 } = {}) {
+        const fromMs = from ? toTime(from) : -Infinity;
+        const toMs = to ? toTime(to) : Infinity;
+        const afterMs = after ? toTime(after.timestamp) : null;
+
+        return (this.ticks.get(symbol) || [])
+            .filter(t => {
+                const ts = t.timestamp.getTime();
+                if (t.is_valid !== 1 || ts < fromMs || ts > toMs) return false;
+                if (after && (ts < afterMs || (ts === afterMs && t.id <= after.id))) return false;
+                return !sources || sources.length === 0 || sources.includes(t.source);
+            })
+            .sort((a, b) => a.timestamp - b.timestamp || a.id - b.id)
+            .slice(0, limit)
+            .map(t => pick(t, ['id', 'price', 'bid', 'ask', 'volume', 'timestamp', 'source']));
+    }
+
+    async countTicks(symbol, from, to, { validOnly = true } = {}) {
+        return this.ticksInRange(symbol, from, to, validOnly).length;
+    }
+
+    async deleteTicksBefore(cutoff) {
+        const cutoffMs = toTime(cutoff);
+        let deleted = 0;
+
+        for (const [symbol, ticks] of this.ticks) {
+            const kept = ticks.filter(t => t.timestamp.getTime() >= cutoffMs);
+            for (const t of ticks) {
+                if (t.timestamp.getTime() < cutoffMs) {
+                    this.tickKeys.delete(`${symbol}|${t.timestamp.getTime()}|${t.price}`);
+                }
+            }
+            deleted += ticks.length - kept.length;
+            this.ticks.set(symbol, kept);
+        }
+
+        return deleted;
+    }
+
+    // =========================================================================
+    // DATA INTEGRITY
+    // =========================================================================
+
+    async saveIntegrityRecord(record) {
+        const date = toDateString(record.date);
+        const key = `${record.symbol}|${record.timeframe}|${date}`;
+        const existing = this.integrity.get(key);
+
+        this.integrity.set(key, {
+            symbol: record.symbol,
+            timeframe: record.timeframe,
+            date,
+            // Like the MySQL upsert, expected/actual keep their first values
+            expected_candles: existing ? existing.expected_candles : record.expectedCandles,
+            actual_candles: existing ? existing.actual_candles : record.actualCandles,
+            missing_candles: record.missingCandles,
+            incomplete_candles: record.incompleteCandles,
+            last_checked: new Date(),
+            status: record.status,
+        });
+    }
+
+    integritySince(symbols, sinceDate) {
+        const since = toDateString(sinceDate);
+        return [...this.integrity.values()].filter(row => symbols.includes(row.symbol) && row.date >= since);
+    }
+
+    async getIntegritySummary(symbols, sinceDate) {
+        const groups = new Map();
+
+        for (const row of this.integritySince(symbols, sinceDate)) {
+            const key = `${row.symbol}|${row.timeframe}`;
+            const group = groups.get(key) || {
+                symbol: row.symbol,
+                timeframe: row.timeframe,
+                total_gaps: 0,
+                total_incomplete: 0,
+                worst_status: row.status,
+            };
+
+            group.total_gaps += row.missing_candles;
+            group.total_incomplete += row.incomplete_candles;
+            if (row.status < group.worst_status) group.worst_status = row.status;
+            groups.set(key, group);
+        }
+
+        return [...groups.values()];
+    }
+
+    async getIntegrityHistory(symbols, sinceDate) {
+        return this.integritySince(symbols, sinceDate)
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .map(row => pick(row, ['symbol', 'date', 'missing_candles', 'incomplete_candles', 'status']));
+    }
+
+    // =========================================================================
+    // HEALTH METRICS
+    // =========================================================================
+
+    async insertHealthMetrics(metrics) {
+        const recordedAt = new Date();
+        for (const m of metrics) {
+            this.healthMetrics.push({
+                metric_name: m.name,
+                metric_value: Number(m.value),
+                symbol: m.symbol || null,
+                timeframe: m.timeframe || null,
+                recorded_at: recordedAt,
+            });
+        }
+    }
+
+    async getMetricSummary(since) {
+        const sinceMs = toTime(since);
+        const groups = new Map();
+
+        for (const m of this.healthMetrics) {
+            if (m.recorded_at.getTime() <= sinceMs) continue;
+            const values = groups.get(m.metric_name) || [];
+            values.push(m.metric_value);
+            groups.set(m.metric_name, values);
+        }
+
+        return [...groups].map(([name, values]) => ({
+            metric_name: name,
+            avg_value: values.reduce((a, b) => a + b, 0) / values.length,
+            min_value: Math.min(...values),
+            max_value: Math.max(...values),
+            sample_count: values.length,
+        }));
+    }
+
+    async getDailyMetric(name, symbol, since) {
+        const sinceMs = toTime(since);
+        const days = new Map();
+
+        for (const m of this.healthMetrics) {
+            if (m.metric_name !== name || m.symbol !== symbol || m.recorded_at.getTime() <= sinceMs) continue;
+            const date = toDateString(m.recorded_at);
+            const values = days.get(date) || [];
+            values.push(m.metric_value);
+            days.set(date, values);
+        }
+
+        return [...days]
+            .sort(([a], [b]) => b.localeCompare(a))
+            .map(([date, values]) => ({
+                date,
+                count: values.length,
+                avg_value: values.reduce((a, b) => a + b, 0) / values.length,
+            }));
+    }
+
+    async deleteHealthMetricsBefore(cutoff) {
+        const before = this.healthMetrics.length;
+        this.healthMetrics = this.healthMetrics.filter(m => m.recorded_at.getTime() >= toTime(cutoff));
+        return before - this.healthMetrics.length;
+    }
+
+    // =========================================================================
+    // BACKFILL QUEUE
+    // =========================================================================
+
+    async queueBackfill(item) {
+        const open = this.backfillQueue.filter(job =>
+            job.symbol === item.symbol && job.timeframe === item.timeframe && job.gap_key !== null &&
+            job.gap_start.getTime() <= toTime(item.to) && job.gap_end.getTime() >= toTime(item.from)
+        );
+        const plan = planBackfillMerge(item, open);
+
+        if (plan.action === 'created') {
+            const now = new Date(item.now);
+            const job = {
+                id: this.nextId++,
+                symbol: item.symbol,
+                timeframe: item.timeframe,
+                gap_start: plan.from,
+                gap_end: plan.to,
+                priority: plan.priority,
+                status: 'pending',
+                attempts: 0,
+                max_attempts: item.maxAttempts,
+                last_attempt: null,
+                next_attempt_at: now,
+                locked_by: null,
+                lease_token: null,
+                lease_until: null,
+                error_message: null,
+                dead_reason: null,
+                created_at: now,
+            };
+            job.gap_key = backfillGapKey(job);
+            this.backfillQueue.push(job);
+            return { id: job.id, action: 'created' };
+        }
+
+        const job = plan.job;
+        job.priority = plan.priority;
+        if (plan.action === 'merged') {
+            this.backfillQueue = this.backfillQueue.filter(other => !plan.absorbed.includes(other.id));
+            job.gap_start = plan.from;
+            job.gap_end = plan.to;
+            job.gap_key = backfillGapKey(job);
+        }
+        return { id: job.id, action: plan.action };
+    }
+
+    async claimBackfills({ worker, token, limit, now, leaseUntil }) {
+        const due = this.backfillQueue
+            .filter(job => job.status === 'pending' && job.next_attempt_at.getTime() <= toTime(now))
+            .sort((a, b) => b.priority - a.priority || a.created_at - b.created_at || a.id - b.id)
+            .slice(0, limit);
+
+        for (const job of due) {
+            Object.assign(job, {
+                status: 'processing',
+                locked_by: worker,
+                lease_token: token,
+                lease_until: new Date(leaseUntil),
+                attempts: job.attempts + 1,
+                last_attempt: new Date(now),
+            });
+        }
+        return due.map(job => ({ ...job }));
+    }
+
+    async renewBackfillLease(id, token, leaseUntil) {
+        const job = this.backfillQueue.find(j => j.id === id && j.lease_token === token && j.status === 'processing');
+        if (!job) return false;
+
+        job.lease_until = new Date(leaseUntil);
+        return true;
+    }
+
+    async expireBackfillLeases(now) {
+        const expired = this.backfillQueue.filter(
+            job => job.status === 'processing' && job.lease_until.getTime() < toTime(now)
+        );
+
+        for (const job of expired) {
+            const dead = job.attempts >= job.max_attempts;
+            Object.assign(job, {
+                dead_reason: dead ? `lease expired on attempt ${job.attempts} of ${job.max_attempts}` : null,
+                status: dead ? 'dead' : 'pending',
+                error_message: `lease held by ${job.locked_by} expired`,
+                locked_by: null,
+                lease_token: null,
+                lease_until: null,
+            });
+            job.gap_key = backfillGapKey(job);
+        }
+        return expired.length;
+    }
+
+    async getBackfill(id) {
+        const job = this.backfillQueue.find(j => j.id === id);
+        return job ? pick(job, BACKFILL_LIST_FIELDS) : null;
+    }
+
+    async listBackfills(limit, { status } = {}) {
+        const open = job => job.gap_key !== null;
+        return this.backfillQueue
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => open(b) - open(a) || b.priority - a.priority || a.created_at - b.created_at)
+            .slice(0, limit)
+            .map(job => pick(job, BACKFILL_LIST_FIELDS));
+    }
+
+    async updateBackfill(id, changes, { token, statuses } = {}) {
+        const job = this.backfillQueue.find(j => j.id === id);
+        if (!job) return false;
+        if (token && (job.lease_token !== token || job.status !== 'processing')) return false;
+        if (statuses && !statuses.includes(job.status)) return false;
+
+        const next = { ...job };
+        for (const field of BACKFILL_FIELDS) {
+            if (field in changes) next[field] = changes[field];
+        }
+        if (changes.status && changes.status !== 'processing') {
+            Object.assign(next, { locked_by: null, lease_token: null, lease_until: null });
+        }
+        next.gap_key = backfillGapKey(next);
+
+        // uniq_gap_key
+        if (next.gap_key !== null && this.backfillQueue.some(j => j !== job && j.gap_key === next.gap_key)) {
+            const error = new Error(`Duplicate entry '${next.gap_key}' for key 'uniq_gap_key'`);
+            error.code = 'ER_DUP_ENTRY';
+            throw error;
+        }
+
+        Object.assign(job, next);
+        return true;
+    }
+
+    async countBackfillsByStatus() {
+        const counts = {};
+        for (const item of this.backfillQueue) {
+            counts[item.status] = (counts[item.status] || 0) + 1;
+        }
+        return counts;
+    }
+
+    async deleteFinishedBackfillsBefore(cutoff) {
+        const before = this.backfillQueue.length;
+        this.backfillQueue = this.backfillQueue.filter(
+            item => !['completed', 'cancelled'].includes(item.status) || item.created_at.getTime() >= toTime(cutoff)
+        );
+        return before - this.backfillQueue.length;
+    }
+
+    // =========================================================================
+    // SYMBOL OVERRIDES
+    // =========================================================================
+
+    async listSymbolOverrides() {
+        return [...this.symbolOverrides.values()]
+            .sort((a, b) => a.symbol.localeCompare(b.symbol))
+            .map(row => ({ ...row }));
+    }
+
+    async saveSymbolOverride(row) {
+        this.symbolOverrides.set(row.symbol, { ...row, enabled: row.enabled !== false });
+    }
+
+    async deleteSymbolOverride(symbol) {
+        return this.symbolOverrides.delete(symbol) ? 1 : 0;
+    }
+
+    // =========================================================================
+    // LOCKS & RATE BUDGETS (one process only)
+    // =========================================================================
+
+    async acquireLock({ name, owner, token, now, expiresAt }) {
+        const current = this.locks.get(name);
+        if (current && current.expires_at.getTime() > toTime(now)) return false;
+
+        this.locks.set(name, { name, owner, token, acquired_at: new Date(now), expires_at: new Date(expiresAt) });
+        return true;
+    }
+
+    async renewLock(name, token, expiresAt) {
+        const lock = this.locks.get(name);
+        if (!lock || lock.token !== token) return false;
+
+        lock.expires_at = new Date(expiresAt);
+        return true;
+    }
+
+    async releaseLock(name, token) {
+        if (this.locks.get(name)?.token !== token) return false;
+        return this.locks.delete(name);
+    }
+
+    async listLocks(now) {
+        return [...this.locks.values()]
+            .filter(lock => lock.expires_at.getTime() > toTime(now))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(lock => pick(lock, ['name', 'owner', 'acquired_at', 'expires_at']));
+    }
+
+    async reserveRateSlot(name, { intervalMs, count = 1, now }) {
+        const budget = this.rateBudgets.get(name) || { nextSlot: 0, blockedUntil: 0 };
+        const slot = Math.max(budget.nextSlot, budget.blockedUntil, toTime(now));
+
+        this.rateBudgets.set(name, { ...budget, nextSlot: slot + Math.round(intervalMs * count) });
+        return slot;
+    }
+
+    async blockRate(name, until) {
+        const budget = this.rateBudgets.get(name) || { nextSlot: 0, blockedUntil: 0 };
+        budget.blockedUntil = Math.max(budget.blockedUntil, toTime(until));
+        this.rateBudgets.set(name, budget);
+    }
+
+    async getRateBudget(name) {
+        return { nextSlot: 0, blockedUntil: 0, ...this.rateBudgets.get(name) };
+    }
+}
+
+module.exports = { MemoryStorage };
@@ -0,0 +1,183 @@
+// =============================================================================
+// services/storage/migration-runner.js - Versioned MySQL Schema Migrations
+// =============================================================================
+//
+// Migrations live in /migrations as NNN_description.js and export
+// `async up(db)` / `async down(db)`; `db.execute(sql, params)` is a mysql2
+// connection. Applied versions are recorded in schema_migrations.
+//
+// A MySQL named lock serialises runners, so API and worker processes
+// starting together don't apply the same migration twice. MySQL commits
+// DDL implicitly - a migration that fails halfway is not rolled back and
+// is not recorded, so keep each step safe to re-run (IF NOT EXISTS).
+//
+// CLI: npm run migrate [-- status | up | down [steps]]
+// =============================================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const LOCK_NAME = 'pulse_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+class MigrationRunner {
+    /**
+     * @param {Object} db - mysql2 pool or connection
+     * @param {Object} options
+     * @param {string} options.directory - Migration folder (defaults to /migrations)
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.directory = options.directory || MIGRATIONS_DIR;
+    }
+
+    // =========================================================================
+    // MIGRATION FILES
+    // =========================================================================
+
+    /**
+     * Migrations on disk, oldest first
+     */
+    loadMigrations() {
+        const migrations = [];
+        const seen = new Map();
+
+        for (const file of fs.readdirSync(this.directory).sort()) {
+            const match = file.match(FILE_PATTERN);
+            if (!match) continue;
+
+            const version = parseInt(match[1], 10);
+            if (seen.has(version)) {
+                throw new Error(`Duplicate migration version ${version}: ${seen.get(version)} and ${file}`);
+            }
+            seen.set(version, file);
+
+            const migration = require(path.join(this.directory, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+
+            migrations.push({ version, name: match[2], file, up: migration.up, down: migration.down });
+        }
+
+        return migrations.sort((a, b) => a.version - b.version);
+    }
+
+    // =========================================================================
+    // COMMANDS
+    // =========================================================================
+
+    /**
+     * Apply pending migrations in order; returns the ones applied
+     */
+    async up() {
+        return this.withLock(async (conn) => {
+            const applied = await this.getAppliedVersions(conn);
+            const pending = this.loadMigrations().filter(m => !applied.has(m.version));
+
+            for (const migration of pending) {
+                console.log(`⬆️  Migrating ${migration.file}`);
+                await migration.up(conn);
+                await conn.execute(
+                    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, NOW())',
+                    [migration.version, migration.name]
+                );
+            }
+
+            if (pending.length > 0) {
+                console.log(`✅ Schema at version ${pending[pending.length - 1].version}`);
+            }
+            return pending;
+        });
+    }
+
+    /**
+     * Revert the latest `steps` applied migrations; returns the ones reverted
+     */
+    async down(steps = 1) {
+        return this.withLock(async (conn) => {
+            const applied = await this.getAppliedVersions(conn);
+            const byVersion = new Map(this.loadMigrations().map(m => [m.version, m]));
+
+            const versions = [...applied.keys()].sort((a, b) => b - a).slice(0, steps);
+            const reverted = [];
+
+            for (const version of versions) {
+                const migration = byVersion.get(version);
+                if (!migration) {
+                    throw new Error(`Migration ${version} is applied but its file is missing`);
+                }
+
+                console.log(`⬇️  Reverting ${migration.file}`);
+                await migration.down(conn);
+                await conn.execute('DELETE FROM schema_migrations WHERE version = ?', [version]);
+                reverted.push(migration);
+            }
+
+            return reverted;
+        });
+    }
+
+    /**
+     * Every known migration with whether/when it was applied
+     */
+    async status() {
+        return this.withLock(async (conn) => {
+            const applied = await this.getAppliedVersions(conn);
+
+            return this.loadMigrations().map(m => ({
+                version: m.version,
+                name: m.name,
+                applied: applied.has(m.version),
+                appliedAt: applied.get(m.version) || null,
+            }));
+        });
+    }
+
+    // =========================================================================
+    // VERSION TABLE & LOCKING
+    // =========================================================================
+
+    /**
+     * Map<version, applied_at>
+     */
+    async getAppliedVersions(conn) {
+        await conn.execute(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INT NOT NULL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at DATETIME NOT NULL
+            ) ENGINE=InnoDB
+        `);
+
+        const [rows] = await conn.execute('SELECT version, applied_at FROM schema_migrations');
+        return new Map(rows.map(row => [Number(row.version), row.applied_at]));
+    }
+
+    /**
+     * Run `fn` on one connection while holding the migration lock
+     */
+    async withLock(fn) {
+        // Named locks belong to a connection, so take one off the pool
+        const conn = this.db.getConnection ? await this.db.getConnection() : this.db;
+
+        try {
+            const [[lock]] = await conn.execute('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+            if (lock.acquired !== 1) {
+                throw new Error(`Timed out waiting for the migration lock after ${LOCK_TIMEOUT_SECONDS}s`);
+            }
+
+            try {
+                return await fn(conn);
+            } finally {
+                await conn.execute('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+            }
+        } finally {
+            if (conn !== this.db) conn.release();
+        }
+    }
+}
+
+module.exports = { MigrationRunner, MIGRATIONS_DIR };
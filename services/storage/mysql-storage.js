@@ -0,0 +1,1158 @@
+// =============================================================================
+// services/storage/mysql-storage.js - MySQL Candle/Tick Repository
+// =============================================================================
+//
+// All of the engine's MySQL-specific SQL lives here (ON DUPLICATE KEY
+// UPDATE, INSERT IGNORE, GREATEST/LEAST). Uses the shared
+// pool from database.js so the API and the engine keep one connection pool.
+// =============================================================================
+
+const database = require('../../database');
+const { config } = require('../../config');
+const { sourceRank } = require('./source-precedence');
+const { planBackfillMerge } = require('./backfill-jobs');
+const {
+    ROLLUP_TIMEFRAMES, dependentTimeframes, touchedBuckets, rangeBuckets, bucketSource, aggregateBucket,
+} = require('./candle-rollup');
+
+const BACKFILL_COLUMNS = [
+    'status', 'priority', 'attempts', 'max_attempts', 'error_message', 'dead_reason',
+    'last_attempt', 'next_attempt_at',
+];
+
+// Everything but the lease token, which only its worker needs
+const BACKFILL_LIST_COLUMNS = `
+    id, symbol, timeframe, gap_start, gap_end, priority, status, attempts, max_attempts,
+    last_attempt, next_attempt_at, locked_by, lease_until, error_message, dead_reason, created_at
+`;
+
+// pulse_symbols column → registry field
+const SYMBOL_COLUMNS = {
+    enabled: 'enabled', priority: 'priority', tier: 'tier', type: 'type',
+    finnhub: 'finnhub', dukascopy: 'dukascopy', polygon: 'polygon',
+    base: 'base', quote: 'quote', pip_size: 'pipSize', digits: 'digits',
+    description: 'description',
+};
+
+const CANDLE_COLUMNS = 'timestamp, open, high, low, close, volume, spread';
+const PROVENANCE_COLUMNS = 'source, revision, updated_at';
+
+/**
+ * SQL rank of a source expression, matching sourceRank(): FIELD() over the
+ * precedence list lowest first, 0 for NULL or unlisted sources
+ * (names come from the validated config, never from requests)
+ */
+function rankSql(expression) {
+    const lowestFirst = [...config.candles.sourcePrecedence].reverse();
+    return `FIELD(${expression}, ${lowestFirst.map(source => `'${source}'`).join(', ')})`;
+}
+
+/**
+ * ON DUPLICATE KEY UPDATE clause for a candle upsert
+ *
+ * `next` maps each column to its new value. The stored row only changes when
+ * the incoming source may replace it; revision and updated_at only move
+ * when a value actually changes. MySQL assigns left to right, so source -
+ * which the precedence check reads - goes last.
+ */
+function candleUpsertSql(next) {
+    const wins = `${rankSql('VALUES(source)')} >= ${rankSql('source')}`;
+    const changed = [
+        ...Object.entries(next).map(([column, value]) => `NOT (${column} <=> ${value})`),
+        'NOT (source <=> VALUES(source))',
+    ].join(' OR ');
+
+    return [
+        `revision = IF(${wins} AND (${changed}), revision + 1, revision)`,
+        `updated_at = IF(${wins} AND (${changed}), NOW(3), updated_at)`,
+        ...Object.entries(next).map(([column, value]) => `${column} = IF(${wins}, ${value}, ${column})`),
+        `source = IF(${wins}, VALUES(source), source)`,
+    ].join(',\n');
+}
+
+const REPLACE_VALUES = {
+    open: 'VALUES(open)',
+    high: 'VALUES(high)',
+    low: 'VALUES(low)',
+    close: 'VALUES(close)',
+    volume: 'VALUES(volume)',
+    spread: 'VALUES(spread)',
+};
+
+const MERGE_VALUES = {
+    high: 'GREATEST(high, VALUES(high))',
+    low: 'LEAST(low, VALUES(low))',
+    close: 'VALUES(close)',
+    volume: 'volume + VALUES(volume)',
+    spread: 'COALESCE(VALUES(spread), spread)',
+};
+
+function candleValues(c) {
+    return [
+        c.symbol, c.timeframe, c.timestamp,
+        c.open, c.high, c.low, c.close, c.volume || 0, c.spread ?? null, c.source ?? null,
+    ];
+}
+
+/**
+ * Candles inserted or changed by an INSERT ... ON DUPLICATE KEY UPDATE:
+ * affectedRows counts 1 per insert, 2 per changed row and 0 per unchanged
+ * one (the pool turns FOUND_ROWS off, see database.js)
+ */
+function countWritten(result, rows) {
+    const match = /Records:\s*(\d+)\s+Duplicates:\s*(\d+)/.exec(result.info || '');
+    if (!match) return Math.min(result.affectedRows, rows);
+
+    const inserted = Number(match[1]) - Number(match[2]);
+    return inserted + (result.affectedRows - inserted) / 2;
+}
+
+/**
+ * Rows an UPDATE matched, changed or not ("Rows matched: N" in info)
+ */
+function matchedRows(result) {
+    const match = /Rows matched:\s*(\d+)/.exec(result.info || '');
+    return match ? Number(match[1]) : result.affectedRows;
+}
+
+/**
+ * Multi-row upsert in batches on `db` (the pool or a transaction's
+ * connection) → candles inserted or changed
+ */
+async function upsertCandles(db, candles) {
+    const batchSize = 500;
+    const update = candleUpsertSql(REPLACE_VALUES);
+    let written = 0;
+
+    for (let i = 0; i < candles.length; i += batchSize) {
+        const batch = candles.slice(i, i + batchSize);
+        const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(',');
+
+        const [result] = await db.execute(`
+            INSERT INTO pulse_market_data
+            (symbol, timeframe, timestamp, open, high, low, close, volume, spread, source)
+            VALUES ${placeholders}
+            ON DUPLICATE KEY UPDATE ${update}
+        `, batch.flatMap(candleValues));
+
+        written += countWritten(result, batch.length);
+    }
+
+    return written;
+}
+
+async function deleteCandleRange(db, symbol, timeframe, from, to, { source, except = [] } = {}) {
+    let query = `
+        DELETE FROM pulse_market_data
+        WHERE symbol = ? AND timeframe = ?
+        AND timestamp >= ? AND timestamp < ?
+    `;
+    const params = [symbol, timeframe, from, to];
+
+    if (source !== undefined) {
+        query += ` AND ${rankSql('source')} <= ?`;
+        params.push(sourceRank(source));
+    }
+    if (except.length > 0) {
+        query += ` AND timestamp NOT IN (${except.map(() => '?').join(', ')})`;
+        params.push(...except);
+    }
+
+    const [result] = await db.execute(query, params);
+    return result.affectedRows;
+}
+
+/**
+ * Mark buckets dirty; a bucket marked again gets a new version
+ */
+async function markBuckets(db, buckets) {
+    const batchSize = 500;
+
+    for (let i = 0; i < buckets.length; i += batchSize) {
+        const batch = buckets.slice(i, i + batchSize);
+
+        await db.execute(`
+            INSERT INTO pulse_rollup_dirty (symbol, timeframe, bucket_start)
+            VALUES ${batch.map(() => '(?, ?, ?)').join(',')}
+            ON DUPLICATE KEY UPDATE version = version + 1, marked_at = NOW(3)
+        `, batch.flatMap(b => [b.symbol, b.timeframe, b.bucketStart]));
+    }
+}
+
+/**
+ * Re-aggregate one bucket from its source timeframe → written?; a bucket
+ * whose source is gone loses its aggregate
+ */
+async function rebuildBucket(db, bucket) {
+    const source = bucketSource(bucket);
+    const [rows] = await db.execute(`
+        SELECT ${CANDLE_COLUMNS}
+        FROM pulse_market_data
+        WHERE symbol = ? AND timeframe = ?
+        AND timestamp >= ? AND timestamp < ?
+        ORDER BY timestamp ASC
+    `, [bucket.symbol, source.timeframe, source.from, source.to]);
+
+    const candle = aggregateBucket(bucket, rows);
+    if (candle) {
+        return (await upsertCandles(db, [candle])) > 0;
+    }
+
+    const end = new Date(bucket.bucketStart.getTime() + 1000);
+    return (await deleteCandleRange(db, bucket.symbol, bucket.timeframe, bucket.bucketStart, end, { source: 'aggregate' })) > 0;
+}
+
+/**
+ * Rebuild the buckets built from `timeframe` that overlap [from, to) and
+ * drop their dirty marks → candles written
+ */
+async function writeRollups(db, symbol, timeframe, from, to) {
+    const buckets = rangeBuckets(symbol, timeframe, from, to);
+    let written = 0;
+
+    for (const bucket of buckets) {
+        if (await rebuildBucket(db, bucket)) written++;
+    }
+
+    for (const tf of dependentTimeframes(timeframe)) {
+        const starts = buckets.filter(b => b.timeframe === tf).map(b => b.bucketStart);
+        if (starts.length === 0) continue;
+
+        await db.execute(`
+            DELETE FROM pulse_rollup_dirty
+            WHERE symbol = ? AND timeframe = ?
+            AND bucket_start >= ? AND bucket_start <= ?
+        `, [symbol, tf, starts[0], starts[starts.length - 1]]);
+    }
+
+    return written;
+}
+
+class MySQLStorage {
+    constructor() {
+        this.driver = 'mysql';
+    }
+
+    get pool() {
+        return database.pool;
+    }
+
+    // =========================================================================
+    // LIFECYCLE
+    // =========================================================================
+
+    /**
+     * Connect the shared pool; database.connect applies pending migrations
+     */
+    async connect() {
+        await database.connect();
+    }
+
+    async disconnect() {
+        await database.disconnect();
+    }
+
+    async ping() {
+        await this.pool.execute('SELECT 1');
+    }
+
+    // =========================================================================
+    // CANDLES
+    // =========================================================================
+
+    /**
+     * Candles in [from, to), oldest first
+     * provenance adds source, revision and updated_at
+     */
+    async getCandles(symbol, timeframe, from, to, { provenance = false } = {}) {
+        const [rows] = await this.pool.execute(`
+            SELECT ${CANDLE_COLUMNS}${provenance ? `, ${PROVENANCE_COLUMNS}` : ''}
+            FROM pulse_market_data
+            WHERE symbol = ? AND timeframe = ?
+            AND timestamp >= ? AND timestamp < ?
+            ORDER BY timestamp ASC
+        `, [symbol, timeframe, from, to]);
+
+        return rows;
+    }
+
+    /**
+     * Candles in [from, to), oldest first, streamed row by row from MySQL
+     * so bulk exports never hold a whole range in memory
+     */
+    async *streamCandles(symbol, timeframe, from, to) {
+        const conn = await this.pool.getConnection();
+        let finished = false;
+
+        try {
+            const rows = conn.connection.query(`
+                SELECT ${CANDLE_COLUMNS}
+                FROM pulse_market_data
+                WHERE symbol = ? AND timeframe = ?
+                AND timestamp >= ? AND timestamp < ?
+                ORDER BY timestamp ASC
+            `, [symbol, timeframe, from, to]).stream({ highWaterMark: 1000 });
+
+            for await (const row of rows) {
+                yield row;
+            }
+            finished = true;
+        } finally {
+            // A consumer that stopped early leaves rows on the wire -
+            // that connection can't go back to the pool
+            if (finished) {
+                conn.release();
+            } else {
+                conn.destroy();
+            }
+        }
+    }
+
+    async getLatestCandle(symbol, timeframe) {
+        const [rows] = await this.pool.execute(`
+            SELECT ${CANDLE_COLUMNS}
+            FROM pulse_market_data
+            WHERE symbol = ? AND timeframe = ?
+            ORDER BY timestamp DESC
+            LIMIT 1
+        `, [symbol, timeframe]);
+
+        return rows[0] || null;
+    }
+
+    async countCandles(symbol, timeframe, from, to) {
+        const [rows] = await this.pool.execute(`
+            SELECT COUNT(*) as count
+            FROM pulse_market_data
+            WHERE symbol = ? AND timeframe = ?
+            AND timestamp >= ? AND timestamp < ?
+        `, [symbol, timeframe, from, to]);
+
+        return Number(rows[0].count);
+    }
+
+    /**
+     * Candles whose OHLC are all equal (built from a single tick), in [from, to)
+     */
+    async findIncompleteCandles(symbol, timeframe, from, to) {
+        const [rows] = await this.pool.execute(`
+            SELECT id, timestamp, open, high, low, close
+            FROM pulse_market_data
+            WHERE symbol = ? AND timeframe = ?
+            AND timestamp >= ? AND timestamp < ?
+            AND open = high AND high = low AND low = close
+            ORDER BY timestamp ASC
+        `, [symbol, timeframe, from, to]);
+
+        return rows;
+    }
+
+    async countIncompleteCandles(symbol, timeframe, from, to) {
+        const [rows] = await this.pool.execute(`
+            SELECT COUNT(*) as count
+            FROM pulse_market_data
+            WHERE symbol = ? AND timeframe = ?
+            AND timestamp >= ? AND timestamp < ?
+            AND open = high AND high = low AND low = close
+        `, [symbol, timeframe, from, to]);
+
+        return Number(rows[0].count);
+    }
+
+    /**
+     * Upsert one candle, tagged with candle.source
+     * - merge: widen high/low, take the new close and add volume (live building);
+     *   a known spread replaces the stored one
+     * - otherwise: overwrite OHLCV and spread (rebuilds and backfills)
+     * A bar from a higher-precedence source is left alone. A change marks
+     * the buckets built from it dirty.
+     * Returns true when the candle was inserted or changed
+     */
+    async saveCandle(candle, { merge = false } = {}) {
+        const write = async db => {
+            const [result] = await db.execute(`
+                INSERT INTO pulse_market_data
+                (symbol, timeframe, timestamp, open, high, low, close, volume, spread, source)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                ON DUPLICATE KEY UPDATE ${candleUpsertSql(merge ? MERGE_VALUES : REPLACE_VALUES)}
+            `, candleValues(candle));
+
+            const written = result.affectedRows > 0;
+            if (written) await markBuckets(db, touchedBuckets([candle]));
+            return written;
+        };
+
+        return dependentTimeframes(candle.timeframe).length > 0 ? this.transaction(write) : write(this.pool);
+    }
+
+    /**
+     * Bulk upsert; existing rows are replaced unless a higher-precedence
+     * source wrote them. Marks the buckets built from them dirty.
+     * Returns the number of candles inserted or changed
+     */
+    async insertCandles(candles) {
+        const buckets = touchedBuckets(candles);
+        if (buckets.length === 0) return upsertCandles(this.pool, candles);
+
+        return this.transaction(async conn => {
+            const written = await upsertCandles(conn, candles);
+            await markBuckets(conn, buckets);
+            return written;
+        });
+    }
+
+    /**
+     * Delete candles in [from, to); returns the number removed
+     * - source: only bars that source may replace
+     * - except: timestamps to keep (the bars a heal just wrote)
+     */
+    async deleteCandles(symbol, timeframe, from, to, options = {}) {
+        return this.transaction(async conn => {
+            const deleted = await deleteCandleRange(conn, symbol, timeframe, from, to, options);
+            if (deleted > 0) await markBuckets(conn, rangeBuckets(symbol, timeframe, from, to));
+            return deleted;
+        });
+    }
+
+    /**
+     * Write a healed range in one transaction → {written, pruned, rolledUp}
+     * - prune: source whose bars in [from, to) that `candles` lacks are removed
+     * - rollup: rebuild the higher-timeframe buckets over [from, to) now
+     *   instead of leaving them to the rollup worker
+     * Readers see the range as it was or fully healed; a failure rolls it
+     * all back.
+     */
+    async replaceCandles(symbol, timeframe, from, to, candles, { prune, rollup = false } = {}) {
+        return this.transaction(async conn => {
+            const written = await upsertCandles(conn, candles);
+            const pruned = prune === undefined ? 0 : await deleteCandleRange(conn, symbol, timeframe, from, to, {
+                source: prune,
+                except: candles.map(c => c.timestamp),
+            });
+
+            let rolledUp = 0;
+            if (rollup) {
+                rolledUp = await writeRollups(conn, symbol, timeframe, from, to);
+            } else {
+                await markBuckets(conn, rangeBuckets(symbol, timeframe, from, to));
+            }
+            return { written, pruned, rolledUp };
+        });
+    }
+
+    /**
+     * Rebuild the M5 ... D1 buckets overlapping [from, to) from the stored
+     * M1 in one transaction → candles written
+     */
+    async rebuildRollups(symbol, from, to) {
+        return this.transaction(conn => writeRollups(conn, symbol, 'M1', from, to));
+    }
+
+    /**
+     * Dirty buckets in dependency order (ROLLUP_TIMEFRAMES, oldest first)
+     * → [{symbol, timeframe, bucketStart, version}]
+     */
+    async listDirtyRollups(limit) {
+        const [rows] = await this.pool.execute(`
+            SELECT symbol, timeframe, bucket_start, version
+            FROM pulse_rollup_dirty
+            ORDER BY FIELD(timeframe, ${ROLLUP_TIMEFRAMES.map(tf => `'${tf}'`).join(', ')}), bucket_start, symbol
+            LIMIT ${parseInt(limit)}
+        `);
+
+        return rows.map(row => ({
+            symbol: row.symbol,
+            timeframe: row.timeframe,
+            bucketStart: row.bucket_start,
+            version: row.version,
+        }));
+    }
+
+    /**
+     * Rebuild listed buckets in order, in one transaction, clearing each
+     * mark unless it was marked again meanwhile → {written, cleared}
+     */
+    async rebuildDirtyRollups(buckets) {
+        return this.transaction(async conn => {
+            let written = 0;
+            let cleared = 0;
+
+            for (const bucket of buckets) {
+                if (await rebuildBucket(conn, bucket)) written++;
+
+                const [result] = await conn.execute(`
+                    DELETE FROM pulse_rollup_dirty
+                    WHERE symbol = ? AND timeframe = ? AND bucket_start = ? AND version = ?
+                `, [bucket.symbol, bucket.timeframe, bucket.bucketStart, bucket.version]);
+                cleared += result.affectedRows;
+            }
+
+            return { written, cleared };
+        });
+    }
+
+    async countDirtyRollups() {
+        const [rows] = await this.pool.execute('SELECT COUNT(*) as count FROM pulse_rollup_dirty');
+        return Number(rows[0].count);
+    }
+
+    /**
+     * Run fn(conn) in a transaction on one pooled connection
+     */
+    async transaction(fn) {
+        const conn = await this.pool.getConnection();
+
+        try {
+            await conn.beginTransaction();
+            const result = await fn(conn);
+            await conn.commit();
+            return result;
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Most recent close per symbol since a point in time
+     */
+    async getLatestCloses(timeframe, since) {
+        const [rows] = await this.pool.execute(`
+            SELECT symbol, close, timestamp
+            FROM pulse_market_data
+            WHERE timeframe = ?
+            AND timestamp > ?
+            ORDER BY timestamp DESC
+        `, [timeframe, since]);
+
+        const seen = new Set();
+        return rows.filter(row => !seen.has(row.symbol) && seen.add(row.symbol));
+    }
+
+    /**
+     * Newest known M1 spread (price units) since a point in time, or null
+     */
+    async getLatestSpread(symbol, since) {
+        const [rows] = await this.pool.execute(`
+            SELECT spread
+            FROM pulse_market_data
+            WHERE symbol = ? AND timeframe = 'M1'
+            AND timestamp > ? AND spread IS NOT NULL
+            ORDER BY timestamp DESC
+            LIMIT 1
+        `, [symbol, since]);
+
+        return rows.length ? Number(rows[0].spread) : null;
+    }
+
+    // =========================================================================
+    // TICKS
+    // =========================================================================
+
+    /**
+     * Bulk insert; duplicate (symbol, timestamp, price) ticks are ignored
+     * bid/ask are null for trade ticks (no quote side)
+     */
+    async insertTicks(ticks) {
+        const batchSize = 500;
+        let inserted = 0;
+
+        for (let i = 0; i < ticks.length; i += batchSize) {
+            const batch = ticks.slice(i, i + batchSize);
+
+            const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(',');
+            const values = batch.flatMap(t => [
+                t.symbol, t.price, t.bid ?? null, t.ask ?? null, t.volume, t.timestamp, t.source, t.isValid ? 1 : 0
+            ]);
+
+            try {
+                const [result] = await this.pool.execute(`
+                    INSERT IGNORE INTO pulse_ticks
+                    (symbol, price, bid, ask, volume, timestamp, source, is_valid)
+                    VALUES ${placeholders}
+                `, values);
+
+                inserted += result.affectedRows;
+            } catch (error) {
+                // Fall back to individual inserts
+                for (const tick of batch) {
+                    try {
+                        await this.pool.execute(`
+                            INSERT IGNORE INTO pulse_ticks
+                            (symbol, price, bid, ask, volume, timestamp, source, is_valid)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                        `, [
+                            tick.symbol, tick.price, tick.bid ?? null, tick.ask ?? null,
+                            tick.volume, tick.timestamp, tick.source, tick.isValid ? 1 : 0
+                        ]);
+                        inserted++;
+                    } catch (e) {
+                        // Skip duplicates
+                    }
+                }
+            }
+        }
+
+        return inserted;
+    }
+
+    /**
+     * Valid ticks in [from, to), oldest first
+     */
+    async getTicks(symbol, from, to) {
+        const [rows] = await this.pool.execute(`
+            SELECT price, bid, ask, volume, timestamp, source
+            FROM pulse_ticks
+            WHERE symbol = ?
+            AND timestamp >= ? AND timestamp < ?
+            AND is_valid = 1
+            ORDER BY timestamp ASC
+        `, [symbol, from, to]);
+
+        return rows;
+    }
+
+    /**
+     * Last N valid ticks, newest first
+     */
+    async getRecentTicks(symbol, limit) {
+        const [rows] = await this.pool.execute(`
+            SELECT price, bid, ask, volume, timestamp, source
+            FROM pulse_ticks
+            WHERE symbol = ? AND is_valid = 1
+            ORDER BY timestamp DESC
+            LIMIT ?
+        `, [symbol, limit]);
+
+        return rows;
+    }
+
+    /**
+     * One page of valid ticks, oldest first, for the tick API
+     * - from/to are inclusive; `after` ({timestamp, id}) resumes past a tick
+     * - sources limits the page to those tick sources
+     */
+    async listTicks(symbol, { from, to, after, sources, limit = 1000 } = {}) {
+        let query = `
+            SELECT id, price, bid, ask, volume, timestamp, source
+            FROM pulse_ticks
+            WHERE symbol = ? AND is_valid = 1
+        `;
+        const params = [symbol];
+
+        if (from) {
+            query += ' AND timestamp >= ?';
+            params.push(from);
+        }
+        if (to) {
+            query += ' AND timestamp <= ?';
+            params.push(to);
+        }
+        if (after) {
+            // Ticks share timestamps; id breaks the tie
+            query += ' AND (timestamp > ? OR (timestamp = ? AND id > ?))';
+            params.push(after.timestamp, after.timestamp, after.id);
+        }
+        if (sources && sources.length > 0) {
+            query += ` AND source IN (${sources.map(() => '?').join(', ')})`;
+            params.push(...sources);
+        }
+
+        query += ' ORDER BY timestamp ASC, id ASC LIMIT ?';
+        params.push(limit);
+
+        const [rows] = await this.pool.execute(query, params);
+        return rows;
+    }
+
+    /**
+     * Ticks in [from, to); invalid ticks only count when validOnly is false
+     */
+    async countTicks(symbol, from, to, { validOnly = true } = {}) {
+        const [rows] = await this.pool.execute(`
+            SELECT COUNT(*) as count
+            FROM pulse_ticks
+            WHERE symbol = ?
+            AND timestamp >= ? AND timestamp < ?
+            ${validOnly ? 'AND is_valid = 1' : ''}
+        `, [symbol, from, to]);
+
+        return Number(rows[0].count);
+    }
+
+    async deleteTicksBefore(cutoff) {
+        const [result] = await this.pool.execute(
+            `DELETE FROM pulse_ticks WHERE timestamp < ?`,
+            [cutoff]
+        );
+        return result.affectedRows;
+    }
+
+    // =========================================================================
+    // DATA INTEGRITY
+    // =========================================================================
+
+    async saveIntegrityRecord(record) {
+        await this.pool.execute(`
+            INSERT INTO pulse_data_integrity
+            (symbol, timeframe, date, expected_candles, actual_candles,
+             missing_candles, incomplete_candles, last_checked, status)
+            VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), ?)
+            ON DUPLICATE KEY UPDATE
+                missing_candles = VALUES(missing_candles),
+                incomplete_candles = VALUES(incomplete_candles),
+                last_checked = NOW(),
+                status = VALUES(status)
+        `, [
+            record.symbol, record.timeframe, record.date,
+            record.expectedCandles, record.actualCandles,
+            record.missingCandles, record.incompleteCandles,
+            record.status
+        ]);
+    }
+
+    /**
+     * Gap/incomplete totals per symbol and timeframe since a date (YYYY-MM-DD)
+     */
+    async getIntegritySummary(symbols, sinceDate) {
+        if (symbols.length === 0) return [];
+
+        const [rows] = await this.pool.execute(`
+            SELECT symbol, timeframe,
+                   SUM(missing_candles) as total_gaps,
+                   SUM(incomplete_candles) as total_incomplete,
+                   MIN(status) as worst_status
+            FROM pulse_data_integrity
+            WHERE symbol IN (${symbols.map(() => '?').join(',')})
+            AND date >= ?
+            GROUP BY symbol, timeframe
+        `, [...symbols, sinceDate]);
+
+        return rows;
+    }
+
+    /**
+     * Integrity rows since a date (YYYY-MM-DD), newest first
+     */
+    async getIntegrityHistory(symbols, sinceDate) {
+        if (symbols.length === 0) return [];
+
+        const [rows] = await this.pool.execute(`
+            SELECT symbol, date, missing_candles, incomplete_candles, status
+            FROM pulse_data_integrity
+            WHERE symbol IN (${symbols.map(() => '?').join(',')})
+            AND date >= ?
+            ORDER BY date DESC
+        `, [...symbols, sinceDate]);
+
+        return rows;
+    }
+
+    // =========================================================================
+    // HEALTH METRICS
+    // =========================================================================
+
+    /**
+     * Record metrics [{ name, value, symbol, timeframe }] stamped now
+     */
+    async insertHealthMetrics(metrics) {
+        if (metrics.length === 0) return;
+
+        const placeholders = metrics.map(() => '(?, ?, ?, ?, NOW())').join(',');
+        const values = metrics.flatMap(m => [m.name, m.value, m.symbol || null, m.timeframe || null]);
+
+        await this.pool.execute(`
+            INSERT INTO pulse_health_metrics
+            (metric_name, metric_value, symbol, timeframe, recorded_at)
+            VALUES ${placeholders}
+        `, values);
+    }
+
+    async getMetricSummary(since) {
+        const [rows] = await this.pool.execute(`
+            SELECT metric_name, AVG(metric_value) as avg_value,
+                   MIN(metric_value) as min_value, MAX(metric_value) as max_value,
+                   COUNT(*) as sample_count
+            FROM pulse_health_metrics
+            WHERE recorded_at > ?
+            GROUP BY metric_name
+        `, [since]);
+
+        return rows;
+    }
+
+    /**
+     * Daily count/average of one metric for a symbol, newest day first
+     */
+    async getDailyMetric(name, symbol, since) {
+        const [rows] = await this.pool.execute(`
+            SELECT DATE(recorded_at) as date,
+                   COUNT(*) as count,
+                   AVG(metric_value) as avg_value
+            FROM pulse_health_metrics
+            WHERE metric_name = ?
+            AND symbol = ?
+            AND recorded_at > ?
+            GROUP BY DATE(recorded_at)
+            ORDER BY date DESC
+        `, [name, symbol, since]);
+
+        return rows;
+    }
+
+    async deleteHealthMetricsBefore(cutoff) {
+        const [result] = await this.pool.execute(
+            `DELETE FROM pulse_health_metrics WHERE recorded_at < ?`,
+            [cutoff]
+        );
+        return result.affectedRows;
+    }
+
+    // =========================================================================
+    // BACKFILL QUEUE
+    // =========================================================================
+
+    /**
+     * Queue a gap, merged with the open jobs it touches (backfill-jobs.js)
+     * → { id, action: 'created' | 'merged' | 'covered' }
+     */
+    async queueBackfill(item) {
+        const conn = await this.pool.getConnection();
+
+        try {
+            await conn.beginTransaction();
+
+            const [open] = await conn.execute(`
+                SELECT id, gap_start, gap_end, priority, status
+                FROM pulse_backfill_queue
+                WHERE symbol = ? AND timeframe = ?
+                AND status IN ('pending', 'processing')
+                AND gap_start <= ? AND gap_end >= ?
+                FOR UPDATE
+            `, [item.symbol, item.timeframe, item.to, item.from]);
+
+            const plan = planBackfillMerge(item, open);
+            let id;
+
+            if (plan.action === 'created') {
+                // A concurrent insert of the same gap lands on uniq_gap_key
+                const [result] = await conn.execute(`
+                    INSERT INTO pulse_backfill_queue
+                    (symbol, timeframe, gap_start, gap_end, priority, max_attempts, next_attempt_at, status)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')
+                    ON DUPLICATE KEY UPDATE
+                        priority = GREATEST(priority, VALUES(priority)),
+                        id = LAST_INSERT_ID(id)
+                `, [item.symbol, item.timeframe, plan.from, plan.to, plan.priority, item.maxAttempts, item.now]);
+                id = result.insertId;
+            } else {
+                id = plan.job.id;
+
+                if (plan.action === 'merged') {
+                    if (plan.absorbed.length > 0) {
+                        await conn.execute(
+                            `DELETE FROM pulse_backfill_queue WHERE id IN (${plan.absorbed.map(() => '?').join(', ')})`,
+                            plan.absorbed
+                        );
+                    }
+                    await conn.execute(
+                        `UPDATE pulse_backfill_queue SET gap_start = ?, gap_end = ?, priority = ? WHERE id = ?`,
+                        [plan.from, plan.to, plan.priority, id]
+                    );
+                } else {
+                    await conn.execute(
+                        `UPDATE pulse_backfill_queue SET priority = ? WHERE id = ?`,
+                        [plan.priority, id]
+                    );
+                }
+            }
+
+            await conn.commit();
+            return { id, action: plan.action };
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+    }
+
+    /**
+     * Lease up to `limit` due pending jobs to a worker, highest priority
+     * first, oldest first within a priority. One UPDATE ... LIMIT, so two
+     * workers never claim the same row; each claim counts as an attempt.
+     */
+    async claimBackfills({ worker, token, limit, now, leaseUntil }) {
+        await this.pool.execute(`
+            UPDATE pulse_backfill_queue
+            SET status = 'processing', locked_by = ?, lease_token = ?, lease_until = ?,
+                attempts = attempts + 1, last_attempt = ?
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY priority DESC, created_at ASC, id ASC
+            LIMIT ${parseInt(limit)}
+        `, [worker, token, leaseUntil, now, now]);
+
+        const [rows] = await this.pool.execute(`
+            SELECT * FROM pulse_backfill_queue
+            WHERE lease_token = ? AND status = 'processing'
+            ORDER BY priority DESC, created_at ASC, id ASC
+        `, [token]);
+
+        return rows;
+    }
+
+    /**
+     * Extend a lease still held with `token` → held?
+     */
+    async renewBackfillLease(id, token, leaseUntil) {
+        const [result] = await this.pool.execute(`
+            UPDATE pulse_backfill_queue SET lease_until = ?
+            WHERE id = ? AND lease_token = ? AND status = 'processing'
+        `, [leaseUntil, id, token]);
+
+        return matchedRows(result) > 0;
+    }
+
+    /**
+     * Return jobs whose worker let the lease lapse to the queue - or
+     * dead-letter them when that was their last attempt → jobs released
+     */
+    async expireBackfillLeases(now) {
+        const [result] = await this.pool.execute(`
+            UPDATE pulse_backfill_queue
+            SET dead_reason = IF(attempts >= max_attempts,
+                                 CONCAT('lease expired on attempt ', attempts, ' of ', max_attempts), NULL),
+                status = IF(attempts >= max_attempts, 'dead', 'pending'),
+                error_message = CONCAT('lease held by ', locked_by, ' expired'),
+                locked_by = NULL, lease_token = NULL, lease_until = NULL
+            WHERE status = 'processing' AND lease_until < ?
+        `, [now]);
+
+        return result.affectedRows;
+    }
+
+    async getBackfill(id) {
+        const [rows] = await this.pool.execute(
+            `SELECT ${BACKFILL_LIST_COLUMNS} FROM pulse_backfill_queue WHERE id = ?`,
+            [id]
+        );
+
+        return rows[0] || null;
+    }
+
+    /**
+     * Queue listing, open jobs first - optionally one status only
+     */
+    async listBackfills(limit, { status } = {}) {
+        const [rows] = await this.pool.execute(`
+            SELECT ${BACKFILL_LIST_COLUMNS}
+            FROM pulse_backfill_queue
+            ${status ? 'WHERE status = ?' : ''}
+            ORDER BY status IN ('pending', 'processing') DESC, priority DESC, created_at ASC
+            LIMIT ${parseInt(limit)}
+        `, status ? [status] : []);
+
+        return rows;
+    }
+
+    /**
+     * Update a job's BACKFILL_COLUMNS → updated?
+     * - token: only while that lease is held (a worker finishing its job)
+     * - statuses: only from one of these statuses (admin actions)
+     * Leaving 'processing' drops the lease. Reopening a job whose gap is
+     * already queued again fails on uniq_gap_key (ER_DUP_ENTRY).
+     */
+    async updateBackfill(id, changes, { token, statuses } = {}) {
+        const columns = Object.keys(changes).filter(c => BACKFILL_COLUMNS.includes(c));
+        if (columns.length === 0) return false;
+
+        const sets = columns.map(c => `${c} = ?`);
+        const params = columns.map(c => changes[c]);
+        if (changes.status && changes.status !== 'processing') {
+            sets.push('locked_by = NULL', 'lease_token = NULL', 'lease_until = NULL');
+        }
+
+        let where = 'id = ?';
+        params.push(id);
+        if (token) {
+            where += ` AND lease_token = ? AND status = 'processing'`;
+            params.push(token);
+        }
+        if (statuses) {
+            where += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+            params.push(...statuses);
+        }
+
+        const [result] = await this.pool.execute(
+            `UPDATE pulse_backfill_queue SET ${sets.join(', ')} WHERE ${where}`,
+            params
+        );
+        return matchedRows(result) > 0;
+    }
+
+    /**
+     * Item counts keyed by status
+     */
+    async countBackfillsByStatus() {
+        const [rows] = await this.pool.execute(`
+            SELECT status, COUNT(*) as count
+            FROM pulse_backfill_queue
+            GROUP BY status
+        `);
+
+        const counts = {};
+        for (const row of rows) {
+            counts[row.status] = Number(row.count);
+        }
+        return counts;
+    }
+
+    /**
+     * Drop completed and cancelled jobs created before `cutoff`
+     * (dead jobs stay until an admin retries or cancels them)
+     */
+    async deleteFinishedBackfillsBefore(cutoff) {
+        const [result] = await this.pool.execute(
+            `DELETE FROM pulse_backfill_queue WHERE status IN ('completed', 'cancelled') AND created_at < ?`,
+            [cutoff]
+        );
+        return result.affectedRows;
+    }
+
+    // =========================================================================
+    // SYMBOL OVERRIDES
+    // =========================================================================
+
+    async listSymbolOverrides() {
+        const [rows] = await this.pool.execute('SELECT * FROM pulse_symbols ORDER BY symbol');
+
+        return rows.map(row => {
+            const override = { symbol: row.symbol };
+            for (const [column, field] of Object.entries(SYMBOL_COLUMNS)) {
+                override[field] = row[column];
+            }
+            override.enabled = Boolean(row.enabled);
+            override.pipSize = row.pip_size === null ? null : Number(row.pip_size);
+            return override;
+        });
+    }
+
+    async saveSymbolOverride(row) {
+        const columns = Object.keys(SYMBOL_COLUMNS);
+        const values = columns.map(column => {
+            const value = row[SYMBOL_COLUMNS[column]];
+            if (column === 'enabled') return value === false ? 0 : 1;
+            return value ?? null;
+        });
+
+        await this.pool.execute(`
+            INSERT INTO pulse_symbols (symbol, ${columns.join(', ')})
+            VALUES (?, ${columns.map(() => '?').join(', ')})
+            ON DUPLICATE KEY UPDATE ${columns.map(c => `${c} = VALUES(${c})`).join(', ')}
+        `, [row.symbol, ...values]);
+    }
+
+    async deleteSymbolOverride(symbol) {
+        const [result] = await this.pool.execute('DELETE FROM pulse_symbols WHERE symbol = ?', [symbol]);
+        return result.affectedRows;
+    }
+
+    // =========================================================================
+    // LOCKS & RATE BUDGETS (shared across instances)
+    // =========================================================================
+
+    /**
+     * Take a named lock that is free or expired → acquired?
+     * (expires_at is assigned last so every IF() sees the old expiry)
+     */
+    async acquireLock({ name, owner, token, now, expiresAt }) {
+        await this.pool.execute(`
+            INSERT INTO pulse_locks (name, owner, token, acquired_at, expires_at)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                owner = IF(expires_at <= VALUES(acquired_at), VALUES(owner), owner),
+                token = IF(expires_at <= VALUES(acquired_at), VALUES(token), token),
+                acquired_at = IF(expires_at <= VALUES(acquired_at), VALUES(acquired_at), acquired_at),
+                expires_at = IF(expires_at <= VALUES(acquired_at), VALUES(expires_at), expires_at)
+        `, [name, owner, token, now, expiresAt]);
+
+        const [rows] = await this.pool.execute('SELECT token FROM pulse_locks WHERE name = ?', [name]);
+        return rows[0]?.token === token;
+    }
+
+    /**
+     * Move the expiry of a lock still held with `token` → held?
+     */
+    async renewLock(name, token, expiresAt) {
+        const [result] = await this.pool.execute(
+            'UPDATE pulse_locks SET expires_at = ? WHERE name = ? AND token = ?',
+            [expiresAt, name, token]
+        );
+        return matchedRows(result) > 0;
+    }
+
+    async releaseLock(name, token) {
+        const [result] = await this.pool.execute(
+            'DELETE FROM pulse_locks WHERE name = ? AND token = ?',
+            [name, token]
+        );
+        return result.affectedRows > 0;
+    }
+
+    /**
+     * Locks not yet expired, by name
+     */
+    async listLocks(now) {
+        const [rows] = await this.pool.execute(
+            'SELECT name, owner, acquired_at, expires_at FROM pulse_locks WHERE expires_at > ? ORDER BY name',
+            [now]
+        );
+        return rows;
+    }
+
+    /**
+     * Reserve `count` request slots `intervalMs` apart → start of the first
+     * (epoch ms). One UPDATE, so concurrent callers get consecutive slots;
+     * LAST_INSERT_ID(expr) hands the slot back in the OK packet.
+     */
+    async reserveRateSlot(name, { intervalMs, count = 1, now }) {
+        await this.pool.execute('INSERT IGNORE INTO pulse_rate_budgets (name) VALUES (?)', [name]);
+
+        const [result] = await this.pool.execute(`
+            UPDATE pulse_rate_budgets
+            SET next_slot_ms = LAST_INSERT_ID(GREATEST(next_slot_ms, blocked_until_ms, ?)) + ?
+            WHERE name = ?
+        `, [new Date(now).getTime(), Math.round(intervalMs * count), name]);
+
+        return Number(result.insertId);
+    }
+
+    /**
+     * Hold every request on `name` until `until` (never shortens a block)
+     */
+    async blockRate(name, until) {
+        await this.pool.execute(`
+            INSERT INTO pulse_rate_budgets (name, blocked_until_ms) VALUES (?, ?)
+            ON DUPLICATE KEY UPDATE blocked_until_ms = GREATEST(blocked_until_ms, VALUES(blocked_until_ms))
+        `, [name, new Date(until).getTime()]);
+    }
+
+    /**
+     * → { nextSlot, blockedUntil } in epoch ms (0 = never used)
+     */
+    async getRateBudget(name) {
+        const [rows] = await this.pool.execute(
+            'SELECT next_slot_ms, blocked_until_ms FROM pulse_rate_budgets WHERE name = ?',
+            [name]
+        );
+        const row = rows[0];
+        return {
+            nextSlot: row ? Number(row.next_slot_ms) : 0,
+            blockedUntil: row ? Number(row.blocked_until_ms) : 0,
+        };
+    }
+}
+
+module.exports = { MySQLStorage };
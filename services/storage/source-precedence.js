@@ -0,0 +1,31 @@
+// =============================================================================
+// services/storage/source-precedence.js - Candle Source Precedence
+// =============================================================================
+//
+// Both adapters decide here whether a candle write may replace a stored
+// bar: the incoming source must rank at least as high as the stored one
+// (config.candles.sourcePrecedence, highest first). Sources missing from
+// the list - and rows with no source - rank lowest.
+// =============================================================================
+
+const { config } = require('../../config');
+
+/**
+ * Rank of a source: higher wins, 0 = unranked / unknown
+ */
+function sourceRank(source, precedence = config.candles.sourcePrecedence) {
+    const index = precedence.indexOf(source);
+    return index === -1 ? 0 : precedence.length - index;
+}
+
+/**
+ * Whether a write from `incoming` may replace a bar stored by `stored`
+ */
+function canReplace(stored, incoming, precedence = config.candles.sourcePrecedence) {
+    return sourceRank(incoming, precedence) >= sourceRank(stored, precedence);
+}
+
+module.exports = {
+    sourceRank,
+    canReplace,
+};
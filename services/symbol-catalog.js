@@ -0,0 +1,295 @@
+// =============================================================================
+// services/symbol-catalog.js - Runtime Symbol Management
+// =============================================================================
+//
+// Keeps config/symbols.js in step with the pulse_symbols table:
+//   load()   read the override rows and rebuild SYMBOLS if they changed
+//   start()  re-load every SYMBOL_REFRESH_SECONDS, so edits made through
+//            another process (the API role) reach ingest/heal workers
+//
+// Writes (add/update/reset) go to storage first, then reload locally and
+// notify onChange listeners (the live subscription list re-subscribes).
+// Healing pair lists and getSymbolsForTier read SYMBOLS on every call.
+// =============================================================================
+
+const { config } = require('../config');
+const { storage: defaultStorage } = require('./storage');
+const {
+    BUILTIN_SYMBOLS,
+    SYMBOL_TIERS,
+    SYMBOL_PRIORITIES,
+    ASSET_TYPES,
+    PROVIDER_FIELDS,
+    DROPPED_CODE,
+    buildSymbolTable,
+    applySymbolOverrides,
+    toInternalSymbol,
+} = require('../config/symbols');
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,10}(\/[A-Z0-9]{1,10})?$/;
+
+const PRIORITY_VALUES = [...Object.values(SYMBOL_PRIORITIES), 'none'];
+
+// Field → validator returning an error message, or null when valid
+const FIELD_RULES = {
+    enabled: value => typeof value === 'boolean' ? null : 'must be true or false',
+    priority: value => PRIORITY_VALUES.includes(value) ? null : `must be one of: ${PRIORITY_VALUES.join(', ')}`,
+    tier: value => Object.values(SYMBOL_TIERS).includes(value)
+        ? null : `must be one of: ${Object.values(SYMBOL_TIERS).join(', ')}`,
+    type: value => ASSET_TYPES.includes(value) ? null : `must be one of: ${ASSET_TYPES.join(', ')}`,
+    finnhub: providerCode,
+    dukascopy: providerCode,
+    polygon: providerCode,
+    base: shortString,
+    quote: shortString,
+    pipSize: value => typeof value === 'number' && value > 0 ? null : 'must be a positive number',
+    digits: value => Number.isInteger(value) && value >= 0 && value <= 10 ? null : 'must be a whole number from 0 to 10',
+    description: value => typeof value === 'string' && value.length <= 255 ? null : 'must be a string of at most 255 characters',
+};
+
+// Needed to add a symbol that isn't built in
+const REQUIRED_FOR_NEW = ['type', 'tier', 'pipSize', 'digits'];
+
+function providerCode(value) {
+    return value === null || (typeof value === 'string' && value.length > 0 && value.length <= 50)
+        ? null : 'must be a provider code (string) or null to drop support';
+}
+
+function shortString(value) {
+    return typeof value === 'string' && value.length > 0 && value.length <= 10 ? null : 'must be a string of at most 10 characters';
+}
+
+class SymbolCatalogError extends Error {
+    constructor(code, message, status = 400, problems = []) {
+        super(message);
+        this.name = 'SymbolCatalogError';
+        this.code = code;
+        this.status = status;
+        this.problems = problems;
+    }
+}
+
+class SymbolCatalog {
+    constructor(options = {}) {
+        this.storage = options.storage || defaultStorage;
+        this.refreshMs = options.refreshMs || config.symbols.refreshSeconds * 1000;
+
+        this.rows = [];
+        this.signature = null;
+        this.timer = null;
+        this.changeCallbacks = [];
+    }
+
+    // =========================================================================
+    // SYNC
+    // =========================================================================
+
+    /**
+     * Read pulse_symbols and rebuild SYMBOLS when the rows changed
+     * @returns {boolean} whether anything changed
+     */
+    async load() {
+        const rows = await this.storage.listSymbolOverrides();
+        const signature = JSON.stringify(rows);
+        if (signature === this.signature) return false;
+
+        const first = this.signature === null;
+        this.rows = rows;
+        this.signature = signature;
+        applySymbolOverrides(rows);
+
+        if (!first || rows.length > 0) {
+            console.log(`🔣 Symbol registry: ${rows.length} runtime override(s) applied`);
+            this.emitChange();
+        }
+        return true;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.load().catch(error => {
+                console.error('❌ Symbol refresh failed:', error.message);
+            });
+        }, this.refreshMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    onChange(callback) {
+        this.changeCallbacks.push(callback);
+    }
+
+    emitChange() {
+        for (const callback of this.changeCallbacks) {
+            Promise.resolve()
+                .then(() => callback())
+                .catch(error => console.error('❌ Symbol change callback error:', error.message));
+        }
+    }
+
+    // =========================================================================
+    // READ
+    // =========================================================================
+
+    /**
+     * Every symbol, disabled ones included, as the admin API shows them
+     */
+    list() {
+        const overridden = new Set(this.rows.map(row => row.symbol));
+
+        return Object.entries(buildSymbolTable(this.rows)).map(([display, entry]) =>
+            toListing(display, entry, overridden.has(display))
+        );
+    }
+
+    get(symbol) {
+        const display = this.resolve(symbol);
+        return this.list().find(entry => entry.display === display) || null;
+    }
+
+    // =========================================================================
+    // WRITE
+    // =========================================================================
+
+    /**
+     * Add a symbol that is not in the registry yet
+     */
+    async add(fields = {}) {
+        const { symbol, ...rest } = fields;
+        const display = normalizeSymbol(symbol);
+
+        if (this.get(display)) {
+            throw new SymbolCatalogError('SYMBOL_EXISTS', `${display} already exists - use PATCH to change it`, 409);
+        }
+
+        const changes = validateFields(rest);
+        const missing = REQUIRED_FOR_NEW.filter(field => changes[field] === undefined);
+        if (missing.length > 0) {
+            throw new SymbolCatalogError('INVALID_SYMBOL', `New symbols need: ${missing.join(', ')}`, 400, missing);
+        }
+
+        // Pairs are keyed BASE/QUOTE so toInternalSymbol/toDisplaySymbol work
+        if (changes.type !== 'stock' && !display.includes('/')) {
+            throw new SymbolCatalogError('INVALID_SYMBOL', `${display}: ${changes.type} symbols must be written BASE/QUOTE`);
+        }
+        if (display.includes('/')) {
+            const [base, quote] = display.split('/');
+            changes.base = changes.base || base;
+            changes.quote = changes.quote || quote;
+        }
+
+        await this.storage.saveSymbolOverride({ symbol: display, enabled: true, ...changes });
+        await this.load();
+        return this.get(display);
+    }
+
+    /**
+     * Change fields of an existing symbol (built-in or runtime)
+     */
+    async update(symbol, fields = {}) {
+        const display = this.resolve(symbol);
+        if (!this.get(display)) {
+            throw new SymbolCatalogError('SYMBOL_NOT_FOUND', `Unknown symbol: ${symbol}`, 404);
+        }
+
+        const changes = validateFields(fields);
+        if (Object.keys(changes).length === 0) {
+            throw new SymbolCatalogError('INVALID_SYMBOL', 'Nothing to update');
+        }
+
+        const current = this.rows.find(row => row.symbol === display) || { symbol: display, enabled: true };
+        await this.storage.saveSymbolOverride({ ...current, ...changes });
+        await this.load();
+        return this.get(display);
+    }
+
+    /**
+     * Drop the override row: built-ins go back to their shipped values,
+     * runtime symbols are removed
+     */
+    async reset(symbol) {
+        const display = this.resolve(symbol);
+        const removed = await this.storage.deleteSymbolOverride(display);
+        if (removed === 0) {
+            throw new SymbolCatalogError('SYMBOL_NOT_FOUND', `No runtime changes for ${symbol}`, 404);
+        }
+
+        await this.load();
+        return this.get(display);
+    }
+
+    /**
+     * Registry key for a symbol in either format, disabled symbols included
+     */
+    resolve(symbol) {
+        const display = normalizeSymbol(symbol);
+        const internal = toInternalSymbol(display);
+        const known = [...Object.keys(BUILTIN_SYMBOLS), ...this.rows.map(row => row.symbol)];
+        return known.find(key => key === display || toInternalSymbol(key) === internal) || display;
+    }
+}
+
+function normalizeSymbol(symbol) {
+    const display = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+    if (!SYMBOL_PATTERN.test(display)) {
+        throw new SymbolCatalogError('INVALID_SYMBOL', `Invalid symbol: ${symbol === undefined ? '(missing)' : symbol}`);
+    }
+    return display;
+}
+
+/**
+ * Check request fields against FIELD_RULES; reports every problem at once
+ */
+function validateFields(fields) {
+    const problems = [];
+    const changes = {};
+
+    for (const [field, value] of Object.entries(fields)) {
+        const rule = FIELD_RULES[field];
+        if (!rule) {
+            problems.push(`${field} is not a symbol field`);
+            continue;
+        }
+        const error = rule(value);
+        if (error) {
+            problems.push(`${field} ${error}`);
+        } else if (value === null && PROVIDER_FIELDS.includes(field)) {
+            // A NULL column keeps the built-in code, so store the marker
+            changes[field] = DROPPED_CODE;
+        } else {
+            changes[field] = value;
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new SymbolCatalogError('INVALID_SYMBOL', problems.join('; '), 400, problems);
+    }
+    return changes;
+}
+
+function toListing(display, entry, overridden) {
+    const { enabled, source, ...fields } = entry;
+    return {
+        symbol: toInternalSymbol(display),
+        display,
+        enabled,
+        source,
+        overridden,
+        ...fields,
+    };
+}
+
+// Shared by server.js, the admin routes and live ingestion
+const symbolCatalog = new SymbolCatalog();
+
+module.exports = {
+    SymbolCatalog,
+    SymbolCatalogError,
+    symbolCatalog,
+};
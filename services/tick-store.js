@@ -9,17 +9,27 @@
 // - Provide ticks for candle building
 // =============================================================================
 
-const database = require('../database');
+const { storage } = require('./storage');
 const { SpikeFilter } = require('./spike-filter');
+const { getSymbolType } = require('../config/symbols');
+
+// Values stored in pulse_ticks.source
+const TICK_SOURCES = ['finnhub', 'rest', 'rest_fallback', 'rest_refill', 'dukascopy', 'interpolated', 'mock'];
 
 class TickStore {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - Storage adapter (defaults to STORAGE_DRIVER)
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || storage;
+
         // In-memory tick buffer: Map<symbol, Array<tick>>
         this.buffer = new Map();
         this.maxBufferSize = 1000;  // Per symbol
         this.flushThreshold = 100;   // Flush when buffer reaches this
         
-        this.spikeFilter = new SpikeFilter();
+        this.spikeFilter = new SpikeFilter({}, { storage: this.storage });
         
         this.stats = {
             ticksReceived: 0,
@@ -35,8 +45,9 @@ class TickStore {
 
     /**
      * Add a tick to the buffer (called from WebSocket handler)
+     * quote: { bid, ask } when the source quotes both sides (price is the bid)
      */
-    async addTick(symbol, price, volume = 0, timestamp = new Date(), source = 'finnhub') {
+    async addTick(symbol, price, volume = 0, timestamp = new Date(), source = 'finnhub', quote = {}) {
         this.stats.ticksReceived++;
         
         // Validate price
@@ -46,7 +57,7 @@ class TickStore {
         }
         
         // Spike detection
-        const symbolType = this.getSymbolType(symbol);
+        const symbolType = getSymbolType(symbol);
         const spikeCheck = this.spikeFilter.check(symbol, symbolType, price);
         
         if (spikeCheck.isSpike) {
@@ -66,6 +77,8 @@ class TickStore {
         const tick = {
             symbol,
             price,
+            bid: quote.bid ?? null,
+            ask: quote.ask ?? null,
             volume,
             timestamp: new Date(timestamp),
             source,
@@ -99,7 +112,8 @@ class TickStore {
                 tick.price,
                 tick.volume || 0,
                 tick.timestamp || new Date(),
-                tick.source || 'rest'
+                tick.source || 'rest',
+                tick
             );
             results.push(result);
         }
@@ -149,44 +163,7 @@ class TickStore {
      */
     async batchInsertTicks(ticks) {
         if (ticks.length === 0) return 0;
-        
-        const batchSize = 500;
-        let inserted = 0;
-        
-        for (let i = 0; i < ticks.length; i += batchSize) {
-            const batch = ticks.slice(i, i + batchSize);
-            
-            const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?)').join(',');
-            const values = batch.flatMap(t => [
-                t.symbol, t.price, t.volume, t.timestamp, t.source, t.isValid ? 1 : 0
-            ]);
-            
-            try {
-                const [result] = await database.pool.execute(`
-                    INSERT IGNORE INTO pulse_ticks 
-                    (symbol, price, volume, timestamp, source, is_valid)
-                    VALUES ${placeholders}
-                `, values);
-                
-                inserted += result.affectedRows;
-            } catch (error) {
-                // Fall back to individual inserts
-                for (const tick of batch) {
-                    try {
-                        await database.pool.execute(`
-                            INSERT IGNORE INTO pulse_ticks 
-                            (symbol, price, volume, timestamp, source, is_valid)
-                            VALUES (?, ?, ?, ?, ?, ?)
-                        `, [tick.symbol, tick.price, tick.volume, tick.timestamp, tick.source, tick.isValid ? 1 : 0]);
-                        inserted++;
-                    } catch (e) {
-                        // Skip duplicates
-                    }
-                }
-            }
-        }
-        
-        return inserted;
+        return this.storage.insertTicks(ticks);
     }
 
     // =========================================================================
@@ -203,14 +180,7 @@ class TickStore {
         const bufferedTicks = this.getBufferedTicksInRange(symbol, minuteStart, minuteEnd);
         
         // Then check database
-        const [dbTicks] = await database.pool.execute(`
-            SELECT price, volume, timestamp
-            FROM pulse_ticks
-            WHERE symbol = ? 
-            AND timestamp >= ? AND timestamp < ?
-            AND is_valid = 1
-            ORDER BY timestamp ASC
-        `, [symbol, minuteStart, minuteEnd]);
+        const dbTicks = await this.storage.getTicks(symbol, minuteStart, minuteEnd);
         
         // Merge and deduplicate
         const allTicks = [...dbTicks, ...bufferedTicks];
@@ -234,14 +204,8 @@ class TickStore {
      * Get last N ticks for a symbol
      */
     async getRecentTicks(symbol, count = 100) {
-        const [rows] = await database.pool.execute(`
-            SELECT price, volume, timestamp, source
-            FROM pulse_ticks
-            WHERE symbol = ? AND is_valid = 1
-            ORDER BY timestamp DESC
-            LIMIT ?
-        `, [symbol, count]);
-        
+        const rows = await this.storage.getRecentTicks(symbol, count);
+
         return rows.reverse();
     }
 
@@ -249,15 +213,7 @@ class TickStore {
      * Get tick count for a time range
      */
     async getTickCount(symbol, from, to) {
-        const [rows] = await database.pool.execute(`
-            SELECT COUNT(*) as count
-            FROM pulse_ticks
-            WHERE symbol = ? 
-            AND timestamp >= ? AND timestamp < ?
-            AND is_valid = 1
-        `, [symbol, from, to]);
-        
-        return rows[0].count;
+        return this.storage.countTicks(symbol, from, to);
     }
 
     // =========================================================================
@@ -330,12 +286,6 @@ class TickStore {
     // UTILITIES
     // =========================================================================
 
-    getSymbolType(symbol) {
-        if (symbol.startsWith('XAU') || symbol.startsWith('XAG')) return 'metal';
-        if (['BTC', 'ETH', 'XRP', 'SOL', 'ADA', 'DOGE'].some(c => symbol.startsWith(c))) return 'crypto';
-        return 'forex';
-    }
-
     deduplicateTicks(ticks) {
         const seen = new Set();
         return ticks.filter(tick => {
@@ -375,4 +325,4 @@ class TickStore {
     }
 }
 
-module.exports = { TickStore };
\ No newline at end of file
+module.exports = { TickStore, TICK_SOURCES };
\ No newline at end of file
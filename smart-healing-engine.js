@@ -10,13 +10,20 @@
 //
 // 2. HEALING WINDOW (every 5-10 min)
 //    - Only fix last 15-20 minutes
-//    - Nuclear DELETE+INSERT for small window
+//    - Upsert Dukascopy bars, prune live bars Dukascopy doesn't have and
+//      rebuild higher timeframes in one transaction (storage.replaceCandles)
 //    - Dukascopy has ~15-30 min delay, so this catches it
 //
 // 3. DAILY VERIFICATION (2 AM daily)
 //    - Full previous day check
 //    - Fill gaps, fix incomplete
-//    - Uses INSERT IGNORE (doesn't overwrite good data)
+//    - Only adds missing bars (doesn't overwrite good data)
+//
+// Every write goes through services/storage, so bars from a higher-
+// precedence source (CSV imports) are never replaced or pruned.
+//
+// Shares its locks and Dukascopy budget with the heal role, so it can run
+// beside the server or on several hosts without doubling the work.
 //
 // 4. HISTORICAL SEEDING (one-time/manual)
 //    - Initial data population
@@ -24,30 +31,26 @@
 //
 // =============================================================================
 
-require('dotenv').config();
-
 const cron = require('node-cron');
-const { getHistoricalRates } = require('dukascopy-node');
+const { config, getPairs } = require('./config');
+const { registry } = require('./services/providers/registry');
 const database = require('./database');
+const { storage } = require('./services/storage');
+const { locks } = require('./services/distributed-lock');
+const { rateBudget } = require('./services/rate-budget');
 const { isMarketOpenForSymbol } = require('./config/market-hours');
+const { getSymbolType } = require('./config/symbols');
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
 const CONFIG = {
-    // Primary pairs - healed every 5 minutes
-    primaryPairs: [
-        'EURUSD', 'GBPUSD', 'USDJPY', 'XAUUSD', 'USDCHF',
-        'AUDUSD', 'USDCAD', 'NZDUSD', 'EURGBP', 'EURJPY', 'GBPJPY'
-    ],
+    // Primary pairs - healed on schedules.healPrimary (every 5 minutes)
+    get primaryPairs() { return getPairs('primary'); },
     
-    // Secondary pairs - healed every 15 minutes
-    secondaryPairs: [
-        'XAGUSD', 'EURCHF', 'GBPCHF', 'AUDJPY', 'EURAUD',
-        'EURCAD', 'GBPAUD', 'GBPCAD', 'AUDCAD', 'AUDNZD',
-        'NZDJPY', 'CADJPY'
-    ],
+    // Secondary pairs - healed on schedules.healSecondary (every 15 minutes)
+    get secondaryPairs() { return getPairs('secondary'); },
     
     // Healing window (minutes) - how far back to fix
     healingWindowMinutes: 20,
@@ -59,17 +62,6 @@ const CONFIG = {
     timeframes: ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1'],
 };
 
-const DUKASCOPY_INSTRUMENTS = {
-    'EURUSD': 'eurusd', 'GBPUSD': 'gbpusd', 'USDJPY': 'usdjpy',
-    'USDCHF': 'usdchf', 'AUDUSD': 'audusd', 'USDCAD': 'usdcad',
-    'NZDUSD': 'nzdusd', 'EURGBP': 'eurgbp', 'EURJPY': 'eurjpy',
-    'GBPJPY': 'gbpjpy', 'EURCHF': 'eurchf', 'GBPCHF': 'gbpchf',
-    'AUDJPY': 'audjpy', 'EURAUD': 'euraud', 'EURCAD': 'eurcad',
-    'GBPAUD': 'gbpaud', 'GBPCAD': 'gbpcad', 'AUDCAD': 'audcad',
-    'AUDNZD': 'audnzd', 'NZDJPY': 'nzdjpy', 'CADJPY': 'cadjpy',
-    'XAUUSD': 'xauusd', 'XAGUSD': 'xagusd',
-};
-
 // Track last heal time per symbol
 const lastHealTime = new Map();
 
@@ -81,38 +73,15 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function getSymbolType(symbol) {
-    if (symbol.startsWith('XAU') || symbol.startsWith('XAG')) return 'metal';
-    return 'forex';
-}
-
 /**
- * Fetch M1 candles from Dukascopy
+ * Fetch M1 candles from the historical provider (Dukascopy by default)
  */
 async function fetchM1FromDukascopy(symbol, from, to) {
-    const instrument = DUKASCOPY_INSTRUMENTS[symbol];
-    if (!instrument) return [];
+    const provider = registry.getHistoricalProvider();
+    if (!provider.supportsSymbol(symbol)) return [];
     
     try {
-        const data = await getHistoricalRates({
-            instrument,
-            dates: { from, to },
-            timeframe: 'm1',
-            format: 'json',
-            priceType: 'bid',
-            volumes: true,
-        });
-        
-        return data.map(c => ({
-            symbol,
-            timeframe: 'M1',
-            timestamp: new Date(c.timestamp),
-            open: c.open,
-            high: c.high,
-            low: c.low,
-            close: c.close,
-            volume: c.volume || 0,
-        }));
+        return await provider.fetchCandles(symbol, 'M1', from, to);
     } catch (error) {
         console.error(`❌ Dukascopy fetch error (${symbol}):`, error.message);
         return [];
@@ -120,125 +89,10 @@ async function fetchM1FromDukascopy(symbol, from, to) {
 }
 
 /**
- * DELETE M1 candles in range
- */
-async function deleteM1Range(symbol, from, to) {
-    const [result] = await database.pool.execute(`
-        DELETE FROM pulse_market_data
-        WHERE symbol = ? AND timeframe = 'M1'
-        AND timestamp >= ? AND timestamp < ?
-    `, [symbol, from, to]);
-    return result.affectedRows;
-}
-
-/**
- * INSERT candles (plain insert, no upsert)
- */
-async function insertCandles(candles) {
-    if (candles.length === 0) return 0;
-    
-    const batchSize = 500;
-    let inserted = 0;
-    
-    for (let i = 0; i < candles.length; i += batchSize) {
-        const batch = candles.slice(i, i + batchSize);
-        const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, 0)').join(',');
-        const values = batch.flatMap(c => [
-            c.symbol, c.timeframe, c.timestamp,
-            c.open, c.high, c.low, c.close, c.volume
-        ]);
-        
-        try {
-            const [result] = await database.pool.execute(`
-                INSERT INTO pulse_market_data 
-                (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                VALUES ${placeholders}
-            `, values);
-            inserted += result.affectedRows;
-        } catch (error) {
-            // Individual fallback for duplicates
-            for (const c of batch) {
-                try {
-                    await database.pool.execute(`
-                        INSERT IGNORE INTO pulse_market_data 
-                        (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-                    `, [c.symbol, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume]);
-                    inserted++;
-                } catch (e) {}
-            }
-        }
-    }
-    return inserted;
-}
-
-/**
- * Rebuild higher timeframes from M1
+ * Rebuild higher timeframes from M1 (one transaction)
  */
 async function rebuildHigherTimeframes(symbol, from, to) {
-    const timeframes = ['M5', 'M15', 'M30', 'H1', 'H4', 'D1'];
-    const tfMinutes = { M5: 5, M15: 15, M30: 30, H1: 60, H4: 240, D1: 1440 };
-    
-    for (const tf of timeframes) {
-        try {
-            // Get M1 candles in range
-            const [m1Candles] = await database.pool.execute(`
-                SELECT timestamp, open, high, low, close, volume
-                FROM pulse_market_data
-                WHERE symbol = ? AND timeframe = 'M1'
-                AND timestamp >= ? AND timestamp < ?
-                ORDER BY timestamp
-            `, [symbol, from, to]);
-            
-            if (m1Candles.length === 0) continue;
-            
-            // Group by period
-            const periodMs = tfMinutes[tf] * 60 * 1000;
-            const grouped = new Map();
-            
-            for (const candle of m1Candles) {
-                const ts = new Date(candle.timestamp).getTime();
-                const periodStart = Math.floor(ts / periodMs) * periodMs;
-                
-                if (!grouped.has(periodStart)) {
-                    grouped.set(periodStart, []);
-                }
-                grouped.get(periodStart).push(candle);
-            }
-            
-            // Aggregate and save each period
-            for (const [periodKey, candles] of grouped) {
-                const periodStart = new Date(parseInt(periodKey));
-                candles.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-                
-                const aggregated = {
-                    symbol,
-                    timeframe: tf,
-                    timestamp: periodStart,
-                    open: parseFloat(candles[0].open),
-                    high: Math.max(...candles.map(c => parseFloat(c.high))),
-                    low: Math.min(...candles.map(c => parseFloat(c.low))),
-                    close: parseFloat(candles[candles.length - 1].close),
-                    volume: candles.reduce((sum, c) => sum + parseFloat(c.volume || 0), 0),
-                };
-                
-                // DELETE + INSERT for this period
-                await database.pool.execute(`
-                    DELETE FROM pulse_market_data
-                    WHERE symbol = ? AND timeframe = ? AND timestamp = ?
-                `, [symbol, tf, periodStart]);
-                
-                await database.pool.execute(`
-                    INSERT INTO pulse_market_data
-                    (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-                `, [symbol, tf, periodStart, aggregated.open, aggregated.high,
-                    aggregated.low, aggregated.close, aggregated.volume]);
-            }
-        } catch (error) {
-            console.error(`   ❌ Rebuild ${tf} error: ${error.message}`);
-        }
-    }
+    return storage.rebuildRollups(symbol, from, to);
 }
 
 // =============================================================================
@@ -285,19 +139,20 @@ async function healSymbol(symbol) {
             return { symbol, fetched: 0, inserted: 0 };
         }
         
-        // Step 2: DELETE existing M1 in this window
-        const deleted = await deleteM1Range(symbol, actualFrom, to);
-        
-        // Step 3: INSERT fresh M1
-        const inserted = await insertCandles(candles);
-        
-        // Step 4: Rebuild higher timeframes
-        await rebuildHigherTimeframes(symbol, actualFrom, to);
+        // Upsert fresh M1, drop live M1 Dukascopy has no bar for and
+        // rebuild higher timeframes - one transaction, so readers never
+        // see the window half-healed
+        const { written: inserted, pruned: deleted } = await locks.withCandleLock(symbol, () =>
+            storage.replaceCandles(symbol, 'M1', actualFrom, to, candles, {
+                prune: registry.getHistoricalProvider().name,
+                rollup: true,
+            })
+        );
         
         // Update last heal time
         lastHealTime.set(symbol, to);
         
-        console.log(`   ✅ Deleted ${deleted}, inserted ${inserted}`);
+        console.log(`   ✅ Written ${inserted}, pruned ${deleted}`);
         
         return { symbol, deleted, fetched: candles.length, inserted };
         
@@ -311,23 +166,32 @@ async function healSymbol(symbol) {
  * Heal all primary pairs (called every 5 min)
  */
 async function healPrimaryPairs() {
-    console.log(`\n⏰ [${new Date().toISOString().slice(11,19)}] Healing primary pairs...`);
-    
-    for (const symbol of CONFIG.primaryPairs) {
-        await healSymbol(symbol);
-        await sleep(1500); // Rate limit Dukascopy
-    }
+    await healTier('primary', CONFIG.primaryPairs, config.healing.minIntervalMs);
 }
 
 /**
  * Heal all secondary pairs (called every 15 min)
  */
 async function healSecondaryPairs() {
-    console.log(`\n⏰ [${new Date().toISOString().slice(11,19)}] Healing secondary pairs...`);
+    await healTier('secondary', CONFIG.secondaryPairs, 60 * 1000);
+}
+
+/**
+ * Heal a tier unless another instance (or the heal role) holds its lock;
+ * the lock is kept for holdMs so replicas don't repeat the run
+ */
+async function healTier(tier, pairs, holdMs) {
+    const { acquired } = await locks.withLock(`heal:recent:${tier}`, async () => {
+        console.log(`\n⏰ [${new Date().toISOString().slice(11,19)}] Healing ${tier} pairs...`);
+        
+        for (const symbol of pairs) {
+            await healSymbol(symbol);
+            await sleep(1500); // Rate limit Dukascopy
+        }
+    }, { holdMs });
     
-    for (const symbol of CONFIG.secondaryPairs) {
-        await healSymbol(symbol);
-        await sleep(1500);
+    if (!acquired) {
+        console.log(`ℹ️  ${tier} pairs healed by another instance, skipping`);
     }
 }
 
@@ -337,7 +201,7 @@ async function healSecondaryPairs() {
 
 /**
  * Full verification of previous day's data
- * Uses INSERT IGNORE - fills gaps without overwriting good data
+ * Only adds missing bars - fills gaps without overwriting good data
  */
 async function dailyVerification() {
     console.log('\n' + '='.repeat(60));
@@ -359,16 +223,10 @@ async function dailyVerification() {
     for (const symbol of allPairs) {
         console.log(`\n📊 ${symbol}`);
         
-        // Check how many M1 candles we have
-        const [countResult] = await database.pool.execute(`
-            SELECT COUNT(*) as count
-            FROM pulse_market_data
-            WHERE symbol = ? AND timeframe = 'M1'
-            AND timestamp >= ? AND timestamp < ?
-        `, [symbol, yesterday, today]);
-        
-        const currentCount = countResult[0].count;
-        console.log(`   Current M1 candles: ${currentCount}`);
+        // Check which M1 candles we have
+        const stored = await storage.getCandles(symbol, 'M1', yesterday, today);
+        const storedTimes = new Set(stored.map(c => new Date(c.timestamp).getTime()));
+        console.log(`   Current M1 candles: ${stored.length}`);
         
         // Fetch from Dukascopy
         const candles = await fetchM1FromDukascopy(symbol, yesterday, today);
@@ -376,23 +234,17 @@ async function dailyVerification() {
         
         if (candles.length === 0) continue;
         
-        // INSERT IGNORE - fills gaps without overwriting
+        // Fill gaps without overwriting
+        const missing = candles.filter(c => !storedTimes.has(new Date(c.timestamp).getTime()));
         let filled = 0;
-        for (const c of candles) {
-            try {
-                const [result] = await database.pool.execute(`
-                    INSERT IGNORE INTO pulse_market_data
-                    (symbol, timeframe, timestamp, open, high, low, close, volume, spread)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-                `, [c.symbol, c.timeframe, c.timestamp, c.open, c.high, c.low, c.close, c.volume]);
-                filled += result.affectedRows;
-            } catch (e) {}
+        if (missing.length > 0) {
+            ({ written: filled } = await locks.withCandleLock(symbol, () =>
+                storage.replaceCandles(symbol, 'M1', yesterday, today, missing, { rollup: true })
+            ));
         }
         
         if (filled > 0) {
             console.log(`   ✅ Filled ${filled} missing candles`);
-            // Rebuild higher TFs
-            await rebuildHigherTimeframes(symbol, yesterday, today);
         } else {
             console.log(`   ✅ No gaps found`);
         }
@@ -420,20 +272,21 @@ async function init() {
     console.log('='.repeat(60));
     
     await database.connect();
+    registry.getHistoricalProvider().useBudget(rateBudget);
     
     // Schedule cron jobs
     
     // Every 5 minutes: Heal primary pairs
-    cron.schedule('*/5 * * * *', () => healPrimaryPairs());
-    console.log('✅ Scheduled: Primary pairs healing every 5 minutes');
+    cron.schedule(config.schedules.healPrimary, () => healPrimaryPairs());
+    console.log(`✅ Scheduled: Primary pairs healing (${config.schedules.healPrimary})`);
     
     // Every 15 minutes: Heal secondary pairs
-    cron.schedule('*/15 * * * *', () => healSecondaryPairs());
-    console.log('✅ Scheduled: Secondary pairs healing every 15 minutes');
+    cron.schedule(config.schedules.healSecondary, () => healSecondaryPairs());
+    console.log(`✅ Scheduled: Secondary pairs healing (${config.schedules.healSecondary})`);
     
     // Daily at 2 AM: Full verification
-    cron.schedule('0 2 * * *', () => dailyVerification());
-    console.log('✅ Scheduled: Daily verification at 02:00 UTC');
+    cron.schedule(config.schedules.integrityCheck, () => locks.withLock('heal:daily-verification', dailyVerification, { holdMs: 60 * 1000 }));
+    console.log(`✅ Scheduled: Daily verification (${config.schedules.integrityCheck} UTC)`);
     
     console.log('='.repeat(60));
     console.log('🎯 Engine running. First heal in 5 minutes...');
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryStorage } = require('../services/storage');
+const { BackfillQueue, BackfillQueueError } = require('../services/backfill-queue');
+
+const T0 = new Date('2025-06-11T10:00:00Z');
+
+function at(minutes) {
+    return new Date(T0.getTime() + minutes * 60000);
+}
+
+test.describe('BackfillQueue', () => {
+    let storage;
+    let queue;
+    let clock;
+
+    test.beforeEach(() => {
+        storage = new MemoryStorage();
+        clock = T0;
+        queue = new BackfillQueue({
+            storage,
+            worker: 'test-worker',
+            maxAttempts: 3,
+            leaseSeconds: 60,
+            backoffBaseSeconds: 30,
+            backoffMaxSeconds: 90,
+            now: () => clock,
+        });
+    });
+
+    const fail = () => {
+        throw new Error('Dukascopy timeout');
+    };
+
+    test('backs off exponentially and dead-letters after the last attempt', async () => {
+        const { id } = await queue.enqueue({ symbol: 'EURUSD', from: at(0), to: at(5) });
+
+        assert.strictEqual(await queue.run((await queue.claim(1))[0], fail), 'pending');
+        assert.deepStrictEqual((await storage.getBackfill(id)).next_attempt_at, new Date(T0.getTime() + 30000));
+
+        // Not due yet
+        assert.deepStrictEqual(await queue.claim(1), []);
+
+        clock = new Date(T0.getTime() + 30000);
+        assert.strictEqual(await queue.run((await queue.claim(1))[0], fail), 'pending');
+        assert.deepStrictEqual((await storage.getBackfill(id)).next_attempt_at, new Date(clock.getTime() + 60000));
+
+        clock = new Date(clock.getTime() + 60000);
+        assert.strictEqual(await queue.run((await queue.claim(1))[0], fail), 'dead');
+
+        const dead = await queue.get(id);
+        assert.deepStrictEqual([dead.status, dead.attempts], ['dead', 3]);
+        assert.strictEqual(dead.dead_reason, 'failed 3 of 3 attempts: Dukascopy timeout');
+        assert.strictEqual(queue.backoffDelay(10), 90000);
+    });
+
+    test('completes a job and reports a lease lost to another worker', async () => {
+        await queue.enqueue({ symbol: 'EURUSD', from: at(0), to: at(5) });
+        await queue.enqueue({ symbol: 'GBPUSD', from: at(0), to: at(5) });
+
+        const [first] = await queue.claim(1);
+        assert.strictEqual(await queue.run(first, async () => 5), 'completed');
+
+        const [second] = await queue.claim(1);
+        const outcome = await queue.run(second, async () => {
+            // The lease lapses and another worker picks the job up
+            clock = new Date(T0.getTime() + 120000);
+            await queue.claim(1);
+        });
+        assert.strictEqual(outcome, 'lost');
+        assert.deepStrictEqual(await storage.countBackfillsByStatus(), { completed: 1, processing: 1 });
+    });
+
+    test('admins retry, cancel and reprioritise jobs', async () => {
+        const { id } = await queue.enqueue({ symbol: 'EURUSD', from: at(0), to: at(5) }, 5);
+        await storage.updateBackfill(id, { status: 'dead', attempts: 3, dead_reason: 'failed 3 of 3 attempts' });
+
+        const retried = await queue.retry(id);
+        assert.deepStrictEqual([retried.status, retried.attempts, retried.dead_reason], ['pending', 0, null]);
+
+        assert.strictEqual((await queue.reprioritise(id, 9)).priority, 9);
+        await assert.rejects(queue.reprioritise(id, 11), { code: 'INVALID_PARAMETER' });
+
+        assert.strictEqual((await queue.cancel(id)).status, 'cancelled');
+        await assert.rejects(queue.cancel(id), { code: 'JOB_CONFLICT', status: 409 });
+        await assert.rejects(queue.get(999), { code: 'JOB_NOT_FOUND', status: 404 });
+
+        // Retrying a cancelled gap that was queued again would duplicate it
+        await queue.enqueue({ symbol: 'EURUSD', from: at(0), to: at(5) });
+        await assert.rejects(queue.retry(id), error =>
+            error instanceof BackfillQueueError && error.code === 'JOB_CONFLICT' && /already queued/.test(error.message)
+        );
+    });
+
+    test('lists jobs by status', async () => {
+        await queue.enqueue({ symbol: 'EURUSD', from: at(0), to: at(5) });
+        await queue.enqueue({ symbol: 'GBPUSD', from: at(0), to: at(5) }, 8);
+        await queue.claim(1);
+
+        assert.deepStrictEqual((await queue.list({ status: 'processing' })).map(j => j.symbol), ['GBPUSD']);
+        assert.strictEqual((await queue.list()).length, 2);
+        await assert.rejects(queue.list({ status: 'failed' }), { code: 'INVALID_PARAMETER' });
+    });
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryStorage } = require('../services/storage');
+const { CandleBuilder } = require('../services/candle-builder');
+
+function candle(timestamp, open, high, low, close, volume = 0) {
+    return { timestamp: new Date(timestamp), open, high, low, close, volume };
+}
+
+test.describe('CandleBuilder', () => {
+    let builder;
+
+    test.beforeEach(() => {
+        builder = new CandleBuilder({ storage: new MemoryStorage() });
+    });
+
+    test.describe('aggregateCandles', () => {
+        test('returns null without source candles', () => {
+            assert.strictEqual(builder.aggregateCandles('EURUSD', 'M5', new Date(), []), null);
+        });
+
+        test('takes open from the first, close from the last and the extremes in between', () => {
+            const ts = new Date('2025-06-11T10:00:00Z');
+            const result = builder.aggregateCandles('EURUSD', 'M5', ts, [
+                candle('2025-06-11T10:00:00Z', 1.1000, 1.1010, 1.0995, 1.1005, 10),
+                candle('2025-06-11T10:01:00Z', 1.1005, 1.1030, 1.1000, 1.1020, 20),
+                candle('2025-06-11T10:02:00Z', 1.1020, 1.1025, 1.0980, 1.0990, 30),
+            ]);
+
+            assert.deepStrictEqual(result, {
+                symbol: 'EURUSD',
+                timeframe: 'M5',
+                timestamp: ts,
+                open: 1.1000,
+                high: 1.1030,
+                low: 1.0980,
+                close: 1.0990,
+                volume: 60,
+                spread: null,
+                source: 'aggregate',
+                sourceCount: 3,
+            });
+        });
+
+        test('orders source candles by timestamp before aggregating', () => {
+            const result = builder.aggregateCandles('EURUSD', 'M5', new Date('2025-06-11T10:00:00Z'), [
+                candle('2025-06-11T10:02:00Z', 1.3, 1.3, 1.3, 1.35),
+                candle('2025-06-11T10:00:00Z', 1.1, 1.1, 1.1, 1.15),
+                candle('2025-06-11T10:01:00Z', 1.2, 1.2, 1.2, 1.25),
+            ]);
+
+            assert.strictEqual(result.open, 1.1);
+            assert.strictEqual(result.close, 1.35);
+        });
+
+        test('parses DECIMAL strings from MySQL and treats missing volume as zero', () => {
+            const result = builder.aggregateCandles('EURUSD', 'H1', new Date('2025-06-11T10:00:00Z'), [
+                { timestamp: '2025-06-11T10:00:00Z', open: '1.10000', high: '1.10200', low: '1.09900', close: '1.10100', volume: '5' },
+                { timestamp: '2025-06-11T10:05:00Z', open: '1.10100', high: '1.10150', low: '1.09800', close: '1.10050', volume: null },
+            ]);
+
+            assert.strictEqual(result.high, 1.102);
+            assert.strictEqual(result.low, 1.098);
+            assert.strictEqual(result.volume, 5);
+        });
+
+        test('keeps the spread of the last source candle that has one', () => {
+            const result = builder.aggregateCandles('EURUSD', 'M5', new Date('2025-06-11T10:00:00Z'), [
+                { ...candle('2025-06-11T10:00:00Z', 1.1, 1.1, 1.1, 1.1), spread: '0.00012000' },
+                { ...candle('2025-06-11T10:01:00Z', 1.1, 1.1, 1.1, 1.1), spread: 0.00009 },
+                { ...candle('2025-06-11T10:02:00Z', 1.1, 1.1, 1.1, 1.1), spread: null },
+            ]);
+
+            assert.strictEqual(result.spread, 0.00009);
+        });
+    });
+
+    test.describe('buildM1FromTicks', () => {
+        const minute = new Date('2025-06-11T10:00:00Z');
+
+        function tick(seconds, price, quote = {}) {
+            return { symbol: 'EURUSD', price, volume: 1, timestamp: new Date(minute.getTime() + seconds * 1000),
+                source: 'mock', isValid: true, ...quote };
+        }
+
+        test('takes the spread from the last tick that quoted both sides', async () => {
+            await builder.storage.insertTicks([
+                tick(5, 1.1, { bid: 1.1, ask: 1.10012 }),
+                tick(20, 1.1002, { bid: 1.1002, ask: 1.10029 }),
+                tick(40, 1.1001),
+            ]);
+
+            const result = await builder.buildM1FromTicks('EURUSD', minute);
+            assert.strictEqual(result.spread, 0.00009);
+            assert.strictEqual((await builder.storage.getLatestCandle('EURUSD', 'M1')).spread, 0.00009);
+        });
+
+        test('leaves the spread unknown for trade-only ticks', async () => {
+            await builder.storage.insertTicks([tick(5, 1.1), tick(40, 1.1001)]);
+
+            assert.strictEqual((await builder.buildM1FromTicks('EURUSD', minute)).spread, null);
+        });
+    });
+
+    test.describe('getPeriodStart', () => {
+        const date = new Date('2025-06-11T13:47:32.123Z');
+        const cases = {
+            M1: '2025-06-11T13:47:00.000Z',
+            M5: '2025-06-11T13:45:00.000Z',
+            M15: '2025-06-11T13:45:00.000Z',
+            M30: '2025-06-11T13:30:00.000Z',
+            H1: '2025-06-11T13:00:00.000Z',
+            H4: '2025-06-11T12:00:00.000Z',
+            D1: '2025-06-11T00:00:00.000Z',
+        };
+
+        for (const [timeframe, expected] of Object.entries(cases)) {
+            test(`floors to the ${timeframe} boundary`, () => {
+                assert.strictEqual(builder.getPeriodStart(date, timeframe).toISOString(), expected);
+            });
+        }
+
+        test('leaves a boundary timestamp unchanged', () => {
+            const boundary = new Date('2025-06-11T16:00:00Z');
+            assert.strictEqual(builder.getPeriodStart(boundary, 'H4').getTime(), boundary.getTime());
+        });
+
+        test('starts H4 and D1 at the New York close under ny-close', () => {
+            const nyBuilder = new CandleBuilder({ storage: builder.storage, dayBoundary: 'ny-close' });
+
+            assert.strictEqual(nyBuilder.getPeriodStart(date, 'H4').toISOString(), '2025-06-11T13:00:00.000Z');
+            assert.strictEqual(nyBuilder.getPeriodStart(date, 'D1').toISOString(), '2025-06-10T21:00:00.000Z');
+        });
+
+        test('does not mutate its input', () => {
+            const input = new Date(date);
+            builder.getPeriodStart(input, 'D1');
+            assert.strictEqual(input.getTime(), date.getTime());
+        });
+    });
+
+    test.describe('validateCandle', () => {
+        const valid = { timeframe: 'M5', open: 1.1, high: 1.102, low: 1.099, close: 1.101 };
+
+        test('accepts a consistent candle', () => {
+            assert.deepStrictEqual(builder.validateCandle(valid), { valid: true });
+        });
+
+        const invalid = [
+            ['high below low', { high: 1.098, low: 1.099 }, 'high < low'],
+            ['close above high', { close: 1.103 }, 'high not highest'],
+            ['open below low', { open: 1.0985 }, 'low not lowest'],
+            ['non-positive prices', { open: 0, low: 0 }, 'non-positive price'],
+            ['flat OHLC', { open: 1.1, high: 1.1, low: 1.1, close: 1.1 }, 'identical OHLC (likely incomplete)'],
+            ['a tiny range above M1', { open: 1.1, high: 1.1000001, low: 1.1, close: 1.1000001 }, 'suspiciously small range'],
+        ];
+
+        for (const [name, overrides, reason] of invalid) {
+            test(`rejects ${name}`, () => {
+                assert.deepStrictEqual(builder.validateCandle({ ...valid, ...overrides }), { valid: false, reason });
+            });
+        }
+
+        test('allows a tiny range on M1', () => {
+            const m1 = { ...valid, timeframe: 'M1', high: 1.1000001, low: 1.1, open: 1.1, close: 1.1000001 };
+            assert.deepStrictEqual(builder.validateCandle(m1), { valid: true });
+        });
+    });
+});
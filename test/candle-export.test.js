@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+
+const { minuteCandles } = require('./helpers/candles');
+const { MemoryStorage } = require('../services/storage');
+const { createCandleExport, decodeRowGroup, ROW_GROUP_SIZE } = require('../services/candle-export');
+
+const T0 = new Date('2025-06-11T10:00:00Z');
+
+function at(minutes) {
+    return new Date(T0.getTime() + minutes * 60000);
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+test.describe('createCandleExport', () => {
+    let storage;
+
+    test.beforeEach(async () => {
+        storage = new MemoryStorage();
+        await storage.insertCandles(minuteCandles('EURUSD', at(0), at(3)));
+        await storage.insertCandles(minuteCandles('GBPUSD', at(0), at(2), { price: 1.3 }));
+    });
+
+    test('writes CSV in the data/SYMBOL_TF.csv layout', async () => {
+        const { stream, progress } = createCandleExport({
+            symbols: ['EURUSD'], timeframe: 'M1', from: at(1), to: at(3), format: 'csv', storage,
+        });
+
+        const csv = (await collect(stream)).toString();
+        assert.strictEqual(csv, [
+            '2025-06-11 10:01,1.1,1.1005,1.0995,1.1,10',
+            '2025-06-11 10:02,1.1,1.1005,1.0995,1.1,10',
+            '',
+        ].join('\n'));
+        assert.strictEqual(progress.rows, 2);
+    });
+
+    test('columnar row groups decode back to the candles, per symbol', async () => {
+        const { stream } = createCandleExport({
+            symbols: ['EURUSD', 'GBPUSD'], timeframe: 'M1', from: at(0), to: at(10), format: 'columnar', storage,
+        });
+
+        const [header, ...groups] = zlib.gunzipSync(await collect(stream)).toString().trim().split('\n').map(JSON.parse);
+        assert.strictEqual(header.row_group_size, ROW_GROUP_SIZE);
+        assert.deepStrictEqual(groups.map(g => [g.symbol, g.rows]), [['EURUSD', 3], ['GBPUSD', 2]]);
+
+        const rows = decodeRowGroup(groups[1]);
+        assert.deepStrictEqual(rows.map(r => r.t), [at(0).getTime(), at(1).getTime()]);
+        assert.deepStrictEqual(rows[1], {
+            symbol: 'GBPUSD', t: at(1).getTime(), open: 1.3, high: 1.3005, low: 1.2995, close: 1.3, volume: 10, spread: null,
+        });
+    });
+
+    test('rejects multi-symbol CSV and unknown formats', () => {
+        const base = { timeframe: 'M1', from: at(0), to: at(1), storage };
+
+        assert.throws(() => createCandleExport({ ...base, symbols: ['EURUSD', 'GBPUSD'], format: 'csv' }), /one symbol/);
+        assert.throws(() => createCandleExport({ ...base, symbols: ['EURUSD'], format: 'xlsx' }), /Unknown format "xlsx"/);
+    });
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryStorage } = require('../services/storage');
+const { CandleImporter, parseTimestamp, parseImportFileName } = require('../services/candle-import');
+
+const T0 = new Date('2025-06-11T10:00:00Z');
+
+function at(minutes) {
+    return new Date(T0.getTime() + minutes * 60000);
+}
+
+test.describe('parseTimestamp', () => {
+    test('reads each preset date format as UTC', () => {
+        assert.deepStrictEqual(parseTimestamp('2009-11-25 00:00', 'YYYY-MM-DD HH:mm'), new Date('2009-11-25T00:00:00Z'));
+        assert.deepStrictEqual(parseTimestamp('02.01.2024 13:05:00.250', 'DD.MM.YYYY HH:mm:ss.SSS'), new Date('2024-01-02T13:05:00.250Z'));
+        assert.deepStrictEqual(parseTimestamp('2024.01.02', 'YYYY.MM.DD HH:mm:ss'), new Date('2024-01-02T00:00:00Z'));
+        assert.deepStrictEqual(parseTimestamp('2024-01-02T13:05:00+01:00', 'iso'), new Date('2024-01-02T12:05:00Z'));
+        assert.deepStrictEqual(parseTimestamp('1704200700', 'unix'), new Date('2024-01-02T13:05:00Z'));
+        assert.strictEqual(parseTimestamp('2024.13.02 00:00', 'YYYY.MM.DD HH:mm'), null);
+        assert.strictEqual(parseTimestamp('yesterday', 'iso'), null);
+    });
+
+    test('converts broker time zones, DST included', () => {
+        // Europe/Athens is +02:00 in winter, +03:00 in summer
+        assert.deepStrictEqual(parseTimestamp('2024.01.15 00:00', 'YYYY.MM.DD HH:mm', 'Europe/Athens'), new Date('2024-01-14T22:00:00Z'));
+        assert.deepStrictEqual(parseTimestamp('2024.07.15 00:00', 'YYYY.MM.DD HH:mm', 'Europe/Athens'), new Date('2024-07-14T21:00:00Z'));
+        assert.deepStrictEqual(parseTimestamp('2024.07.15 00:00', 'YYYY.MM.DD HH:mm', '-05:00'), new Date('2024-07-15T05:00:00Z'));
+    });
+
+    test('reads symbol and timeframe from data/ style file names', () => {
+        assert.deepStrictEqual(parseImportFileName('EURUSD_M15.csv'), { symbol: 'EURUSD', timeframe: 'M15' });
+        assert.deepStrictEqual(parseImportFileName('GBPUSD-H1.txt'), { symbol: 'GBPUSD', timeframe: 'H1' });
+        assert.deepStrictEqual(parseImportFileName('export.csv'), { symbol: null, timeframe: null });
+    });
+});
+
+test.describe('CandleImporter', () => {
+    let storage;
+    let importer;
+    let dir;
+
+    function writeFile(name, lines) {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, lines.join('\n') + '\n');
+        return file;
+    }
+
+    test.beforeEach(async () => {
+        storage = new MemoryStorage();
+        importer = new CandleImporter({ storage });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'candle-import-'));
+
+        // 10:00 differs from the file, 10:01 is flat (incomplete), 10:02 matches
+        await storage.insertCandles([
+            { symbol: 'EURUSD', timeframe: 'M1', timestamp: at(0), open: 1.2, high: 1.21, low: 1.19, close: 1.2, volume: 1 },
+            { symbol: 'EURUSD', timeframe: 'M1', timestamp: at(1), open: 1.1, high: 1.1, low: 1.1, close: 1.1, volume: 0 },
+            { symbol: 'EURUSD', timeframe: 'M1', timestamp: at(2), open: 1.1, high: 1.1005, low: 1.0995, close: 1.1001, volume: 5 },
+        ]);
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function pulseFile() {
+        return writeFile('EURUSD_M1.csv', [
+            '2025-06-11 10:00,1.1,1.1005,1.0995,1.1001,5',
+            '2025-06-11 10:01,1.1,1.1005,1.0995,1.1001,5',
+            '2025-06-11 10:02,1.1,1.1005,1.0995,1.1001,5',
+            '2025-06-11 10:03,1.1,1.1,1.1,1.1,5',
+            '2025-06-11 10:04,1.1,1.0990,1.0995,1.1001,5',
+            '2025-06-11 10:05:30,1.1,1.1005,1.0995,1.1001,5',
+        ]);
+    }
+
+    test('dry run reports the diff and writes nothing', async () => {
+        const report = await importer.importFile(pulseFile(), { policy: 'overwrite', dryRun: true });
+
+        assert.strictEqual(report.symbol, 'EURUSD');
+        assert.strictEqual(report.timeframe, 'M1');
+        assert.deepStrictEqual(
+            [report.rows, report.invalid, report.insert, report.update, report.unchanged, report.kept],
+            [6, 2, 1, 2, 1, 0]
+        );
+        assert.deepStrictEqual(report.reasons, { 'high < low': 1, 'unparseable time': 1 });
+        assert.deepStrictEqual(report.flags, { 'identical OHLC (likely incomplete)': 1 });
+        assert.deepStrictEqual(report.samples.invalid.map(s => s.line), [5, 6]);
+        assert.deepStrictEqual(report.samples.update[0].before.open, 1.2);
+        assert.strictEqual(await storage.countCandles('EURUSD', 'M1', at(0), at(10)), 3);
+    });
+
+    test('each merge policy decides what happens to existing bars', async () => {
+        const ignore = await importer.importFile(pulseFile(), { policy: 'ignore' });
+        assert.deepStrictEqual([ignore.insert, ignore.update, ignore.kept], [1, 0, 2]);
+        assert.strictEqual((await storage.getLatestCandle('EURUSD', 'M1')).timestamp.getTime(), at(3).getTime());
+
+        const fill = await importer.importFile(pulseFile(), { policy: 'fill' });
+        assert.deepStrictEqual([fill.insert, fill.update, fill.kept], [0, 1, 1]);
+        const [first, second] = await storage.getCandles('EURUSD', 'M1', at(0), at(2));
+        assert.strictEqual(first.open, 1.2);
+        assert.strictEqual(second.high, 1.1005);
+
+        const overwrite = await importer.importFile(pulseFile(), { policy: 'overwrite' });
+        assert.deepStrictEqual([overwrite.insert, overwrite.update, overwrite.unchanged], [0, 1, 3]);
+        assert.strictEqual((await storage.getCandles('EURUSD', 'M1', at(0), at(1)))[0].open, 1.1);
+    });
+
+    test('imports MT5 exports in broker time with spreads in points', async () => {
+        const file = writeFile('mt5.csv', [
+            '<DATE>\t<TIME>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>\t<TICKVOL>\t<VOL>\t<SPREAD>',
+            '2025.06.11\t13:05:00\t1.14000\t1.14020\t1.13990\t1.14010\t42\t0\t7',
+        ]);
+
+        const report = await importer.importFile(file, {
+            symbol: 'EUR/USD', timeframe: 'M1', format: 'mt5', overrides: { timezone: 'Europe/Athens' },
+        });
+
+        assert.strictEqual(report.insert, 1);
+        const [candle] = await storage.getCandles('EURUSD', 'M1', at(5), at(6));
+        assert.strictEqual(candle.volume, 42);
+        assert.strictEqual(candle.spread, 0.00007);
+    });
+
+    test('maps generic columns by header name', async () => {
+        const file = writeFile('quotes.csv', [
+            'close;high;low;open;time',
+            '1.1001;1.1005;1.0995;1.1000;11/06/2025 10:07',
+        ]);
+
+        const report = await importer.importFile(file, {
+            symbol: 'EURUSD',
+            timeframe: 'M1',
+            format: 'generic',
+            overrides: {
+                delimiter: ';',
+                dateFormat: 'DD/MM/YYYY HH:mm',
+                columns: { timestamp: 'time', open: 'open', high: 'high', low: 'low', close: 'close' },
+            },
+        });
+
+        assert.strictEqual(report.insert, 1);
+        assert.strictEqual((await storage.getCandles('EURUSD', 'M1', at(7), at(8)))[0].open, 1.1);
+    });
+
+    test('rejects unknown symbols, policies and missing columns up front', async () => {
+        const file = pulseFile();
+
+        await assert.rejects(importer.importFile(file, { symbol: 'NOPE' }), /Unknown symbol "NOPE"/);
+        await assert.rejects(importer.importFile(file, { policy: 'merge' }), /Invalid policy "merge"/);
+        await assert.rejects(importer.importFile(file, { format: 'dukascopy' }), /Missing column\(s\)/);
+        await assert.rejects(importer.importFile(file, { overrides: { timezone: 'Mars/Base' } }), /Unknown timezone/);
+    });
+});
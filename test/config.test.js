@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadConfig, requireSettings, ConfigError } = require('../config');
+
+const tmpDirs = [];
+
+function writeConfigFile(content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-config-'));
+    tmpDirs.push(dir);
+    const file = path.join(dir, 'config.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+test.after(() => {
+    for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.describe('loadConfig', () => {
+    test('uses defaults when nothing is set', () => {
+        const config = loadConfig({ env: {} });
+
+        assert.strictEqual(config.server.port, 3001);
+        assert.strictEqual(config.storage.driver, 'mysql');
+        assert.strictEqual(config.db.host, null);
+        assert.strictEqual(config.pairs.primary, null);
+        assert.deepStrictEqual(config.spikeThresholds.forex, { tick: 0.3, candle: 0.5 });
+        assert.strictEqual(config.schedules.healPrimary, '*/5 * * * *');
+        assert.ok(Object.isFrozen(config.pairs));
+    });
+
+    test('coerces environment strings to the setting types', () => {
+        const config = loadConfig({
+            env: {
+                PORT: '8080',
+                STORAGE_DRIVER: 'Memory',
+                PRIMARY_PAIRS: ' eurusd, gbpusd ,',
+                SPIKE_FOREX_TICK_PERCENT: '0.25',
+                ENABLE_GAP_RECOVERY: 'yes',
+                CRON_CLEANUP: '30 4 * * *',
+                CANDLE_SOURCE_PRECEDENCE: 'Dukascopy, import',
+                CANDLE_DAY_BOUNDARY: 'NY-Close',
+            },
+        });
+
+        assert.strictEqual(config.server.port, 8080);
+        assert.strictEqual(config.storage.driver, 'memory');
+        assert.deepStrictEqual(config.pairs.primary, ['EURUSD', 'GBPUSD']);
+        assert.strictEqual(config.spikeThresholds.forex.tick, 0.25);
+        assert.strictEqual(config.features.gapRecoveryOnStartup, true);
+        assert.strictEqual(config.schedules.cleanup, '30 4 * * *');
+        assert.deepStrictEqual(config.candles.sourcePrecedence, ['dukascopy', 'import']);
+        assert.strictEqual(config.candles.dayBoundary, 'ny-close');
+    });
+
+    test('reports every invalid setting at once', () => {
+        const error = captureError(() => loadConfig({
+            env: {
+                PORT: 'abc',
+                STORAGE_DRIVER: 'sqlite',
+                HEAL_WINDOW_MINUTES: '1.5',
+                CANDLE_SOURCE_PRECEDENCE: 'dukascopy,csv',
+                CANDLE_DAY_BOUNDARY: '+05:30',
+                CRON_GAP_CHECK: 'every hour',
+            },
+        }));
+
+        assert.ok(error instanceof ConfigError);
+        assert.deepStrictEqual(error.problems, [
+            'PORT must be a number (got "abc")',
+            'STORAGE_DRIVER must be one of: mysql, memory (got "sqlite")',
+            'CANDLE_SOURCE_PRECEDENCE has unknown entries: csv (expected: import, dukascopy, polygon, aggregate, finnhub, rest, mock) (got "dukascopy,csv")',
+            'CANDLE_DAY_BOUNDARY must be utc, ny-close or a whole-hour UTC offset like +02:00 (got "+05:30")',
+            'HEAL_WINDOW_MINUTES must be a whole number (got "1.5")',
+            'CRON_GAP_CHECK must be a valid cron expression (got "every hour")',
+        ]);
+    });
+
+    test('never echoes secret values', () => {
+        const error = captureError(() => loadConfig({ env: {}, file: writeConfigFile({ db: { password: 1234 } }) }));
+
+        assert.match(error.message, /db\.password in .* must be a string/);
+        assert.doesNotMatch(error.message, /1234/);
+    });
+
+    test('reads CONFIG_FILE, with the environment taking precedence', () => {
+        const file = writeConfigFile({
+            server: { port: 4000 },
+            db: { host: 'db.internal', name: 'pulse' },
+            pairs: { secondary: ['xagusd'] },
+        });
+
+        const config = loadConfig({ env: { CONFIG_FILE: file, DB_NAME: 'pulse_test' } });
+
+        assert.strictEqual(config.server.port, 4000);
+        assert.strictEqual(config.db.host, 'db.internal');
+        assert.strictEqual(config.db.name, 'pulse_test');
+        assert.deepStrictEqual(config.pairs.secondary, ['XAGUSD']);
+    });
+
+    test('rejects unknown keys and unreadable files', () => {
+        const file = writeConfigFile({ db: { hostname: 'x' } });
+        assert.throws(() => loadConfig({ env: {}, file }), /db\.hostname \(in .*\) is not a known setting/);
+
+        assert.throws(() => loadConfig({ env: {}, file: writeConfigFile('{ nope') }), /is not valid JSON/);
+        assert.throws(() => loadConfig({ env: {}, file: '/nonexistent/pulse.json' }), /Cannot read CONFIG_FILE/);
+    });
+});
+
+test.describe('requireSettings', () => {
+    test('names the missing environment variables', () => {
+        const config = loadConfig({ env: { DB_HOST: 'localhost', DB_USER: '' } });
+
+        assert.throws(
+            () => requireSettings(['db.host', 'db.user', 'db.name'], 'MySQL', config),
+            /Missing required configuration for MySQL: DB_USER, DB_NAME/
+        );
+    });
+
+    test('accepts an empty database password', () => {
+        const config = loadConfig({ env: { DB_HOST: 'h', DB_USER: 'u', DB_PASSWORD: '', DB_NAME: 'n' } });
+        assert.doesNotThrow(() => requireSettings(['db.host', 'db.user', 'db.password', 'db.name'], 'MySQL', config));
+    });
+});
+
+function captureError(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    assert.fail('expected an error');
+}
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeDayBoundary, tradingDay } = require('../config/day-boundary');
+const { bucketStart, bucketRange, nextBucketStart } = require('../services/storage/candle-rollup');
+
+function iso(ms) {
+    return new Date(ms).toISOString();
+}
+
+test.describe('normalizeDayBoundary', () => {
+    test('accepts the named policies and whole-hour offsets', () => {
+        assert.strictEqual(normalizeDayBoundary('UTC'), 'utc');
+        assert.strictEqual(normalizeDayBoundary(' NY-Close '), 'ny-close');
+        assert.strictEqual(normalizeDayBoundary('+2'), '+02:00');
+        assert.strictEqual(normalizeDayBoundary('-05:00'), '-05:00');
+        assert.strictEqual(normalizeDayBoundary('+00:00'), 'utc');
+    });
+
+    test('rejects anything else', () => {
+        for (const value of ['+05:30', '+15:00', 'london', '', null]) {
+            assert.strictEqual(normalizeDayBoundary(value), null, String(value));
+        }
+    });
+});
+
+test.describe('tradingDay', () => {
+    test('ny-close starts at 17:00 New York in summer and winter', () => {
+        assert.strictEqual(iso(tradingDay('2025-06-11T15:00:00Z', 'ny-close').start), '2025-06-10T21:00:00.000Z');
+        assert.strictEqual(iso(tradingDay('2025-01-15T12:00:00Z', 'ny-close').start), '2025-01-14T22:00:00.000Z');
+    });
+
+    test('ny-close gives the weekend to Monday', () => {
+        // Sunday 16:30 New York, before the roll
+        const day = tradingDay('2025-01-12T21:30:00Z', 'ny-close');
+
+        assert.strictEqual(iso(day.start), '2025-01-12T22:00:00.000Z');
+        assert.strictEqual(iso(day.from), '2025-01-10T22:00:00.000Z');
+        assert.strictEqual(iso(day.end), '2025-01-13T22:00:00.000Z');
+    });
+
+    test('a fixed offset starts at its local midnight', () => {
+        const day = tradingDay('2025-06-11T21:30:00Z', '+02:00');
+
+        assert.strictEqual(iso(day.start), '2025-06-10T22:00:00.000Z');
+        assert.strictEqual(iso(day.end), '2025-06-11T22:00:00.000Z');
+    });
+});
+
+test.describe('day-aligned buckets', () => {
+    test('utc keeps the UTC grid and its Sunday candle', () => {
+        assert.strictEqual(iso(bucketStart('2025-06-11T21:30:00Z', 'H4', 'utc')), '2025-06-11T20:00:00.000Z');
+        assert.strictEqual(iso(bucketStart('2025-01-12T22:30:00Z', 'D1', 'utc')), '2025-01-12T00:00:00.000Z');
+    });
+
+    test('H4 counts from the start of the day', () => {
+        assert.strictEqual(iso(bucketStart('2025-06-11T21:30:00Z', 'H4', '+02:00')), '2025-06-11T18:00:00.000Z');
+        assert.strictEqual(iso(bucketStart('2025-06-12T00:30:00Z', 'H4', 'ny-close')), '2025-06-11T21:00:00.000Z');
+    });
+
+    test('ny-close folds Sunday bars into Monday\'s first H4 and D1', () => {
+        for (const timeframe of ['H4', 'D1']) {
+            const start = bucketStart('2025-01-12T21:00:00Z', timeframe, 'ny-close');
+            assert.strictEqual(iso(start), '2025-01-12T22:00:00.000Z');
+            assert.strictEqual(iso(bucketRange(start, timeframe, 'ny-close').from), '2025-01-10T22:00:00.000Z');
+        }
+    });
+
+    test('steps from Friday to Monday across a DST change', () => {
+        // US clocks went forward on Sunday 2025-03-09
+        const friday = bucketStart('2025-03-07T12:00:00Z', 'D1', 'ny-close');
+        const monday = nextBucketStart(friday, 'D1', 'ny-close');
+
+        assert.strictEqual(iso(friday), '2025-03-06T22:00:00.000Z');
+        assert.strictEqual(iso(monday), '2025-03-09T21:00:00.000Z');
+        assert.deepStrictEqual(bucketRange(monday, 'D1', 'ny-close'), {
+            from: new Date('2025-03-07T22:00:00Z'),
+            to: new Date('2025-03-10T21:00:00Z'),
+        });
+    });
+
+    test('the last H4 of a day ends at the day boundary', () => {
+        const last = bucketStart('2025-01-10T21:30:00Z', 'H4', 'ny-close');
+
+        assert.strictEqual(iso(last), '2025-01-10T18:00:00.000Z');
+        assert.strictEqual(iso(bucketRange(last, 'H4', 'ny-close').to), '2025-01-10T22:00:00.000Z');
+        assert.strictEqual(iso(nextBucketStart(last, 'H4', 'ny-close')), '2025-01-12T22:00:00.000Z');
+    });
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryStorage } = require('../services/storage');
+const { DistributedLock } = require('../services/distributed-lock');
+
+const T0 = new Date('2025-06-11T10:00:00Z');
+
+test.describe('DistributedLock', () => {
+    let storage;
+    let clock;
+    let alpha;
+    let beta;
+
+    test.beforeEach(() => {
+        storage = new MemoryStorage();
+        clock = T0;
+        const now = () => clock;
+        alpha = new DistributedLock({ storage, owner: 'alpha', now });
+        beta = new DistributedLock({ storage, owner: 'beta', now });
+    });
+
+    function later(ms) {
+        clock = new Date(clock.getTime() + ms);
+    }
+
+    test('one holder at a time until the lease expires or is released', async () => {
+        const lease = await alpha.acquire('heal:recent:primary', { ttlMs: 60000 });
+        assert.ok(lease);
+        assert.strictEqual(await beta.acquire('heal:recent:primary'), null);
+        assert.deepStrictEqual((await alpha.list()).map(l => [l.name, l.owner]), [['heal:recent:primary', 'alpha']]);
+
+        // A crashed holder stops renewing
+        later(60000);
+        const taken = await beta.acquire('heal:recent:primary', { ttlMs: 60000 });
+        assert.ok(taken);
+        assert.strictEqual(await alpha.renew(lease), false);
+        assert.strictEqual(await alpha.release(lease), false);
+
+        assert.strictEqual(await beta.release(taken), true);
+        assert.ok(await alpha.acquire('heal:recent:primary'));
+    });
+
+    test('withLock skips when taken and holds the lock for holdMs', async () => {
+        const ran = [];
+
+        const first = await alpha.withLock('engine:cleanup', async () => ran.push('alpha'), { holdMs: 60000 });
+        assert.deepStrictEqual(first, { acquired: true, result: 1 });
+
+        // Fired a few seconds later on another replica
+        later(5000);
+        assert.deepStrictEqual(await beta.withLock('engine:cleanup', async () => ran.push('beta')), { acquired: false });
+
+        later(60000);
+        await beta.withLock('engine:cleanup', async () => ran.push('beta'));
+        assert.deepStrictEqual(ran, ['alpha', 'beta']);
+        assert.deepStrictEqual(await alpha.list(), []);
+    });
+
+    test('withLock releases the lock when the work throws', async () => {
+        await assert.rejects(alpha.withLock('engine:gap-check', async () => {
+            throw new Error('boom');
+        }), /boom/);
+
+        assert.deepStrictEqual(await alpha.list(), []);
+    });
+
+    test('candle writes for a symbol take turns', async () => {
+        const held = await alpha.acquire('candles:EURUSD');
+
+        await assert.rejects(
+            beta.withCandleLock('EURUSD', async () => 'written', { waitMs: 0 }),
+            /EURUSD candles are locked by another instance/
+        );
+        assert.strictEqual(await beta.withCandleLock('GBPUSD', async () => 'written'), 'written');
+
+        await alpha.release(held);
+        assert.strictEqual(await beta.withCandleLock('EURUSD', async () => 'written'), 'written');
+    });
+});
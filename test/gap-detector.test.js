@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { minuteCandles } = require('./helpers/candles');
+const { MemoryStorage } = require('../services/storage');
+const { GapDetector } = require('../services/gap-detector');
+
+// Wednesday, a normal forex trading day
+const HOUR_START = new Date('2025-06-11T10:00:00Z');
+const HOUR_END = new Date('2025-06-11T11:00:00Z');
+
+function minute(hhmm) {
+    return new Date(`2025-06-11T${hhmm}:00Z`);
+}
+
+function range(fromHhmm, toHhmm) {
+    const minutes = [];
+    for (let t = minute(fromHhmm).getTime(); t < minute(toHhmm).getTime(); t += 60000) {
+        minutes.push(new Date(t));
+    }
+    return minutes;
+}
+
+test.describe('GapDetector', () => {
+    let storage;
+    let detector;
+
+    test.beforeEach(() => {
+        storage = new MemoryStorage();
+        detector = new GapDetector({ storage });
+    });
+
+    test.describe('detectGapsInRange', () => {
+        test('finds nothing when every minute is present', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', HOUR_START, HOUR_END));
+            assert.deepStrictEqual(await detector.detectGapsInRange('EURUSD', 'M1', HOUR_START, HOUR_END), []);
+        });
+
+        test('reports a full gap when an open-market range has no candles', async () => {
+            const gaps = await detector.detectGapsInRange('EURUSD', 'M1', HOUR_START, HOUR_END);
+
+            assert.strictEqual(gaps.length, 1);
+            assert.strictEqual(gaps[0].type, 'full_gap');
+            assert.strictEqual(gaps[0].expectedCandles, 60);
+        });
+
+        test('ignores an empty range while the market is closed', async () => {
+            const saturday = new Date('2025-06-14T10:00:00Z');
+            const gaps = await detector.detectGapsInRange('EURUSD', 'M1', saturday, new Date('2025-06-14T11:00:00Z'));
+            assert.deepStrictEqual(gaps, []);
+        });
+
+        test('reports a missing block in the middle with its exact size', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', HOUR_START, HOUR_END, { skip: range('10:20', '10:30') }));
+
+            const gaps = await detector.detectGapsInRange('EURUSD', 'M1', HOUR_START, HOUR_END);
+
+            assert.strictEqual(gaps.length, 1);
+            assert.deepStrictEqual(gaps[0], {
+                symbol: 'EURUSD',
+                timeframe: 'M1',
+                from: minute('10:20'),
+                to: minute('10:30'),
+                type: 'mid_gap',
+                missingCandles: 10,
+            });
+        });
+
+        test('tolerates up to two missing candles', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', HOUR_START, HOUR_END, { skip: range('10:20', '10:22') }));
+            assert.deepStrictEqual(await detector.detectGapsInRange('EURUSD', 'M1', HOUR_START, HOUR_END), []);
+        });
+
+        test('flags three missing candles', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', HOUR_START, HOUR_END, { skip: range('10:20', '10:23') }));
+
+            const gaps = await detector.detectGapsInRange('EURUSD', 'M1', HOUR_START, HOUR_END);
+            assert.strictEqual(gaps.length, 1);
+            assert.strictEqual(gaps[0].missingCandles, 3);
+        });
+
+        test('reports gaps at the start and end of the range', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', minute('10:10'), minute('10:30')));
+
+            const gaps = await detector.detectGapsInRange('EURUSD', 'M1', HOUR_START, HOUR_END);
+
+            assert.deepStrictEqual(gaps.map(g => [g.type, g.from.toISOString(), g.to.toISOString(), g.missingCandles]), [
+                ['start_gap', '2025-06-11T10:00:00.000Z', '2025-06-11T10:10:00.000Z', 10],
+                ['end_gap', '2025-06-11T10:30:00.000Z', '2025-06-11T11:00:00.000Z', 30],
+            ]);
+        });
+
+        test('does not flag the weekend between Friday close and Sunday open', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', new Date('2025-06-13T21:00:00Z'), new Date('2025-06-13T22:00:00Z')));
+            await storage.insertCandles(minuteCandles('EURUSD', new Date('2025-06-15T21:00:00Z'), new Date('2025-06-15T22:00:00Z')));
+
+            const gaps = await detector.detectGapsInRange(
+                'EURUSD', 'M1', new Date('2025-06-13T21:00:00Z'), new Date('2025-06-15T22:00:00Z')
+            );
+            assert.deepStrictEqual(gaps, []);
+        });
+
+        test('steps D1 from Friday to Monday under ny-close', async () => {
+            detector = new GapDetector({ storage, dayBoundary: 'ny-close' });
+            // Days open at 17:00 New York (21:00 UTC in June); Friday's runs to the weekend
+            const days = ['06-08', '06-09', '06-10', '06-11', '06-12', '06-15', '06-16'].map(day => ({
+                symbol: 'EURUSD',
+                timeframe: 'D1',
+                timestamp: new Date(`2025-${day}T21:00:00Z`),
+                open: 1.1, high: 1.11, low: 1.09, close: 1.1, volume: 1440,
+            }));
+            await storage.insertCandles(days);
+
+            assert.strictEqual(detector.alignToTimeframe(new Date('2025-06-14T12:00:00Z'), 'D1').toISOString(), '2025-06-15T21:00:00.000Z');
+            assert.deepStrictEqual(await detector.detectGapsInRange(
+                'EURUSD', 'D1', new Date('2025-06-08T21:00:00Z'), new Date('2025-06-17T20:00:00Z')
+            ), []);
+        });
+
+        test('only looks at the requested symbol and timeframe', async () => {
+            await storage.insertCandles(minuteCandles('GBPUSD', HOUR_START, HOUR_END));
+
+            const gaps = await detector.detectGapsInRange('EURUSD', 'M1', HOUR_START, HOUR_END);
+            assert.strictEqual(gaps[0].type, 'full_gap');
+        });
+    });
+
+    test.describe('calculateExpectedCandles', () => {
+        test('counts every bucket on a trading day', () => {
+            assert.strictEqual(detector.calculateExpectedCandles('forex', 'M1', HOUR_START, HOUR_END), 60);
+            assert.strictEqual(detector.calculateExpectedCandles('forex', 'H1',
+                new Date('2025-06-11T00:00:00Z'), new Date('2025-06-12T00:00:00Z')), 24);
+        });
+
+        test('stops counting at the Friday 22:00 UTC close', () => {
+            const count = detector.calculateExpectedCandles('forex', 'M1',
+                new Date('2025-06-13T21:00:00Z'), new Date('2025-06-13T23:00:00Z'));
+            assert.strictEqual(count, 60);
+        });
+
+        test('only counts Sunday evening over a weekend', () => {
+            const count = detector.calculateExpectedCandles('forex', 'H1',
+                new Date('2025-06-14T00:00:00Z'), new Date('2025-06-16T00:00:00Z'));
+            assert.strictEqual(count, 3);
+        });
+
+        test('expects nothing on a closed holiday', () => {
+            const count = detector.calculateExpectedCandles('forex', 'H1',
+                new Date('2025-12-25T00:00:00Z'), new Date('2025-12-26T00:00:00Z'));
+            assert.strictEqual(count, 0);
+        });
+
+        test('expects crypto around the clock', () => {
+            const count = detector.calculateExpectedCandles('crypto', 'H1',
+                new Date('2025-06-14T00:00:00Z'), new Date('2025-06-16T00:00:00Z'));
+            assert.strictEqual(count, 48);
+        });
+
+        test('returns zero for an empty range', () => {
+            assert.strictEqual(detector.calculateExpectedCandles('forex', 'M1', HOUR_START, HOUR_START), 0);
+        });
+    });
+});
@@ -0,0 +1,87 @@
+// =============================================================================
+// test/helpers/api.js - Routers against a stubbed database
+// =============================================================================
+
+const http = require('http');
+const express = require('express');
+const database = require('../../database');
+
+// API key → plan; rate limits high enough never to trip
+const PLANS = {
+    free: { slug: 'free', tier: 'free', historicalDataAccess: false, historicalDataDays: 0, features: {} },
+    individual: { slug: 'individual', tier: 'individual', historicalDataAccess: true, historicalDataDays: 30, features: {} },
+    business: { slug: 'business', tier: 'business', historicalDataAccess: true, historicalDataDays: 0, features: { tick_data: true } },
+};
+
+let nextUserId = 1000;
+
+/**
+ * Replace database methods for one test; auth and usage logging are stubbed
+ * by default. Returns a function that restores the originals.
+ */
+function stubDatabase(methods = {}) {
+    const stubs = {
+        async validateApiKey(apiKey) {
+            const plan = PLANS[apiKey.replace(/^fx_/, '')];
+            if (!plan) return null;
+            return {
+                // Rate-limit counters are per user, so every key check is a new one
+                userId: nextUserId++,
+                apiKeyId: 1,
+                allowedIps: [],
+                plan: {
+                    ...plan,
+                    apiCallsPerDay: 1e6,
+                    apiCallsPerMinute: 1e6,
+                    websocketAccess: true,
+                    websocketConnections: 5,
+                },
+            };
+        },
+        async logApiCall() {},
+        async incrementUsageStats() {},
+        ...methods,
+    };
+
+    const originals = {};
+    for (const [name, fn] of Object.entries(stubs)) {
+        originals[name] = Object.prototype.hasOwnProperty.call(database, name) ? database[name] : undefined;
+        database[name] = fn;
+    }
+
+    return () => {
+        for (const [name, fn] of Object.entries(originals)) {
+            if (fn === undefined) delete database[name];
+            else database[name] = fn;
+        }
+    };
+}
+
+/**
+ * Serve `router` at `mountPath` on a free port → { server, url, close }
+ */
+async function startServer(router, mountPath = '/v1') {
+    const app = express();
+    app.use(express.json());
+    app.use(mountPath, router);
+
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const url = `http://127.0.0.1:${server.address().port}`;
+    return {
+        server,
+        url,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+/**
+ * GET `path` with the key for `plan` → { status, body }
+ */
+async function get(url, path, plan = 'business') {
+    const res = await fetch(`${url}${path}`, { headers: plan ? { 'X-API-Key': `fx_${plan}` } : {} });
+    return { status: res.status, body: await res.json() };
+}
+
+module.exports = { PLANS, stubDatabase, startServer, get };
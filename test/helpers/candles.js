@@ -0,0 +1,23 @@
+// =============================================================================
+// test/helpers/candles.js - Candle fixtures
+// =============================================================================
+
+/**
+ * One M1 candle per minute in [from, to), minus any skipped minutes
+ */
+function minuteCandles(symbol, from, to, { skip = [], price = 1.1 } = {}) {
+    const skipped = new Set(skip.map(d => new Date(d).getTime()));
+    const candles = [];
+    for (let t = new Date(from).getTime(); t < new Date(to).getTime(); t += 60000) {
+        if (skipped.has(t)) continue;
+        candles.push({
+            symbol,
+            timeframe: 'M1',
+            timestamp: new Date(t),
+            open: price, high: price + 0.0005, low: price - 0.0005, close: price, volume: 10,
+        });
+    }
+    return candles;
+}
+
+module.exports = { minuteCandles };
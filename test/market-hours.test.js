@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { isForexMarketOpen, isMarketOpenForSymbol } = require('../config/market-hours');
+
+function openAt(iso) {
+    return isForexMarketOpen(new Date(iso)).open;
+}
+
+test.describe('isForexMarketOpen', () => {
+    test.describe('weekend boundaries', () => {
+        test('is open on Friday until 22:00 UTC', () => {
+            assert.strictEqual(openAt('2025-06-13T21:59:59Z'), true);
+            assert.strictEqual(openAt('2025-06-13T22:00:00Z'), false);
+        });
+
+        test('is closed all of Saturday', () => {
+            assert.strictEqual(openAt('2025-06-14T00:00:00Z'), false);
+            assert.strictEqual(openAt('2025-06-14T12:00:00Z'), false);
+            assert.strictEqual(openAt('2025-06-14T23:59:59Z'), false);
+        });
+
+        test('opens on Sunday at 21:00 UTC', () => {
+            assert.strictEqual(openAt('2025-06-15T20:59:59Z'), false);
+            assert.strictEqual(openAt('2025-06-15T21:00:00Z'), true);
+        });
+
+        test('is open around the clock mid-week', () => {
+            assert.strictEqual(openAt('2025-06-11T00:00:00Z'), true);
+            assert.strictEqual(openAt('2025-06-11T23:59:59Z'), true);
+        });
+
+        test('explains why it is closed', () => {
+            assert.match(isForexMarketOpen(new Date('2025-06-15T10:00:00Z')).reason, /Opens Sunday 21:00 UTC/);
+        });
+    });
+
+    test.describe('holidays', () => {
+        test('is closed on Christmas and New Year', () => {
+            assert.deepStrictEqual(isForexMarketOpen(new Date('2025-12-25T12:00:00Z')), { open: false, reason: 'Christmas' });
+            assert.strictEqual(openAt('2026-01-01T12:00:00Z'), false);
+        });
+
+        test('closes for the whole UTC day of the holiday', () => {
+            assert.strictEqual(openAt('2025-12-24T23:59:59Z'), true);
+            assert.strictEqual(openAt('2025-12-25T00:00:00Z'), false);
+            assert.strictEqual(openAt('2025-12-26T00:00:00Z'), true);
+        });
+
+        test('stays open on reduced-liquidity and US-only holidays', () => {
+            assert.strictEqual(openAt('2025-04-18T12:00:00Z'), true);   // Good Friday
+            assert.strictEqual(openAt('2025-11-27T12:00:00Z'), true);   // Thanksgiving
+        });
+
+        test('applies fixed holidays to years without a holiday list', () => {
+            assert.strictEqual(openAt('2031-12-25T12:00:00Z'), false);
+        });
+    });
+});
+
+test.describe('isMarketOpenForSymbol', () => {
+    const saturday = new Date('2025-06-14T12:00:00Z');
+
+    test('applies forex hours to metals', () => {
+        assert.strictEqual(isMarketOpenForSymbol('metal', saturday).open, false);
+    });
+
+    test('keeps crypto open on weekends', () => {
+        assert.strictEqual(isMarketOpenForSymbol('crypto', saturday).open, true);
+    });
+
+    test('closes stocks on US holidays', () => {
+        assert.strictEqual(isMarketOpenForSymbol('stock', new Date('2025-11-27T15:00:00Z')).open, false);
+    });
+});
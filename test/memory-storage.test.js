@@ -0,0 +1,350 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { minuteCandles } = require('./helpers/candles');
+const { MemoryStorage, createStorage } = require('../services/storage');
+
+const T0 = new Date('2025-06-11T10:00:00Z');
+
+function at(minutes) {
+    return new Date(T0.getTime() + minutes * 60000);
+}
+
+function candle(minutes, open, high, low, close, volume = 10) {
+    return { symbol: 'EURUSD', timeframe: 'M1', timestamp: at(minutes), open, high, low, close, volume };
+}
+
+test.describe('MemoryStorage', () => {
+    let storage;
+
+    test.beforeEach(() => {
+        storage = new MemoryStorage();
+    });
+
+    test.describe('candles', () => {
+        test('returns candles in [from, to), oldest first', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', at(0), at(10)).reverse());
+
+            const rows = await storage.getCandles('EURUSD', 'M1', at(2), at(5));
+            assert.deepStrictEqual(rows.map(r => r.timestamp), [at(2), at(3), at(4)]);
+            assert.strictEqual(await storage.countCandles('EURUSD', 'M1', at(0), at(10)), 10);
+        });
+
+        test('keeps symbols and timeframes apart', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', at(0), at(5)));
+            await storage.insertCandles(minuteCandles('GBPUSD', at(0), at(3)));
+
+            assert.strictEqual(await storage.countCandles('GBPUSD', 'M1', at(0), at(10)), 3);
+            assert.strictEqual(await storage.countCandles('EURUSD', 'M5', at(0), at(10)), 0);
+        });
+
+        test('merge widens the stored candle and adds volume', async () => {
+            await storage.saveCandle(candle(0, 1.1, 1.102, 1.099, 1.101, 10));
+            await storage.saveCandle(candle(0, 1.1, 1.104, 1.1, 1.103, 5), { merge: true });
+
+            assert.deepStrictEqual(await storage.getLatestCandle('EURUSD', 'M1'), {
+                timestamp: at(0), open: 1.1, high: 1.104, low: 1.099, close: 1.103, volume: 15, spread: null,
+            });
+        });
+
+        test('merge keeps the stored spread unless the update knows one', async () => {
+            await storage.saveCandle({ ...candle(0, 1.1, 1.102, 1.099, 1.101, 10), spread: 0.0001 });
+            await storage.saveCandle(candle(0, 1.1, 1.104, 1.1, 1.103, 5), { merge: true });
+            assert.strictEqual((await storage.getLatestCandle('EURUSD', 'M1')).spread, 0.0001);
+
+            await storage.saveCandle({ ...candle(0, 1.1, 1.104, 1.1, 1.103, 5), spread: 0.00008 }, { merge: true });
+            assert.strictEqual((await storage.getLatestCandle('EURUSD', 'M1')).spread, 0.00008);
+        });
+
+        test('getLatestSpread returns the newest known M1 spread since a time', async () => {
+            await storage.insertCandles([
+                { ...candle(0, 1.1, 1.1, 1.1, 1.1), spread: 0.0001 },
+                { ...candle(1, 1.1, 1.1, 1.1, 1.1), spread: 0.00015 },
+                { ...candle(2, 1.1, 1.1, 1.1, 1.1), spread: null },
+            ]);
+
+            assert.strictEqual(await storage.getLatestSpread('EURUSD', at(-1)), 0.00015);
+            assert.strictEqual(await storage.getLatestSpread('EURUSD', at(1)), null);
+        });
+
+        test('a plain save replaces the stored candle', async () => {
+            await storage.saveCandle(candle(0, 1.1, 1.102, 1.099, 1.101, 10));
+            await storage.saveCandle(candle(0, 1.2, 1.2, 1.2, 1.2, 1));
+
+            const [row] = await storage.getCandles('EURUSD', 'M1', at(0), at(1));
+            assert.strictEqual(row.high, 1.2);
+            assert.strictEqual(row.volume, 1);
+        });
+
+        test('finds candles whose OHLC are all the same', async () => {
+            await storage.insertCandles([
+                candle(0, 1.1, 1.101, 1.099, 1.1),
+                candle(1, 1.1, 1.1, 1.1, 1.1),
+            ]);
+
+            const incomplete = await storage.findIncompleteCandles('EURUSD', 'M1', at(0), at(2));
+            assert.deepStrictEqual(incomplete.map(r => r.timestamp), [at(1)]);
+            assert.strictEqual(await storage.countIncompleteCandles('EURUSD', 'M1', at(0), at(2)), 1);
+        });
+
+        test('deletes only the requested range', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', at(0), at(10)));
+
+            assert.strictEqual(await storage.deleteCandles('EURUSD', 'M1', at(3), at(6)), 3);
+            assert.strictEqual(await storage.countCandles('EURUSD', 'M1', at(0), at(10)), 7);
+        });
+
+        test('tracks source and revision, counting only writes that change the bar', async () => {
+            assert.strictEqual(await storage.saveCandle({ ...candle(0, 1.1, 1.102, 1.099, 1.101), source: 'finnhub' }), true);
+            assert.strictEqual(await storage.saveCandle({ ...candle(0, 1.1, 1.102, 1.099, 1.101), source: 'finnhub' }), false);
+            assert.strictEqual(await storage.saveCandle({ ...candle(0, 1.1, 1.103, 1.099, 1.102), source: 'dukascopy' }), true);
+
+            const [row] = await storage.getCandles('EURUSD', 'M1', at(0), at(1), { provenance: true });
+            assert.strictEqual(row.source, 'dukascopy');
+            assert.strictEqual(row.revision, 2);
+            assert.ok(row.updated_at instanceof Date);
+            assert.strictEqual((await storage.getCandles('EURUSD', 'M1', at(0), at(1)))[0].source, undefined);
+        });
+
+        test('never lets a lower-precedence source replace a bar', async () => {
+            await storage.insertCandles([
+                { ...candle(0, 1.1, 1.102, 1.099, 1.101), source: 'dukascopy' },
+                candle(1, 1.1, 1.102, 1.099, 1.101),
+            ]);
+
+            // Late live ticks for a healed minute
+            assert.strictEqual(await storage.saveCandle({ ...candle(0, 1.2, 1.2, 1.2, 1.2, 5), source: 'finnhub' }, { merge: true }), false);
+            assert.strictEqual(await storage.insertCandles([
+                { ...candle(0, 1.3, 1.3, 1.3, 1.3), source: 'rest' },
+                { ...candle(1, 1.3, 1.3, 1.3, 1.3), source: 'rest' },
+            ]), 1);
+
+            const rows = await storage.getCandles('EURUSD', 'M1', at(0), at(2), { provenance: true });
+            assert.deepStrictEqual(rows.map(r => [r.close, r.source, r.revision]), [[1.101, 'dukascopy', 1], [1.3, 'rest', 2]]);
+
+            await storage.saveCandle({ ...candle(0, 1.1, 1.104, 1.099, 1.103), source: 'import' });
+            assert.strictEqual((await storage.getLatestCandle('EURUSD', 'M1')).close, 1.3);
+            assert.strictEqual((await storage.getCandles('EURUSD', 'M1', at(0), at(1)))[0].close, 1.103);
+        });
+
+        test('deleteCandles can spare outranked bars and the ones just written', async () => {
+            await storage.insertCandles([
+                { ...candle(0, 1.1, 1.1, 1.1, 1.1), source: 'finnhub' },
+                { ...candle(1, 1.1, 1.1, 1.1, 1.1), source: 'import' },
+                { ...candle(2, 1.1, 1.1, 1.1, 1.1), source: 'dukascopy' },
+                candle(3, 1.1, 1.1, 1.1, 1.1),
+            ]);
+
+            const deleted = await storage.deleteCandles('EURUSD', 'M1', at(0), at(4), { source: 'dukascopy', except: [at(2)] });
+
+            assert.strictEqual(deleted, 2);
+            const rows = await storage.getCandles('EURUSD', 'M1', at(0), at(4));
+            assert.deepStrictEqual(rows.map(r => r.timestamp), [at(1), at(2)]);
+        });
+
+        test('replaceCandles heals a range and rebuilds every period it touches', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', at(0), at(30)).map(c => ({ ...c, source: 'finnhub' })));
+
+            const fresh = minuteCandles('EURUSD', at(10), at(20), { skip: [at(15)], price: 1.2 })
+                .map(c => ({ ...c, source: 'dukascopy' }));
+            const result = await storage.replaceCandles('EURUSD', 'M1', at(10), at(20), fresh, {
+                prune: 'dukascopy',
+                rollup: true,
+            });
+
+            // M5 10:10 + 10:15, M15 10:00 + 10:15, M30, H1, H4, D1
+            assert.deepStrictEqual(result, { written: 9, pruned: 1, rolledUp: 8 });
+
+            // Built from the whole hour, not just the healed minutes
+            const [h1] = await storage.getCandles('EURUSD', 'H1', at(0), at(60), { provenance: true });
+            assert.deepStrictEqual(
+                [h1.timestamp, h1.open, h1.high, h1.close, h1.volume, h1.source],
+                [T0, 1.1, 1.2005, 1.1, 290, 'aggregate']
+            );
+            const m5 = await storage.getCandles('EURUSD', 'M5', at(0), at(30));
+            assert.deepStrictEqual(m5.map(c => [c.timestamp, c.volume]), [[at(10), 50], [at(15), 40]]);
+            assert.strictEqual((await storage.getCandles('EURUSD', 'D1', new Date('2025-06-11'), new Date('2025-06-12')))[0].volume, 290);
+        });
+
+        test('rebuildRollups re-aggregates stored M1 without touching it', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', at(0), at(10)));
+
+            assert.strictEqual(await storage.rebuildRollups('EURUSD', at(0), at(5)), 6);
+            assert.strictEqual((await storage.getCandles('EURUSD', 'M15', at(0), at(15)))[0].volume, 100);
+            assert.strictEqual(await storage.countCandles('EURUSD', 'M1', at(0), at(10)), 10);
+        });
+
+        test('getLatestCloses returns the newest close per symbol after the cutoff', async () => {
+            await storage.insertCandles(minuteCandles('EURUSD', at(0), at(5), { price: 1.1 }));
+            await storage.insertCandles(minuteCandles('GBPUSD', at(0), at(2), { price: 1.3 }));
+
+            const closes = await storage.getLatestCloses('M1', at(1));
+            assert.deepStrictEqual(closes, [
+                { symbol: 'EURUSD', close: 1.1, timestamp: at(4) },
+            ]);
+        });
+    });
+
+    test.describe('ticks', () => {
+        const tick = (seconds, price, isValid = true) => ({
+            symbol: 'EURUSD', price, volume: 0, timestamp: new Date(T0.getTime() + seconds * 1000), source: 'mock', isValid,
+        });
+
+        test('ignores duplicate ticks', async () => {
+            assert.strictEqual(await storage.insertTicks([tick(1, 1.1), tick(1, 1.1), tick(1, 1.2)]), 2);
+            assert.strictEqual(await storage.insertTicks([tick(1, 1.1)]), 0);
+        });
+
+        test('reads valid ticks only unless asked otherwise', async () => {
+            await storage.insertTicks([tick(1, 1.1), tick(2, 1.5, false), tick(3, 1.1001)]);
+
+            const ticks = await storage.getTicks('EURUSD', at(0), at(1));
+            assert.deepStrictEqual(ticks.map(t => t.price), [1.1, 1.1001]);
+            assert.strictEqual(await storage.countTicks('EURUSD', at(0), at(1), { validOnly: false }), 3);
+        });
+
+        test('getRecentTicks returns the newest first', async () => {
+            await storage.insertTicks([tick(1, 1.1), tick(2, 1.2), tick(3, 1.3)]);
+
+            const recent = await storage.getRecentTicks('EURUSD', 2);
+            assert.deepStrictEqual(recent.map(t => t.price), [1.3, 1.2]);
+        });
+
+        test('listTicks pages through ticks sharing a timestamp and filters by source', async () => {
+            await storage.insertTicks([
+                tick(2, 1.2), tick(1, 1.1), tick(1, 1.15), { ...tick(3, 1.3), source: 'rest_fallback' },
+            ]);
+
+            const first = await storage.listTicks('EURUSD', { from: at(0), to: at(1), limit: 2 });
+            assert.deepStrictEqual(first.map(t => t.price), [1.1, 1.15]);
+
+            const rest = await storage.listTicks('EURUSD', { after: first[1], limit: 10 });
+            assert.deepStrictEqual(rest.map(t => t.price), [1.2, 1.3]);
+
+            const fallback = await storage.listTicks('EURUSD', { sources: ['rest_fallback'] });
+            assert.deepStrictEqual(fallback.map(t => t.source), ['rest_fallback']);
+        });
+
+        test('deleteTicksBefore lets a deleted tick be stored again', async () => {
+            await storage.insertTicks([tick(1, 1.1), tick(90, 1.2)]);
+
+            assert.strictEqual(await storage.deleteTicksBefore(at(1)), 1);
+            assert.strictEqual(await storage.insertTicks([tick(1, 1.1)]), 1);
+        });
+    });
+
+    test.describe('backfill queue', () => {
+        const gap = (symbol, from, to, priority = 5) =>
+            ({ symbol, timeframe: 'M1', from: at(from), to: at(to), priority, maxAttempts: 3, now: new Date() });
+        const claim = (token, limit = 10, now = new Date()) =>
+            storage.claimBackfills({ worker: 'w1', token, limit, now, leaseUntil: new Date(now.getTime() + 60000) });
+
+        test('leases due items by priority, then age', async () => {
+            await storage.queueBackfill(gap('EURUSD', 0, 5));
+            await storage.queueBackfill(gap('GBPUSD', 0, 5, 8));
+            await storage.queueBackfill(gap('USDJPY', 0, 5));
+
+            const claimed = await claim('t1');
+            assert.deepStrictEqual(claimed.map(i => i.symbol), ['GBPUSD', 'EURUSD', 'USDJPY']);
+            assert.deepStrictEqual(claimed.map(i => [i.status, i.attempts, i.locked_by]), Array(3).fill(['processing', 1, 'w1']));
+            assert.deepStrictEqual(await claim('t2'), []);
+        });
+
+        test('queues a gap once and merges overlapping pending gaps', async () => {
+            const first = await storage.queueBackfill(gap('EURUSD', 0, 5));
+            assert.deepStrictEqual(await storage.queueBackfill(gap('EURUSD', 0, 5, 9)), { id: first.id, action: 'covered' });
+            await storage.queueBackfill(gap('EURUSD', 10, 15));
+
+            // Touches both: one job spans 0-15, the other is absorbed
+            assert.deepStrictEqual(await storage.queueBackfill(gap('EURUSD', 5, 10)), { id: first.id, action: 'merged' });
+            const [job] = await storage.listBackfills(10);
+            assert.deepStrictEqual([job.gap_start, job.gap_end, job.priority], [at(0), at(15), 9]);
+            assert.deepStrictEqual(await storage.countBackfillsByStatus(), { pending: 1 });
+
+            // A gap inside a job being worked on is covered; an overlapping one is queued separately
+            await claim('t1');
+            assert.strictEqual((await storage.queueBackfill(gap('EURUSD', 2, 3))).action, 'covered');
+            assert.strictEqual((await storage.queueBackfill(gap('EURUSD', 14, 20))).action, 'created');
+        });
+
+        test('only the lease holder settles a job; expired leases return to the queue', async () => {
+            await storage.queueBackfill(gap('EURUSD', 0, 5));
+            const [job] = await claim('t1');
+
+            assert.strictEqual(await storage.updateBackfill(job.id, { status: 'completed' }, { token: 'other' }), false);
+            assert.strictEqual(await storage.renewBackfillLease(job.id, 't1', new Date(Date.now() + 120000)), true);
+            assert.strictEqual(await storage.expireBackfillLeases(new Date(Date.now() + 60000)), 0);
+
+            assert.strictEqual(await storage.expireBackfillLeases(new Date(Date.now() + 180000)), 1);
+            const expired = await storage.getBackfill(job.id);
+            assert.deepStrictEqual([expired.status, expired.locked_by, expired.error_message], ['pending', null, 'lease held by w1 expired']);
+            assert.strictEqual(await storage.updateBackfill(job.id, { status: 'completed' }, { token: 't1' }), false);
+        });
+
+        test('dead-letters a job whose last attempt let its lease expire', async () => {
+            await storage.queueBackfill({ ...gap('EURUSD', 0, 5), maxAttempts: 1 });
+            const [job] = await claim('t1');
+
+            await storage.expireBackfillLeases(new Date(Date.now() + 120000));
+            const dead = await storage.getBackfill(job.id);
+            assert.deepStrictEqual([dead.status, dead.dead_reason], ['dead', 'lease expired on attempt 1 of 1']);
+        });
+
+        test('refuses to reopen a job whose gap is queued again', async () => {
+            const { id } = await storage.queueBackfill(gap('EURUSD', 0, 5));
+            await storage.updateBackfill(id, { status: 'cancelled', symbol: 'ignored' });
+            await storage.queueBackfill(gap('EURUSD', 0, 5));
+
+            assert.strictEqual((await storage.getBackfill(id)).symbol, 'EURUSD');
+            await assert.rejects(storage.updateBackfill(id, { status: 'pending' }), { code: 'ER_DUP_ENTRY' });
+            assert.strictEqual(await storage.updateBackfill(id, { priority: 9 }, { statuses: ['pending'] }), false);
+        });
+
+        test('cleans up completed and cancelled items', async () => {
+            const { id } = await storage.queueBackfill(gap('EURUSD', 0, 5));
+            await storage.queueBackfill(gap('GBPUSD', 0, 5));
+            await storage.updateBackfill(id, { status: 'completed' });
+
+            assert.deepStrictEqual(await storage.countBackfillsByStatus(), { completed: 1, pending: 1 });
+            assert.strictEqual(await storage.deleteFinishedBackfillsBefore(new Date(Date.now() + 1000)), 1);
+            assert.deepStrictEqual(await storage.countBackfillsByStatus(), { pending: 1 });
+        });
+    });
+
+    test.describe('integrity', () => {
+        test('sums gaps per symbol and timeframe from the given date', async () => {
+            const record = { symbol: 'EURUSD', timeframe: 'M1', expectedCandles: 100, actualCandles: 100, incompleteCandles: 0 };
+            await storage.saveIntegrityRecord({ ...record, date: '2025-06-09', missingCandles: 7, status: 'gaps' });
+            await storage.saveIntegrityRecord({ ...record, date: '2025-06-10', missingCandles: 2, status: 'gaps' });
+            await storage.saveIntegrityRecord({ ...record, date: '2025-06-11', missingCandles: 0, status: 'ok' });
+
+            const [summary] = await storage.getIntegritySummary(['EURUSD'], '2025-06-10');
+            assert.strictEqual(summary.total_gaps, 2);
+            assert.strictEqual(summary.worst_status, 'gaps');
+        });
+    });
+
+    test.describe('symbol overrides', () => {
+        test('upserts by symbol and deletes', async () => {
+            await storage.saveSymbolOverride({ symbol: 'EUR/USD', priority: 'secondary' });
+            await storage.saveSymbolOverride({ symbol: 'EUR/USD', enabled: false, priority: 'secondary' });
+
+            assert.deepStrictEqual(await storage.listSymbolOverrides(), [
+                { symbol: 'EUR/USD', enabled: false, priority: 'secondary' },
+            ]);
+            assert.strictEqual(await storage.deleteSymbolOverride('EUR/USD'), 1);
+            assert.strictEqual(await storage.deleteSymbolOverride('EUR/USD'), 0);
+        });
+    });
+});
+
+test.describe('createStorage', () => {
+    test('builds the adapter for a driver name', () => {
+        assert.strictEqual(createStorage('memory').driver, 'memory');
+        assert.strictEqual(createStorage('MySQL').driver, 'mysql');
+    });
+
+    test('rejects an unknown driver', () => {
+        assert.throws(() => createStorage('sqlite'), /Unknown STORAGE_DRIVER "sqlite"/);
+    });
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MigrationRunner, MIGRATIONS_DIR } = require('../services/storage/migration-runner');
+
+/**
+ * Pool stand-in: keeps schema_migrations rows and records every statement
+ */
+class FakePool {
+    constructor() {
+        this.versions = new Map();
+        this.statements = [];
+        this.released = 0;
+    }
+
+    async getConnection() {
+        return {
+            execute: (sql, params) => this.execute(sql, params),
+            release: () => { this.released++; },
+        };
+    }
+
+    async execute(sql, params = []) {
+        const statement = sql.replace(/\s+/g, ' ').trim();
+        this.statements.push(statement);
+
+        if (statement.startsWith('SELECT GET_LOCK')) return [[{ acquired: 1 }]];
+        if (statement.startsWith('SELECT version')) {
+            return [[...this.versions].map(([version, applied_at]) => ({ version, applied_at }))];
+        }
+        if (statement.startsWith('INSERT INTO schema_migrations')) this.versions.set(params[0], new Date());
+        if (statement.startsWith('DELETE FROM schema_migrations')) this.versions.delete(params[0]);
+        return [{ affectedRows: 1 }];
+    }
+
+    ran(pattern) {
+        return this.statements.filter(s => pattern.test(s));
+    }
+}
+
+function writeMigrations(files) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pulse-migrations-'));
+    for (const [file, table] of Object.entries(files)) {
+        fs.writeFileSync(path.join(dir, file), `
+            module.exports = {
+                up: db => db.execute('CREATE TABLE ${table} (id INT)'),
+                down: db => db.execute('DROP TABLE ${table}'),
+            };
+        `);
+    }
+    return dir;
+}
+
+test.describe('MigrationRunner', () => {
+    let pool;
+    let directory;
+
+    test.beforeEach(() => {
+        pool = new FakePool();
+        directory = writeMigrations({
+            '002_second.js': 'b',
+            '001_first.js': 'a',
+            '010_third.js': 'c',
+            'README.md': 'ignored',
+        });
+    });
+
+    test.afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('applies pending migrations in version order and records them', async () => {
+        const applied = await new MigrationRunner(pool, { directory }).up();
+
+        assert.deepStrictEqual(applied.map(m => m.version), [1, 2, 10]);
+        assert.deepStrictEqual(pool.ran(/^CREATE TABLE [abc] /), [
+            'CREATE TABLE a (id INT)', 'CREATE TABLE b (id INT)', 'CREATE TABLE c (id INT)',
+        ]);
+        assert.deepStrictEqual([...pool.versions.keys()], [1, 2, 10]);
+    });
+
+    test('skips migrations that are already applied', async () => {
+        pool.versions.set(1, new Date());
+        const runner = new MigrationRunner(pool, { directory });
+
+        assert.deepStrictEqual((await runner.up()).map(m => m.name), ['second', 'third']);
+        assert.deepStrictEqual(await runner.up(), []);
+    });
+
+    test('down reverts the latest migrations, newest first', async () => {
+        const runner = new MigrationRunner(pool, { directory });
+        await runner.up();
+
+        const reverted = await runner.down(2);
+        assert.deepStrictEqual(reverted.map(m => m.version), [10, 2]);
+        assert.deepStrictEqual(pool.ran(/^DROP TABLE/), ['DROP TABLE c', 'DROP TABLE b']);
+        assert.deepStrictEqual([...pool.versions.keys()], [1]);
+    });
+
+    test('status lists applied and pending migrations', async () => {
+        pool.versions.set(1, new Date('2025-06-11T10:00:00Z'));
+        const status = await new MigrationRunner(pool, { directory }).status();
+
+        assert.deepStrictEqual(status.map(m => [m.version, m.applied]), [[1, true], [2, false], [10, false]]);
+        assert.deepStrictEqual(status[0].appliedAt, new Date('2025-06-11T10:00:00Z'));
+    });
+
+    test('holds the named lock on one connection and gives it back', async () => {
+        await new MigrationRunner(pool, { directory }).up();
+
+        assert.strictEqual(pool.ran(/^SELECT GET_LOCK/).length, 1);
+        assert.strictEqual(pool.ran(/^SELECT RELEASE_LOCK/).length, 1);
+        assert.strictEqual(pool.released, 1);
+    });
+
+    test('releases the lock when a migration fails', async () => {
+        fs.writeFileSync(path.join(directory, '011_broken.js'), `
+            module.exports = { up: async () => { throw new Error('boom'); }, down: async () => {} };
+        `);
+
+        await assert.rejects(new MigrationRunner(pool, { directory }).up(), /boom/);
+        assert.strictEqual(pool.versions.has(11), false);
+        assert.strictEqual(pool.ran(/^SELECT RELEASE_LOCK/).length, 1);
+        assert.strictEqual(pool.released, 1);
+    });
+
+    test('rejects two migrations with the same version', () => {
+        fs.writeFileSync(path.join(directory, '002_clash.js'), 'module.exports = { up() {}, down() {} };');
+        assert.throws(() => new MigrationRunner(pool, { directory }).loadMigrations(), /Duplicate migration version 2/);
+    });
+
+    test('the shipped migrations load and are numbered without gaps', () => {
+        const versions = new MigrationRunner(pool, { directory: MIGRATIONS_DIR }).loadMigrations().map(m => m.version);
+        assert.deepStrictEqual(versions, versions.map((_, i) => i + 1));
+    });
+
+    test('005 clears legacy spreads and leaves volume alone', async () => {
+        const migration = require(path.join(MIGRATIONS_DIR, '005_bid_ask_spread.js'));
+        await migration.up(pool);
+
+        assert.deepStrictEqual(pool.ran(/^UPDATE pulse_market_data/), [
+            'UPDATE pulse_market_data SET spread = NULL WHERE spread IS NOT NULL',
+        ]);
+        assert.deepStrictEqual(pool.ran(/volume/), []);
+    });
+
+    test('the baseline migrations refuse to revert and stay applied', async () => {
+        const runner = new MigrationRunner(pool, { directory: MIGRATIONS_DIR });
+        for (const version of [1, 2, 3]) pool.versions.set(version, new Date());
+
+        await assert.rejects(runner.down(), /003 is the baseline/);
+        assert.deepStrictEqual(pool.ran(/^DROP TABLE/), []);
+        assert.deepStrictEqual([...pool.versions.keys()], [1, 2, 3]);
+    });
+});
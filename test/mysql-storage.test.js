@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mysql = require('mysql2/promise');
+
+const database = require('../database');
+const { MySQLStorage } = require('../services/storage');
+
+const T0 = new Date('2025-06-11T10:00:00Z');
+
+function candle(minute, close, extra = {}) {
+    return {
+        symbol: 'EURUSD',
+        timeframe: 'M1',
+        timestamp: new Date(T0.getTime() + minute * 60000),
+        open: 1.1, high: 1.2, low: 1.0, close, volume: 10, spread: null, source: 'dukascopy',
+        ...extra,
+    };
+}
+
+/**
+ * Just enough of a mysql2 pool to answer upserts the way MySQL does with
+ * FOUND_ROWS off (database.js): affectedRows is 1 per insert, 2 per
+ * changed row and 0 per unchanged one; "Records:" info only for
+ * multi-row inserts, "Rows matched:" for UPDATE
+ */
+function fakePool() {
+    const candles = new Map();
+    const locks = new Map();
+    const jobs = new Map();
+    const dirty = [];
+
+    function execute(sql, params = []) {
+        if (/INSERT INTO pulse_market_data/.test(sql)) {
+            let affectedRows = 0;
+            let duplicates = 0;
+            for (let i = 0; i < params.length; i += 10) {
+                const row = params.slice(i, i + 10);
+                const key = row.slice(0, 3).map(String).join('|');
+                const stored = candles.get(key);
+                if (stored) duplicates++;
+                if (!stored) affectedRows += 1;
+                else if (JSON.stringify(stored) !== JSON.stringify(row)) affectedRows += 2;
+                candles.set(key, row);
+            }
+            const records = params.length / 10;
+            const info = records > 1 ? `Records: ${records}  Duplicates: ${duplicates}  Warnings: 0` : '';
+            return [{ affectedRows, info }];
+        }
+        if (/INSERT INTO pulse_rollup_dirty/.test(sql)) {
+            dirty.push(...params.filter((_, i) => i % 3 === 1));
+            return [{ affectedRows: params.length / 3, info: '' }];
+        }
+        if (/UPDATE pulse_backfill_queue SET lease_until/.test(sql)) {
+            const [leaseUntil, id, token] = params;
+            const job = jobs.get(id);
+            if (!job || job.token !== token) return [{ affectedRows: 0, info: 'Rows matched: 0  Changed: 0  Warnings: 0' }];
+            const changed = job.leaseUntil.getTime() !== leaseUntil.getTime() ? 1 : 0;
+            job.leaseUntil = leaseUntil;
+            return [{ affectedRows: changed, info: `Rows matched: 1  Changed: ${changed}  Warnings: 0` }];
+        }
+        if (/UPDATE pulse_locks/.test(sql)) {
+            const [expiresAt, name, token] = params;
+            const lock = locks.get(name);
+            if (!lock || lock.token !== token) return [{ affectedRows: 0, info: 'Rows matched: 0  Changed: 0  Warnings: 0' }];
+            const changed = lock.expiresAt.getTime() !== expiresAt.getTime() ? 1 : 0;
+            lock.expiresAt = expiresAt;
+            return [{ affectedRows: changed, info: `Rows matched: 1  Changed: ${changed}  Warnings: 0` }];
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+    }
+
+    const conn = {
+        execute: async (sql, params) => execute(sql, params),
+        beginTransaction: async () => {},
+        commit: async () => {},
+        rollback: async () => {},
+        release: () => {},
+    };
+
+    return {
+        locks,
+        jobs,
+        dirty,
+        execute: async (sql, params) => execute(sql, params),
+        getConnection: async () => conn,
+    };
+}
+
+// CLIENT_FOUND_ROWS in the handshake (mysql2 lib/constants/client.js)
+const FOUND_ROWS = 0x2;
+
+test.describe('MySQL pool', () => {
+    test('turns FOUND_ROWS off so affectedRows skips unchanged rows', async () => {
+        // mysql2 warns about acquireTimeout, which only the pool reads
+        test.mock.method(console, 'error', () => {});
+        const options = database.poolOptions({ db: { host: '127.0.0.1', user: 'pulse', password: '', name: 'pulse', connectionLimit: 1 } });
+        const pools = [mysql.createPool({ ...options, flags: undefined }), mysql.createPool(options)];
+
+        try {
+            const [stock, ours] = pools.map(pool => pool.pool.config.connectionConfig.clientFlags);
+            assert.notStrictEqual(stock & FOUND_ROWS, 0);
+            assert.strictEqual(ours & FOUND_ROWS, 0);
+        } finally {
+            await Promise.all(pools.map(pool => pool.end()));
+            test.mock.restoreAll();
+        }
+    });
+});
+
+test.describe('MySQLStorage write counts', () => {
+    let pool;
+    let storage;
+    let originalPool;
+
+    test.beforeEach(() => {
+        originalPool = database.pool;
+        pool = fakePool();
+        database.pool = pool;
+        storage = new MySQLStorage();
+    });
+
+    test.afterEach(() => {
+        database.pool = originalPool;
+    });
+
+    test('insertCandles counts inserted and changed rows, not unchanged duplicates', async () => {
+        assert.strictEqual(await storage.insertCandles([candle(0, 1.15), candle(1, 1.15)]), 2);
+
+        // unchanged, changed, new
+        assert.strictEqual(await storage.insertCandles([candle(0, 1.15), candle(1, 1.16), candle(2, 1.15)]), 2);
+        assert.strictEqual(await storage.insertCandles([candle(0, 1.15), candle(1, 1.16)]), 0);
+    });
+
+    test('saveCandle reports and marks rollups only when the row changed', async () => {
+        assert.strictEqual(await storage.saveCandle(candle(0, 1.15)), true);
+        const marked = pool.dirty.length;
+        assert.ok(marked > 0);
+
+        assert.strictEqual(await storage.saveCandle(candle(0, 1.15)), false);
+        assert.strictEqual(pool.dirty.length, marked);
+
+        assert.strictEqual(await storage.saveCandle(candle(0, 1.17)), true);
+        assert.strictEqual(pool.dirty.length, marked * 2);
+    });
+
+    test('renewLock still holds a lock whose expiry did not move', async () => {
+        const expiresAt = new Date(T0.getTime() + 60000);
+        pool.locks.set('engine:rollups', { token: 'abc', expiresAt });
+
+        assert.strictEqual(await storage.renewLock('engine:rollups', 'abc', new Date(expiresAt)), true);
+        assert.strictEqual(await storage.renewLock('engine:rollups', 'other', new Date(expiresAt)), false);
+    });
+
+    test('renewBackfillLease still holds a lease renewed to the same time', async () => {
+        const leaseUntil = new Date(T0.getTime() + 60000);
+        pool.jobs.set(42, { token: 'abc', leaseUntil });
+
+        assert.strictEqual(await storage.renewBackfillLease(42, 'abc', new Date(leaseUntil)), true);
+        assert.strictEqual(await storage.renewBackfillLease(42, 'other', new Date(leaseUntil)), false);
+    });
+});
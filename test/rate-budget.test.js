@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryStorage } = require('../services/storage');
+const { RateBudget } = require('../services/rate-budget');
+const { MarketDataProvider } = require('../services/providers/base-provider');
+
+const T0 = new Date('2025-06-11T10:00:00Z');
+
+test.describe('RateBudget', () => {
+    let storage;
+    let clock;
+    let budget;
+
+    test.beforeEach(() => {
+        storage = new MemoryStorage();
+        clock = T0;
+        budget = new RateBudget({ storage, now: () => clock });
+    });
+
+    test('hands out consecutive slots to every caller', async () => {
+        // Two instances sharing 20 requests/minute
+        const other = new RateBudget({ storage, now: () => clock });
+
+        assert.strictEqual(await budget.reserve('dukascopy', 3000), 0);
+        assert.strictEqual(await other.reserve('dukascopy', 3000), 3000);
+        assert.strictEqual(await budget.reserve('dukascopy', 3000, 2), 6000);
+        assert.strictEqual(await other.reserve('dukascopy', 3000), 12000);
+
+        // Other providers have their own budget
+        assert.strictEqual(await budget.reserve('polygon', 12000), 0);
+
+        clock = new Date(T0.getTime() + 60000);
+        assert.strictEqual(await other.reserve('dukascopy', 3000), 0);
+    });
+
+    test('a backoff pauses everyone and is never shortened', async () => {
+        await budget.block('dukascopy', 180000);
+        await budget.block('dukascopy', 60000);
+
+        assert.strictEqual(await budget.blockedUntil('dukascopy'), T0.getTime() + 180000);
+        assert.strictEqual(await budget.reserve('dukascopy', 3000), 180000);
+
+        clock = new Date(T0.getTime() + 180001);
+        assert.strictEqual(await budget.blockedUntil('dukascopy'), 0);
+    });
+
+    test('providers with a shared budget pace and back off through it', async () => {
+        const provider = new MarketDataProvider({ name: 'dukascopy', rateLimit: { requestsPerMinute: 60000, backoffMs: 5000 } });
+        provider.useBudget(budget);
+
+        await provider.throttle(2);
+        assert.deepStrictEqual(await storage.getRateBudget('dukascopy'), { nextSlot: T0.getTime() + 2, blockedUntil: 0 });
+
+        provider.backoff();
+        await new Promise(resolve => setImmediate(resolve));
+        assert.strictEqual((await storage.getRateBudget('dukascopy')).blockedUntil, T0.getTime() + 5000);
+    });
+});
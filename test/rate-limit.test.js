@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    rateLimit,
+    checkWebSocketLimit,
+    incrementWsConnection,
+    decrementWsConnection,
+    getWsConnectionCount,
+    getRateLimitStatus,
+} = require('../middleware/rate-limit');
+
+const PLAN = { apiCallsPerMinute: 3, apiCallsPerDay: 5, websocketConnections: 2 };
+
+// Counters are module-global, so every test uses its own user
+let nextUserId = 1;
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        set(headers) { Object.assign(this.headers, headers); return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+async function call(userId, plan = PLAN) {
+    const res = fakeResponse();
+    let passed = false;
+    await rateLimit({ auth: { userId, plan } }, res, () => { passed = true; });
+    return { res, passed };
+}
+
+test.describe('rateLimit', () => {
+    let userId;
+
+    test.beforeEach(() => {
+        userId = nextUserId++;
+        test.mock.timers.enable({ apis: ['Date'], now: new Date('2025-06-11T10:00:05Z').getTime() });
+    });
+
+    test.afterEach(() => {
+        test.mock.timers.reset();
+    });
+
+    test('lets unauthenticated requests through untouched', async () => {
+        const res = fakeResponse();
+        let passed = false;
+        await rateLimit({}, res, () => { passed = true; });
+
+        assert.strictEqual(passed, true);
+        assert.deepStrictEqual(res.headers, {});
+    });
+
+    test('counts down the remaining calls in the headers', async () => {
+        const remaining = [];
+        for (let i = 0; i < 3; i++) {
+            const { res, passed } = await call(userId);
+            assert.strictEqual(passed, true);
+            remaining.push(res.headers['X-RateLimit-Remaining']);
+        }
+
+        assert.deepStrictEqual(remaining, [2, 1, 0]);
+    });
+
+    test('rejects calls over the per-minute limit until the next minute', async () => {
+        for (let i = 0; i < 3; i++) await call(userId);
+
+        const { res, passed } = await call(userId);
+        assert.strictEqual(passed, false);
+        assert.strictEqual(res.statusCode, 429);
+        assert.strictEqual(res.body.error.code, 'RATE_LIMIT_EXCEEDED');
+        assert.strictEqual(res.body.error.retry_after, 55);
+        assert.strictEqual(res.headers['Retry-After'], 55);
+
+        test.mock.timers.setTime(new Date('2025-06-11T10:01:00Z').getTime());
+        assert.strictEqual((await call(userId)).passed, true);
+    });
+
+    test('rejects calls over the daily limit until midnight UTC', async () => {
+        for (let minute = 0; minute < 5; minute++) {
+            test.mock.timers.setTime(new Date(`2025-06-11T10:0${minute}:05Z`).getTime());
+            assert.strictEqual((await call(userId)).passed, true);
+        }
+
+        test.mock.timers.setTime(new Date('2025-06-11T10:06:05Z').getTime());
+        const { res } = await call(userId);
+        assert.strictEqual(res.statusCode, 429);
+        assert.strictEqual(res.body.error.code, 'DAILY_LIMIT_EXCEEDED');
+        assert.strictEqual(res.headers['X-Daily-Remaining'], 0);
+
+        test.mock.timers.setTime(new Date('2025-06-12T00:00:01Z').getTime());
+        assert.strictEqual((await call(userId)).passed, true);
+    });
+
+    test('keeps separate counters per user', async () => {
+        for (let i = 0; i < 3; i++) await call(userId);
+
+        assert.strictEqual((await call(userId)).passed, false);
+        assert.strictEqual((await call(nextUserId++)).passed, true);
+    });
+
+    test('getRateLimitStatus reports usage without counting a call', async () => {
+        await call(userId);
+        await call(userId);
+
+        const status = getRateLimitStatus(userId, PLAN);
+        assert.deepStrictEqual(status, {
+            minuteLimit: 3,
+            minuteUsed: 2,
+            minuteRemaining: 1,
+            dailyLimit: 5,
+            dailyUsed: 2,
+            dailyRemaining: 3,
+        });
+        assert.deepStrictEqual(getRateLimitStatus(userId, PLAN), status);
+    });
+});
+
+test.describe('WebSocket connection counters', () => {
+    test('allows connections up to the plan limit', () => {
+        const userId = nextUserId++;
+
+        assert.deepStrictEqual(checkWebSocketLimit(userId, PLAN), { allowed: true, current: 0, limit: 2 });
+        incrementWsConnection(userId);
+        incrementWsConnection(userId);
+
+        const result = checkWebSocketLimit(userId, PLAN);
+        assert.strictEqual(result.allowed, false);
+        assert.strictEqual(result.current, 2);
+    });
+
+    test('frees a slot on disconnect and never goes below zero', () => {
+        const userId = nextUserId++;
+
+        incrementWsConnection(userId);
+        decrementWsConnection(userId);
+        decrementWsConnection(userId);
+
+        assert.strictEqual(getWsConnectionCount(userId), 0);
+    });
+
+    test('treats a plan without WebSocket access as a zero limit', () => {
+        assert.strictEqual(checkWebSocketLimit(nextUserId++, { tier: 'free' }).allowed, false);
+    });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryStorage } = require('../services/storage');
+const { DistributedLock } = require('../services/distributed-lock');
+const { RecentHealer } = require('../services/recent-healer');
+
+test.describe('RecentHealer', () => {
+    let storage;
+    let healer;
+
+    test.beforeEach(() => {
+        storage = new MemoryStorage();
+        healer = new RecentHealer({
+            storage,
+            locks: new DistributedLock({ storage }),
+            provider: { name: 'dukascopy', throttle: async () => {} },
+            config: { healingWindowMinutes: 15, dukascopyDelayMinutes: 20 },
+        });
+        test.mock.method(console, 'log', () => {});
+    });
+
+    test.afterEach(() => test.mock.restoreAll());
+
+    test('keeps the spread of the Dukascopy bars it heals with', async () => {
+        // Crypto trades around the clock, so the heal always runs
+        const minute = new Date(Math.floor((Date.now() - 25 * 60000) / 60000) * 60000);
+        await storage.insertCandles([{
+            symbol: 'BTCUSD', timeframe: 'M1', timestamp: minute,
+            open: 60000, high: 60010, low: 59990, close: 60005, volume: 3, spread: 12, source: 'finnhub',
+        }]);
+        healer.fetchCandlesViaChild = async () => ({
+            candles: [{ ts: minute.getTime(), o: 60001, h: 60011, l: 59991, c: 60006, v: 4, s: 9.5 }],
+            error: null,
+        });
+
+        const result = await healer.healSymbol('BTCUSD');
+        const [bar] = await storage.getCandles('BTCUSD', 'M1', minute, new Date(minute.getTime() + 60000), { provenance: true });
+
+        assert.strictEqual(result.inserted, 1);
+        assert.strictEqual(bar.source, 'dukascopy');
+        assert.strictEqual(parseFloat(bar.spread), 9.5);
+    });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { minuteCandles } = require('./helpers/candles');
+const { MemoryStorage } = require('../services/storage');
+const { DistributedLock } = require('../services/distributed-lock');
+const { RollupWorker } = require('../services/rollup-worker');
+
+const T0 = new Date('2025-06-11T10:00:00Z');
+
+function at(minutes) {
+    return new Date(T0.getTime() + minutes * 60000);
+}
+
+test.describe('RollupWorker', () => {
+    let storage;
+    let worker;
+
+    test.beforeEach(() => {
+        storage = new MemoryStorage();
+        worker = new RollupWorker({ storage, locks: new DistributedLock({ storage }), batchSize: 3 });
+    });
+
+    test('M1 writes mark the buckets built from them', async () => {
+        await storage.insertCandles(minuteCandles('EURUSD', at(0), at(7)));
+
+        const dirty = await storage.listDirtyRollups(100);
+        assert.deepStrictEqual(dirty.map(b => [b.timeframe, b.bucketStart]), [
+            ['M5', at(0)], ['M5', at(5)], ['M15', at(0)], ['M30', at(0)],
+            ['H1', at(0)], ['H4', new Date('2025-06-11T08:00:00Z')], ['D1', new Date('2025-06-11T00:00:00Z')],
+        ]);
+
+        // Aggregates written by the rollup don't mark anything themselves
+        await worker.run();
+        assert.strictEqual(await storage.countDirtyRollups(), 0);
+    });
+
+    test('rebuilds every dirty bucket once, lower timeframes first', async () => {
+        await storage.insertCandles(minuteCandles('EURUSD', at(0), at(7)));
+
+        const result = await worker.run();
+        assert.deepStrictEqual(result, { buckets: 7, written: 7, cleared: 7 });
+
+        const h1 = await storage.getCandles('EURUSD', 'H1', at(0), at(60));
+        const d1 = await storage.getCandles('EURUSD', 'D1', new Date('2025-06-11'), new Date('2025-06-12'));
+        assert.deepStrictEqual([h1[0].volume, d1[0].volume], [70, 70]);
+
+        // A late M1 fix reaches D1 through a fresh H1
+        await storage.saveCandle({ ...minuteCandles('EURUSD', at(3), at(4))[0], high: 1.2, source: 'dukascopy' });
+        await worker.run();
+        assert.strictEqual((await storage.getCandles('EURUSD', 'D1', new Date('2025-06-11'), new Date('2025-06-12')))[0].high, 1.2);
+        assert.strictEqual((await storage.getCandles('EURUSD', 'M5', at(5), at(10)))[0].high, 1.1005);
+    });
+
+    test('a bucket marked again mid-batch stays dirty', async () => {
+        await storage.insertCandles(minuteCandles('EURUSD', at(0), at(2)));
+        const listed = await storage.listDirtyRollups(100);
+
+        await storage.insertCandles(minuteCandles('EURUSD', at(2), at(3), { price: 1.3 }));
+        const { cleared } = await storage.rebuildDirtyRollups(listed);
+
+        assert.strictEqual(cleared, 0);
+        assert.strictEqual(await storage.countDirtyRollups(), 6);
+    });
+
+    test('removing M1 drops the aggregates built only from it', async () => {
+        await storage.insertCandles(minuteCandles('EURUSD', at(0), at(10)));
+        await worker.run();
+
+        await storage.deleteCandles('EURUSD', 'M1', at(5), at(10));
+        await worker.run();
+
+        const m5 = await storage.getCandles('EURUSD', 'M5', at(0), at(10));
+        assert.deepStrictEqual(m5.map(c => c.timestamp), [at(0)]);
+        assert.strictEqual((await storage.getCandles('EURUSD', 'H1', at(0), at(60)))[0].volume, 50);
+    });
+
+    test('skips the run while another instance holds the rollup lock', async () => {
+        await storage.insertCandles(minuteCandles('EURUSD', at(0), at(2)));
+        await new DistributedLock({ storage, owner: 'other' }).acquire('engine:rollups');
+
+        assert.strictEqual(await worker.run(), null);
+        assert.strictEqual(await storage.countDirtyRollups(), 6);
+    });
+});
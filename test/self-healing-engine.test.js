@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const cron = require('node-cron');
+
+const { storage } = require('../services/storage');
+const { engine, CONFIG } = require('../self-healing-engine');
+
+test.describe('SelfHealingEngine roles', () => {
+    let schedules;
+
+    test.beforeEach(() => {
+        schedules = [];
+        test.mock.method(cron, 'schedule', (expression) => {
+            schedules.push(expression);
+            return { stop() {} };
+        });
+        test.mock.method(console, 'log', () => {});
+        test.mock.method(storage, 'connect', async () => {});
+        test.mock.method(engine.spikeFilter, 'loadLastPrices', async () => {});
+        test.mock.method(engine, 'runHealthCheck', async () => {});
+        test.mock.method(engine.tickStore, 'flushAll', async () => {});
+    });
+
+    test.afterEach(async () => {
+        await engine.shutdown();
+        test.mock.restoreAll();
+    });
+
+    for (const [role, options] of [
+        ['ingest', { build: true, heal: false }],
+        ['heal', { build: false, heal: true }],
+    ]) {
+        test(`the ${role} role drains the rollup marks`, async () => {
+            await engine.init(options);
+
+            assert.deepStrictEqual(Object.keys(engine.jobs).sort(), [role === 'ingest' ? 'build' : 'heal', 'rollups']);
+            assert.ok(schedules.includes(CONFIG.schedules.rollups));
+        });
+    }
+
+    test('both roles in one process schedule rollups once', async () => {
+        await engine.init({ build: true, heal: false });
+        await engine.init({ build: false, heal: true });
+
+        assert.deepStrictEqual(Object.keys(engine.jobs).sort(), ['build', 'heal', 'rollups']);
+        assert.strictEqual(engine.jobs.rollups.length, 1);
+    });
+});
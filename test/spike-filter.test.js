@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MemoryStorage } = require('../services/storage');
+const { SpikeFilter } = require('../services/spike-filter');
+
+test.describe('SpikeFilter', () => {
+    let storage;
+    let filter;
+
+    test.beforeEach(() => {
+        storage = new MemoryStorage();
+        filter = new SpikeFilter({}, { storage });
+    });
+
+    test.describe('check', () => {
+        test('accepts the first price for a symbol', () => {
+            assert.deepStrictEqual(filter.check('EURUSD', 'forex', 1.1), { isSpike: false, reason: 'no_history' });
+        });
+
+        test('accepts a move inside the threshold', () => {
+            filter.updatePrice('EURUSD', 1.1);
+            const result = filter.check('EURUSD', 'forex', 1.1022);   // 0.2%
+
+            assert.strictEqual(result.isSpike, false);
+            assert.ok(Math.abs(result.changePercent - 0.2) < 1e-9);
+        });
+
+        test('rejects a move beyond the tick threshold and records it', () => {
+            filter.updatePrice('EURUSD', 1.1);
+            const result = filter.check('EURUSD', 'forex', 1.111);    // 1%
+
+            assert.strictEqual(result.isSpike, true);
+            assert.strictEqual(result.threshold, 0.3);
+            assert.strictEqual(result.lastPrice, 1.1);
+            assert.strictEqual(filter.getStats().spikesRejected, 1);
+            assert.strictEqual(filter.getStats().spikesBySymbol.EURUSD, 1);
+            assert.deepStrictEqual(
+                storage.healthMetrics.map(m => [m.metric_name, m.symbol]),
+                [['spike_rejected', 'EURUSD']]
+            );
+        });
+
+        test('uses the per-type thresholds', () => {
+            filter.updatePrice('BTCUSD', 60000);
+            assert.strictEqual(filter.check('BTCUSD', 'crypto', 61200).isSpike, false);   // 2%
+            assert.strictEqual(filter.check('BTCUSD', 'crypto', 62400).isSpike, true);    // 4%
+        });
+
+        test('doubles the threshold when the last price is stale', () => {
+            filter.lastPrices.set('EURUSD', { price: 1.1, timestamp: new Date(Date.now() - 10 * 60 * 1000) });
+            assert.strictEqual(filter.check('EURUSD', 'forex', 1.1055).isSpike, false);   // 0.5%
+
+            filter.updatePrice('EURUSD', 1.1);
+            assert.strictEqual(filter.check('EURUSD', 'forex', 1.1055).isSpike, true);
+        });
+
+        test('widens the threshold for a volatile symbol', () => {
+            // Alternating 0.4% moves - each would be a spike on its own
+            let price = 1.1;
+            for (let i = 0; i < 10; i++) {
+                price *= i % 2 ? 0.996 : 1.004;
+                filter.updatePrice('EURUSD', price);
+            }
+
+            assert.ok(filter.getThreshold('EURUSD').adjusted > 0.3);
+            assert.strictEqual(filter.check('EURUSD', 'forex', price * 1.004).isSpike, false);
+        });
+
+        test('resetSymbol accepts a confirmed price as the new reference', () => {
+            filter.updatePrice('EURUSD', 1.1);
+            filter.resetSymbol('EURUSD', 1.2);
+
+            assert.strictEqual(filter.check('EURUSD', 'forex', 1.2).isSpike, false);
+            assert.strictEqual(filter.volatility.has('EURUSD'), false);
+        });
+    });
+
+    test.describe('checkCandle', () => {
+        const candle = { open: 1.1, high: 1.102, low: 1.098, close: 1.101 };
+
+        test('accepts any candle without a previous close', () => {
+            assert.deepStrictEqual(filter.checkCandle('EURUSD', 'forex', candle, null), { isSpike: false });
+        });
+
+        test('accepts a normal candle', () => {
+            assert.deepStrictEqual(filter.checkCandle('EURUSD', 'forex', candle, 1.1), { isSpike: false });
+        });
+
+        test('flags an opening gap beyond twice the candle threshold', () => {
+            const gapped = { open: 1.112, high: 1.113, low: 1.111, close: 1.112 };   // ~1.09% gap
+            const result = filter.checkCandle('EURUSD', 'forex', gapped, 1.1);
+
+            assert.strictEqual(result.isSpike, true);
+            assert.strictEqual(result.field, 'open');
+        });
+
+        test('flags a high wick beyond three times the candle threshold', () => {
+            const wick = { open: 1.1, high: 1.12, low: 1.099, close: 1.1 };           // 1.8% high
+            assert.strictEqual(filter.checkCandle('EURUSD', 'forex', wick, 1.1).field, 'high');
+        });
+
+        test('flags a low wick beyond three times the candle threshold', () => {
+            const wick = { open: 1.1, high: 1.101, low: 1.08, close: 1.1 };           // 1.8% low
+            assert.strictEqual(filter.checkCandle('EURUSD', 'forex', wick, 1.1).field, 'low');
+        });
+
+        test('allows metals a wider range than forex', () => {
+            const move = { open: 2300, high: 2340, low: 2299, close: 2330 };          // 1.7% high
+            assert.strictEqual(filter.checkCandle('XAUUSD', 'metal', move, 2300).isSpike, false);
+            assert.strictEqual(filter.checkCandle('EURUSD', 'forex', move, 2300).isSpike, true);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Read once when config/index.js loads
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const { MemoryStorage } = require('../services/storage');
+const { SymbolCatalog, SymbolCatalogError } = require('../services/symbol-catalog');
+const { requireAdmin } = require('../middleware/admin');
+const { getPairs } = require('../config');
+const {
+    applySymbolOverrides,
+    getSymbol,
+    getSymbolsForTier,
+    listSymbols,
+    SYMBOL_TIERS,
+} = require('../config/symbols');
+
+const NEW_PAIR = { symbol: 'usd/sek', type: 'forex', tier: 'business', pipSize: 0.0001, digits: 5, finnhub: 'OANDA:USD_SEK' };
+
+test.describe('SymbolCatalog', () => {
+    let storage;
+    let catalog;
+
+    test.beforeEach(async () => {
+        storage = new MemoryStorage();
+        catalog = new SymbolCatalog({ storage, refreshMs: 1000 });
+        await catalog.load();
+    });
+
+    test.afterEach(() => {
+        applySymbolOverrides([]);
+    });
+
+    test('adds a symbol and every registry reader sees it', async () => {
+        const added = await catalog.add(NEW_PAIR);
+
+        assert.strictEqual(added.symbol, 'USDSEK');
+        assert.strictEqual(added.display, 'USD/SEK');
+        assert.strictEqual(added.source, 'runtime');
+        assert.strictEqual(added.base, 'USD');
+        assert.strictEqual(getSymbol('USDSEK').finnhub, 'OANDA:USD_SEK');
+        assert.ok(listSymbols({ provider: 'finnhub' }).includes('USDSEK'));
+        assert.ok('USD/SEK' in getSymbolsForTier(SYMBOL_TIERS.BUSINESS));
+        assert.ok(!('USD/SEK' in getSymbolsForTier(SYMBOL_TIERS.INDIVIDUAL)));
+    });
+
+    test('disabling hides a built-in symbol until it is reset', async () => {
+        const disabled = await catalog.update('EURUSD', { enabled: false });
+
+        assert.strictEqual(disabled.enabled, false);
+        assert.strictEqual(getSymbol('EURUSD'), null);
+        assert.ok(!getPairs('primary').includes('EURUSD'));
+        assert.ok(!('EUR/USD' in getSymbolsForTier(SYMBOL_TIERS.BUSINESS)));
+
+        const restored = await catalog.reset('EUR/USD');
+        assert.strictEqual(restored.enabled, true);
+        assert.strictEqual(restored.overridden, false);
+        assert.ok(getPairs('primary').includes('EURUSD'));
+    });
+
+    test('reprioritising moves a pair between healing lists', async () => {
+        await catalog.update('XAGUSD', { priority: 'primary' });
+        assert.ok(getPairs('primary').includes('XAGUSD'));
+        assert.ok(!getPairs('secondary').includes('XAGUSD'));
+
+        await catalog.update('XAGUSD', { priority: 'none' });
+        assert.ok(!getPairs('primary').includes('XAGUSD'));
+        assert.ok(!getPairs('secondary').includes('XAGUSD'));
+        assert.strictEqual(catalog.get('XAGUSD').priority, undefined);
+    });
+
+    test('a null provider code drops the built-in one', async () => {
+        const builtinFinnhub = getSymbol('EURUSD').finnhub;
+        const updated = await catalog.update('EURUSD', { dukascopy: null });
+
+        assert.strictEqual(updated.dukascopy, undefined);
+        assert.strictEqual(getSymbol('EURUSD').dukascopy, undefined);
+        assert.strictEqual(getSymbol('EURUSD').finnhub, builtinFinnhub);
+        assert.ok(!listSymbols({ provider: 'dukascopy' }).includes('EURUSD'));
+
+        // Later edits keep the drop; a reset brings the code back
+        await catalog.update('EURUSD', { description: 'Euro' });
+        assert.strictEqual(getSymbol('EURUSD').dukascopy, undefined);
+        await catalog.reset('EURUSD');
+        assert.strictEqual(getSymbol('EURUSD').dukascopy, 'eurusd');
+    });
+
+    test('picks up rows written by another process on the next load', async () => {
+        const changes = [];
+        catalog.onChange(() => changes.push(listSymbols().length));
+
+        await storage.saveSymbolOverride({ symbol: 'GBP/USD', enabled: false });
+        assert.ok(getSymbol('GBPUSD'));
+
+        assert.strictEqual(await catalog.load(), true);
+        assert.strictEqual(getSymbol('GBPUSD'), null);
+        assert.strictEqual(await catalog.load(), false);
+
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepStrictEqual(changes, [listSymbols().length]);
+    });
+
+    test('rejects invalid and conflicting changes', async () => {
+        await assert.rejects(catalog.add({ ...NEW_PAIR, symbol: 'EURUSD' }), { code: 'SYMBOL_EXISTS', status: 409 });
+        await assert.rejects(catalog.add({ symbol: 'USDSEK', type: 'forex', tier: 'business', pipSize: 0.0001, digits: 5 }),
+            /must be written BASE\/QUOTE/);
+        await assert.rejects(catalog.add({ symbol: 'ACME', type: 'stock' }), /New symbols need: tier, pipSize, digits/);
+        await assert.rejects(catalog.update('NOPE', { enabled: false }), { code: 'SYMBOL_NOT_FOUND', status: 404 });
+        await assert.rejects(catalog.reset('EURUSD'), { code: 'SYMBOL_NOT_FOUND' });
+
+        const error = await catalog.update('EURUSD', { enabled: 'no', tier: 'gold', colour: 'red' }).catch(e => e);
+        assert.ok(error instanceof SymbolCatalogError);
+        assert.deepStrictEqual(error.problems, [
+            'enabled must be true or false',
+            'tier must be one of: free, individual, business',
+            'colour is not a symbol field',
+        ]);
+        assert.strictEqual((await storage.listSymbolOverrides()).length, 0);
+    });
+});
+
+test.describe('requireAdmin', () => {
+    function call(headers) {
+        const res = {
+            statusCode: 200,
+            body: null,
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; },
+        };
+        let passed = false;
+        requireAdmin({ header: name => headers[name] }, res, () => { passed = true; });
+        return { res, passed };
+    }
+
+    test('passes only the configured X-Admin-Key', () => {
+        assert.strictEqual(call({ 'X-Admin-Key': 'test-admin-key' }).passed, true);
+
+        const wrong = call({ 'X-Admin-Key': 'guess' });
+        assert.strictEqual(wrong.passed, false);
+        assert.strictEqual(wrong.res.statusCode, 401);
+        assert.strictEqual(wrong.res.body.error.code, 'INVALID_ADMIN_KEY');
+
+        assert.strictEqual(call({}).res.body.error.message, 'X-Admin-Key header is required');
+    });
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    SYMBOLS,
+    SYMBOL_PRIORITIES,
+    listSymbols,
+    getProviderSymbolMap,
+    getSymbolType,
+    quoteSides,
+} = require('../config/symbols');
+const { loadConfig, getPairs } = require('../config');
+const { DUKASCOPY_INSTRUMENTS } = require('../services/providers/dukascopy-provider');
+const { POLYGON_TICKERS } = require('../services/polygon-service');
+
+test.describe('symbol registry', () => {
+    test('every forex and metal symbol has a priority and historical codes', () => {
+        for (const [symbol, entry] of Object.entries(SYMBOLS)) {
+            if (entry.type !== 'forex' && entry.type !== 'metal') continue;
+
+            assert.ok(Object.values(SYMBOL_PRIORITIES).includes(entry.priority), `${symbol} priority`);
+            assert.strictEqual(entry.dukascopy, symbol.replace('/', '').toLowerCase());
+            assert.strictEqual(entry.polygon, `C:${symbol.replace('/', '')}`);
+        }
+    });
+
+    test('listSymbols filters by field and by provider support', () => {
+        assert.deepStrictEqual(listSymbols({ type: 'metal' }), ['XAUUSD', 'XAGUSD']);
+        assert.ok(listSymbols({ priority: SYMBOL_PRIORITIES.PRIMARY }).includes('XAUUSD'));
+        assert.ok(listSymbols({ priority: SYMBOL_PRIORITIES.SECONDARY }).includes('XAGUSD'));
+
+        const dukascopy = listSymbols({ provider: 'dukascopy' });
+        assert.ok(!dukascopy.includes('BTCUSD'));
+        assert.strictEqual(listSymbols().length, Object.keys(SYMBOLS).length);
+    });
+
+    test('provider maps are derived from the registry', () => {
+        assert.deepStrictEqual(DUKASCOPY_INSTRUMENTS, getProviderSymbolMap('dukascopy'));
+        assert.deepStrictEqual(POLYGON_TICKERS, getProviderSymbolMap('polygon'));
+        assert.strictEqual(getProviderSymbolMap('finnhub').EURUSD, 'OANDA:EUR_USD');
+        assert.strictEqual(getProviderSymbolMap('finnhub').BTCUSD, 'BINANCE:BTCUSDT');
+    });
+
+    test('getSymbolType reads the asset class in either symbol format', () => {
+        assert.strictEqual(getSymbolType('XAUUSD'), 'metal');
+        assert.strictEqual(getSymbolType('DOGE/USD'), 'crypto');
+        assert.strictEqual(getSymbolType('MATICUSD'), 'crypto');
+        assert.strictEqual(getSymbolType('NVDA'), 'stock');
+        assert.strictEqual(getSymbolType('UNKNOWN'), 'forex');
+    });
+
+    test('quoteSides reports the spread in pips and never invents an ask', () => {
+        assert.deepStrictEqual(quoteSides('EURUSD', 1.0845, 0.00012), { bid: 1.0845, ask: 1.08462, mid: 1.08456, spread: 1.2 });
+        assert.deepStrictEqual(quoteSides('USDJPY', 150.123, 0.018), { bid: 150.123, ask: 150.141, mid: 150.132, spread: 1.8 });
+        assert.deepStrictEqual(quoteSides('EURUSD', 1.0845, null), { bid: 1.0845, ask: null, mid: null, spread: null });
+    });
+
+    test('healing pair lists default to the registry priorities', () => {
+        const config = loadConfig({ env: {} });
+
+        assert.deepStrictEqual(getPairs('primary', config), listSymbols({ priority: SYMBOL_PRIORITIES.PRIMARY }));
+        assert.deepStrictEqual(getPairs('secondary', config), listSymbols({ priority: SYMBOL_PRIORITIES.SECONDARY }));
+        assert.deepStrictEqual(getPairs('primary', loadConfig({ env: { PRIMARY_PAIRS: 'XAUUSD' } })), ['XAUUSD']);
+    });
+
+    test('pair overrides must name registered symbols', () => {
+        assert.deepStrictEqual(loadConfig({ env: { PRIMARY_PAIRS: 'EUR/USD,xauusd' } }).pairs.primary, ['EURUSD', 'XAUUSD']);
+        assert.throws(
+            () => loadConfig({ env: { SECONDARY_PAIRS: 'EURUSD,CHFSEK' } }),
+            /SECONDARY_PAIRS has symbols missing from config\/symbols.js: CHFSEK/
+        );
+    });
+});
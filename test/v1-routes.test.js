@@ -0,0 +1,479 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { stubDatabase, startServer, get } = require('./helpers/api');
+const { createV1Router } = require('../routes/v1');
+const { getSymbol } = require('../config/symbols');
+const { storage, MemoryStorage } = require('../services/storage');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = new Date('2025-06-11T10:00:00Z');
+
+function bar(symbol, timeframe, timestamp, close = 1.1) {
+    return { symbol, timeframe, timestamp: new Date(timestamp), open: close, high: close, low: close, close, volume: 10 };
+}
+
+// Bar open times of a page
+function times(res) {
+    return res.body.data.map(c => new Date(c.t).toISOString().slice(11, 16));
+}
+
+/**
+ * pulse_market_data behind database.getCandles: same bounds, order and
+ * limit semantics; every query is kept in `queries`
+ */
+function candleTable(rows = []) {
+    const queries = [];
+
+    async function getCandles(symbol, timeframe, options = {}) {
+        const { from, to, after, before, limit = 500, order = 'desc' } = options;
+        queries.push({ symbol, timeframe, ...options });
+
+        const matching = rows
+            .filter(r => r.symbol === symbol && r.timeframe === timeframe)
+            .filter(r => (!from || r.timestamp >= from) && (!to || r.timestamp <= to))
+            .filter(r => (!after || r.timestamp > after) && (!before || r.timestamp < before))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        return order === 'asc' ? matching.slice(0, limit) : matching.slice(-limit);
+    }
+
+    return { rows, queries, getCandles };
+}
+
+// Latest closes behind database.getLatestQuote
+const PRICES = { BTCUSD: 60000, EURUSD: 1.1, GBPUSD: 1.25, USDJPY: 150, EURGBP: 0.85 };
+
+async function getLatestQuote(symbol) {
+    const close = PRICES[symbol];
+    if (close === undefined) return null;
+    return { symbol, bid: close, ask: null, mid: null, spread: null, open: close, high: close, low: close, close, timestamp: new Date() };
+}
+
+test.describe('/v1 routes', () => {
+    let restore;
+    let api;
+    let candles;
+
+    test.beforeEach(async () => {
+        candles = candleTable();
+        restore = stubDatabase({
+            getCandles: (...args) => candles.getCandles(...args),
+            getLatestQuote,
+        });
+        api = await startServer(createV1Router());
+    });
+
+    test.afterEach(async () => {
+        await api.close();
+        restore();
+    });
+
+    test.describe('symbol tiers', () => {
+        test('a symbol above the plan tier is a structured 403', async () => {
+            const res = await get(api.url, '/v1/candles/EURUSD', 'free');
+
+            assert.strictEqual(res.status, 403);
+            assert.deepStrictEqual(res.body.error, {
+                code: 'SYMBOL_NOT_IN_PLAN',
+                message: 'EUR/USD requires the individual plan or higher',
+                status: 403,
+                symbol: 'EUR/USD',
+                required_tier: 'individual',
+                current_tier: 'free',
+            });
+            assert.strictEqual(candles.queries.length, 0);
+        });
+
+        test('each tier reaches its own symbols and those below', async () => {
+            for (const [plan, symbol, status] of [
+                ['free', 'BTCUSD', 200],
+                ['individual', 'BTCUSD', 200],
+                ['individual', 'EURUSD', 200],
+                ['individual', 'EURGBP', 403],
+                ['business', 'EURGBP', 200],
+            ]) {
+                const res = await get(api.url, `/v1/candles/${symbol}`, plan);
+                assert.strictEqual(res.status, status, `${plan} ${symbol}`);
+            }
+        });
+
+        test('an unknown symbol is a 404', async () => {
+            const res = await get(api.url, '/v1/candles/NOTREAL');
+
+            assert.strictEqual(res.status, 404);
+            assert.strictEqual(res.body.error.code, 'UNKNOWN_SYMBOL');
+        });
+
+        test('a missing or unknown API key is a 401', async () => {
+            assert.strictEqual((await get(api.url, '/v1/candles/BTCUSD', null)).status, 401);
+            assert.strictEqual((await get(api.url, '/v1/candles/BTCUSD', 'nobody')).status, 401);
+        });
+    });
+
+    test.describe('usage logging', () => {
+        test('logs rate-limited calls with their 429', async () => {
+            const logged = [];
+            const restoreAuth = stubDatabase({
+                async validateApiKey() {
+                    return { userId: 'limited', apiKeyId: 7, allowedIps: [], plan: { tier: 'free', apiCallsPerDay: 100, apiCallsPerMinute: 1 } };
+                },
+                async logApiCall(userId, apiKeyId, type, details) {
+                    logged.push([userId, type, details.responseCode]);
+                },
+            });
+
+            try {
+                assert.strictEqual((await get(api.url, '/v1/candles/BTCUSD')).status, 200);
+                assert.strictEqual((await get(api.url, '/v1/candles/BTCUSD')).status, 429);
+                // Logged after the response finishes
+                await new Promise(resolve => setTimeout(resolve, 20));
+
+                assert.deepStrictEqual(logged, [['limited', 'rest', 200], ['limited', 'rest', 429]]);
+            } finally {
+                restoreAuth();
+            }
+        });
+    });
+
+    test.describe('history window', () => {
+        test('a plan without historical access is clamped to the last day', async () => {
+            const requested = new Date(Date.now() - 7 * DAY);
+            const res = await get(api.url, `/v1/candles/BTCUSD?from=${requested.toISOString()}`, 'free');
+            const { history } = res.body.meta;
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(history.clamped, true);
+            assert.strictEqual(history.reason, 'no_historical_access');
+            assert.strictEqual(history.history_days, 1);
+            assert.strictEqual(history.requested_from, requested.toISOString());
+            assert.strictEqual(candles.queries[0].from.toISOString(), history.effective_from);
+            assert.ok(Math.abs(Date.now() - DAY - candles.queries[0].from) < 60000);
+        });
+
+        test('a limited plan is clamped to its history days', async () => {
+            const res = await get(api.url, '/v1/candles/EURUSD?from=2000-01-01', 'individual');
+            const { history } = res.body.meta;
+
+            assert.strictEqual(history.clamped, true);
+            assert.strictEqual(history.reason, 'plan_history_limit');
+            assert.strictEqual(history.history_days, 30);
+            assert.ok(Math.abs(Date.now() - 30 * DAY - candles.queries[0].from) < 60000);
+        });
+
+        test('a request inside the window is not clamped', async () => {
+            const requested = new Date(Date.now() - 2 * DAY).toISOString();
+            const res = await get(api.url, `/v1/candles/EURUSD?from=${requested}`, 'individual');
+
+            assert.strictEqual(res.body.meta.history.clamped, false);
+            assert.strictEqual(candles.queries[0].from.toISOString(), requested);
+        });
+
+        test('an unlimited plan keeps the requested start', async () => {
+            const res = await get(api.url, '/v1/candles/EURUSD?from=2000-01-01', 'business');
+            const { history } = res.body.meta;
+
+            assert.strictEqual(history.clamped, false);
+            assert.strictEqual(history.history_days, null);
+            assert.strictEqual(candles.queries[0].from.toISOString(), '2000-01-01T00:00:00.000Z');
+        });
+
+        test('without a start, a limited plan still reads only its window', async () => {
+            const res = await get(api.url, '/v1/candles/BTCUSD', 'free');
+
+            assert.strictEqual(res.body.meta.history.clamped, false);
+            assert.strictEqual(candles.queries[0].from.toISOString(), res.body.meta.history.effective_from);
+        });
+    });
+
+    test.describe('candle paging', () => {
+        test.beforeEach(() => {
+            for (let i = 0; i < 5; i++) candles.rows.push(bar('EURUSD', 'H1', T0.getTime() + i * HOUR));
+        });
+
+        test('pages back from the newest bar through meta.pagination.next', async () => {
+            const pages = [];
+            let path = '/v1/candles/EURUSD?timeframe=H1&limit=2';
+
+            while (path) {
+                const res = await get(api.url, path);
+                assert.strictEqual(res.body.meta.pagination.direction, 'backward');
+                pages.push(times(res));
+                path = res.body.meta.pagination.next;
+            }
+
+            assert.deepStrictEqual(pages, [['13:00', '14:00'], ['11:00', '12:00'], ['10:00']]);
+        });
+
+        test('pages forward from `from`, keeping the other parameters', async () => {
+            const first = await get(api.url, `/v1/candles/EURUSD?timeframe=H1&limit=2&from=${T0.toISOString()}`);
+            const { pagination } = first.body.meta;
+
+            assert.strictEqual(pagination.direction, 'forward');
+            assert.strictEqual(pagination.has_more, true);
+            assert.strictEqual(pagination.next_cursor, T0.getTime() + HOUR);
+            assert.strictEqual(pagination.next,
+                `/v1/candles/EURUSD?timeframe=H1&limit=2&from=${encodeURIComponent(T0.toISOString())}&after=${T0.getTime() + HOUR}`);
+
+            const second = await get(api.url, pagination.next);
+            const last = await get(api.url, second.body.meta.pagination.next);
+
+            assert.deepStrictEqual([times(first), times(second), times(last)], [['10:00', '11:00'], ['12:00', '13:00'], ['14:00']]);
+            assert.deepStrictEqual(last.body.meta.pagination, { direction: 'forward', limit: 2, has_more: false, next_cursor: null, next: null });
+        });
+
+        test('`to` is inclusive and pages back from there', async () => {
+            const res = await get(api.url, `/v1/candles/EURUSD?timeframe=H1&to=${T0.getTime() + 2 * HOUR}`);
+
+            assert.deepStrictEqual(times(res), ['10:00', '11:00', '12:00']);
+            assert.strictEqual(res.body.meta.pagination.has_more, false);
+        });
+
+        test('rejects conflicting or invalid bounds', async () => {
+            for (const query of [
+                `after=${T0.getTime()}&before=${T0.getTime()}`,
+                `from=${T0.getTime() + HOUR}&to=${T0.getTime()}`,
+                'before=soon',
+                'timeframe=W1',
+            ]) {
+                const res = await get(api.url, `/v1/candles/EURUSD?${query}`);
+                assert.strictEqual(res.status, 400, query);
+                assert.strictEqual(res.body.error.code, 'INVALID_PARAMETER');
+            }
+        });
+
+        test('caps the page size at 5000 and asks for one row more', async () => {
+            const res = await get(api.url, '/v1/candles/EURUSD?timeframe=H1&limit=100000');
+
+            assert.strictEqual(res.body.meta.pagination.limit, 5000);
+            assert.strictEqual(candles.queries[0].limit, 5001);
+        });
+    });
+
+    test.describe('day_boundary', () => {
+        const MONDAY = new Date('2025-01-13T00:00:00Z').getTime();
+
+        // Monday and Tuesday in H1, close = hour index; New York closes at 22:00Z in January
+        test.beforeEach(() => {
+            for (let i = 0; i < 48; i++) candles.rows.push(bar('EURUSD', 'H1', MONDAY + i * HOUR, i));
+        });
+
+        function opens(res) {
+            return res.body.data.map(c => new Date(c.t).toISOString().slice(0, 16));
+        }
+
+        test('rebuilds D1 from H1 on the New York close', async () => {
+            const res = await get(api.url, '/v1/candles/EURUSD?timeframe=D1&day_boundary=ny-close&provenance=true'
+                + '&from=2025-01-12T22:00:00Z&to=2025-01-14T22:00:00Z');
+
+            assert.strictEqual(res.status, 200);
+            assert.strictEqual(res.body.meta.day_boundary, 'ny-close');
+            assert.deepStrictEqual(res.body.data.map(({ t, o, h, l, c, v, src }) => [new Date(t).toISOString(), o, h, l, c, v, src]), [
+                ['2025-01-12T22:00:00.000Z', 0, 21, 0, 21, 220, 'aggregate'],
+                ['2025-01-13T22:00:00.000Z', 22, 45, 22, 45, 240, 'aggregate'],
+                ['2025-01-14T22:00:00.000Z', 46, 47, 46, 47, 20, 'aggregate'],
+            ]);
+            assert.ok(candles.queries.every(q => q.timeframe === 'H1'));
+        });
+
+        test('counts H4 from the start of a fixed-offset day', async () => {
+            const res = await get(api.url, '/v1/candles/EURUSD?timeframe=H4&day_boundary=%2B02:00'
+                + '&from=2025-01-13T21:00:00Z&to=2025-01-14T10:00:00Z');
+
+            assert.strictEqual(res.body.meta.day_boundary, '+02:00');
+            assert.deepStrictEqual(opens(res), ['2025-01-13T22:00', '2025-01-14T02:00', '2025-01-14T06:00', '2025-01-14T10:00']);
+            assert.deepStrictEqual(res.body.data.map(c => c.v), [40, 40, 40, 40]);
+        });
+
+        test('pages back through realigned candles with the usual cursor', async () => {
+            const pages = [];
+            let path = '/v1/candles/EURUSD?timeframe=D1&day_boundary=ny-close&limit=1';
+
+            while (path) {
+                const res = await get(api.url, path);
+                pages.push(...opens(res));
+                path = res.body.meta.pagination.next;
+            }
+
+            assert.deepStrictEqual(pages, ['2025-01-12T22:00', '2025-01-13T22:00', '2025-01-14T22:00'].reverse());
+        });
+
+        test('the configured boundary reads the stored candles', async () => {
+            candles.rows.push(bar('EURUSD', 'D1', MONDAY, 1.1));
+
+            for (const query of ['', '&day_boundary=utc']) {
+                candles.queries.length = 0;
+                const res = await get(api.url, `/v1/candles/EURUSD?timeframe=D1${query}`);
+
+                assert.strictEqual(res.body.meta.day_boundary, 'utc');
+                assert.deepStrictEqual(res.body.data.map(c => c.c), [1.1]);
+                assert.deepStrictEqual(candles.queries.map(q => q.timeframe), ['D1']);
+            }
+        });
+
+        test('leaves intraday timeframes on the stored grid', async () => {
+            const res = await get(api.url, '/v1/candles/EURUSD?timeframe=H1&day_boundary=ny-close&limit=1');
+
+            assert.strictEqual(res.body.meta.day_boundary, 'ny-close');
+            assert.deepStrictEqual(opens(res), ['2025-01-14T23:00']);
+        });
+
+        test('rejects a boundary it cannot cut on', async () => {
+            for (const value of ['london', '%2B05:30', '']) {
+                const res = await get(api.url, `/v1/candles/EURUSD?timeframe=D1&day_boundary=${value}`);
+
+                assert.strictEqual(res.status, 400, value);
+                assert.match(res.body.error.message, /`day_boundary` must be/);
+            }
+        });
+    });
+
+    test.describe('GET /ticks', () => {
+        let ticks;
+        const start = Math.floor((Date.now() - HOUR) / 1000) * 1000;
+
+        test.beforeEach(async () => {
+            ticks = new MemoryStorage();
+            await ticks.insertTicks([0, 1000, 1000, 2000, 3000].map((offset, i) => ({
+                symbol: 'EURUSD',
+                price: 1.1 + i / 10000,
+                volume: 1,
+                timestamp: new Date(start + offset),
+                source: i === 3 ? 'rest_fallback' : 'finnhub',
+                isValid: true,
+            })));
+            test.mock.method(storage, 'listTicks', (...args) => ticks.listTicks(...args));
+        });
+
+        test.afterEach(() => test.mock.restoreAll());
+
+        test('needs the tick_data feature', async () => {
+            for (const plan of ['free', 'individual']) {
+                const res = await get(api.url, '/v1/ticks/EURUSD', plan);
+                assert.strictEqual(res.status, 403, plan);
+                assert.strictEqual(res.body.error.code, 'PLAN_LIMIT_EXCEEDED');
+            }
+        });
+
+        test('the cursor pages through ticks sharing a timestamp without gaps or repeats', async () => {
+            const pages = [];
+            let path = '/v1/ticks/EURUSD?limit=2';
+
+            while (path) {
+                const res = await get(api.url, path);
+                pages.push(res.body.data.map(t => t.p));
+                path = res.body.meta.pagination.next;
+            }
+
+            assert.deepStrictEqual(pages, [[1.1, 1.1001], [1.1002, 1.1003], [1.1004]]);
+        });
+
+        test('the cursor is the time and id of the last tick on the page', async () => {
+            const res = await get(api.url, '/v1/ticks/EURUSD?limit=2');
+            const [, second] = await ticks.listTicks('EURUSD', { limit: 2 });
+
+            assert.strictEqual(res.body.meta.pagination.next_cursor, `${start + 1000}-${second.id}`);
+            assert.strictEqual(res.body.meta.pagination.next, `/v1/ticks/EURUSD?limit=2&cursor=${start + 1000}-${second.id}`);
+        });
+
+        test('rejects a cursor it did not issue', async () => {
+            for (const cursor of ['abc', `${start}`, `${start}-`]) {
+                const res = await get(api.url, `/v1/ticks/EURUSD?cursor=${cursor}`);
+                assert.strictEqual(res.status, 400, cursor);
+                assert.match(res.body.error.message, /`cursor`/);
+            }
+        });
+
+        test('filters by source', async () => {
+            const res = await get(api.url, '/v1/ticks/EURUSD?source=rest_fallback');
+            const unknown = await get(api.url, '/v1/ticks/EURUSD?source=finnhub,carrier_pigeon');
+
+            assert.deepStrictEqual(res.body.data.map(t => [t.p, t.s]), [[1.1003, 'rest_fallback']]);
+            assert.deepStrictEqual(res.body.meta.sources, ['rest_fallback']);
+            assert.strictEqual(unknown.status, 400);
+        });
+
+        test('starts no earlier than tick retention', async () => {
+            const res = await get(api.url, '/v1/ticks/EURUSD?from=2000-01-01');
+            const { retention } = res.body.meta;
+
+            assert.strictEqual(retention.clamped, true);
+            assert.strictEqual(retention.effective_from, retention.earliest_available);
+            assert.strictEqual(storage.listTicks.mock.calls[0].arguments[1].from.toISOString(), retention.effective_from);
+            assert.strictEqual(res.body.count, 5);
+        });
+    });
+
+    test.describe('quotes and conversion', () => {
+        test('/quotes serves allowed symbols and lists the rest as rejected', async () => {
+            const res = await get(api.url, '/v1/quotes?symbols=BTCUSD,EURUSD,NOTREAL', 'free');
+
+            assert.strictEqual(res.status, 200);
+            assert.deepStrictEqual(res.body.data.map(q => q.symbol), ['BTC/USD']);
+            assert.deepStrictEqual(res.body.rejected, [
+                { symbol: 'EUR/USD', code: 'SYMBOL_NOT_IN_PLAN', required_tier: 'individual' },
+                { symbol: 'NOTREAL', code: 'UNKNOWN_SYMBOL' },
+            ]);
+        });
+
+        test('/quotes/all stays within the plan tier', async () => {
+            const free = await get(api.url, '/v1/quotes/all', 'free');
+            const individual = await get(api.url, '/v1/quotes/all', 'individual');
+
+            assert.deepStrictEqual(free.body.data.map(q => q.symbol), ['BTC/USD']);
+            assert.deepStrictEqual(individual.body.data.map(q => q.symbol).sort(), ['BTC/USD', 'EUR/USD', 'GBP/USD', 'USD/JPY']);
+            assert.ok(individual.body.data.every(q => getSymbol(q.symbol).tier !== 'business'));
+        });
+
+        test('/convert routes around a pair above the plan tier', async () => {
+            const individual = await get(api.url, '/v1/convert?from=EUR&to=GBP&amount=100', 'individual');
+            const business = await get(api.url, '/v1/convert?from=EUR&to=GBP&amount=100', 'business');
+
+            assert.strictEqual(individual.status, 200);
+            assert.strictEqual(individual.body.data.route, 'via_usd');
+            assert.deepStrictEqual(individual.body.data.legs, ['EUR/USD', 'GBP/USD']);
+            assert.strictEqual(individual.body.data.result, 100 * 1.1 / 1.25);
+            assert.strictEqual(business.body.data.route, 'direct');
+            assert.deepStrictEqual(business.body.data.legs, ['EUR/GBP']);
+            assert.strictEqual(business.body.data.result, 85);
+        });
+
+        test('/convert is a 403 when no route fits the tier, whether or not rates exist', async () => {
+            for (const [pair, symbol] of [['EUR&to=JPY', 'EUR/JPY'], ['EUR&to=CHF', 'EUR/CHF']]) {
+                const res = await get(api.url, `/v1/convert?from=${pair}`, 'free');
+
+                assert.strictEqual(res.status, 403, pair);
+                assert.strictEqual(res.body.error.code, 'SYMBOL_NOT_IN_PLAN');
+                assert.strictEqual(res.body.error.symbol, symbol);
+            }
+        });
+
+        test('/convert reports NO_RATE only for routes the caller may use', async () => {
+            const noData = await get(api.url, '/v1/convert?from=EUR&to=CHF', 'business');
+            const unknown = await get(api.url, '/v1/convert?from=EUR&to=XYZ', 'free');
+
+            assert.strictEqual(noData.status, 404);
+            assert.strictEqual(noData.body.error.code, 'NO_RATE');
+            assert.strictEqual(unknown.status, 404);
+        });
+    });
+
+    test.describe('GET /export/candles', () => {
+        test('rejects an invalid `to` instead of exporting up to now', async () => {
+            const res = await get(api.url, '/v1/export/candles?symbols=EURUSD&from=2025-06-11&to=yesterday');
+
+            assert.strictEqual(res.status, 400);
+            assert.strictEqual(res.body.error.code, 'INVALID_PARAMETER');
+            assert.match(res.body.error.message, /`to` must be/);
+        });
+
+        test('defaults a missing `to` to now', async () => {
+            const future = new Date(Date.now() + DAY).toISOString();
+            const res = await get(api.url, `/v1/export/candles?symbols=EURUSD&from=${future}`);
+
+            assert.strictEqual(res.status, 400);
+            assert.match(res.body.error.message, /`to` must be after `from`/);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+
+const { stubDatabase } = require('./helpers/api');
+const { attachWebSocketFeed } = require('../routes/ws');
+
+/**
+ * Open a client with the key for `plan`; messages queue until next() takes them
+ */
+async function connect(url, plan = 'business') {
+    const ws = new WebSocket(url, { headers: { 'X-API-Key': `fx_${plan}` } });
+    const queued = [];
+    const waiting = [];
+
+    ws.on('message', raw => {
+        const message = JSON.parse(raw);
+        if (waiting.length) waiting.shift()(message);
+        else queued.push(message);
+    });
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+
+    ws.next = () => queued.length
+        ? Promise.resolve(queued.shift())
+        : new Promise(resolve => waiting.push(resolve));
+
+    assert.strictEqual((await ws.next()).event, 'authenticated');
+    return ws;
+}
+
+test.describe('WebSocket feed', () => {
+    let restore;
+    let server;
+    let feed;
+    let url;
+    const clients = [];
+
+    // Connect/disconnect logging
+    test.before(() => test.mock.method(console, 'log', () => {}));
+    test.after(() => test.mock.restoreAll());
+
+    test.beforeEach(async () => {
+        restore = stubDatabase();
+        server = http.createServer();
+        feed = attachWebSocketFeed(server);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `ws://127.0.0.1:${server.address().port}`;
+    });
+
+    test.afterEach(async () => {
+        for (const ws of clients.splice(0)) ws.terminate();
+        // The server logs each disconnect; let that happen while muted
+        while (feed.getClientCount() > 0) await new Promise(resolve => setTimeout(resolve, 5));
+        await new Promise(resolve => server.close(resolve));
+        restore();
+    });
+
+    async function client(plan) {
+        const ws = await connect(url, plan);
+        clients.push(ws);
+        return ws;
+    }
+
+    test('answers a non-object payload with an error and stays up', async () => {
+        const ws = await client();
+
+        for (const payload of ['null', '42', '"subscribe"', '[]', '{']) {
+            ws.send(payload);
+            assert.deepStrictEqual(await ws.next(), { event: 'error', message: 'Invalid message' }, payload);
+        }
+
+        ws.send(JSON.stringify({ action: 'ping' }));
+        assert.strictEqual((await ws.next()).event, 'pong');
+    });
+
+    test('ignores symbols that are not strings', async () => {
+        const ws = await client();
+
+        ws.send(JSON.stringify({ action: 'subscribe', symbols: ['EURUSD', 1, null, { s: 'GBPUSD' }] }));
+        assert.deepStrictEqual(await ws.next(), { event: 'subscribed', symbols: ['EURUSD'], rejected: [] });
+
+        ws.send(JSON.stringify({ action: 'unsubscribe', symbols: [1] }));
+        assert.deepStrictEqual(await ws.next(), { event: 'unsubscribed', symbols: [] });
+        assert.strictEqual(feed.getClientCount(), 1);
+    });
+
+    test('rejects symbols above the plan tier', async () => {
+        const ws = await client('free');
+
+        ws.send(JSON.stringify({ action: 'subscribe', symbols: ['BTCUSD', 'EURUSD'] }));
+        const reply = await ws.next();
+
+        assert.deepStrictEqual(reply.symbols, ['BTCUSD']);
+        assert.deepStrictEqual(reply.rejected.map(r => [r.symbol, r.code]), [['EUR/USD', 'SYMBOL_NOT_IN_PLAN']]);
+    });
+
+    test('only sends ticks for subscribed symbols', async () => {
+        const ws = await client();
+        ws.send(JSON.stringify({ action: 'subscribe', symbol: 'EURUSD' }));
+        await ws.next();
+
+        feed.broadcastTick({ symbol: 'GBPUSD', price: 1.27, timestamp: Date.now() });
+        feed.broadcastTick({ symbol: 'EURUSD', price: 1.1, timestamp: Date.now() });
+
+        const tick = await ws.next();
+        assert.strictEqual(tick.event, 'quote');
+        assert.strictEqual(tick.data.symbol, 'EURUSD');
+        assert.strictEqual(tick.data.bid, 1.1);
+    });
+});